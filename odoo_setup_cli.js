@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// ====================================================================
+// GERADOR DE CONFIGURAÇÃO ODOO - Interface de Linha de Comando
+// ====================================================================
+// Gera o mesmo projeto do wizard web a partir de um arquivo JSON,
+// para uso em scripts e pipelines de provisionamento.
+//
+// Uso:
+//   node odoo_setup_cli.js config.json [--output pasta] [--force] [--ignore-lint]
+//
+// O JSON segue odoo_config.schema.json; campos omitidos assumem os
+// valores do preset (se houver) ou os padrões do wizard e senhas
+// omitidas são geradas automaticamente.
+
+const fs = require('fs');
+const path = require('path');
+
+// Node 18 só expõe a Web Crypto em require('crypto')
+if (!globalThis.crypto) {
+    globalThis.crypto = require('crypto').webcrypto;
+}
+
+const {
+    normalizeConfig,
+    validateForm,
+    buildProjectFiles,
+    buildProjectTree,
+    lintProjectFiles,
+    auditSecurity,
+    getUsedPasswordFields,
+    CONFIG_PRESETS,
+    SECURITY_SEVERITIES
+} = require('./odoo_setup_generator.js');
+
+const SCHEMA_PATH = path.join(__dirname, 'odoo_config.schema.json');
+
+const USAGE = `Uso: node odoo_setup_cli.js <config.json> [opções]
+
+Opções:
+  -o, --output <pasta>  Pasta de destino (padrão: ./<projectName>)
+  -f, --force           Grava mesmo se a pasta de destino não estiver vazia
+      --ignore-lint     Grava mesmo com erros de sintaxe nos arquivos gerados
+  -h, --help            Mostra esta ajuda
+
+Esquema da configuração: odoo_config.schema.json`;
+
+// ====================================================================
+// VALIDAÇÃO PELO JSON SCHEMA
+// ====================================================================
+
+/**
+ * Valida um valor contra o subconjunto de JSON Schema usado em odoo_config.schema.json
+ * (type, enum, pattern, minLength, minimum, maximum, items, required, additionalProperties)
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - Esquema (ou subesquema)
+ * @param {string} [location] - Caminho do valor para as mensagens
+ * @returns {string[]} Erros encontrados (vazio se válido)
+ */
+function validateAgainstSchema(value, schema, location = 'config') {
+    const errors = [];
+
+    // === TIPO ===
+    const typeChecks = {
+        object: v => typeof v === 'object' && v !== null && !Array.isArray(v),
+        array: v => Array.isArray(v),
+        string: v => typeof v === 'string',
+        integer: v => Number.isInteger(v),
+        number: v => typeof v === 'number' && Number.isFinite(v),
+        boolean: v => typeof v === 'boolean'
+    };
+    if (schema.type && !typeChecks[schema.type](value)) {
+        errors.push(`${location}: esperado ${schema.type}`);
+        return errors; // Demais regras não se aplicam a um tipo errado
+    }
+
+    // === RESTRIÇÕES DE VALOR ===
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${location}: deve ser um de ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${location}: formato inválido (${schema.pattern})`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${location}: mínimo de ${schema.minLength} caractere(s)`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${location}: mínimo ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${location}: máximo ${schema.maximum}`);
+    }
+
+    // === ARRAYS E OBJETOS ===
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${location}[${index}]`));
+        });
+    }
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${location}.${key}: obrigatório`);
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const propertySchema = (schema.properties || {})[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(item, propertySchema, `${location}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${location}.${key}: campo desconhecido`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// ====================================================================
+// ARGUMENTOS E GRAVAÇÃO
+// ====================================================================
+
+/**
+ * Interpreta os argumentos da linha de comando
+ * @param {string[]} argv - Argumentos (sem node e o nome do script)
+ * @returns {{configPath?: string, output?: string, force: boolean, ignoreLint: boolean, help: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { force: false, ignoreLint: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-f' || arg === '--force') {
+            options.force = true;
+        } else if (arg === '--ignore-lint') {
+            options.ignoreLint = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = argv[++i];
+            if (!options.output) throw new Error(`${arg} exige o caminho da pasta`);
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Opção desconhecida: ${arg}`);
+        } else if (!options.configPath) {
+            options.configPath = arg;
+        } else {
+            throw new Error(`Argumento inesperado: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Grava a árvore do projeto em disco (scripts .sh ficam executáveis)
+ * @param {Map<string, string>} tree - Caminho relativo → conteúdo
+ * @param {string} outputDir - Pasta de destino
+ */
+function writeProjectTree(tree, outputDir) {
+    tree.forEach((content, relativePath) => {
+        const target = path.join(outputDir, relativePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content, { mode: relativePath.endsWith('.sh') ? 0o755 : 0o644 });
+    });
+}
+
+/**
+ * Executa a CLI
+ * @param {string[]} argv - Argumentos (sem node e o nome do script)
+ * @returns {number} Código de saída
+ */
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help || !options.configPath) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    // === LEITURA DO JSON ===
+    let input;
+    try {
+        input = JSON.parse(fs.readFileSync(options.configPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Não foi possível ler ${options.configPath}: ${error.message}`);
+        return 1;
+    }
+
+    // === VALIDAÇÃO: ESQUEMA + REGRAS DO WIZARD ===
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const schemaErrors = validateAgainstSchema(input, schema);
+    if (schemaErrors.length > 0) {
+        console.error('❌ Configuração não segue odoo_config.schema.json:');
+        schemaErrors.forEach(error => console.error(`   • ${error}`));
+        return 1;
+    }
+
+    // Preset por baixo dos campos explícitos, como no wizard (o esquema já barra chaves desconhecidas)
+    const preset = CONFIG_PRESETS[input.preset];
+    const config = normalizeConfig(preset ? { ...preset.values, ...input } : input);
+    const formErrors = validateForm(config);
+    if (formErrors.length > 0) {
+        console.error('❌ Configuração inválida:');
+        formErrors.forEach(error => console.error(`   • ${error}`));
+        return 1;
+    }
+    if (config.enableMailCatcher && config.smtpHost) {
+        console.error(`⚠️ enableMailCatcher ativo: o servidor SMTP ${config.smtpHost} (e smtpUser/smtpPassword) é ignorado`);
+    }
+
+    // === GERAÇÃO E GRAVAÇÃO ===
+    const outputDir = path.resolve(options.output || config.projectName);
+    if (fs.existsSync(outputDir) && fs.readdirSync(outputDir).length > 0 && !options.force) {
+        console.error(`❌ ${outputDir} não está vazia. Use --force para sobrescrever os arquivos gerados.`);
+        return 1;
+    }
+
+    const { files, structure } = buildProjectFiles(config);
+
+    // === VERIFICAÇÃO DE SINTAXE (mesma do passo de revisão do wizard) ===
+    const lintIssues = lintProjectFiles(files);
+    lintIssues.forEach(issue => {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️';
+        console.error(`${icon} ${issue.file}:${issue.line} ${issue.message}`);
+    });
+    if (lintIssues.some(issue => issue.severity === 'error') && !options.ignoreLint) {
+        console.error('❌ Arquivos gerados com erros de sintaxe. Use --ignore-lint para gravar mesmo assim.');
+        return 1;
+    }
+
+    const tree = buildProjectTree(files, structure, config.commentLanguage);
+    writeProjectTree(tree, outputDir);
+
+    console.log(`✅ Projeto ${config.projectName} gerado em ${outputDir} (${tree.size} arquivos)`);
+    const generated = getUsedPasswordFields(config).filter(field => !input[field]);
+    if (generated.length > 0) {
+        console.log(`🔐 Senhas geradas automaticamente (${generated.join(', ')}): veja ${config.deployTarget === 'kubernetes'
+            ? `helm/${config.projectName}/values.yaml`
+            : config.useSecrets || config.deployTarget === 'podman' ? 'secrets/' : 'o .env'}`);
+    }
+
+    // === AUDITORIA DE SEGURANÇA (a mesma do passo de revisão; as correções ficam no JSON) ===
+    const audit = auditSecurity(config);
+    console.log(`🛡️  Auditoria de segurança: ${audit.score}/100 (${audit.grade})`);
+    audit.findings.forEach(finding => {
+        const severity = SECURITY_SEVERITIES[finding.severity];
+        const fix = finding.fix ? ` → ${finding.fix.label} (${Object.keys(finding.fix.changes).join(', ')})` : '';
+        console.log(`   ${severity.icon} ${severity.label}: ${finding.title}${fix}`);
+    });
+    const relativeDir = path.relative(process.cwd(), outputDir) || '.';
+    if (config.deployTarget === 'kubernetes') {
+        console.log(`🚀 Próximo passo: cd ${relativeDir} && helm install ${config.projectName} ./helm/${config.projectName} -n ${config.projectName} --create-namespace`);
+    } else {
+        console.log(`🚀 Próximo passo: cd ${relativeDir} && ./setup.sh`);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, validateAgainstSchema };
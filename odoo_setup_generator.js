@@ -6,997 +6,8924 @@
  * @typedef {Object} OdooConfig - Configuração completa do projeto Odoo
  * @property {string} projectName - Nome do projeto (usado para containers)
  * @property {string} odooVersion - Versão do Odoo (ex: 17.0)
+ * @property {string} postgresVersion - Versão do PostgreSQL (vazio = recomendada para a versão do Odoo)
  * @property {number} httpPort - Porta HTTP principal do Odoo
- * @property {number} chatPort - Porta para longpolling/chat
+ * @property {number} chatPort - Porta de tempo real (websocket/longpolling, ver ODOO_VERSIONS)
  * @property {string} domain - Domínio personalizado (opcional)
+ * @property {string} deployTarget - Destino dos arquivos gerados (veja DEPLOY_TARGETS)
+ * @property {boolean} enableSystemdUnit - Unidade systemd que sobe o Docker Compose no boot
+ * @property {string} commentLanguage - Idioma dos comentários dos arquivos gerados (veja LANGUAGES); mensagens dos scripts ficam em português
  * @property {string} dbName - Nome da database PostgreSQL
  * @property {string} dbUser - Usuário do PostgreSQL
  * @property {string} dbPassword - Senha do PostgreSQL
  * @property {string} adminPassword - Senha master do Odoo
  * @property {boolean} enablePostgresPort - Expor porta 5432 do PostgreSQL
+ * @property {boolean} useSecrets - Senhas em secrets/ (Docker secrets) em vez do .env e do odoo.conf
+ * @property {boolean} containerHardening - Endurecimento dos containers do docker-compose.yml (veja CONTAINER_HARDENING)
+ * @property {Object<string, {mode: string, length: number, charset: string, words: number}>} passwordOptions - Geração de cada senha (veja DEFAULT_PASSWORD_OPTIONS)
  * @property {number} workers - Número de workers/processos
  * @property {number} cronThreads - Threads para jobs automáticos
- * @property {number} memoryLimit - Limite de memória em GB
+ * @property {number} memoryLimit - Limite de memória do container Odoo em GB (dividido entre os workers)
+ * @property {number} dbMemoryLimit - Limite de memória do container PostgreSQL em GB
+ * @property {number} hostCpus - Núcleos de CPU do host (0 = não informado)
+ * @property {number} hostMemory - Memória RAM do host em GB (0 = não informado)
+ * @property {number} concurrentUsers - Usuários simultâneos esperados (calculadora de recursos)
  * @property {string} logLevel - Nível de logging (error/warn/info/debug)
- * @property {boolean} enableRedis - Habilitar Redis para cache
- * @property {boolean} enableNginx - Habilitar Nginx como proxy reverso
+ * @property {boolean} enablePgbouncer - PgBouncer entre o Odoo e o PostgreSQL (pool de conexões, apenas Docker Compose)
+ * @property {boolean} enableRedis - Sessões do Odoo no Redis (addon session_redis na imagem personalizada)
+ * @property {string} redisPassword - Senha do Redis (requirepass)
+ * @property {string} reverseProxy - Proxy reverso na frente do Odoo (veja REVERSE_PROXIES)
+ * @property {boolean} odooPortsLocalOnly - Com proxy reverso, publicar as portas do Odoo apenas em 127.0.0.1
+ * @property {string} sslMode - Modo HTTPS do proxy reverso (none/letsencrypt/selfsigned)
+ * @property {string} letsencryptEmail - E-mail de registro no Let's Encrypt
+ * @property {boolean} letsencryptStaging - Usar ambiente de testes do Let's Encrypt
+ * @property {boolean} nginxHardening - Endurecimento do Nginx: limite de tentativas de login, gerenciador de bancos protegido, HSTS e CSP
+ * @property {string} dbManagerAccess - Gerenciador de bancos com o endurecimento do Nginx (veja DB_MANAGER_ACCESS)
+ * @property {string[]} dbManagerAllowlist - IPs ou redes (CIDR) liberados no gerenciador de bancos restrito
+ * @property {boolean} dbManagerAuth - Autenticação HTTP do Nginx na frente do gerenciador de bancos restrito
+ * @property {string[]} cspAllowedOrigins - Origens HTTPS externas liberadas no Content-Security-Policy (pagamentos, fontes, mapas)
+ * @property {string} dbManagerPassword - Senha da autenticação HTTP do gerenciador de bancos (usuário DB_MANAGER_USER)
+ * @property {boolean} enableFail2ban - Container fail2ban que bane IPs com falhas de login (logs do Odoo e do Nginx)
+ * @property {string} smtpHost - Servidor SMTP de saída (vazio = configurar depois)
+ * @property {number} smtpPort - Porta do servidor SMTP
+ * @property {string} smtpEncryption - Criptografia SMTP (none/starttls/ssl)
+ * @property {string} smtpUser - Usuário de autenticação SMTP (opcional)
+ * @property {string} smtpPassword - Senha de autenticação SMTP (opcional)
+ * @property {string} emailFrom - Remetente padrão dos emails do Odoo
+ * @property {boolean} enableMailCatcher - Capturar emails com Mailpit (desenvolvimento)
+ * @property {boolean} enableBackup - Container de backup agendado (banco + filestore)
+ * @property {boolean} enableMonitoring - Perfil de monitoramento (Prometheus, Grafana e exporters)
+ * @property {string} grafanaPassword - Senha do usuário admin do Grafana
+ * @property {string} backupSchedule - Agendamento do backup em formato cron (UTC)
+ * @property {number} backupKeepDaily - Conjuntos diários mantidos
+ * @property {number} backupKeepWeekly - Conjuntos semanais mantidos
+ * @property {number} backupKeepMonthly - Conjuntos mensais mantidos
+ * @property {string} preset - Preset aplicado no passo 1 (vazio = personalizado)
+ * @property {string[]} ocaRepositories - Repositórios OCA (branch = odooVersion)
+ * @property {boolean} customImage - Construir imagem própria a partir de um Dockerfile
+ * @property {string[]} pipPackages - Pacotes Python extras (linhas do requirements.txt)
+ * @property {string[]} aptPackages - Pacotes do sistema instalados com apt
  */
 
 // ====================================================================
-// UTILITÁRIOS E VALIDAÇÕES
+// PRESETS DE CONFIGURAÇÃO
 // ====================================================================
 
 /**
- * Gera senha segura usando crypto API ou fallback
- * @param {number} length - Comprimento da senha (padrão: 24)
- * @returns {string} Senha gerada com alta entropia
+ * Presets prontos para cenários comuns (preenchem os passos 1 a 3)
+ * As chaves de values são os IDs dos campos do formulário (iguais às de OdooConfig)
+ * @type {Object<string, {label: string, description: string, values: Object<string, (string|number|boolean)>}>}
  */
-function generateSecurePassword(length = 24) {
-    // Charset com letras, números e símbolos seguros para senhas
-    const charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
-    
-    // Tenta usar crypto API do browser (mais seguro)
-    if (window.crypto && window.crypto.getRandomValues) {
-        const array = new Uint8Array(length);
-        window.crypto.getRandomValues(array);
-        return Array.from(array, byte => charset[byte % charset.length]).join('');
+const CONFIG_PRESETS = {
+    development: {
+        label: '🧪 Desenvolvimento',
+        description: 'Thread único com log debug, PostgreSQL acessível por ferramentas externas e sem proxy.',
+        values: {
+            httpPort: 8069,
+            chatPort: 8072,
+            enablePostgresPort: true,
+            workers: 0,
+            cronThreads: 1,
+            memoryLimit: 2,
+            dbMemoryLimit: 1,
+            logLevel: 'debug',
+            enableRedis: false,
+            reverseProxy: 'none',
+            sslMode: 'none'
+        }
+    },
+    production: {
+        label: '🏢 Produção',
+        description: 'Workers para uso corporativo, logs enxutos, Nginx com HTTPS Let\'s Encrypt e banco fechado.',
+        values: {
+            httpPort: 8069,
+            chatPort: 8072,
+            enablePostgresPort: false,
+            workers: 4,
+            cronThreads: 2,
+            memoryLimit: 4,
+            dbMemoryLimit: 2,
+            logLevel: 'warn',
+            enableRedis: true,
+            reverseProxy: 'nginx',
+            sslMode: 'letsencrypt',
+            nginxHardening: true,
+            containerHardening: true
+        }
+    },
+    ecommerce: {
+        label: '🛒 E-commerce',
+        description: 'Mais workers para visitantes simultâneos na loja, cache Redis e HTTPS obrigatório.',
+        values: {
+            httpPort: 8069,
+            chatPort: 8072,
+            enablePostgresPort: false,
+            workers: 6,
+            cronThreads: 2,
+            memoryLimit: 4,
+            dbMemoryLimit: 2,
+            logLevel: 'warn',
+            enableRedis: true,
+            reverseProxy: 'nginx',
+            sslMode: 'letsencrypt',
+            nginxHardening: true,
+            // Pagamentos (Stripe, PayPal), Google Fonts e mapas usados pela loja
+            cspAllowedOrigins: ['https://js.stripe.com', 'https://api.stripe.com', 'https://www.paypal.com', 'https://fonts.googleapis.com', 'https://fonts.gstatic.com', 'https://maps.googleapis.com', 'https://www.google.com'],
+            containerHardening: true,
+            enablePgbouncer: true
+        }
+    },
+    'high-traffic': {
+        label: '🚀 Alto Tráfego',
+        description: 'Máximo de workers e memória, mais threads cron e log apenas de erros.',
+        values: {
+            httpPort: 8069,
+            chatPort: 8072,
+            enablePostgresPort: false,
+            workers: 8,
+            cronThreads: 4,
+            memoryLimit: 8,
+            dbMemoryLimit: 4,
+            logLevel: 'error',
+            enableRedis: true,
+            reverseProxy: 'nginx',
+            sslMode: 'letsencrypt',
+            nginxHardening: true,
+            containerHardening: true,
+            enablePgbouncer: true
+        }
     }
-    
-    // Fallback para browsers antigos (menos seguro, mas funcional)
-    console.warn('Crypto API não disponível, usando Math.random() como fallback');
-    let result = '';
-    for (let i = 0; i < length; i++) {
-        result += charset.charAt(Math.floor(Math.random() * charset.length));
+};
+
+// ====================================================================
+// CATÁLOGO DE REPOSITÓRIOS OCA
+// ====================================================================
+
+/**
+ * Repositórios da Odoo Community Association oferecidos no wizard
+ * Outros podem ser informados pelo nome no campo "outros repositórios"
+ * @type {{name: string, description: string}[]}
+ */
+const OCA_REPOSITORIES = [
+    { name: 'web', description: 'Melhorias da interface web: widgets, temas, responsividade' },
+    { name: 'server-tools', description: 'Ferramentas técnicas: auditoria, limpeza de banco, exceções' },
+    { name: 'server-ux', description: 'Usabilidade: ações em massa, aprovações, sequências' },
+    { name: 'server-auth', description: 'Autenticação: LDAP, OAuth, política de senhas' },
+    { name: 'queue', description: 'Fila de jobs assíncronos (queue_job)' },
+    { name: 'account-financial-tools', description: 'Ferramentas contábeis: bloqueio de período, ativos' },
+    { name: 'account-financial-reporting', description: 'Relatórios financeiros: razão, balancete, aging' },
+    { name: 'account-invoicing', description: 'Faturamento: validações, agrupamentos, referências' },
+    { name: 'bank-payment', description: 'Ordens de pagamento e integração bancária' },
+    { name: 'mis-builder', description: 'Construtor de relatórios gerenciais (MIS)' },
+    { name: 'l10n-brazil', description: 'Localização brasileira: NF-e, CNPJ/CPF, impostos' },
+    { name: 'partner-contact', description: 'Contatos: nomes, duplicidades, campos extras' },
+    { name: 'sale-workflow', description: 'Fluxos de venda: aprovações, bloqueios, descontos' },
+    { name: 'purchase-workflow', description: 'Fluxos de compra: requisições, aprovações' },
+    { name: 'stock-logistics-workflow', description: 'Logística: transferências, lotes, picking' },
+    { name: 'reporting-engine', description: 'Relatórios XLSX, CSV e agendados' },
+    { name: 'social', description: 'Email e mensagens: templates, rastreamento' },
+    { name: 'hr', description: 'Recursos humanos: funcionários, contratos' },
+    { name: 'project', description: 'Projetos: tarefas, modelos, dependências' },
+    { name: 'e-commerce', description: 'Loja virtual: filtros, checkout, produtos' },
+    { name: 'website', description: 'Site: SEO, cookies, formulários' },
+    { name: 'pos', description: 'Ponto de venda: pagamentos, recibos' }
+];
+
+// ====================================================================
+// COMPATIBILIDADE ENTRE VERSÕES DO ODOO
+// ====================================================================
+
+/**
+ * Diferenças entre as versões do Odoo que afetam os arquivos gerados
+ * Esta tabela alimenta o seletor do passo 1, a validação e todos os geradores:
+ * para oferecer outra versão basta acrescentar uma entrada (a primeira é a mais recente)
+ *
+ * - realtimeOption/realtimePath: até a 15.0 o Odoo usava longpolling_port e a rota
+ *   /longpolling; a partir da 16.0 usa gevent_port e websockets em /websocket
+ * - postgresVersions: versões do PostgreSQL suportadas (postgresDefault = imagem usada)
+ * - python/baseImage: Python e sistema da imagem oficial odoo:<versão>
+ * - pipBreakSystemPackages: Python do sistema marcado como "externally managed" (PEP 668)
+ * - sessionRedisRef: ref (commit, tag ou branch) do camptocamp/odoo-cloud-platform baixada com Redis;
+ *   um commit fixo impede que o build mude sozinho quando o branch da versão avança
+ * @type {Object<string, {label: string, realtimeOption: string, realtimePath: string, postgresVersions: string[], postgresDefault: string, python: string, baseImage: string, pipBreakSystemPackages: boolean, coreAddonsPath: string, sessionRedisRef: string}>}
+ */
+const ODOO_VERSIONS = {
+    '18.0': {
+        label: '18.0 (mais recente)',
+        realtimeOption: 'gevent_port',
+        realtimePath: '/websocket',
+        postgresVersions: ['13', '14', '15', '16', '17'],
+        postgresDefault: '15',
+        python: '3.12',
+        baseImage: 'Ubuntu 24.04',
+        pipBreakSystemPackages: true,
+        coreAddonsPath: '/usr/lib/python3/dist-packages/odoo/addons',
+        sessionRedisRef: '18.0'
+    },
+    '17.0': {
+        label: '17.0',
+        realtimeOption: 'gevent_port',
+        realtimePath: '/websocket',
+        postgresVersions: ['12', '13', '14', '15', '16'],
+        postgresDefault: '15',
+        python: '3.10',
+        baseImage: 'Ubuntu 22.04',
+        pipBreakSystemPackages: false,
+        coreAddonsPath: '/usr/lib/python3/dist-packages/odoo/addons',
+        sessionRedisRef: '17.0'
+    },
+    '16.0': {
+        label: '16.0',
+        realtimeOption: 'gevent_port',
+        realtimePath: '/websocket',
+        postgresVersions: ['12', '13', '14', '15'],
+        postgresDefault: '15',
+        python: '3.9',
+        baseImage: 'Debian 11',
+        pipBreakSystemPackages: false,
+        coreAddonsPath: '/usr/lib/python3/dist-packages/odoo/addons',
+        sessionRedisRef: '16.0'
     }
-    return result;
+};
+
+/**
+ * Características da versão do Odoo escolhida (ver ODOO_VERSIONS)
+ * Versões desconhecidas são barradas em validateForm; aqui caem na mais recente
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {Object} Entrada de ODOO_VERSIONS
+ */
+function getOdooVersionInfo(config) {
+    return ODOO_VERSIONS[config.odooVersion] || Object.values(ODOO_VERSIONS)[0];
 }
 
 /**
- * Validação robusta do formulário com verificações específicas
- * @param {OdooConfig} config - Configuração a ser validada
- * @returns {string[]} Array de erros encontrados (vazio se válido)
+ * Versão do PostgreSQL usada pelo banco e pelo container de backup
+ * Vazio (padrão da CLI) = versão recomendada para a versão do Odoo
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Versão principal (ex: "16")
  */
-function validateForm(config) {
-    const errors = [];
+function getPostgresVersion(config) {
+    return config.postgresVersion || getOdooVersionInfo(config).postgresDefault;
+}
+
+// ====================================================================
+// DIMENSIONAMENTO DE RECURSOS
+// ====================================================================
+
+/**
+ * Limite de memória (MB) de cada serviço auxiliar do docker-compose.yml
+ * Odoo e PostgreSQL usam memoryLimit e dbMemoryLimit da configuração
+ * @type {Object<string, number>}
+ */
+const SERVICE_MEMORY_LIMITS = {
+    redis: 384,                 // maxmemory 256mb + processo e reescrita do AOF
+    pgbouncer: 64,
+    mailpit: 128,
+    backup: 512,                // pg_dump + compactação do filestore
+    nginx: 128,
+    traefik: 256,               // Go + certificados ACME e conexões websocket em memória
+    certbot: 128,
+    fail2ban: 128,
+    prometheus: 512,
+    grafana: 256,
+    'postgres-exporter': 64,
+    cadvisor: 256,
+    'nginx-exporter': 32
+};
+
+/**
+ * Limite de memória (MB) de cada serviço habilitado no docker-compose.yml
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {Object<string, number>} Nome do serviço → limite em MB
+ */
+function getServiceMemoryPlan(config) {
+    const plan = {
+        db: config.dbMemoryLimit * 1024,
+        odoo: config.memoryLimit * 1024
+    };
     
-    // === VALIDAÇÕES CRÍTICAS (campos obrigatórios) ===
-    // Validar se campos essenciais não estão vazios antes de validar formato
-    if (!config.projectName || config.projectName.trim() === '') {
-        errors.push('Nome do projeto é obrigatório');
-        return errors; // Para aqui se campo crítico está vazio
-    }
+    const optionalServices = {
+        redis: config.enableRedis,
+        pgbouncer: usesPgbouncer(config),
+        mailpit: config.enableMailCatcher,
+        backup: config.enableBackup,
+        nginx: getReverseProxy(config) === 'nginx',
+        traefik: getReverseProxy(config) === 'traefik',
+        certbot: usesCertbot(config),
+        fail2ban: usesFail2ban(config),
+        prometheus: config.enableMonitoring,
+        grafana: config.enableMonitoring,
+        'postgres-exporter': config.enableMonitoring,
+        cadvisor: config.enableMonitoring,
+        'nginx-exporter': config.enableMonitoring && getReverseProxy(config) === 'nginx'
+    };
+    Object.entries(optionalServices).forEach(([service, enabled]) => {
+        if (enabled) plan[service] = SERVICE_MEMORY_LIMITS[service];
+    });
     
-    if (!config.dbPassword || config.dbPassword.trim() === '') {
-        errors.push('Senha do banco é obrigatória');
-        return errors;
-    }
+    return plan;
+}
+
+/**
+ * Número de processos do Odoo que dividem o limite do container
+ * No modo multiprocesso cada worker e cada thread cron é um processo separado
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {number}
+ */
+function getOdooProcessCount(config) {
+    return config.workers > 0 ? config.workers + config.cronThreads : 1;
+}
+
+/**
+ * Memória média (MB) de um processo do Odoo segundo a documentação (80% leves, 20% pesados)
+ * Usada pela calculadora e como mínimo da parte de cada processo no limite do container
+ * @type {number}
+ */
+const ODOO_PROCESS_MEMORY_MB = 325;
+
+/**
+ * Parte do limite do container (MB) que cabe a cada processo do Odoo
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {number}
+ */
+function getMemoryPerProcess(config) {
+    return Math.floor(config.memoryLimit * 1024 / getOdooProcessCount(config));
+}
+
+/**
+ * Faixa do limite rígido de cada processo (MB): de 2 GB (limite suave padrão do Odoo, abaixo
+ * do qual relatórios PDF e importações derrubam o worker) a 2,5 GB (limite rígido padrão do Odoo)
+ * @type {{min: number, max: number}}
+ */
+const ODOO_MEMORY_HARD_RANGE_MB = { min: 2048, max: 2560 };
+
+/**
+ * limit_memory_soft/hard do odoo.conf: o Odoo aplica os limites a cada processo
+ * O limite rígido é a parte de cada processo no limite do container, dentro de
+ * ODOO_MEMORY_HARD_RANGE_MB: os picos de um worker cabem, e o limite do container
+ * segura o caso raro de todos atingirem o pico ao mesmo tempo
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{soft: number, hard: number}} Limites em bytes
+ */
+function getWorkerMemoryLimits(config) {
+    const { min, max } = ODOO_MEMORY_HARD_RANGE_MB;
+    const hardMb = Math.min(max, Math.max(min, getMemoryPerProcess(config)));
+    // O suave fica em 80% do rígido
+    const softMb = Math.floor(hardMb * 0.8);
     
-    if (!config.adminPassword || config.adminPassword.trim() === '') {
-        errors.push('Senha master é obrigatória');
-        return errors;
-    }
+    return { soft: softMb * 1024 * 1024, hard: hardMb * 1024 * 1024 };
+}
+
+/**
+ * Conexões por processo do Odoo (db_maxconn); o padrão do Odoo (64) superdimensiona
+ * o max_connections do PostgreSQL
+ * @type {number}
+ */
+const ODOO_DB_MAXCONN = 16;
+
+/**
+ * Porta do PgBouncer na rede dos containers
+ * @type {number}
+ */
+const PGBOUNCER_PORT = 6432;
+
+/**
+ * Indica se o Odoo conecta ao banco pelo PgBouncer (apenas no docker-compose.yml)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesPgbouncer(config) {
+    return Boolean(config.enablePgbouncer) && config.deployTarget === 'compose';
+}
+
+/**
+ * Pools do PgBouncer derivados dos processos do Odoo
+ * - maxClientConn: todas as conexões que o Odoo pode abrir (db_maxconn × processos + gevent) + folga
+ * - defaultPoolSize: conexões reais por banco no modo transaction, 2 por processo (requisição e
+ *   cursor auxiliar), no mínimo 10
+ * - reservePoolSize: conexões extras liberadas em picos (25% do pool)
+ * - sessionPoolSize: banco "postgres" em modo session (LISTEN do bus de tempo real e gerenciador de bancos)
+ * - maxUserConnections: teto de conexões reais do usuário do Odoo somando todos os bancos
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{maxClientConn: number, defaultPoolSize: number, reservePoolSize: number, sessionPoolSize: number, maxUserConnections: number}}
+ */
+function getPgbouncerPools(config) {
+    const odooProcesses = getOdooProcessCount(config) + (config.workers > 0 ? 1 : 0);
+    const defaultPoolSize = Math.max(10, getOdooProcessCount(config) * 2);
+    const reservePoolSize = Math.ceil(defaultPoolSize / 4);
+    const sessionPoolSize = 5;
     
-    // === VALIDAÇÕES DE FORMATO ===
-    // Nome do projeto: apenas letras minúsculas, números e hífens
-    // Não pode começar ou terminar com hífen (padrão Docker)
-    if (!config.projectName.match(/^[a-z0-9][a-z0-9-]*[a-z0-9]$/) && config.projectName.length > 1) {
-        errors.push('Nome do projeto deve conter apenas letras minúsculas, números e hífens (não pode começar ou terminar com hífen)');
-    }
+    return {
+        maxClientConn: odooProcesses * ODOO_DB_MAXCONN + 20,
+        defaultPoolSize,
+        reservePoolSize,
+        sessionPoolSize,
+        maxUserConnections: defaultPoolSize + reservePoolSize + sessionPoolSize
+    };
+}
+
+/**
+ * Parâmetros do postgresql.conf derivados da memória do banco e dos processos do Odoo
+ * - shared_buffers: 25% da memória do container; effective_cache_size: 75%
+ * - max_connections: db_maxconn × processos do Odoo (+ gevent) + reserva para backup,
+ *   exporters e manutenção; com o PgBouncer, as conexões reais dos pools + a mesma reserva
+ * - work_mem: memória restante dividida entre as conexões (3 operações por consulta)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{sharedBuffersMb: number, effectiveCacheSizeMb: number, workMemMb: number, maintenanceWorkMemMb: number, maxConnections: number, dbMaxConn: number}}
+ */
+function getPostgresTuning(config) {
+    const memoryMb = config.dbMemoryLimit * 1024;
+    const sharedBuffersMb = Math.floor(memoryMb / 4);
+    const odooProcesses = getOdooProcessCount(config) + (config.workers > 0 ? 1 : 0);
+    const maxConnections = (usesPgbouncer(config) ? getPgbouncerPools(config).maxUserConnections : odooProcesses * ODOO_DB_MAXCONN) + 10;
     
-    // Verificar se não usa palavras reservadas do Docker/sistema
-    const reservedWords = ['docker', 'compose', 'postgres', 'redis', 'nginx', 'localhost', 'api', 'www'];
-    if (reservedWords.includes(config.projectName.toLowerCase())) {
-        errors.push(`"${config.projectName}" é uma palavra reservada. Escolha outro nome.`);
-    }
+    return {
+        sharedBuffersMb,
+        effectiveCacheSizeMb: sharedBuffersMb * 3,
+        workMemMb: Math.max(4, Math.floor((memoryMb - sharedBuffersMb) / (maxConnections * 3))),
+        maintenanceWorkMemMb: Math.min(2048, Math.max(64, Math.floor(memoryMb / 16))),
+        maxConnections,
+        dbMaxConn: ODOO_DB_MAXCONN
+    };
+}
+
+/**
+ * Formata um tamanho em MB no sufixo usado pelo Docker (G quando exato, senão M)
+ * @param {number} mb - Tamanho em MB
+ * @returns {string} Ex: "2G", "384M"
+ */
+function formatMemory(mb) {
+    return mb % 1024 === 0 ? `${mb / 1024}G` : `${mb}M`;
+}
+
+/**
+ * Sugere workers, threads cron e memória a partir do host e dos usuários simultâneos
+ * Segue a documentação do Odoo: ~6 usuários simultâneos por worker, no máximo
+ * 2 × núcleos + 1 workers e ~325 MB em média por processo (80% leves, 20% pesados)
+ * @param {OdooConfig} config - Configuração com hostCpus, hostMemory (GB) e concurrentUsers
+ * @returns {{workers: number, cronThreads: number, memoryLimit: number, dbMemoryLimit: number}}
+ */
+function calculateSizing(config) {
+    const maxWorkersByCpu = config.hostCpus * 2 + 1;
+    const cronThreads = Math.ceil(config.concurrentUsers / 6) > 4 ? 2 : 1;
     
-    // === VALIDAÇÕES DE REDE ===
-    // Portas devem estar na faixa não-privilegiada (>1024) e válida
-    if (config.httpPort < 1024 || config.httpPort > 65535) {
-        errors.push('Porta HTTP deve estar entre 1024 e 65535');
-    }
+    // Memória livre: host menos 1 GB para o sistema e os serviços auxiliares habilitados
+    const plan = getServiceMemoryPlan({ ...config, memoryLimit: 0, dbMemoryLimit: 0 });
+    const auxiliaryMb = Object.values(plan).reduce((total, mb) => total + mb, 0);
+    const availableGb = Math.floor((config.hostMemory * 1024 - 1024 - auxiliaryMb) / 1024);
     
-    if (config.chatPort < 1024 || config.chatPort > 65535) {
-        errors.push('Porta Chat deve estar entre 1024 e 65535');
-    }
+    // Um terço para o PostgreSQL e o restante para o Odoo (mínimo de 1 GB cada)
+    const dbMemoryLimit = Math.max(1, Math.floor(availableGb / 3));
+    const memoryLimit = Math.max(1, availableGb - dbMemoryLimit);
     
-    // Portas não podem ser iguais (conflito)
-    if (config.httpPort === config.chatPort) {
-        errors.push('Portas HTTP e Chat não podem ser iguais');
-    }
+    const maxWorkersByMemory = Math.floor(memoryLimit * 1024 / ODOO_PROCESS_MEMORY_MB) - cronThreads;
+    const workers = Math.max(2, Math.min(Math.ceil(config.concurrentUsers / 6), maxWorkersByCpu, maxWorkersByMemory));
     
-    // Verificar se não estão usando portas comuns do sistema
-    const commonPorts = [3306, 5432, 6379, 22, 80, 443, 21, 25, 53, 110, 143, 993, 995];
-    if (commonPorts.includes(config.httpPort)) {
-        errors.push(`Porta ${config.httpPort} é comumente usada por outros serviços. Escolha outra porta.`);
-    }
-    if (commonPorts.includes(config.chatPort)) {
-        errors.push(`Porta ${config.chatPort} é comumente usada por outros serviços. Escolha outra porta.`);
-    }
+    return { workers, cronThreads, memoryLimit, dbMemoryLimit };
+}
+
+/**
+ * Avisos de dimensionamento exibidos na revisão (não impedem a geração)
+ * Só há comparação com o host quando seus recursos foram informados
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string[]} Mensagens de aviso
+ */
+function getSizingWarnings(config) {
+    const warnings = [];
     
-    // === VALIDAÇÕES DE DOMÍNIO ===
-    // Domínio é opcional, mas se fornecido deve ter formato válido
-    if (config.domain && config.domain.trim() !== '') {
-        // Regex mais rigoroso para domínios: pelo menos um ponto, sem caracteres especiais
-        if (!config.domain.match(/^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/)) {
-            errors.push('Formato de domínio inválido (ex: meusite.com.br)');
-        }
-        
-        // Verificar se não está usando localhost ou IPs
-        if (config.domain.toLowerCase().includes('localhost') || config.domain.match(/^\d+\.\d+\.\d+\.\d+$/)) {
-            errors.push('Use um domínio real ou deixe em branco para desenvolvimento local');
+    if (config.hostMemory > 0) {
+        const totalMb = Object.values(getServiceMemoryPlan(config)).reduce((total, mb) => total + mb, 0);
+        if (totalMb > config.hostMemory * 1024) {
+            warnings.push(t('Os limites de memória dos containers somam {total} GB, acima dos {host} GB do host', {
+                total: (totalMb / 1024).toFixed(1),
+                host: config.hostMemory
+            }));
         }
     }
     
-    // === VALIDAÇÕES DE SEGURANÇA ===
-    // Senhas devem ter comprimento mínimo e complexidade adequada
-    if (config.dbPassword.length < 12) {
-        errors.push('Senha do banco deve ter pelo menos 12 caracteres');
-    }
-    
-    if (config.adminPassword.length < 12) {
-        errors.push('Senha master deve ter pelo menos 12 caracteres');
-    }
-    
-    // Verificar se senhas não são muito simples (sem espaços em branco, não só números)
-    if (config.dbPassword.includes(' ') || config.adminPassword.includes(' ')) {
-        errors.push('Senhas não podem conter espaços em branco');
-    }
-    
-    if (config.dbPassword.match(/^\d+$/) || config.adminPassword.match(/^\d+$/)) {
-        errors.push('Senhas não podem ser apenas números');
+    const perProcessMb = getMemoryPerProcess(config);
+    if (perProcessMb < ODOO_PROCESS_MEMORY_MB) {
+        warnings.push(t('{memory} GB do Odoo para {processes} processo(s) deixam {share} MB para cada um (mínimo recomendado: {min} MB): aumente a memória do Odoo ou reduza os workers', {
+            memory: config.memoryLimit,
+            processes: getOdooProcessCount(config),
+            share: perProcessMb,
+            min: ODOO_PROCESS_MEMORY_MB
+        }));
     }
     
-    // === VALIDAÇÕES DE RECURSOS ===
-    // Workers: verificar se configuração faz sentido
-    if (config.workers > 0 && config.workers < 2) {
-        errors.push('Se usar workers, configure pelo menos 2. Use 0 apenas para desenvolvimento.');
+    if (config.hostCpus > 0 && config.workers > config.hostCpus * 2 + 1) {
+        warnings.push(t('{workers} workers para {cpus} núcleo(s): o recomendado é no máximo {max} (2 × núcleos + 1)', {
+            workers: config.workers,
+            cpus: config.hostCpus,
+            max: config.hostCpus * 2 + 1
+        }));
     }
     
-    return errors;
+    return warnings;
 }
 
+// ====================================================================
+// ENDURECIMENTO DE CONTAINERS (docker-compose.yml)
+// ====================================================================
+
 /**
- * Exibe toast de notificação com diferentes tipos
- * @param {string} message - Mensagem a ser exibida
- * @param {string} type - Tipo do toast (success, error, warning)
+ * Endurecimento de cada serviço do docker-compose.yml (containerHardening)
+ * Todos recebem no-new-privileges e cap_drop ALL; a tabela define o que cada imagem ainda precisa:
+ * - capAdd: capacidades devolvidas (entrypoints que ajustam donos e trocam de usuário com su-exec);
+ *   DAC_OVERRIDE também deixa o root do container gravar em diretórios do host criados pelo setup.sh
+ *   (ex: traefik/letsencrypt, modo 700 do usuário do host, onde o Traefik grava o acme.json)
+ * - user: usuário não-root (Odoo, Prometheus, Grafana e exporters já rodam sem root na imagem)
+ * - tmpfs: diretórios graváveis com a raiz somente leitura (null = raiz gravável: crontab, certbot)
+ * - pids: limite de processos e threads (contém fork bombs)
+ * - cpus: limite de CPU (núcleos) somado ao limite de memória do serviço
+ * - network: 'internal' = só a rede interna, 'both' = as duas, ausente = só a externa
+ * Serviços fora da tabela não mudam: cAdvisor é privilegiado e o fail2ban usa a rede do host
+ * @type {Object<string, {capAdd: string[], user?: string, tmpfs: ?string[], pids: number, cpus?: number, network?: string}>}
  */
-function showToast(message, type = 'success') {
-    // Remove toast anterior se existir (evita múltiplos toasts)
-    const existing = document.querySelector('.toast');
-    if (existing) existing.remove();
-    
-    // Criar elemento do toast com estilo inline para independência
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.textContent = message;
-    
-    // Aplicar estilos CSS inline para não depender de arquivo externo
-    Object.assign(toast.style, {
-        position: 'fixed',
-        top: '20px',
-        right: '20px',
-        zIndex: '1000',
-        padding: '12px 20px',
-        borderRadius: '8px',
-        color: 'white',
-        fontWeight: '500',
-        fontSize: '14px',
-        // Cores baseadas no tipo de notificação
-        background: type === 'error' ? '#e74c3c' : type === 'warning' ? '#f39c12' : '#27ae60',
-        boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
-        transform: 'translateX(100%)', // Começa fora da tela
-        transition: 'transform 0.3s ease',
-        maxWidth: '300px'
-    });
-    
-    document.body.appendChild(toast);
-    
-    // Animação de entrada (slide da direita)
-    setTimeout(() => {
-        toast.style.transform = 'translateX(0)';
-    }, 10);
-    
-    // Remoção automática após 4 segundos com animação de saída
-    setTimeout(() => {
-        toast.style.transform = 'translateX(100%)';
-        setTimeout(() => {
-            if (toast.parentNode) toast.parentNode.removeChild(toast);
-        }, 300);
-    }, 4000);
+const CONTAINER_HARDENING = {
+    // pids e cpus calculados em getContainerHardening (conexões e núcleos do host)
+    db: { capAdd: ['CHOWN', 'DAC_OVERRIDE', 'FOWNER', 'SETGID', 'SETUID'], tmpfs: ['/var/run/postgresql', '/tmp'], pids: 0, network: 'internal' },
+    odoo: { capAdd: [], tmpfs: ['/tmp'], pids: 512, network: 'both' },
+    redis: { capAdd: [], user: 'redis', tmpfs: [], pids: 64, cpus: 0.5, network: 'internal' },
+    pgbouncer: { capAdd: [], tmpfs: ['/tmp'], pids: 32, network: 'internal' },
+    mailpit: { capAdd: [], tmpfs: ['/tmp'], pids: 64 },
+    backup: { capAdd: ['DAC_OVERRIDE', 'SETGID', 'SETUID'], tmpfs: null, pids: 64, network: 'internal' },
+    nginx: { capAdd: ['CHOWN', 'DAC_OVERRIDE', 'SETGID', 'SETUID', 'NET_BIND_SERVICE'], tmpfs: ['/var/cache/nginx', '/var/run', '/tmp'], pids: 128, cpus: 1, network: 'both' },
+    traefik: { capAdd: ['DAC_OVERRIDE', 'NET_BIND_SERVICE'], tmpfs: ['/tmp'], pids: 128, cpus: 1, network: 'both' },
+    certbot: { capAdd: ['DAC_OVERRIDE'], tmpfs: null, pids: 64 },
+    prometheus: { capAdd: [], tmpfs: null, pids: 128, network: 'both' },
+    grafana: { capAdd: [], tmpfs: null, pids: 128 },
+    'postgres-exporter': { capAdd: [], tmpfs: [], pids: 32, network: 'internal' },
+    'nginx-exporter': { capAdd: [], tmpfs: [], pids: 32, network: 'internal' }
+};
+
+/**
+ * Indica se o endurecimento de containers é aplicado (apenas no docker-compose.yml)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesContainerHardening(config) {
+    return Boolean(config.containerHardening) && config.deployTarget === 'compose';
 }
 
 /**
- * Copia texto para área de transferência com fallback para browsers antigos
- * @param {string} text - Texto a ser copiado
- * @returns {Promise<boolean>} true se sucesso, false se erro
+ * Endurecimento de um serviço com os valores que dependem da configuração
+ * - PostgreSQL: um processo por conexão (max_connections) + processos de fundo; metade dos
+ *   núcleos informados na calculadora (mínimo 1; 2 sem o dado)
+ * - Com a porta 5432 publicada o banco também fica na rede externa (rede interna não publica portas)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {string} service - Nome do serviço no docker-compose.yml
+ * @returns {?{capAdd: string[], user?: string, tmpfs: ?string[], pids: number, cpus?: number, network?: string}}
+ *          null sem o endurecimento ou para serviços fora de CONTAINER_HARDENING
  */
-async function copyToClipboard(text) {
-    try {
-        // Método moderno (Clipboard API)
-        if (navigator.clipboard) {
-            await navigator.clipboard.writeText(text);
-            return true;
-        }
-        
-        // Fallback method para browsers antigos
-        const textarea = document.createElement('textarea');
-        textarea.value = text;
-        textarea.style.cssText = 'position:fixed;opacity:0;top:0;left:0;';
-        document.body.appendChild(textarea);
-        textarea.focus();
-        textarea.select();
-        
-        const success = document.execCommand('copy');
-        document.body.removeChild(textarea);
-        return success;
-    } catch (err) {
-        console.error('Falha ao copiar:', err);
-        return false;
+function getContainerHardening(config, service) {
+    if (!usesContainerHardening(config) || !CONTAINER_HARDENING[service]) return null;
+    
+    const hardening = { ...CONTAINER_HARDENING[service] };
+    if (service === 'db') {
+        hardening.pids = getPostgresTuning(config).maxConnections + 64;
+        hardening.cpus = config.hostCpus > 0 ? Math.max(1, Math.floor(config.hostCpus / 2)) : 2;
+        if (config.enablePostgresPort) hardening.network = 'both';
     }
+    return hardening;
 }
 
 /**
- * Alterna visibilidade de campos de senha
- * @param {string} fieldId - ID do campo de senha
+ * Redes de um serviço no docker-compose.yml
+ * Com o endurecimento, a rede "_backend" é interna (sem portas publicadas nem saída para a internet):
+ * de fora só se alcançam o proxy e os serviços com portas próprias (Mailpit, Grafana)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {string} service - Nome do serviço no docker-compose.yml
+ * @returns {string[]} Nomes das redes
  */
-function togglePasswordVisibility(fieldId) {
-    const field = document.getElementById(fieldId);
-    const toggleBtn = document.querySelector(`[data-field="${fieldId}"]`);
+function getServiceNetworks(config, service) {
+    const external = `${config.projectName}_network`;
+    const internal = `${config.projectName}_backend`;
+    const network = (getContainerHardening(config, service) || {}).network;
     
-    if (!field || !toggleBtn) {
-        console.error('Campo ou botão não encontrado:', fieldId);
-        return;
-    }
-    
-    // Alternar entre password e text para mostrar/ocultar
-    if (field.type === 'password') {
-        field.type = 'text';
-        toggleBtn.innerHTML = '🙈 Ocultar';
-    } else {
-        field.type = 'password';
-        toggleBtn.innerHTML = '👁️ Mostrar';
-    }
+    if (network === 'internal') return [internal];
+    if (network === 'both') return [external, internal];
+    return [external];
 }
 
 // ====================================================================
-// GERADORES DE ARQUIVOS DE CONFIGURAÇÃO
+// SENHAS: GERAÇÃO, FORÇA E ESCAPE POR FORMATO
 // ====================================================================
 
 /**
- * Gera arquivo docker-compose.yml completo
- * @param {OdooConfig} config - Configuração do projeto
- * @returns {string} Conteúdo do arquivo docker-compose.yml
+ * Conjuntos de caracteres das senhas aleatórias
+ * 'safe' dispensa aspas no .env; 'full' depende do escape de cada arquivo
+ * @type {{[id: string]: {label: string, chars: string}}}
  */
-function generateDockerCompose(config) {
-    return `version: '3.8'
+const PASSWORD_CHARSETS = {
+    alphanumeric: {
+        label: 'Letras e números',
+        chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+    },
+    safe: {
+        label: 'Letras, números e - _ . : + @',
+        chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_.:+@'
+    },
+    full: {
+        label: 'Todos os símbolos (! # $ % & * ...)',
+        chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*-_.:+=?'
+    }
+};
 
-# Configuração Docker Compose para ${config.projectName}
-# Gerado automaticamente pelo Gerador de Configuração Odoo
+/**
+ * Palavras das frases-senha: 256 palavras = 8 bits de entropia por palavra
+ * Sem acentos nem maiúsculas, para digitar em qualquer teclado
+ * @type {string[]}
+ */
+const PASSPHRASE_WORDS = [
+    'abelha', 'abrigo', 'acaso', 'adega', 'afeto', 'agenda', 'agulha', 'alegre', 'alface', 'algodao', 'alvo', 'amigo',
+    'ancora', 'anel', 'animal', 'antena', 'apito', 'areia', 'arroz', 'asfalto', 'astro', 'atleta', 'aurora', 'aviao',
+    'azeite', 'bacia', 'bairro', 'balde', 'baleia', 'balsa', 'banana', 'banco', 'barco', 'barro', 'batata', 'beijo',
+    'bengala', 'berco', 'bicho', 'bigode', 'bola', 'bolsa', 'bosque', 'botao', 'brasa', 'brisa', 'broa', 'burro',
+    'cabana', 'cabelo', 'cabra', 'caderno', 'cafe', 'caixa', 'cajado', 'calma', 'cama', 'camelo', 'campo', 'caneca',
+    'canoa', 'canto', 'capim', 'carta', 'casaco', 'casca', 'castelo', 'cavalo', 'cebola', 'cedro', 'cenoura', 'cereja',
+    'chave', 'chuva', 'cidade', 'cinema', 'cinto', 'circo', 'cobra', 'coelho', 'colher', 'cometa', 'concha', 'copo',
+    'coral', 'corda', 'coruja', 'couro', 'cravo', 'creme', 'cubo', 'cume', 'dado', 'dente', 'deserto', 'disco',
+    'doce', 'domingo', 'dragao', 'duna', 'enxada', 'escada', 'escova', 'esfera', 'espada', 'espelho', 'estrela', 'faca',
+    'farol', 'fazenda', 'feijao', 'feltro', 'ferro', 'festa', 'figo', 'fileira', 'flauta', 'foca', 'fogo', 'folha',
+    'fonte', 'forno', 'fruta', 'fumaca', 'funil', 'gaiola', 'galho', 'galinha', 'garfo', 'gato', 'gelo', 'girafa',
+    'globo', 'gota', 'grama', 'gruta', 'harpa', 'hortela', 'ilha', 'janela', 'jardim', 'jarra', 'joelho', 'junco',
+    'lagarto', 'lago', 'lampada', 'lapis', 'laranja', 'leite', 'leque', 'limao', 'linha', 'livro', 'lobo', 'lontra',
+    'lousa', 'lua', 'macaco', 'madeira', 'manga', 'mapa', 'mar', 'martelo', 'massa', 'mel', 'mesa', 'milho',
+    'mochila', 'moeda', 'mola', 'morango', 'mosca', 'nabo', 'navio', 'neve', 'ninho', 'noite', 'nuvem', 'oceano',
+    'oliva', 'onda', 'orelha', 'ostra', 'ouro', 'ovelha', 'pacote', 'padaria', 'palha', 'panela', 'papel', 'parede',
+    'pato', 'pedra', 'peixe', 'pena', 'pente', 'pera', 'perola', 'piano', 'pilha', 'pincel', 'pipa', 'planeta',
+    'pomar', 'ponte', 'porta', 'praia', 'prato', 'prego', 'pulga', 'quadro', 'queijo', 'quintal', 'raiz', 'raposa',
+    'rede', 'relogio', 'remo', 'rio', 'rocha', 'roda', 'rosa', 'sabao', 'sacola', 'salsa', 'sapato', 'sapo',
+    'selo', 'semente', 'serra', 'sino', 'sofa', 'sol', 'sopa', 'tapete', 'tatu', 'teclado', 'telha', 'tenda',
+    'terra', 'tigre', 'tijolo', 'tinta', 'toalha', 'tomada', 'tomate', 'touro', 'trem', 'trevo', 'trigo', 'tucano',
+    'tulipa', 'uva', 'vaca', 'vagem'
+];
 
-services:
-  # ===================================================================
-  # POSTGRESQL - Banco de dados principal
-  # ===================================================================
-  db:
-    image: postgres:15-alpine
-    container_name: ${config.projectName}_postgres
-    restart: unless-stopped
-    environment:
-      POSTGRES_DB: \${POSTGRES_DB}
-      POSTGRES_USER: \${POSTGRES_USER}
-      POSTGRES_PASSWORD: \${POSTGRES_PASSWORD}
-      PGDATA: /var/lib/postgresql/data/pgdata
-    volumes:
-      - postgres_data:/var/lib/postgresql/data/pgdata
-${config.enablePostgresPort ? '    ports:\n      - "5432:5432"  # Porta exposta apenas para desenvolvimento' : '    # Porta não exposta por segurança'}
-    networks:
-      - ${config.projectName}_network
-    # Health check para garantir que banco está pronto antes de iniciar Odoo
-    healthcheck:
-      test: ["CMD-SHELL", "pg_isready -U \${POSTGRES_USER} -d \${POSTGRES_DB}"]
-      interval: 30s
-      timeout: 10s
-      retries: 3
-      start_period: 30s
+/**
+ * Senhas geradas pelo wizard (a do SMTP vem do provedor de email)
+ * @type {string[]}
+ */
+const GENERATED_PASSWORD_FIELDS = ['dbPassword', 'adminPassword', 'redisPassword', 'grafanaPassword', 'dbManagerPassword'];
 
-  # ===================================================================
-  # ODOO - Aplicação principal
-  # ===================================================================
-  odoo:
-    image: odoo:\${ODOO_VERSION}
-    container_name: ${config.projectName}_odoo
-    restart: unless-stopped
-    depends_on:
-      db:
-        condition: service_healthy  # Aguarda banco ficar saudável
-    environment:
-      HOST: db
-      USER: \${POSTGRES_USER}
-      PASSWORD: \${POSTGRES_PASSWORD}
-      ODOO_RC: /etc/odoo/odoo.conf
-    ports:
-      - "${config.httpPort}:8069"   # Porta principal HTTP
-      - "${config.chatPort}:8072"   # Porta para longpolling/chat
-    volumes:
-      - odoo_data:/var/lib/odoo      # Dados persistentes do Odoo
-      - ./config:/etc/odoo           # Arquivos de configuração
-      - ./logs:/var/log/odoo         # Logs do sistema
-	  - ./addons:/mnt/extra-addons 	 # Pasta para módulos extra
-    networks:
-      - ${config.projectName}_network
-    # Limites de recursos para evitar consumo excessivo
-    deploy:
-      resources:
-        limits:
-          memory: ${config.memoryLimit}G
-        reservations:
-          memory: ${Math.max(1, config.memoryLimit - 1)}G
-${config.enableRedis ? `
-  # ===================================================================
-  # REDIS - Cache e sessões (melhora significativamente a performance)
-  # ===================================================================
-  redis:
-    image: redis:7-alpine
-    container_name: ${config.projectName}_redis
-    restart: unless-stopped
-    ports:
-      - "6379:6379"
-    volumes:
-      - redis_data:/data
-    networks:
-      - ${config.projectName}_network
-    # Configuração otimizada para cache
-    command: redis-server --appendonly yes --maxmemory 256mb --maxmemory-policy allkeys-lru
-` : ''}${config.enableNginx ? `
-  # ===================================================================
-  # NGINX - Proxy reverso para produção (SSL, compressão, cache)
-  # ===================================================================
-  nginx:
-    image: nginx:alpine
-    container_name: ${config.projectName}_nginx
-    restart: unless-stopped
-    ports:
-      - "80:80"    # HTTP
-      - "443:443"  # HTTPS (configure SSL separadamente)
-    volumes:
-      - ./nginx/nginx.conf:/etc/nginx/nginx.conf:ro  # Configuração personalizada
-      - ./nginx/ssl:/etc/ssl/certs:ro                # Certificados SSL
-    depends_on:
-      - odoo
-    networks:
-      - ${config.projectName}_network
-` : ''}
-# ===================================================================
-# VOLUMES - Dados persistentes
-# ===================================================================
-volumes:
-  postgres_data:
-    driver: local  # Dados do PostgreSQL
-  odoo_data:
-    driver: local  # Dados do Odoo (filestore, etc)${config.enableRedis ? '\n  redis_data:\n    driver: local  # Cache do Redis' : ''}
+/**
+ * Nome curto de cada senha nas mensagens e na revisão
+ * @type {Object<string, string>}
+ */
+const PASSWORD_FIELD_LABELS = {
+    dbPassword: 'banco',
+    adminPassword: 'master',
+    redisPassword: 'Redis',
+    smtpPassword: 'SMTP',
+    grafanaPassword: 'Grafana',
+    dbManagerPassword: 'gerenciador de bancos'
+};
 
-# ===================================================================
-# NETWORK - Rede isolada para comunicação entre containers
-# ===================================================================
-networks:
-  ${config.projectName}_network:
-    driver: bridge
-    ipam:
-      config:
-        - subnet: 172.20.0.0/16  # Subnet dedicada para evitar conflitos`;
-}
+/**
+ * Opções padrão de geração de cada senha
+ * @type {{mode: string, length: number, charset: string, words: number}}
+ */
+const DEFAULT_PASSWORD_OPTIONS = {
+    mode: 'random',     // 'random' (caracteres) ou 'passphrase' (palavras)
+    length: 24,         // Caracteres no modo random (12-128)
+    charset: 'safe',    // Chave de PASSWORD_CHARSETS
+    words: 8            // Palavras no modo passphrase (4-12)
+};
 
 /**
- * Gera arquivo .env com variáveis de ambiente
- * @param {OdooConfig} config - Configuração do projeto
- * @returns {string} Conteúdo do arquivo .env
+ * Sorteia um índice uniforme em [0, max) com a crypto API
+ * Bytes acima do maior múltiplo de max são descartados: com "byte % max"
+ * os primeiros caracteres do conjunto sairiam com mais frequência
+ * @param {number} max - Quantidade de opções (até 2^32)
+ * @returns {number} Índice sorteado
  */
-function generateEnvFile(config) {
-    return `# ===================================================================
-# VARIÁVEIS DE AMBIENTE - ${config.projectName}
-# ===================================================================
-# IMPORTANTE: Este arquivo contém informações sensíveis!
-# - Adicione .env ao seu .gitignore
-# - Nunca commite senhas no controle de versão
-# - Use permissões restritivas (chmod 600 .env)
+function secureRandomIndex(max) {
+    if (!(globalThis.crypto && globalThis.crypto.getRandomValues)) {
+        // Fallback para browsers antigos (menos seguro, mas funcional)
+        return Math.floor(Math.random() * max);
+    }
+    
+    const limit = Math.floor(0x100000000 / max) * max;
+    const buffer = new Uint32Array(1);
+    do {
+        globalThis.crypto.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return buffer[0] % max;
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DO BANCO DE DADOS
-# ===================================================================
-POSTGRES_DB=${config.dbName}
-POSTGRES_USER=${config.dbUser}
-POSTGRES_PASSWORD=${config.dbPassword}
+/**
+ * Gera senha segura usando crypto API ou fallback
+ * @param {number} length - Comprimento da senha (padrão: 24)
+ * @param {string} [charset] - Chave de PASSWORD_CHARSETS (padrão: 'safe')
+ * @returns {string} Senha gerada com alta entropia
+ */
+function generateSecurePassword(length = 24, charset = 'safe') {
+    if (!(globalThis.crypto && globalThis.crypto.getRandomValues)) {
+        console.warn('Crypto API não disponível, usando Math.random() como fallback');
+    }
+    
+    const chars = (PASSWORD_CHARSETS[charset] || PASSWORD_CHARSETS.safe).chars;
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars[secureRandomIndex(chars.length)];
+    }
+    return result;
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DO ODOO
-# ===================================================================
-ODOO_VERSION=${config.odooVersion}
-ODOO_ADMIN_PASSWORD=${config.adminPassword}
+/**
+ * Gera frase-senha com palavras de PASSPHRASE_WORDS separadas por hífen
+ * @param {number} words - Quantidade de palavras (padrão: 8)
+ * @returns {string} Frase-senha (ex: "cedro-lago-prato-...")
+ */
+function generatePassphrase(words = 8) {
+    return Array.from({ length: words }, () => PASSPHRASE_WORDS[secureRandomIndex(PASSPHRASE_WORDS.length)]).join('-');
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DE REDE
-# ===================================================================
-HTTP_PORT=${config.httpPort}
-CHAT_PORT=${config.chatPort}
-DOMAIN=${config.domain || 'localhost'}
+/**
+ * Opções de geração de uma senha, completadas com DEFAULT_PASSWORD_OPTIONS
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {string} field - Campo da senha (ex: 'dbPassword')
+ * @returns {{mode: string, length: number, charset: string, words: number}}
+ */
+function getPasswordOptions(config, field) {
+    return { ...DEFAULT_PASSWORD_OPTIONS, ...((config.passwordOptions || {})[field] || {}) };
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DE PERFORMANCE
-# ===================================================================
-WORKERS=${config.workers}
-MEMORY_LIMIT=${config.memoryLimit}
-LOG_LEVEL=${config.logLevel}
+/**
+ * Gera uma senha conforme as opções (aleatória ou frase-senha)
+ * @param {{mode?: string, length?: number, charset?: string, words?: number}} [options] - Opções de geração
+ * @returns {string} Senha gerada
+ */
+function generatePassword(options = {}) {
+    const { mode, length, charset, words } = { ...DEFAULT_PASSWORD_OPTIONS, ...options };
+    return mode === 'passphrase' ? generatePassphrase(words) : generateSecurePassword(length, charset);
+}
 
-# ===================================================================
-# FEATURES HABILITADAS
-# ===================================================================
-ENABLE_REDIS=${config.enableRedis}
-ENABLE_NGINX=${config.enableNginx}
+/**
+ * Estima a entropia de uma senha em bits
+ * Frases-senha do gerador contam 8 bits por palavra; as demais senhas,
+ * comprimento × log2 do tamanho das classes de caracteres usadas
+ * @param {string} password - Senha a avaliar
+ * @returns {number} Entropia estimada (bits, arredondada)
+ */
+function estimatePasswordEntropy(password) {
+    if (!password) return 0;
+    
+    const parts = password.split('-');
+    if (parts.length >= 4 && parts.every(word => PASSPHRASE_WORDS.includes(word))) {
+        return Math.round(parts.length * Math.log2(PASSPHRASE_WORDS.length));
+    }
+    
+    const classes = [
+        [/[a-z]/, 26],
+        [/[A-Z]/, 26],
+        [/[0-9]/, 10],
+        [/[^a-zA-Z0-9]/, 33]   // Símbolos ASCII imprimíveis
+    ];
+    const pool = classes.reduce((total, [pattern, size]) => total + (pattern.test(password) ? size : 0), 0);
+    return Math.round(password.length * Math.log2(pool));
+}
 
-# ===================================================================
-# NOTAS DE SEGURANÇA
-# ===================================================================
-# 1. Senhas geradas automaticamente com 24 caracteres seguros
-# 2. Mude as senhas periodicamente em produção
-# 3. Use vault/secrets em ambientes críticos
-# 4. Monitore logs de acesso regularmente`;
+/**
+ * Classifica a força de uma senha pela entropia estimada
+ * @param {string} password - Senha a avaliar
+ * @returns {{bits: number, level: string, label: string, percent: number}} Nível 'weak', 'fair', 'strong' ou 'very-strong'
+ */
+function getPasswordStrength(password) {
+    const bits = estimatePasswordEntropy(password);
+    const [level, label] = bits < 50 ? ['weak', 'Fraca']
+        : bits < 70 ? ['fair', 'Razoável']
+        : bits < 100 ? ['strong', 'Forte']
+        : ['very-strong', 'Muito forte'];
+    return { bits, level, label, percent: Math.min(100, Math.round(bits / 128 * 100)) };
 }
 
 /**
- * Gera arquivo de configuração odoo.conf
- * @param {OdooConfig} config - Configuração do projeto
- * @returns {string} Conteúdo do arquivo odoo.conf
+ * Formata um valor para o .env lido pelo Docker Compose (e por shells com "source .env")
+ * Sem caracteres especiais o valor fica sem aspas; entre aspas simples é literal
+ * ($ não é interpolado); se o próprio valor tem aspas simples, usa aspas duplas
+ * com \ antes de \ " $ e ` (escape aceito pelo Compose e pelo shell)
+ * @param {string} value - Valor original
+ * @returns {string} Valor pronto para CHAVE=valor
  */
-function generateOdooConf(config) {
-    return `# ===================================================================
-# CONFIGURAÇÃO ODOO - ${config.projectName}
-# ===================================================================
-# Arquivo de configuração principal do Odoo
-# Documentação: https://www.odoo.com/documentation/
+function escapeEnvValue(value) {
+    const text = String(value);
+    if (/^[A-Za-z0-9_.,:+@\/=-]*$/.test(text)) return text;
+    if (!text.includes("'")) return `'${text}'`;
+    return `"${text.replace(/[\\"$`]/g, '\\$&')}"`;
+}
 
-[options]
-# ===================================================================
-# CONFIGURAÇÕES DO BANCO DE DADOS
-# ===================================================================
-db_host = db
-db_port = 5432
-db_user = ${config.dbUser}
-db_password = ${config.dbPassword}
-db_name = ${config.dbName}
+/**
+ * Formata um valor para o odoo.conf
+ * O Odoo lê o arquivo com RawConfigParser: não há interpolação de % nem comentário
+ * inline, então # e % ficam literais; vazio vira False. Quebras de linha e espaços
+ * nas bordas não têm representação e são barrados pelo validateForm, assim como
+ * aspas duplas na senha do banco: o entrypoint da imagem oficial as remove do
+ * db_password e não há escape que sobreviva a isso
+ * @param {string} value - Valor original
+ * @returns {string} Valor pronto para "chave = valor"
+ */
+function escapeOdooConfValue(value) {
+    return value ? String(value) : 'False';
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DO SERVIDOR WEB
-# ===================================================================
-http_port = 8069
-longpolling_port = 8072
-workers = ${config.workers}
-max_cron_threads = ${config.cronThreads}
+// ====================================================================
+// INTERNACIONALIZAÇÃO (INTERFACE E COMENTÁRIOS DOS ARQUIVOS)
+// ====================================================================
 
-# ===================================================================
-# SEGURANÇA E CONTROLE DE ACESSO
-# ===================================================================
-admin_passwd = ${config.adminPassword}
-list_db = False                    # Oculta lista de BDs por segurança
-db_filter = ^${config.dbName}$     # Permite acesso apenas ao BD configurado
+/**
+ * Idiomas oferecidos na interface e nos comentários dos arquivos gerados
+ * locale: atributo lang do <html> e formato das datas exibidas
+ * @type {Object<string, {label: string, locale: string}>}
+ */
+const LANGUAGES = {
+    pt: { label: 'Português', locale: 'pt-BR' },
+    en: { label: 'English', locale: 'en' },
+    es: { label: 'Español', locale: 'es' }
+};
 
-# ===================================================================
-# LIMITES DE PERFORMANCE E RECURSOS
-# ===================================================================
-limit_memory_hard = ${config.memoryLimit * 1024 * 1024 * 1024}      # Limite máximo de memória
-limit_memory_soft = ${Math.floor(config.memoryLimit * 0.8) * 1024 * 1024 * 1024}  # Limite suave (80% do máximo)
-limit_request = 8192               # Número máximo de requests por worker
-limit_time_cpu = 600               # Timeout CPU (10 minutos)
-limit_time_real = 1200             # Timeout real (20 minutos)
+/**
+ * Idioma em que os textos estão escritos no código e no index.html
+ * Os próprios textos em português são as chaves das traduções
+ * @type {string}
+ */
+const DEFAULT_LANGUAGE = 'pt';
 
-# ===================================================================
-# CONFIGURAÇÕES DE LOG
-# ===================================================================
-logfile = /var/log/odoo/odoo.log
-log_level = ${config.logLevel}
-logrotate = True                   # Rotação automática de logs
-log_handler = :INFO,werkzeug:WARNING,odoo.service.server:INFO
-log_db = False                     # Não loggar no banco (performance)
-log_db_level = warning
+// Idioma da interface (no Node continua em português: CLI e mensagens de validação)
+let currentLanguage = DEFAULT_LANGUAGE;
 
-# ===================================================================
-# ADDONS E MÓDULOS
-# ===================================================================
-addons_path = /mnt/extra-addons,/usr/lib/python3/dist-packages/odoo/addons
+/**
+ * Troca o idioma usado por t() (códigos desconhecidos voltam ao português)
+ * @param {string} language - Chave de LANGUAGES
+ */
+function setLanguage(language) {
+    currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DE EMAIL
-# ===================================================================
-email_from = admin@${config.domain || 'localhost'}
-smtp_server = localhost
-smtp_port = 25
-smtp_ssl = False
-smtp_user = False
-smtp_password = False
-# NOTA: Configure SMTP real para produção
+/**
+ * Idioma atual da interface
+ * @returns {string} Chave de LANGUAGES
+ */
+function getLanguage() {
+    return currentLanguage;
+}
 
-# ===================================================================
-# CONFIGURAÇÕES DE SESSÃO E CACHE
-# ===================================================================${config.enableRedis ? `
-# Cache Redis (melhora significativamente a performance)
-enable_redis = True
-redis_host = redis
-redis_port = 6379
-redis_dbindex = 1
-redis_pass = False` : `
-# Redis desabilitado - usando cache em memória local`}
+/**
+ * Escolhe o idioma inicial: o salvo pelo usuário ou o primeiro idioma do navegador que existe em LANGUAGES
+ * @param {?string} saved - Idioma escolhido anteriormente no seletor
+ * @param {string[]} [preferred] - Idiomas do navegador (navigator.languages, ex: ['es-AR', 'en'])
+ * @returns {string} Chave de LANGUAGES
+ */
+function detectLanguage(saved, preferred = []) {
+    if (saved && LANGUAGES[saved]) return saved;
+    
+    const match = preferred
+        .map(tag => String(tag || '').toLowerCase().split('-')[0])
+        .find(code => LANGUAGES[code]);
+    return match || DEFAULT_LANGUAGE;
+}
 
-# ===================================================================
-# CONFIGURAÇÕES EXTRAS PARA PRODUÇÃO
-# ===================================================================
-# proxy_mode = True                # Descomente se usar Nginx/Apache
-# xmlrpc_interface = 127.0.0.1     # Restringir interface XML-RPC
-# netrpc_interface = 127.0.0.1     # Restringir interface NetRPC`;
+/**
+ * Traduz um texto da interface para o idioma atual
+ * Sem tradução o texto original (português) é mantido; {nome} é trocado por params.nome
+ * @param {string} text - Texto em português (chave de UI_TRANSLATIONS)
+ * @param {Object<string, (string|number)>} [params] - Valores dos marcadores {nome}
+ * @returns {string} Texto traduzido
+ */
+function t(text, params = {}) {
+    const translations = UI_TRANSLATIONS[text];
+    const translated = (currentLanguage !== DEFAULT_LANGUAGE && translations && translations[currentLanguage]) || text;
+    return translated.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
 }
 
 /**
- * Gera script de setup/instalação
- * @param {OdooConfig} config - Configuração do projeto
- * @returns {string} Conteúdo do script setup.sh
+ * Traduz os elementos marcados no HTML:
+ * - data-i18n: conteúdo do elemento (HTML quando ele tem filhos como <code> e <strong>, senão texto puro)
+ * - data-i18n-placeholder, data-i18n-title e data-i18n-aria-label: atributo correspondente
+ * Na primeira chamada o texto original fica guardado no próprio atributo data-i18n*, que
+ * passa a ser a chave: trocar de idioma várias vezes sempre parte do português
+ * @param {ParentNode} root - Documento ou elemento a traduzir
  */
-function generateSetupScript(config) {
-    return `#!/bin/bash
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const property = element.children.length > 0 ? 'innerHTML' : 'textContent';
+        if (!element.dataset.i18n) element.dataset.i18n = element[property].replace(/\s+/g, ' ').trim();
+        element[property] = t(element.dataset.i18n);
+    });
+    
+    ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            if (!element.getAttribute(`data-i18n-${attribute}`)) {
+                element.setAttribute(`data-i18n-${attribute}`, element.getAttribute(attribute) || '');
+            }
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
 
-# ===================================================================
-# SCRIPT DE SETUP - ${config.projectName}
-# ===================================================================
-# Script automatizado para configurar ambiente Odoo
-# Gerado pelo Gerador de Configuração Odoo
+/**
+ * Arquivos cujos comentários seguem config.commentLanguage
+ * @type {string[]}
+ */
+const COMMENTED_FILES = ['docker-compose.yml', 'odoo.conf', 'setup.sh'];
 
-echo "🚀 Iniciando setup do projeto ${config.projectName}"
-echo "=================================================="
+/**
+ * Traduz os comentários (#) de um arquivo gerado
+ * Apenas comentários conhecidos (COMMENT_TRANSLATIONS ou COMMENT_PATTERNS) mudam: o restante
+ * da linha, a indentação e os comentários desconhecidos ficam como estão
+ * @param {string} content - Conteúdo gerado (comentários em português)
+ * @param {string} language - Chave de LANGUAGES
+ * @returns {string} Conteúdo com os comentários traduzidos
+ */
+function translateComments(content, language) {
+    if (!language || language === DEFAULT_LANGUAGE || !LANGUAGES[language]) return content;
+    
+    const translate = (text) => {
+        const exact = COMMENT_TRANSLATIONS[text];
+        if (exact && exact[language]) return exact[language];
+        
+        const rule = COMMENT_PATTERNS.find(({ pattern }) => pattern.test(text));
+        return rule ? text.replace(rule.pattern, rule[language]) : text;
+    };
+    
+    return content.split('\n').map(line => {
+        // Linha inteira comentada (inclusive exemplos comentados duas vezes: "# # ...")
+        const fullLine = line.match(/^(\s*(?:#+ ?)+)(.*?)(\s*)$/);
+        if (fullLine) return fullLine[1] + translate(fullLine[2]) + fullLine[3];
+        
+        // Comentário no fim da linha: "valor   # texto"
+        const inline = line.match(/^(.*\S\s+#\s)(.*)$/);
+        return inline ? inline[1] + translate(inline[2]) : line;
+    }).join('\n');
+}
 
-# ===================================================================
-# VERIFICAÇÕES PRELIMINARES
-# ===================================================================
-echo "🔍 Verificando dependências..."
+/**
+ * Traduz os comentários do docker-compose.yml, do odoo.conf e do setup.sh de um projeto gerado
+ * @param {{files: Map<string, string>, structure: Object}} project - Resultado de buildProjectFiles
+ * @param {OdooConfig} config - Configuração do projeto (commentLanguage)
+ * @returns {{files: Map<string, string>, structure: Object}} O mesmo projeto, com os arquivos traduzidos
+ */
+function translateProjectComments(project, config) {
+    const language = config.commentLanguage || DEFAULT_LANGUAGE;
+    if (language === DEFAULT_LANGUAGE) return project;
+    
+    project.files.forEach((content, path) => {
+        if (COMMENTED_FILES.includes(path.split('/').pop())) {
+            project.files.set(path, translateComments(content, language));
+        }
+    });
+    return project;
+}
 
-# Verificar se Docker está instalado e rodando
-if ! command -v docker &> /dev/null; then
-    echo "❌ Docker não está instalado. Instale o Docker primeiro:"
-    echo "   📖 https://docs.docker.com/get-docker/"
-    exit 1
-fi
+/**
+ * Traduções da interface (index.html, mensagens do wizard, validações e auditoria)
+ * Chave: texto em português como está no código ou no HTML (espaços repetidos reduzidos a um)
+ * Textos sem tradução, como nomes próprios, continuam em português
+ * @type {Object<string, {en: string, es: string}>}
+ */
+const UI_TRANSLATIONS = {
+    // === Cabeçalho e configurações salvas ===
+    'Gerador Odooker': { en: 'Odooker Generator', es: 'Generador Odooker' },
+    '🛠 Gerador de Configuração Odoo': { en: '🛠 Odoo Configuration Generator', es: '🛠 Generador de Configuración de Odoo' },
+    'Configure sua instância Odoo Community com segurança e facilidade': { en: 'Set up your Odoo Community instance securely and easily', es: 'Configure su instancia de Odoo Community de forma segura y sencilla' },
+    'Idioma da interface': { en: 'Interface language', es: 'Idioma de la interfaz' },
+    'Configurações salvas': { en: 'Saved configurations', es: 'Configuraciones guardadas' },
+    'Configurações salvas...': { en: 'Saved configurations...', es: 'Configuraciones guardadas...' },
+    '📂 Carregar': { en: '📂 Load', es: '📂 Cargar' },
+    '🗑️ Excluir': { en: '🗑️ Delete', es: '🗑️ Eliminar' },
+    '💾 Salvar como...': { en: '💾 Save as...', es: '💾 Guardar como...' },
+    '🔗 Compartilhar': { en: '🔗 Share', es: '🔗 Compartir' },
+    'Link sem senhas: quem abrir recebe senhas novas': { en: 'Link without passwords: whoever opens it gets new passwords', es: 'Enlace sin contraseñas: quien lo abra recibe contraseñas nuevas' },
+    '↺ Recomeçar': { en: '↺ Start over', es: '↺ Empezar de nuevo' },
+    'Alterações são salvas automaticamente neste navegador (sem as senhas)': { en: 'Changes are saved automatically in this browser (without the passwords)', es: 'Los cambios se guardan automáticamente en este navegador (sin las contraseñas)' },
+    'Rascunho restaurado (salvo em {date})': { en: 'Draft restored (saved on {date})', es: 'Borrador restaurado (guardado el {date})' },
+    'Rascunho salvo às {time}': { en: 'Draft saved at {time}', es: 'Borrador guardado a las {time}' },
+    '⚠️ Rascunhos indisponíveis neste navegador': { en: '⚠️ Drafts unavailable in this browser', es: '⚠️ Borradores no disponibles en este navegador' },
 
-if ! docker info &> /dev/null; then
-    echo "❌ Docker não está rodando. Inicie o Docker primeiro."
-    exit 1
-fi
+    // === Passo 1: configurações básicas ===
+    '📋 Configurações Básicas': { en: '📋 Basic Settings', es: '📋 Configuración Básica' },
+    'Defina as configurações fundamentais da sua instância Odoo: nome do projeto, versão e portas de rede.': { en: 'Define the core settings of your Odoo instance: project name, version and network ports.', es: 'Defina la configuración fundamental de su instancia de Odoo: nombre del proyecto, versión y puertos de red.' },
+    '📂 Já tem um projeto gerado? Arraste o ZIP (ou <code>.env</code>, <code>docker-compose.yml</code>, <code>odoo.conf</code> e <code>secrets/*.txt</code>) para esta página ou <label for="importFiles" class="import-link">selecione os arquivos</label>.': { en: '📂 Already have a generated project? Drag the ZIP (or <code>.env</code>, <code>docker-compose.yml</code>, <code>odoo.conf</code> and <code>secrets/*.txt</code>) onto this page or <label for="importFiles" class="import-link">select the files</label>.', es: '📂 ¿Ya tiene un proyecto generado? Arrastre el ZIP (o <code>.env</code>, <code>docker-compose.yml</code>, <code>odoo.conf</code> y <code>secrets/*.txt</code>) a esta página o <label for="importFiles" class="import-link">seleccione los archivos</label>.' },
+    'Os campos são preenchidos com os valores do projeto, mantendo as mesmas senhas.': { en: 'The fields are filled with the project values, keeping the same passwords.', es: 'Los campos se completan con los valores del proyecto, manteniendo las mismas contraseñas.' },
+    'Ponto de Partida': { en: 'Starting Point', es: 'Punto de Partida' },
+    'Personalizado (valores padrão)': { en: 'Custom (default values)', es: 'Personalizado (valores predeterminados)' },
+    'Preenche portas, banco, performance, Redis e proxy reverso/HTTPS para o cenário escolhido. Todos os campos podem ser ajustados depois.': { en: 'Fills in ports, database, performance, Redis and reverse proxy/HTTPS for the chosen scenario. Every field can be adjusted afterwards.', es: 'Completa puertos, base de datos, rendimiento, Redis y proxy inverso/HTTPS para el escenario elegido. Todos los campos se pueden ajustar después.' },
+    'Destino da Implantação': { en: 'Deployment Target', es: 'Destino del Despliegue' },
+    '🐳 Docker Compose (servidor único)': { en: '🐳 Docker Compose (single server)', es: '🐳 Docker Compose (servidor único)' },
+    '🦭 Podman (quadlets do systemd)': { en: '🦭 Podman (systemd quadlets)', es: '🦭 Podman (quadlets de systemd)' },
+    '☸️ Kubernetes (chart Helm)': { en: '☸️ Kubernetes (Helm chart)', es: '☸️ Kubernetes (chart de Helm)' },
+    'Podman gera quadlets (<code>.container</code>, <code>.volume</code>, <code>.network</code>) em <code>quadlet/</code>, instalados pelo <code>setup.sh</code> e iniciados pelo systemd no boot (senhas sempre em <code>secrets/</code>). Kubernetes gera um chart Helm em <code>helm/</code> com Deployment/StatefulSet, Services, volumes, ConfigMap do <code>odoo.conf</code>, Secret com as senhas e Ingress no lugar do Nginx. O <code>values.yaml</code> repete os campos deste wizard.': { en: 'Podman generates quadlets (<code>.container</code>, <code>.volume</code>, <code>.network</code>) in <code>quadlet/</code>, installed by <code>setup.sh</code> and started by systemd at boot (passwords always in <code>secrets/</code>). Kubernetes generates a Helm chart in <code>helm/</code> with Deployment/StatefulSet, Services, volumes, a ConfigMap for <code>odoo.conf</code>, a Secret with the passwords and an Ingress instead of Nginx. <code>values.yaml</code> mirrors the fields of this wizard.', es: 'Podman genera quadlets (<code>.container</code>, <code>.volume</code>, <code>.network</code>) en <code>quadlet/</code>, instalados por <code>setup.sh</code> e iniciados por systemd en el arranque (contraseñas siempre en <code>secrets/</code>). Kubernetes genera un chart de Helm en <code>helm/</code> con Deployment/StatefulSet, Services, volúmenes, ConfigMap del <code>odoo.conf</code>, Secret con las contraseñas e Ingress en lugar de Nginx. El <code>values.yaml</code> repite los campos de este asistente.' },
+    'Iniciar com o sistema (unidade systemd)': { en: 'Start with the system (systemd unit)', es: 'Iniciar con el sistema (unidad systemd)' },
+    'Gera <code>systemd/</code> com uma unidade que executa <code>docker compose up</code> no boot. O <code>setup.sh</code> a instala quando executado como root (ou mostra os comandos com sudo).': { en: 'Generates <code>systemd/</code> with a unit that runs <code>docker compose up</code> at boot. <code>setup.sh</code> installs it when run as root (or shows the commands with sudo).', es: 'Genera <code>systemd/</code> con una unidad que ejecuta <code>docker compose up</code> en el arranque. El <code>setup.sh</code> la instala cuando se ejecuta como root (o muestra los comandos con sudo).' },
+    'Idioma dos comentários nos arquivos': { en: 'Language of the comments in the files', es: 'Idioma de los comentarios en los archivos' },
+    'Comentários do <code>docker-compose.yml</code>, do <code>odoo.conf</code> e do <code>setup.sh</code> e os <code>README.md</code> das pastas vazias. Começa no idioma da interface: escolha o de quem vai manter o servidor. Só os comentários mudam: as mensagens exibidas pelos scripts (<code>setup.sh</code>, <code>restore.sh</code>, <code>fetch-addons.sh</code>) continuam em português.': { en: 'Comments in <code>docker-compose.yml</code>, <code>odoo.conf</code> and <code>setup.sh</code>, and the <code>README.md</code> of the empty folders. Starts in the interface language: pick the one of whoever will maintain the server. Only the comments change: the messages printed by the scripts (<code>setup.sh</code>, <code>restore.sh</code>, <code>fetch-addons.sh</code>) stay in Portuguese.', es: 'Comentarios del <code>docker-compose.yml</code>, del <code>odoo.conf</code> y del <code>setup.sh</code> y los <code>README.md</code> de las carpetas vacías. Empieza en el idioma de la interfaz: elija el de quien mantendrá el servidor. Solo cambian los comentarios: los mensajes que muestran los scripts (<code>setup.sh</code>, <code>restore.sh</code>, <code>fetch-addons.sh</code>) siguen en portugués.' },
+    'Nome do Projeto <span class="required">*</span>': { en: 'Project Name <span class="required">*</span>', es: 'Nombre del Proyecto <span class="required">*</span>' },
+    'minha-empresa-odoo': { en: 'my-company-odoo', es: 'mi-empresa-odoo' },
+    'Nome usado para containers e volumes. Apenas letras minúsculas, números e hífens. Não pode começar ou terminar com hífen.': { en: 'Name used for containers and volumes. Lowercase letters, numbers and hyphens only. Cannot start or end with a hyphen.', es: 'Nombre usado para contenedores y volúmenes. Solo letras minúsculas, números y guiones. No puede empezar ni terminar con guion.' },
+    'Versão do Odoo <span class="required">*</span>': { en: 'Odoo Version <span class="required">*</span>', es: 'Versión de Odoo <span class="required">*</span>' },
+    '18.0 (mais recente)': { en: '18.0 (latest)', es: '18.0 (más reciente)' },
+    'Porta HTTP <span class="required">*</span>': { en: 'HTTP Port <span class="required">*</span>', es: 'Puerto HTTP <span class="required">*</span>' },
+    'Porta onde o Odoo será acessado (ex: http://localhost:8069)': { en: 'Port where Odoo will be accessed (e.g. http://localhost:8069)', es: 'Puerto donde se accederá a Odoo (ej: http://localhost:8069)' },
+    'Porta Tempo Real (Websocket)': { en: 'Real-Time Port (Websocket)', es: 'Puerto de Tiempo Real (Websocket)' },
+    'Porta para recursos em tempo real como chat e notificações.': { en: 'Port for real-time features such as chat and notifications.', es: 'Puerto para funciones en tiempo real como chat y notificaciones.' },
+    'Domínio (opcional)': { en: 'Domain (optional)', es: 'Dominio (opcional)' },
+    'meuodoo.exemplo.com.br': { en: 'myodoo.example.com', es: 'miodoo.ejemplo.com' },
+    'Deixe em branco se for usar apenas localmente. Será usado para configurações de email e SSL.': { en: 'Leave blank if it will only be used locally. Used for email and SSL settings.', es: 'Déjelo en blanco si solo se usará localmente. Se usará para la configuración de email y SSL.' },
 
-# Verificar se Docker Compose está disponível
-if ! command -v docker-compose &> /dev/null && ! docker compose version &> /dev/null; then
-    echo "❌ Docker Compose não está instalado. Instale o Docker Compose:"
-    echo "   📖 https://docs.docker.com/compose/install/"
-    exit 1
-fi
+    // === Passo 2: banco de dados e senhas ===
+    '🗄️ Configurações do Banco de Dados': { en: '🗄️ Database Settings', es: '🗄️ Configuración de la Base de Datos' },
+    'Configure o PostgreSQL com credenciais seguras. As senhas são geradas automaticamente com alta entropia.': { en: 'Set up PostgreSQL with secure credentials. Passwords are generated automatically with high entropy.', es: 'Configure PostgreSQL con credenciales seguras. Las contraseñas se generan automáticamente con alta entropía.' },
+    'Versão do PostgreSQL': { en: 'PostgreSQL Version', es: 'Versión de PostgreSQL' },
+    'Apenas versões suportadas pela versão do Odoo escolhida. O postgresql.conf gerado é ajustado à memória do banco e aos workers (passo 3). Trocar a versão de um banco existente exige dump e restore.': { en: 'Only versions supported by the chosen Odoo version. The generated postgresql.conf is tuned to the database memory and the workers (step 3). Changing the version of an existing database requires a dump and restore.', es: 'Solo versiones soportadas por la versión de Odoo elegida. El postgresql.conf generado se ajusta a la memoria de la base de datos y a los workers (paso 3). Cambiar la versión de una base de datos existente requiere dump y restore.' },
+    'Nome da Base de Dados <span class="required">*</span>': { en: 'Database Name <span class="required">*</span>', es: 'Nombre de la Base de Datos <span class="required">*</span>' },
+    'Nome da database no PostgreSQL. Deve começar com letra.': { en: 'Name of the PostgreSQL database. Must start with a letter.', es: 'Nombre de la base de datos en PostgreSQL. Debe empezar con una letra.' },
+    'Usuário do Banco <span class="required">*</span>': { en: 'Database User <span class="required">*</span>', es: 'Usuario de la Base de Datos <span class="required">*</span>' },
+    'Usuário PostgreSQL que o Odoo usará para conectar.': { en: 'PostgreSQL user that Odoo will connect with.', es: 'Usuario de PostgreSQL que Odoo usará para conectarse.' },
+    'Senha do Banco <span class="required">*</span>': { en: 'Database Password <span class="required">*</span>', es: 'Contraseña de la Base de Datos <span class="required">*</span>' },
+    'Será gerada automaticamente': { en: 'Will be generated automatically', es: 'Se generará automáticamente' },
+    '🔄 Gerar Senhas Seguras': { en: '🔄 Generate Secure Passwords', es: '🔄 Generar Contraseñas Seguras' },
+    'Senha do usuário PostgreSQL. Gerada com 24 caracteres por padrão; escolha o tamanho, os caracteres ou uma frase-senha. Símbolos são escapados em cada arquivo (aspas simples no .env).': { en: 'Password of the PostgreSQL user. Generated with 24 characters by default; choose the length, the characters or a passphrase. Symbols are escaped in each file (single quotes in .env).', es: 'Contraseña del usuario de PostgreSQL. Generada con 24 caracteres por defecto; elija la longitud, los caracteres o una frase de contraseña. Los símbolos se escapan en cada archivo (comillas simples en el .env).' },
+    'Senha Master do Odoo <span class="required">*</span>': { en: 'Odoo Master Password <span class="required">*</span>', es: 'Contraseña Maestra de Odoo <span class="required">*</span>' },
+    'Senha administrativa para criar/restaurar bancos de dados e operações sensíveis no Odoo.': { en: 'Administrative password to create/restore databases and for sensitive operations in Odoo.', es: 'Contraseña administrativa para crear/restaurar bases de datos y operaciones sensibles en Odoo.' },
+    'Tipo de senha': { en: 'Password type', es: 'Tipo de contraseña' },
+    'Aleatória': { en: 'Random', es: 'Aleatoria' },
+    'Frase-senha': { en: 'Passphrase', es: 'Frase de contraseña' },
+    'Caracteres': { en: 'Characters', es: 'Caracteres' },
+    'Caracteres usados': { en: 'Characters used', es: 'Caracteres usados' },
+    'Palavras': { en: 'Words', es: 'Palabras' },
+    '🔄 Gerar': { en: '🔄 Generate', es: '🔄 Generar' },
+    'Letras e números': { en: 'Letters and numbers', es: 'Letras y números' },
+    'Letras, números e - _ . : + @': { en: 'Letters, numbers and - _ . : + @', es: 'Letras, números y - _ . : + @' },
+    'Todos os símbolos (! # $ % & * ...)': { en: 'All symbols (! # $ % & * ...)', es: 'Todos los símbolos (! # $ % & * ...)' },
+    '🙈 Ocultar': { en: '🙈 Hide', es: '🙈 Ocultar' },
+    '👁️ Mostrar': { en: '👁️ Show', es: '👁️ Mostrar' },
+    'Fraca': { en: 'Weak', es: 'Débil' },
+    'Razoável': { en: 'Fair', es: 'Aceptable' },
+    'Forte': { en: 'Strong', es: 'Fuerte' },
+    'Muito forte': { en: 'Very strong', es: 'Muy fuerte' },
+    'Expor porta 5432 do PostgreSQL': { en: 'Expose PostgreSQL port 5432', es: 'Exponer el puerto 5432 de PostgreSQL' },
+    '⚠️ Recomendado apenas para desenvolvimento local. Permite acesso direto ao banco com ferramentas externas. <strong>Desabilite em produção por segurança.</strong>': { en: '⚠️ Recommended for local development only. Allows direct access to the database with external tools. <strong>Disable it in production for security.</strong>', es: '⚠️ Recomendado solo para desarrollo local. Permite el acceso directo a la base de datos con herramientas externas. <strong>Desactívelo en producción por seguridad.</strong>' },
+    'Guardar senhas como Docker secrets': { en: 'Store passwords as Docker secrets', es: 'Guardar las contraseñas como Docker secrets' },
+    '🔑 Cada senha vai para um arquivo em <code>secrets/</code>, montado em <code>/run/secrets</code> e lido pelas variáveis <code>*_FILE</code>. O <code>.env</code> e o <code>odoo.conf</code> ficam sem credenciais e podem ser versionados.': { en: '🔑 Each password goes to a file in <code>secrets/</code>, mounted at <code>/run/secrets</code> and read through the <code>*_FILE</code> variables. <code>.env</code> and <code>odoo.conf</code> hold no credentials and can be versioned.', es: '🔑 Cada contraseña va a un archivo en <code>secrets/</code>, montado en <code>/run/secrets</code> y leído por las variables <code>*_FILE</code>. El <code>.env</code> y el <code>odoo.conf</code> quedan sin credenciales y se pueden versionar.' },
+    '🛡️ <code>no-new-privileges</code>, capacidades removidas, raiz somente leitura (com <code>tmpfs</code> onde a imagem grava), Redis sem root e limites de processos, CPU e memória. Banco, Redis, backup e exporters vão para uma rede interna sem acesso externo; com proxy reverso, as portas do Odoo ficam só em 127.0.0.1.': { en: '🛡️ <code>no-new-privileges</code>, dropped capabilities, read-only root (with <code>tmpfs</code> where the image writes), Redis without root and process, CPU and memory limits. Database, Redis, backup and exporters go to an internal network without external access; with a reverse proxy, the Odoo ports are bound to 127.0.0.1 only.', es: '🛡️ <code>no-new-privileges</code>, capacidades eliminadas, raíz de solo lectura (con <code>tmpfs</code> donde la imagen escribe), Redis sin root y límites de procesos, CPU y memoria. Base de datos, Redis, backup y exporters van a una red interna sin acceso externo; con proxy inverso, los puertos de Odoo quedan solo en 127.0.0.1.' },
 
-echo "✅ Docker e Docker Compose estão disponíveis!"
+    // === Passo 3: performance, proxy reverso e email ===
+    '⚡ Performance e Recursos': { en: '⚡ Performance and Resources', es: '⚡ Rendimiento y Recursos' },
+    'Configure os recursos do sistema para otimizar a performance baseado no seu ambiente e carga esperada.': { en: 'Configure the system resources to optimize performance for your environment and expected load.', es: 'Configure los recursos del sistema para optimizar el rendimiento según su entorno y la carga esperada.' },
+    '🧮 Calculadora de Recursos': { en: '🧮 Resource Calculator', es: '🧮 Calculadora de Recursos' },
+    'Núcleos de CPU do servidor': { en: 'Server CPU cores', es: 'Núcleos de CPU del servidor' },
+    'Memória do servidor (GB)': { en: 'Server memory (GB)', es: 'Memoria del servidor (GB)' },
+    'Usuários simultâneos': { en: 'Concurrent users', es: 'Usuarios simultáneos' },
+    'ex: 4': { en: 'e.g. 4', es: 'ej: 4' },
+    'ex: 8': { en: 'e.g. 8', es: 'ej: 8' },
+    'ex: 30': { en: 'e.g. 30', es: 'ej: 30' },
+    '🧮 Calcular e aplicar': { en: '🧮 Calculate and apply', es: '🧮 Calcular y aplicar' },
+    'Preenche workers, threads cron e a memória do Odoo e do PostgreSQL abaixo, descontando 1 GB para o sistema e os serviços auxiliares habilitados. Com o servidor informado, a revisão avisa se os limites dos containers ultrapassarem a memória disponível.': { en: 'Fills in workers, cron threads and the Odoo and PostgreSQL memory below, setting aside 1 GB for the system and the enabled auxiliary services. With the server specified, the review warns if the container limits exceed the available memory.', es: 'Completa workers, threads cron y la memoria de Odoo y de PostgreSQL abajo, reservando 1 GB para el sistema y los servicios auxiliares habilitados. Con el servidor informado, la revisión avisa si los límites de los contenedores superan la memoria disponible.' },
+    'Número de Workers': { en: 'Number of Workers', es: 'Número de Workers' },
+    'Workers são processos separados. 0 = modo single-thread para desenvolvimento. Para produção, use 2+ workers (no máximo 2 × núcleos + 1).': { en: 'Workers are separate processes. 0 = single-thread mode for development. For production, use 2+ workers (at most 2 × cores + 1).', es: 'Los workers son procesos separados. 0 = modo single-thread para desarrollo. Para producción, use 2+ workers (como máximo 2 × núcleos + 1).' },
+    'Threads Cron': { en: 'Cron Threads', es: 'Threads Cron' },
+    'Threads para executar tarefas automáticas (emails, relatórios, sincronizações).': { en: 'Threads that run scheduled tasks (emails, reports, synchronizations).', es: 'Threads para ejecutar tareas automáticas (emails, informes, sincronizaciones).' },
+    'Memória do Odoo (GB)': { en: 'Odoo Memory (GB)', es: 'Memoria de Odoo (GB)' },
+    'Limite do container Odoo, dividido entre workers e threads cron nos limites por processo do odoo.conf.': { en: 'Limit of the Odoo container, split between workers and cron threads in the per-process limits of odoo.conf.', es: 'Límite del contenedor de Odoo, dividido entre workers y threads cron en los límites por proceso del odoo.conf.' },
+    'Memória do PostgreSQL (GB)': { en: 'PostgreSQL Memory (GB)', es: 'Memoria de PostgreSQL (GB)' },
+    'Limite do container do banco; shared_buffers usa 25% deste valor.': { en: 'Limit of the database container; shared_buffers uses 25% of this value.', es: 'Límite del contenedor de la base de datos; shared_buffers usa el 25% de este valor.' },
+    'Nível de Log': { en: 'Log Level', es: 'Nivel de Log' },
+    'Error (Produção - Mínimo)': { en: 'Error (Production - Minimal)', es: 'Error (Producción - Mínimo)' },
+    'Warning (Produção)': { en: 'Warning (Production)', es: 'Warning (Producción)' },
+    'Info (Recomendado)': { en: 'Info (Recommended)', es: 'Info (Recomendado)' },
+    'Debug (Desenvolvimento)': { en: 'Debug (Development)', es: 'Debug (Desarrollo)' },
+    'Controla a verbosidade dos logs. Info é bom para monitoramento, Debug para desenvolvimento.': { en: 'Controls log verbosity. Info is good for monitoring, Debug for development.', es: 'Controla el nivel de detalle de los logs. Info es bueno para monitoreo, Debug para desarrollo.' },
+    'Pool de conexões com PgBouncer': { en: 'Connection pooling with PgBouncer', es: 'Pool de conexiones con PgBouncer' },
+    'O Odoo conecta ao PgBouncer (porta 6432), que reaproveita poucas conexões reais com o PostgreSQL (modo transaction). Os pools e o <code>max_connections</code> do banco são calculados pelos workers; útil a partir de 6 workers.': { en: 'Odoo connects to PgBouncer (port 6432), which reuses a few real connections to PostgreSQL (transaction mode). The pools and the database <code>max_connections</code> are calculated from the workers; useful from 6 workers on.', es: 'Odoo se conecta a PgBouncer (puerto 6432), que reutiliza pocas conexiones reales con PostgreSQL (modo transaction). Los pools y el <code>max_connections</code> de la base de datos se calculan según los workers; útil a partir de 6 workers.' },
+    'Guardar as sessões no Redis': { en: 'Store sessions in Redis', es: 'Guardar las sesiones en Redis' },
+    '✅ <strong>Recomendado para produção.</strong> O addon <code>session_redis</code> guarda as sessões de login no Redis: elas sobrevivem à recriação do container do Odoo e são compartilhadas entre os workers. O addon e a biblioteca <code>redis</code> entram na imagem personalizada (<code>Dockerfile</code>), e o Redis fica só na rede interna, protegido por senha. ⚠️ Com o Redis, o Odoo deixa de usar a imagem oficial: o <code>setup.sh</code> constrói uma imagem local que baixa o addon do GitHub (refaça o build ao trocar a versão do Odoo).': { en: '✅ <strong>Recommended for production.</strong> The <code>session_redis</code> addon stores login sessions in Redis: they survive recreating the Odoo container and are shared between the workers. The addon and the <code>redis</code> library go into the custom image (<code>Dockerfile</code>), and Redis stays on the internal network only, protected by a password. ⚠️ With Redis, Odoo no longer uses the official image: <code>setup.sh</code> builds a local image that downloads the addon from GitHub (rebuild it when changing the Odoo version).', es: '✅ <strong>Recomendado para producción.</strong> El addon <code>session_redis</code> guarda las sesiones de login en Redis: sobreviven a la recreación del contenedor de Odoo y se comparten entre los workers. El addon y la biblioteca <code>redis</code> entran en la imagen personalizada (<code>Dockerfile</code>), y Redis queda solo en la red interna, protegido por contraseña. ⚠️ Con Redis, Odoo deja de usar la imagen oficial: el <code>setup.sh</code> construye una imagen local que descarga el addon de GitHub (rehaga el build al cambiar la versión de Odoo).' },
+    'Senha do Redis': { en: 'Redis Password', es: 'Contraseña de Redis' },
+    'Gravada no .env como <code>REDIS_PASSWORD</code> (ou em <code>secrets/redis_password.txt</code>). Usada pelo <code>requirepass</code> do Redis e pelo Odoo em <code>ODOO_SESSION_REDIS_PASSWORD</code>.': { en: 'Written to .env as <code>REDIS_PASSWORD</code> (or to <code>secrets/redis_password.txt</code>). Used by the Redis <code>requirepass</code> and by Odoo in <code>ODOO_SESSION_REDIS_PASSWORD</code>.', es: 'Guardada en el .env como <code>REDIS_PASSWORD</code> (o en <code>secrets/redis_password.txt</code>). Usada por el <code>requirepass</code> de Redis y por Odoo en <code>ODOO_SESSION_REDIS_PASSWORD</code>.' },
+    'Proxy Reverso': { en: 'Reverse Proxy', es: 'Proxy Inverso' },
+    'Nenhum (Odoo acessado direto pelas portas)': { en: 'None (Odoo accessed directly through the ports)', es: 'Ninguno (Odoo accedido directamente por los puertos)' },
+    'Nginx (arquivo nginx.conf)': { en: 'Nginx (nginx.conf file)', es: 'Nginx (archivo nginx.conf)' },
+    'Traefik (labels no docker-compose.yml)': { en: 'Traefik (labels in docker-compose.yml)', es: 'Traefik (labels en el docker-compose.yml)' },
+    'Recomendado para produção: HTTPS, compressão, headers de segurança e roteamento do tempo real. O Nginx usa um <code>nginx.conf</code> completo (cache de estáticos) e o certbot para o Let\'s Encrypt; o Traefik é configurado pelos labels do serviço <code>odoo</code> e emite os certificados sozinho. No Kubernetes vira um Ingress (HTTPS pelo cert-manager).': { en: 'Recommended for production: HTTPS, compression, security headers and real-time routing. Nginx uses a complete <code>nginx.conf</code> (static file caching) and certbot for Let\'s Encrypt; Traefik is configured through the labels of the <code>odoo</code> service and issues the certificates by itself. On Kubernetes it becomes an Ingress (HTTPS through cert-manager).', es: 'Recomendado para producción: HTTPS, compresión, headers de seguridad y enrutamiento del tiempo real. Nginx usa un <code>nginx.conf</code> completo (caché de estáticos) y certbot para Let\'s Encrypt; Traefik se configura con los labels del servicio <code>odoo</code> y emite los certificados por sí solo. En Kubernetes se convierte en un Ingress (HTTPS con cert-manager).' },
+    'Publicar as portas do Odoo apenas em 127.0.0.1': { en: 'Publish the Odoo ports on 127.0.0.1 only', es: 'Publicar los puertos de Odoo solo en 127.0.0.1' },
+    'O proxy acessa o Odoo pela rede interna dos containers. Sem esta opção as portas HTTP e de tempo real também ficam abertas para a rede, contornando o HTTPS do proxy.': { en: 'The proxy reaches Odoo through the internal container network. Without this option the HTTP and real-time ports are also open to the network, bypassing the proxy HTTPS.', es: 'El proxy accede a Odoo por la red interna de los contenedores. Sin esta opción los puertos HTTP y de tiempo real también quedan abiertos a la red, eludiendo el HTTPS del proxy.' },
+    'Modo HTTPS': { en: 'HTTPS Mode', es: 'Modo HTTPS' },
+    'Sem HTTPS (apenas HTTP)': { en: 'No HTTPS (HTTP only)', es: 'Sin HTTPS (solo HTTP)' },
+    'Let\'s Encrypt (certificado gratuito e automático)': { en: 'Let\'s Encrypt (free and automatic certificate)', es: 'Let\'s Encrypt (certificado gratuito y automático)' },
+    'Autoassinado (testes locais)': { en: 'Self-signed (local testing)', es: 'Autofirmado (pruebas locales)' },
+    'Let\'s Encrypt emite e renova o certificado sozinho (exige domínio público): pelo container certbot com o Nginx ou pelo resolvedor ACME do Traefik. O modo autoassinado sobe o HTTPS sem domínio, mas o navegador exibirá um aviso.': { en: 'Let\'s Encrypt issues and renews the certificate by itself (requires a public domain): through the certbot container with Nginx or the Traefik ACME resolver. Self-signed mode brings up HTTPS without a domain, but the browser will show a warning.', es: 'Let\'s Encrypt emite y renueva el certificado por sí solo (requiere un dominio público): con el contenedor certbot junto a Nginx o con el resolvedor ACME de Traefik. El modo autofirmado levanta HTTPS sin dominio, pero el navegador mostrará una advertencia.' },
+    'E-mail para o Let\'s Encrypt <span class="required">*</span>': { en: 'Email for Let\'s Encrypt <span class="required">*</span>', es: 'Email para Let\'s Encrypt <span class="required">*</span>' },
+    'admin@exemplo.com.br': { en: 'admin@example.com', es: 'admin@ejemplo.com' },
+    'Usado pelo Let\'s Encrypt para avisos de expiração e problemas com o certificado.': { en: 'Used by Let\'s Encrypt for expiration notices and certificate problems.', es: 'Usado por Let\'s Encrypt para avisos de vencimiento y problemas con el certificado.' },
+    'Usar ambiente de testes (staging) do Let\'s Encrypt': { en: 'Use the Let\'s Encrypt test environment (staging)', es: 'Usar el entorno de pruebas (staging) de Let\'s Encrypt' },
+    'Evita os limites de emissão enquanto você testa a configuração. Certificados de staging não são confiáveis pelos navegadores.': { en: 'Avoids the issuance limits while you test the setup. Staging certificates are not trusted by browsers.', es: 'Evita los límites de emisión mientras prueba la configuración. Los certificados de staging no son confiables para los navegadores.' },
+    'Limita <code>/web/login</code> e <code>/web/reset_password</code> a 10 tentativas por minuto por IP (<code>limit_req</code>), protege o gerenciador de bancos (<code>/web/database/</code>) e, com HTTPS, envia Content-Security-Policy e HSTS (apenas com Let\'s Encrypt).': { en: 'Limits <code>/web/login</code> and <code>/web/reset_password</code> to 10 attempts per minute per IP (<code>limit_req</code>), protects the database manager (<code>/web/database/</code>) and, with HTTPS, sends Content-Security-Policy and HSTS (Let\'s Encrypt only).', es: 'Limita <code>/web/login</code> y <code>/web/reset_password</code> a 10 intentos por minuto por IP (<code>limit_req</code>), protege el gestor de bases de datos (<code>/web/database/</code>) y, con HTTPS, envía Content-Security-Policy y HSTS (solo con Let\'s Encrypt).' },
+    'Gerenciador de bancos': { en: 'Database manager', es: 'Gestor de bases de datos' },
+    'Bloqueado (o Nginx responde 404)': { en: 'Blocked (Nginx answers 404)', es: 'Bloqueado (Nginx responde 404)' },
+    'Restrito (lista de IPs e/ou senha do Nginx)': { en: 'Restricted (IP list and/or Nginx password)', es: 'Restringido (lista de IPs y/o contraseña de Nginx)' },
+    'Criar, duplicar, excluir e baixar backups dos bancos. Bloqueado, ele fica desligado também no Odoo (<code>list_db = False</code>); restrito, o Odoo o liga e o Nginx só o libera para quem você autorizar.': { en: 'Create, duplicate, delete and download database backups. When blocked, it is also turned off in Odoo (<code>list_db = False</code>); when restricted, Odoo turns it on and Nginx only allows whoever you authorize.', es: 'Crear, duplicar, eliminar y descargar backups de las bases de datos. Bloqueado, también queda desactivado en Odoo (<code>list_db = False</code>); restringido, Odoo lo activa y Nginx solo lo permite a quien usted autorice.' },
+    'Origens externas liberadas no CSP': { en: 'External origins allowed in the CSP', es: 'Orígenes externos permitidos en el CSP' },
+    'Ex: https://js.stripe.com https://fonts.googleapis.com': { en: 'e.g. https://js.stripe.com https://fonts.googleapis.com', es: 'Ej: https://js.stripe.com https://fonts.googleapis.com' },
+    'O Content-Security-Policy bloqueia scripts, estilos, fontes e chamadas de outros domínios: checkout do Stripe/PayPal, Google Fonts e mapas param de funcionar se a origem não estiver aqui. Informe origens HTTPS separadas por espaço ou vírgula; cada uma a mais amplia o que o navegador aceita.': { en: 'The Content-Security-Policy blocks scripts, styles, fonts and requests from other domains: Stripe/PayPal checkout, Google Fonts and maps stop working unless their origin is listed here. Enter HTTPS origins separated by spaces or commas; each extra one widens what the browser accepts.', es: 'El Content-Security-Policy bloquea scripts, estilos, fuentes y llamadas de otros dominios: el checkout de Stripe/PayPal, Google Fonts y los mapas dejan de funcionar si el origen no está aquí. Indique orígenes HTTPS separados por espacio o coma; cada uno adicional amplía lo que el navegador acepta.' },
+    'IPs liberados': { en: 'Allowed IPs', es: 'IPs permitidas' },
+    'Ex: 203.0.113.10 10.0.0.0/8': { en: 'e.g. 203.0.113.10 10.0.0.0/8', es: 'Ej: 203.0.113.10 10.0.0.0/8' },
+    'Endereços IPv4/IPv6 ou redes CIDR separados por espaço ou vírgula (<code>allow</code> do Nginx). Vazio = qualquer IP, protegido apenas pela senha abaixo.': { en: 'IPv4/IPv6 addresses or CIDR networks separated by spaces or commas (Nginx <code>allow</code>). Empty = any IP, protected only by the password below.', es: 'Direcciones IPv4/IPv6 o redes CIDR separadas por espacio o coma (<code>allow</code> de Nginx). Vacío = cualquier IP, protegido solo por la contraseña de abajo.' },
+    'Pedir usuário e senha (autenticação HTTP do Nginx)': { en: 'Ask for user and password (Nginx HTTP authentication)', es: 'Pedir usuario y contraseña (autenticación HTTP de Nginx)' },
+    'Senha do gerenciador de bancos': { en: 'Database manager password', es: 'Contraseña del gestor de bases de datos' },
+    'Usuário <code>admin</code>. Gravada no .env como <code>DB_MANAGER_PASSWORD</code> (ou em <code>secrets/db_manager_password.txt</code>); o <code>setup.sh</code> grava o hash em <code>nginx/htpasswd</code>.': { en: 'User <code>admin</code>. Written to .env as <code>DB_MANAGER_PASSWORD</code> (or to <code>secrets/db_manager_password.txt</code>); <code>setup.sh</code> writes the hash to <code>nginx/htpasswd</code>.', es: 'Usuario <code>admin</code>. Guardada en el .env como <code>DB_MANAGER_PASSWORD</code> (o en <code>secrets/db_manager_password.txt</code>); el <code>setup.sh</code> guarda el hash en <code>nginx/htpasswd</code>.' },
+    'Banir IPs com falhas de login (fail2ban)': { en: 'Ban IPs with failed logins (fail2ban)', es: 'Bloquear IPs con fallos de login (fail2ban)' },
+    'Container <code>fail2ban</code> que lê o log do Odoo (senha errada) e o do Nginx (limite de login e senha do gerenciador) e bane por 1 hora, no iptables do host, quem erra 5 vezes em 10 minutos. Apenas no Docker Compose.': { en: '<code>fail2ban</code> container that reads the Odoo log (wrong password) and the Nginx log (login limit and manager password) and bans for 1 hour, in the host iptables, whoever fails 5 times in 10 minutes. Docker Compose only.', es: 'Contenedor <code>fail2ban</code> que lee el log de Odoo (contraseña incorrecta) y el de Nginx (límite de login y contraseña del gestor) y bloquea por 1 hora, en el iptables del host, a quien falle 5 veces en 10 minutos. Solo en Docker Compose.' },
+    '📧 Email de Saída (SMTP)': { en: '📧 Outgoing Email (SMTP)', es: '📧 Email Saliente (SMTP)' },
+    'Configure o servidor que o Odoo usará para enviar emails (convites, faturas, notificações). Em desenvolvimento, capture os emails localmente com o Mailpit.': { en: 'Configure the server Odoo will use to send emails (invitations, invoices, notifications). In development, capture the emails locally with Mailpit.', es: 'Configure el servidor que Odoo usará para enviar emails (invitaciones, facturas, notificaciones). En desarrollo, capture los emails localmente con Mailpit.' },
+    'Capturar emails com Mailpit (desenvolvimento)': { en: 'Capture emails with Mailpit (development)', es: 'Capturar emails con Mailpit (desarrollo)' },
+    'Adiciona um container Mailpit que recebe todos os emails enviados pelo Odoo sem entregá-los. Visualize-os em http://localhost:8025. <strong>Não use em produção.</strong>': { en: 'Adds a Mailpit container that receives every email sent by Odoo without delivering it. View them at http://localhost:8025. <strong>Do not use in production.</strong>', es: 'Agrega un contenedor Mailpit que recibe todos los emails enviados por Odoo sin entregarlos. Véalos en http://localhost:8025. <strong>No lo use en producción.</strong>' },
+    '⚠️ Com o Mailpit ativo, o servidor SMTP real é ignorado: servidor, usuário e senha já preenchidos não entram nos arquivos gerados. Desmarque o Mailpit para voltar a usá-los.': { en: '⚠️ With Mailpit on, the real SMTP server is ignored: the server, user and password already filled in are left out of the generated files. Uncheck Mailpit to use them again.', es: '⚠️ Con Mailpit activo, el servidor SMTP real se ignora: el servidor, usuario y contraseña ya completados no entran en los archivos generados. Desmarque Mailpit para volver a usarlos.' },
+    'Servidor SMTP': { en: 'SMTP Server', es: 'Servidor SMTP' },
+    'smtp.exemplo.com.br': { en: 'smtp.example.com', es: 'smtp.ejemplo.com' },
+    'Deixe em branco para configurar depois pela interface do Odoo.': { en: 'Leave blank to configure it later in the Odoo interface.', es: 'Déjelo en blanco para configurarlo después desde la interfaz de Odoo.' },
+    'Porta SMTP': { en: 'SMTP Port', es: 'Puerto SMTP' },
+    '587 para STARTTLS, 465 para SSL/TLS, 25 sem criptografia.': { en: '587 for STARTTLS, 465 for SSL/TLS, 25 without encryption.', es: '587 para STARTTLS, 465 para SSL/TLS, 25 sin cifrado.' },
+    'Criptografia': { en: 'Encryption', es: 'Cifrado' },
+    'STARTTLS (Recomendado)': { en: 'STARTTLS (Recommended)', es: 'STARTTLS (Recomendado)' },
+    'Nenhuma': { en: 'None', es: 'Ninguno' },
+    'O odoo.conf só suporta STARTTLS. Com SSL/TLS o servidor deve ser cadastrado em Configurações → Técnico → Servidores de Email de Saída.': { en: 'odoo.conf only supports STARTTLS. With SSL/TLS the server must be registered in Settings → Technical → Outgoing Mail Servers.', es: 'El odoo.conf solo soporta STARTTLS. Con SSL/TLS el servidor debe registrarse en Ajustes → Técnico → Servidores de correo saliente.' },
+    'Usuário SMTP': { en: 'SMTP User', es: 'Usuario SMTP' },
+    'usuario@exemplo.com.br': { en: 'user@example.com', es: 'usuario@ejemplo.com' },
+    'Deixe em branco se o servidor não exigir autenticação.': { en: 'Leave blank if the server does not require authentication.', es: 'Déjelo en blanco si el servidor no requiere autenticación.' },
+    'Senha SMTP': { en: 'SMTP Password', es: 'Contraseña SMTP' },
+    'Gravada no .env e no odoo.conf. Para Gmail/Outlook use uma senha de aplicativo.': { en: 'Written to .env and odoo.conf. For Gmail/Outlook use an app password.', es: 'Guardada en el .env y en el odoo.conf. Para Gmail/Outlook use una contraseña de aplicación.' },
+    'Remetente Padrão (email_from)': { en: 'Default Sender (email_from)', es: 'Remitente Predeterminado (email_from)' },
+    'odoo@exemplo.com.br': { en: 'odoo@example.com', es: 'odoo@ejemplo.com' },
+    'Endereço usado quando o Odoo não tem um remetente específico. Se vazio, usa admin@ seguido do domínio configurado no passo 1.': { en: 'Address used when Odoo has no specific sender. If empty, uses admin@ followed by the domain set in step 1.', es: 'Dirección usada cuando Odoo no tiene un remitente específico. Si está vacío, usa admin@ seguido del dominio configurado en el paso 1.' },
 
-# ===================================================================
-# CRIAÇÃO DA ESTRUTURA DE DIRETÓRIOS
-# ===================================================================
-echo "📁 Criando estrutura de pastas..."
+    // === Passo 4: addons e imagem personalizada ===
+    '🧩 Addons e Dependências': { en: '🧩 Addons and Dependencies', es: '🧩 Addons y Dependencias' },
+    'Escolha repositórios da Odoo Community Association. Eles são baixados na branch': { en: 'Choose repositories from the Odoo Community Association. They are downloaded on branch', es: 'Elija repositorios de la Odoo Community Association. Se descargan en la rama' },
+    'e adicionados automaticamente ao addons_path. Se algum addon exigir bibliotecas extras, declare-as na imagem personalizada abaixo.': { en: 'and added automatically to the addons_path. If an addon requires extra libraries, declare them in the custom image below.', es: 'y se agregan automáticamente al addons_path. Si algún addon requiere bibliotecas adicionales, declárelas en la imagen personalizada de abajo.' },
+    'Outros repositórios OCA': { en: 'Other OCA repositories', es: 'Otros repositorios OCA' },
+    'Ex: product-attribute, stock-logistics-workflow': { en: 'e.g. product-attribute, stock-logistics-workflow', es: 'Ej: product-attribute, stock-logistics-workflow' },
+    'Nomes exatos dos repositórios em github.com/OCA, separados por vírgula. São gerados <code>repos.yaml</code> (formato git-aggregator) e <code>fetch-addons.sh</code>, que o <code>setup.sh</code> executa antes de subir os containers.': { en: 'Exact repository names on github.com/OCA, separated by commas. <code>repos.yaml</code> (git-aggregator format) and <code>fetch-addons.sh</code> are generated, and <code>setup.sh</code> runs the latter before starting the containers.', es: 'Nombres exactos de los repositorios en github.com/OCA, separados por coma. Se generan <code>repos.yaml</code> (formato git-aggregator) y <code>fetch-addons.sh</code>, que el <code>setup.sh</code> ejecuta antes de levantar los contenedores.' },
+    'Imagem Docker personalizada': { en: 'Custom Docker image', es: 'Imagen Docker personalizada' },
+    'Gera um <code>Dockerfile</code> que estende a imagem oficial <code>odoo</code> com pacotes pip e apt. O serviço odoo passa a ser construído localmente (<code>build:</code>) com uma tag própria. Com as sessões no Redis o <code>Dockerfile</code> é gerado mesmo sem esta opção.': { en: 'Generates a <code>Dockerfile</code> that extends the official <code>odoo</code> image with pip and apt packages. The odoo service is then built locally (<code>build:</code>) with its own tag. With sessions in Redis the <code>Dockerfile</code> is generated even without this option.', es: 'Genera un <code>Dockerfile</code> que extiende la imagen oficial <code>odoo</code> con paquetes pip y apt. El servicio odoo pasa a construirse localmente (<code>build:</code>) con un tag propio. Con las sesiones en Redis el <code>Dockerfile</code> se genera incluso sin esta opción.' },
+    'Pacotes Python (requirements.txt)': { en: 'Python packages (requirements.txt)', es: 'Paquetes Python (requirements.txt)' },
+    'Ex:\nphonenumbers\npython-stdnum>=1.19\npysftp': { en: 'e.g.\nphonenumbers\npython-stdnum>=1.19\npysftp', es: 'Ej:\nphonenumbers\npython-stdnum>=1.19\npysftp' },
+    'Um pacote por linha, no formato do pip (versões e marcadores são aceitos). Consulte o <code>requirements.txt</code> ou o <code>external_dependencies</code> dos addons.': { en: 'One package per line, in pip format (versions and markers are accepted). Check the <code>requirements.txt</code> or the <code>external_dependencies</code> of the addons.', es: 'Un paquete por línea, en el formato de pip (se aceptan versiones y marcadores). Consulte el <code>requirements.txt</code> o el <code>external_dependencies</code> de los addons.' },
+    'Pacotes do sistema (apt)': { en: 'System packages (apt)', es: 'Paquetes del sistema (apt)' },
+    'Ex: libldap2-dev libsasl2-dev': { en: 'e.g. libldap2-dev libsasl2-dev', es: 'Ej: libldap2-dev libsasl2-dev' },
+    'Pacotes Debian/Ubuntu separados por espaço ou vírgula, instalados com <code>apt-get install --no-install-recommends</code>.': { en: 'Debian/Ubuntu packages separated by spaces or commas, installed with <code>apt-get install --no-install-recommends</code>.', es: 'Paquetes Debian/Ubuntu separados por espacio o coma, instalados con <code>apt-get install --no-install-recommends</code>.' },
 
-# Criar diretórios necessários
-mkdir -p config logs addons${config.enableNginx ? ' nginx nginx/ssl' : ''}
+    // === Passo 5: backup e monitoramento ===
+    '💾 Backup e Operações': { en: '💾 Backup and Operations', es: '💾 Backup y Operaciones' },
+    'Proteja seus dados com backups automáticos do banco de dados e do filestore (anexos e documentos do Odoo).': { en: 'Protect your data with automatic backups of the database and the filestore (Odoo attachments and documents).', es: 'Proteja sus datos con backups automáticos de la base de datos y del filestore (adjuntos y documentos de Odoo).' },
+    'Habilitar backup automático': { en: 'Enable automatic backup', es: 'Habilitar backup automático' },
+    'Adiciona um container que faz o dump do PostgreSQL e compacta o filestore em ./backups, com retenção diária/semanal/mensal. Inclui um <code>restore.sh</code> para restaurar qualquer conjunto.': { en: 'Adds a container that dumps PostgreSQL and compresses the filestore into ./backups, with daily/weekly/monthly retention. Includes a <code>restore.sh</code> to restore any set.', es: 'Agrega un contenedor que hace el dump de PostgreSQL y comprime el filestore en ./backups, con retención diaria/semanal/mensual. Incluye un <code>restore.sh</code> para restaurar cualquier conjunto.' },
+    'Agendamento (cron)': { en: 'Schedule (cron)', es: 'Programación (cron)' },
+    'Formato cron: minuto hora dia mês dia-da-semana, no horário UTC. Ex: <code>0 2 * * *</code> = todo dia às 02:00, <code>0 */6 * * *</code> = a cada 6 horas.': { en: 'Cron format: minute hour day month day-of-week, in UTC. e.g. <code>0 2 * * *</code> = every day at 02:00, <code>0 */6 * * *</code> = every 6 hours.', es: 'Formato cron: minuto hora día mes día-de-la-semana, en horario UTC. Ej: <code>0 2 * * *</code> = todos los días a las 02:00, <code>0 */6 * * *</code> = cada 6 horas.' },
+    'Manter diários': { en: 'Keep daily', es: 'Mantener diarios' },
+    'Conjuntos mais recentes mantidos.': { en: 'Most recent sets kept.', es: 'Conjuntos más recientes mantenidos.' },
+    'Manter semanais': { en: 'Keep weekly', es: 'Mantener semanales' },
+    'Primeiro conjunto de cada semana.': { en: 'First set of each week.', es: 'Primer conjunto de cada semana.' },
+    'Manter mensais': { en: 'Keep monthly', es: 'Mantener mensuales' },
+    'Primeiro conjunto de cada mês.': { en: 'First set of each month.', es: 'Primer conjunto de cada mes.' },
+    'Monitoramento com Prometheus e Grafana': { en: 'Monitoring with Prometheus and Grafana', es: 'Monitoreo con Prometheus y Grafana' },
+    'Perfil <code>monitoring</code> do Docker Compose com Prometheus, Grafana (porta 3000), exporter do PostgreSQL, cAdvisor (CPU/memória dos containers) e exporter do Nginx quando habilitado. Inclui um dashboard inicial de Odoo/PostgreSQL.': { en: 'Docker Compose <code>monitoring</code> profile with Prometheus, Grafana (port 3000), PostgreSQL exporter, cAdvisor (container CPU/memory) and the Nginx exporter when enabled. Includes a starter Odoo/PostgreSQL dashboard.', es: 'Perfil <code>monitoring</code> de Docker Compose con Prometheus, Grafana (puerto 3000), exporter de PostgreSQL, cAdvisor (CPU/memoria de los contenedores) y exporter de Nginx cuando está habilitado. Incluye un dashboard inicial de Odoo/PostgreSQL.' },
+    'Senha do Grafana (usuário admin)': { en: 'Grafana password (admin user)', es: 'Contraseña de Grafana (usuario admin)' },
+    'Gravada no .env como <code>GRAFANA_ADMIN_PASSWORD</code>. Gerada automaticamente com as opções acima.': { en: 'Written to .env as <code>GRAFANA_ADMIN_PASSWORD</code>. Generated automatically with the options above.', es: 'Guardada en el .env como <code>GRAFANA_ADMIN_PASSWORD</code>. Generada automáticamente con las opciones de arriba.' },
 
-# ===================================================================
-# CONFIGURAÇÃO DE PERMISSÕES
-# ===================================================================
-echo "🔐 Configurando permissões..."
+    // === Passo 6: revisão, dicas e navegação ===
+    '✅ Revisão e Geração': { en: '✅ Review and Generation', es: '✅ Revisión y Generación' },
+    'Revise suas configurações, veja os comandos necessários e gere todos os arquivos de configuração.': { en: 'Review your settings, see the required commands and generate all the configuration files.', es: 'Revise su configuración, vea los comandos necesarios y genere todos los archivos de configuración.' },
+    '🔒 Dicas de Segurança e Boas Práticas': { en: '🔒 Security Tips and Best Practices', es: '🔒 Consejos de Seguridad y Buenas Prácticas' },
+    '<strong>Senhas:</strong> Geradas com a crypto API do navegador; confira a força estimada de cada uma no passo 2': { en: '<strong>Passwords:</strong> Generated with the browser crypto API; check the estimated strength of each one in step 2', es: '<strong>Contraseñas:</strong> Generadas con la crypto API del navegador; revise la fuerza estimada de cada una en el paso 2' },
+    '<strong>Arquivo .env:</strong> Mantenha o arquivo .env seguro e nunca o commite no git': { en: '<strong>.env file:</strong> Keep the .env file safe and never commit it to git', es: '<strong>Archivo .env:</strong> Mantenga el archivo .env seguro y nunca lo suba a git' },
+    '<strong>Backup:</strong> Habilite os backups automáticos e copie a pasta backups/ para fora do servidor': { en: '<strong>Backup:</strong> Enable automatic backups and copy the backups/ folder off the server', es: '<strong>Backup:</strong> Habilite los backups automáticos y copie la carpeta backups/ fuera del servidor' },
+    '<strong>SSL/TLS:</strong> Para produção, configure certificados SSL no Nginx': { en: '<strong>SSL/TLS:</strong> For production, set up SSL certificates in Nginx', es: '<strong>SSL/TLS:</strong> Para producción, configure certificados SSL en Nginx' },
+    '<strong>Firewall:</strong> Configure firewall para expor apenas as portas necessárias': { en: '<strong>Firewall:</strong> Configure a firewall to expose only the required ports', es: '<strong>Firewall:</strong> Configure el firewall para exponer solo los puertos necesarios' },
+    '<strong>Monitoramento:</strong> Use <code>docker-compose logs</code> para monitorar a aplicação': { en: '<strong>Monitoring:</strong> Use <code>docker-compose logs</code> to monitor the application', es: '<strong>Monitoreo:</strong> Use <code>docker-compose logs</code> para monitorear la aplicación' },
+    '<strong>Atualizações:</strong> Mantenha as imagens Docker atualizadas regularmente': { en: '<strong>Updates:</strong> Keep the Docker images up to date regularly', es: '<strong>Actualizaciones:</strong> Mantenga las imágenes Docker actualizadas regularmente' },
+    '📦 Baixar Todos os Arquivos (ZIP)': { en: '📦 Download All Files (ZIP)', es: '📦 Descargar Todos los Archivos (ZIP)' },
+    'Baixa um arquivo ZIP com todos os arquivos de configuração e estrutura de pastas organizada.': { en: 'Downloads a ZIP file with all the configuration files and an organized folder structure.', es: 'Descarga un archivo ZIP con todos los archivos de configuración y una estructura de carpetas organizada.' },
+    '⬅️ Anterior': { en: '⬅️ Previous', es: '⬅️ Anterior' },
+    'Próximo ➡️': { en: 'Next ➡️', es: 'Siguiente ➡️' },
+    '🚀 Gerar Configurações': { en: '🚀 Generate Configurations', es: '🚀 Generar Configuraciones' },
+    'Passo': { en: 'Step', es: 'Paso' },
+    'de': { en: 'of', es: 'de' },
 
-# Permissões seguras para arquivos sensíveis
-chmod 755 logs                     # Diretório de logs
-chmod 600 .env                     # Arquivo de ambiente (apenas proprietário)
-chmod 644 config/odoo.conf         # Configuração do Odoo (leitura geral)
-chmod +x setup.sh                  # Script executável
+    // === Presets, destinos e versões ===
+    '🧪 Desenvolvimento': { en: '🧪 Development', es: '🧪 Desarrollo' },
+    'Thread único com log debug, PostgreSQL acessível por ferramentas externas e sem proxy.': { en: 'Single thread with debug log, PostgreSQL reachable by external tools and no proxy.', es: 'Thread único con log debug, PostgreSQL accesible por herramientas externas y sin proxy.' },
+    '🏢 Produção': { en: '🏢 Production', es: '🏢 Producción' },
+    'Workers para uso corporativo, logs enxutos, Nginx com HTTPS Let\'s Encrypt e banco fechado.': { en: 'Workers for business use, lean logs, Nginx with Let\'s Encrypt HTTPS and a closed database.', es: 'Workers para uso corporativo, logs reducidos, Nginx con HTTPS de Let\'s Encrypt y base de datos cerrada.' },
+    '🛒 E-commerce': { en: '🛒 E-commerce', es: '🛒 E-commerce' },
+    'Mais workers para visitantes simultâneos na loja, cache Redis e HTTPS obrigatório.': { en: 'More workers for concurrent shop visitors, Redis cache and mandatory HTTPS.', es: 'Más workers para visitantes simultáneos en la tienda, caché Redis y HTTPS obligatorio.' },
+    '🚀 Alto Tráfego': { en: '🚀 High Traffic', es: '🚀 Alto Tráfico' },
+    'Máximo de workers e memória, mais threads cron e log apenas de erros.': { en: 'Maximum workers and memory, more cron threads and error-only logging.', es: 'Máximo de workers y memoria, más threads cron y log solo de errores.' },
+    'Podman (quadlets do systemd)': { en: 'Podman (systemd quadlets)', es: 'Podman (quadlets de systemd)' },
+    'Kubernetes (chart Helm)': { en: 'Kubernetes (Helm chart)', es: 'Kubernetes (chart de Helm)' },
+    'Tempo real em {path} ({option}), PostgreSQL {postgres}, Python {python} ({image})': { en: 'Real time on {path} ({option}), PostgreSQL {postgres}, Python {python} ({image})', es: 'Tiempo real en {path} ({option}), PostgreSQL {postgres}, Python {python} ({image})' },
+    'recomendado': { en: 'recommended', es: 'recomendado' },
 
-# Criar diretório para backups (boa prática)
-mkdir -p backups
-chmod 755 backups
+    // === Repositórios OCA ===
+    'Melhorias da interface web: widgets, temas, responsividade': { en: 'Web interface improvements: widgets, themes, responsiveness', es: 'Mejoras de la interfaz web: widgets, temas, diseño adaptable' },
+    'Ferramentas técnicas: auditoria, limpeza de banco, exceções': { en: 'Technical tools: auditing, database cleanup, exceptions', es: 'Herramientas técnicas: auditoría, limpieza de base de datos, excepciones' },
+    'Usabilidade: ações em massa, aprovações, sequências': { en: 'Usability: mass actions, approvals, sequences', es: 'Usabilidad: acciones masivas, aprobaciones, secuencias' },
+    'Autenticação: LDAP, OAuth, política de senhas': { en: 'Authentication: LDAP, OAuth, password policy', es: 'Autenticación: LDAP, OAuth, política de contraseñas' },
+    'Fila de jobs assíncronos (queue_job)': { en: 'Asynchronous job queue (queue_job)', es: 'Cola de jobs asíncronos (queue_job)' },
+    'Ferramentas contábeis: bloqueio de período, ativos': { en: 'Accounting tools: period lock, assets', es: 'Herramientas contables: bloqueo de período, activos' },
+    'Relatórios financeiros: razão, balancete, aging': { en: 'Financial reports: general ledger, trial balance, aging', es: 'Informes financieros: mayor, balance de comprobación, aging' },
+    'Faturamento: validações, agrupamentos, referências': { en: 'Invoicing: validations, grouping, references', es: 'Facturación: validaciones, agrupaciones, referencias' },
+    'Ordens de pagamento e integração bancária': { en: 'Payment orders and bank integration', es: 'Órdenes de pago e integración bancaria' },
+    'Construtor de relatórios gerenciais (MIS)': { en: 'Management report builder (MIS)', es: 'Constructor de informes de gestión (MIS)' },
+    'Localização brasileira: NF-e, CNPJ/CPF, impostos': { en: 'Brazilian localization: NF-e, CNPJ/CPF, taxes', es: 'Localización brasileña: NF-e, CNPJ/CPF, impuestos' },
+    'Contatos: nomes, duplicidades, campos extras': { en: 'Contacts: names, duplicates, extra fields', es: 'Contactos: nombres, duplicados, campos adicionales' },
+    'Fluxos de venda: aprovações, bloqueios, descontos': { en: 'Sales flows: approvals, blocks, discounts', es: 'Flujos de venta: aprobaciones, bloqueos, descuentos' },
+    'Fluxos de compra: requisições, aprovações': { en: 'Purchase flows: requests, approvals', es: 'Flujos de compra: solicitudes, aprobaciones' },
+    'Logística: transferências, lotes, picking': { en: 'Logistics: transfers, lots, picking', es: 'Logística: transferencias, lotes, picking' },
+    'Relatórios XLSX, CSV e agendados': { en: 'XLSX, CSV and scheduled reports', es: 'Informes XLSX, CSV y programados' },
+    'Email e mensagens: templates, rastreamento': { en: 'Email and messaging: templates, tracking', es: 'Email y mensajes: plantillas, seguimiento' },
+    'Recursos humanos: funcionários, contratos': { en: 'Human resources: employees, contracts', es: 'Recursos humanos: empleados, contratos' },
+    'Projetos: tarefas, modelos, dependências': { en: 'Projects: tasks, templates, dependencies', es: 'Proyectos: tareas, plantillas, dependencias' },
+    'Loja virtual: filtros, checkout, produtos': { en: 'Online shop: filters, checkout, products', es: 'Tienda en línea: filtros, checkout, productos' },
+    'Site: SEO, cookies, formulários': { en: 'Website: SEO, cookies, forms', es: 'Sitio web: SEO, cookies, formularios' },
+    'Ponto de venda: pagamentos, recibos': { en: 'Point of sale: payments, receipts', es: 'Punto de venta: pagos, recibos' },
 
-# ===================================================================
-# VERIFICAÇÕES DE SEGURANÇA
-# ===================================================================
-echo "🔒 Verificando configurações de segurança..."
+    // === Validação do formulário ===
+    'Nome do projeto é obrigatório': { en: 'Project name is required', es: 'El nombre del proyecto es obligatorio' },
+    'Senha do banco é obrigatória': { en: 'Database password is required', es: 'La contraseña de la base de datos es obligatoria' },
+    'Senha master é obrigatória': { en: 'Master password is required', es: 'La contraseña maestra es obligatoria' },
+    'Nome do projeto deve conter apenas letras minúsculas, números e hífens (não pode começar ou terminar com hífen)': { en: 'Project name must contain only lowercase letters, numbers and hyphens (cannot start or end with a hyphen)', es: 'El nombre del proyecto debe contener solo letras minúsculas, números y guiones (no puede empezar ni terminar con guion)' },
+    'Versão do Odoo "{version}" não suportada. Use {options}': { en: 'Odoo version "{version}" is not supported. Use {options}', es: 'Versión de Odoo "{version}" no soportada. Use {options}' },
+    'O Odoo {version} suporta PostgreSQL {supported} (escolhido: {chosen})': { en: 'Odoo {version} supports PostgreSQL {supported} (chosen: {chosen})', es: 'Odoo {version} soporta PostgreSQL {supported} (elegido: {chosen})' },
+    'Destino de implantação inválido: "{value}". Use {options}': { en: 'Invalid deployment target: "{value}". Use {options}', es: 'Destino de despliegue inválido: "{value}". Use {options}' },
+    'Idioma dos comentários inválido: "{value}". Use {options}': { en: 'Invalid comment language: "{value}". Use {options}', es: 'Idioma de los comentarios inválido: "{value}". Use {options}' },
+    'Monitoramento não está disponível no Podman: use Docker Compose ou desative o monitoramento': { en: 'Monitoring is not available on Podman: use Docker Compose or turn monitoring off', es: 'El monitoreo no está disponible en Podman: use Docker Compose o desactive el monitoreo' },
+    'Proxy reverso inválido: "{value}". Use {options}': { en: 'Invalid reverse proxy: "{value}". Use {options}', es: 'Proxy inverso inválido: "{value}". Use {options}' },
+    'Traefik não está disponível no Podman: use o Nginx ou o destino Docker Compose': { en: 'Traefik is not available on Podman: use Nginx or the Docker Compose target', es: 'Traefik no está disponible en Podman: use Nginx o el destino Docker Compose' },
+    '"{name}" é uma palavra reservada. Escolha outro nome.': { en: '"{name}" is a reserved word. Choose another name.', es: '"{name}" es una palabra reservada. Elija otro nombre.' },
+    'Porta HTTP deve estar entre 1024 e 65535': { en: 'HTTP port must be between 1024 and 65535', es: 'El puerto HTTP debe estar entre 1024 y 65535' },
+    'Porta Chat deve estar entre 1024 e 65535': { en: 'Chat port must be between 1024 and 65535', es: 'El puerto de chat debe estar entre 1024 y 65535' },
+    'Portas HTTP e Chat não podem ser iguais': { en: 'HTTP and Chat ports cannot be the same', es: 'Los puertos HTTP y de chat no pueden ser iguales' },
+    'Porta {port} é comumente usada por outros serviços. Escolha outra porta.': { en: 'Port {port} is commonly used by other services. Choose another port.', es: 'El puerto {port} suele usarse en otros servicios. Elija otro puerto.' },
+    'Formato de domínio inválido (ex: meusite.com.br)': { en: 'Invalid domain format (e.g. mysite.com)', es: 'Formato de dominio inválido (ej: misitio.com)' },
+    'Use um domínio real ou deixe em branco para desenvolvimento local': { en: 'Use a real domain or leave it blank for local development', es: 'Use un dominio real o déjelo en blanco para desarrollo local' },
+    'Acesso ao gerenciador de bancos inválido: "{value}". Use {options}': { en: 'Invalid database manager access: "{value}". Use {options}', es: 'Acceso al gestor de bases de datos inválido: "{value}". Use {options}' },
+    'IP ou rede inválida na lista do gerenciador de bancos: "{entry}" (ex: 203.0.113.10 ou 10.0.0.0/8)': { en: 'Invalid IP or network in the database manager list: "{entry}" (e.g. 203.0.113.10 or 10.0.0.0/8)', es: 'IP o red inválida en la lista del gestor de bases de datos: "{entry}" (ej: 203.0.113.10 o 10.0.0.0/8)' },
+    'Origem inválida no Content-Security-Policy: "{origin}" (ex: https://js.stripe.com)': { en: 'Invalid Content-Security-Policy origin: "{origin}" (e.g. https://js.stripe.com)', es: 'Origen inválido en el Content-Security-Policy: "{origin}" (ej: https://js.stripe.com)' },
+    'Gerenciador de bancos restrito: informe os IPs liberados e/ou habilite a senha do Nginx': { en: 'Restricted database manager: enter the allowed IPs and/or enable the Nginx password', es: 'Gestor de bases de datos restringido: indique las IPs permitidas y/o habilite la contraseña de Nginx' },
+    'Senha do gerenciador de bancos deve ter pelo menos 12 caracteres': { en: 'Database manager password must be at least 12 characters long', es: 'La contraseña del gestor de bases de datos debe tener al menos 12 caracteres' },
+    'fail2ban está disponível apenas no destino Docker Compose': { en: 'fail2ban is only available on the Docker Compose target', es: 'fail2ban solo está disponible en el destino Docker Compose' },
+    'Remetente padrão (email_from) deve ser um endereço de email válido': { en: 'Default sender (email_from) must be a valid email address', es: 'El remitente predeterminado (email_from) debe ser una dirección de email válida' },
+    'Servidor SMTP inválido (ex: smtp.exemplo.com.br)': { en: 'Invalid SMTP server (e.g. smtp.example.com)', es: 'Servidor SMTP inválido (ej: smtp.ejemplo.com)' },
+    'Porta SMTP deve estar entre 1 e 65535': { en: 'SMTP port must be between 1 and 65535', es: 'El puerto SMTP debe estar entre 1 y 65535' },
+    'Informe a senha SMTP do usuário configurado': { en: 'Enter the SMTP password of the configured user', es: 'Indique la contraseña SMTP del usuario configurado' },
+    'A porta 8025 é usada pela interface do Mailpit. Escolha outra porta HTTP/Chat.': { en: 'Port 8025 is used by the Mailpit interface. Choose another HTTP/Chat port.', es: 'El puerto 8025 lo usa la interfaz de Mailpit. Elija otro puerto HTTP/Chat.' },
+    'Nome de repositório OCA inválido: "{repo}"': { en: 'Invalid OCA repository name: "{repo}"', es: 'Nombre de repositorio OCA inválido: "{repo}"' },
+    'Nome de pacote apt inválido: "{package}"': { en: 'Invalid apt package name: "{package}"', es: 'Nombre de paquete apt inválido: "{package}"' },
+    'Use apenas nomes de pacotes no requirements.txt, não opções do pip: "{package}"': { en: 'Use only package names in requirements.txt, not pip options: "{package}"', es: 'Use solo nombres de paquetes en el requirements.txt, no opciones de pip: "{package}"' },
+    'Senha do Redis deve ter pelo menos 12 caracteres': { en: 'Redis password must be at least 12 characters long', es: 'La contraseña de Redis debe tener al menos 12 caracteres' },
+    'Senha do Grafana deve ter pelo menos 8 caracteres': { en: 'Grafana password must be at least 8 characters long', es: 'La contraseña de Grafana debe tener al menos 8 caracteres' },
+    'Agendamento do backup deve estar no formato cron (ex: 0 2 * * *)': { en: 'Backup schedule must be in cron format (e.g. 0 2 * * *)', es: 'La programación del backup debe estar en formato cron (ej: 0 2 * * *)' },
+    'Mantenha pelo menos 1 backup diário': { en: 'Keep at least 1 daily backup', es: 'Mantenga al menos 1 backup diario' },
+    'Retenção semanal/mensal não pode ser negativa': { en: 'Weekly/monthly retention cannot be negative', es: 'La retención semanal/mensual no puede ser negativa' },
+    'Senha do banco deve ter pelo menos 12 caracteres': { en: 'Database password must be at least 12 characters long', es: 'La contraseña de la base de datos debe tener al menos 12 caracteres' },
+    'Senha master deve ter pelo menos 12 caracteres': { en: 'Master password must be at least 12 characters long', es: 'La contraseña maestra debe tener al menos 12 caracteres' },
+    'Senhas não podem conter espaços em branco': { en: 'Passwords cannot contain whitespace', es: 'Las contraseñas no pueden contener espacios en blanco' },
+    'Senhas não podem ser apenas números': { en: 'Passwords cannot be numbers only', es: 'Las contraseñas no pueden ser solo números' },
+    'A senha do banco não pode conter aspas duplas ("): o entrypoint da imagem oficial do Odoo as remove e o login no banco falharia': { en: 'The database password cannot contain double quotes ("): the official Odoo image entrypoint strips them and the database login would fail', es: 'La contraseña de la base de datos no puede contener comillas dobles ("): el entrypoint de la imagen oficial de Odoo las elimina y el inicio de sesión en la base fallaría' },
+    'Senhas não podem conter quebras de linha ou caracteres de controle': { en: 'Passwords cannot contain line breaks or control characters', es: 'Las contraseñas no pueden contener saltos de línea ni caracteres de control' },
+    'Modo de geração inválido para {field}: {mode}': { en: 'Invalid generation mode for {field}: {mode}', es: 'Modo de generación inválido para {field}: {mode}' },
+    'Senha aleatória de {field}: 12 a 128 caracteres e um conjunto de caracteres válido': { en: 'Random password for {field}: 12 to 128 characters and a valid character set', es: 'Contraseña aleatoria de {field}: 12 a 128 caracteres y un conjunto de caracteres válido' },
+    'Frase-senha de {field}: entre 4 e 12 palavras': { en: 'Passphrase for {field}: between 4 and 12 words', es: 'Frase de contraseña de {field}: entre 4 y 12 palabras' },
+    'Se usar workers, configure pelo menos 2. Use 0 apenas para desenvolvimento.': { en: 'If you use workers, configure at least 2. Use 0 for development only.', es: 'Si usa workers, configure al menos 2. Use 0 solo para desarrollo.' },
+    'Os limites de memória do Odoo e do PostgreSQL devem ser de pelo menos 1 GB': { en: 'The Odoo and PostgreSQL memory limits must be at least 1 GB', es: 'Los límites de memoria de Odoo y de PostgreSQL deben ser de al menos 1 GB' },
+    'Let\'s Encrypt exige um domínio público (configure no passo 1)': { en: 'Let\'s Encrypt requires a public domain (set it in step 1)', es: 'Let\'s Encrypt requiere un dominio público (configúrelo en el paso 1)' },
+    'Informe um e-mail válido para o registro no Let\'s Encrypt': { en: 'Enter a valid email for the Let\'s Encrypt registration', es: 'Indique un email válido para el registro en Let\'s Encrypt' },
+    'Os limites de memória dos containers somam {total} GB, acima dos {host} GB do host': { en: 'The container memory limits add up to {total} GB, above the {host} GB of the host', es: 'Los límites de memoria de los contenedores suman {total} GB, por encima de los {host} GB del host' },
+    '{memory} GB do Odoo para {processes} processo(s) deixam {share} MB para cada um (mínimo recomendado: {min} MB): aumente a memória do Odoo ou reduza os workers': { en: '{memory} GB of Odoo for {processes} process(es) leave {share} MB for each (recommended minimum: {min} MB): raise the Odoo memory or reduce the workers', es: '{memory} GB de Odoo para {processes} proceso(s) dejan {share} MB para cada uno (mínimo recomendado: {min} MB): aumente la memoria de Odoo o reduzca los workers' },
+    '{workers} workers para {cpus} núcleo(s): o recomendado é no máximo {max} (2 × núcleos + 1)': { en: '{workers} workers for {cpus} core(s): the recommended maximum is {max} (2 × cores + 1)', es: '{workers} workers para {cpus} núcleo(s): lo recomendado es como máximo {max} (2 × núcleos + 1)' },
+    'Nome deve conter apenas letras minúsculas, números e hífens': { en: 'Name must contain only lowercase letters, numbers and hyphens', es: 'El nombre debe contener solo letras minúsculas, números y guiones' },
+    'Porta deve estar entre 1024 e 65535': { en: 'Port must be between 1024 and 65535', es: 'El puerto debe estar entre 1024 y 65535' },
+    'Formato de domínio inválido': { en: 'Invalid domain format', es: 'Formato de dominio inválido' },
 
-# Verificar se .env não está no git
-if git rev-parse --git-dir > /dev/null 2>&1; then
-    if git check-ignore .env > /dev/null 2>&1; then
-        echo "✅ Arquivo .env está no .gitignore"
-    else
-        echo "⚠️  ATENÇÃO: Adicione '.env' ao seu .gitignore!"
-    fi
-fi
+    // === Auditoria de segurança ===
+    'Excelente': { en: 'Excellent', es: 'Excelente' },
+    'Boa': { en: 'Good', es: 'Buena' },
+    'Requer atenção': { en: 'Needs attention', es: 'Requiere atención' },
+    'Crítica': { en: 'Critical', es: 'Crítica' },
+    'Crítico': { en: 'Critical', es: 'Crítico' },
+    'Alto': { en: 'High', es: 'Alto' },
+    'Médio': { en: 'Medium', es: 'Medio' },
+    'Baixo': { en: 'Low', es: 'Bajo' },
+    'banco': { en: 'database', es: 'de la base de datos' },
+    'master': { en: 'master', es: 'maestra' },
+    'Redis': { en: 'Redis', es: 'de Redis' },
+    'SMTP': { en: 'SMTP', es: 'SMTP' },
+    'Grafana': { en: 'Grafana', es: 'de Grafana' },
+    'gerenciador de bancos': { en: 'database manager', es: 'del gestor de bases de datos' },
+    'Senha {name} fraca': { en: 'Weak {name} password', es: 'Contraseña {name} débil' },
+    'Menos de 50 bits de entropia ({bits} bits): vulnerável a força bruta.': { en: 'Less than 50 bits of entropy ({bits} bits): vulnerable to brute force.', es: 'Menos de 50 bits de entropía ({bits} bits): vulnerable a fuerza bruta.' },
+    'Gerar nova senha': { en: 'Generate a new password', es: 'Generar una nueva contraseña' },
+    'Senhas no .env e no odoo.conf': { en: 'Passwords in .env and odoo.conf', es: 'Contraseñas en el .env y en el odoo.conf' },
+    'Qualquer cópia desses arquivos (backup, repositório, suporte) leva as senhas junto.': { en: 'Any copy of these files (backup, repository, support) takes the passwords along.', es: 'Cualquier copia de estos archivos (backup, repositorio, soporte) se lleva las contraseñas.' },
+    'Usar Docker secrets': { en: 'Use Docker secrets', es: 'Usar Docker secrets' },
+    'Porta 5432 do PostgreSQL publicada': { en: 'PostgreSQL port 5432 published', es: 'Puerto 5432 de PostgreSQL publicado' },
+    'O banco fica acessível por qualquer máquina que alcance o host; o Odoo usa a rede interna.': { en: 'The database is reachable by any machine that can reach the host; Odoo uses the internal network.', es: 'La base de datos queda accesible para cualquier máquina que alcance el host; Odoo usa la red interna.' },
+    'Manter o banco só na rede interna': { en: 'Keep the database on the internal network only', es: 'Mantener la base de datos solo en la red interna' },
+    'Portas {http}/{chat} do Odoo publicadas com proxy reverso': { en: 'Odoo ports {http}/{chat} published alongside a reverse proxy', es: 'Puertos {http}/{chat} de Odoo publicados con proxy inverso' },
+    'O Odoo continua acessível sem o {proxy}: sem HTTPS, sem headers de segurança e com IPs de cliente forjáveis (proxy_mode).': { en: 'Odoo stays reachable without {proxy}: no HTTPS, no security headers and spoofable client IPs (proxy_mode).', es: 'Odoo sigue accesible sin {proxy}: sin HTTPS, sin headers de seguridad y con IPs de cliente falsificables (proxy_mode).' },
+    'Publicar só em 127.0.0.1': { en: 'Publish on 127.0.0.1 only', es: 'Publicar solo en 127.0.0.1' },
+    'Mailpit habilitado com domínio de produção': { en: 'Mailpit enabled with a production domain', es: 'Mailpit habilitado con dominio de producción' },
+    'Os emails não são entregues e ficam legíveis por qualquer um na porta 8025, sem autenticação.': { en: 'Emails are not delivered and anyone can read them on port 8025, without authentication.', es: 'Los emails no se entregan y cualquiera puede leerlos en el puerto 8025, sin autenticación.' },
+    'Desabilitar o Mailpit': { en: 'Disable Mailpit', es: 'Deshabilitar Mailpit' },
+    'Domínio de produção sem proxy reverso': { en: 'Production domain without a reverse proxy', es: 'Dominio de producción sin proxy inverso' },
+    'O Odoo atende direto em HTTP: senhas e cookies de sessão trafegam sem criptografia.': { en: 'Odoo serves plain HTTP directly: passwords and session cookies travel unencrypted.', es: 'Odoo atiende directamente en HTTP: contraseñas y cookies de sesión viajan sin cifrar.' },
+    'Usar Nginx com HTTPS': { en: 'Use Nginx with HTTPS', es: 'Usar Nginx con HTTPS' },
+    '{proxy} sem HTTPS': { en: '{proxy} without HTTPS', es: '{proxy} sin HTTPS' },
+    'Senhas e cookies de sessão trafegam sem criptografia entre o navegador e o proxy.': { en: 'Passwords and session cookies travel unencrypted between the browser and the proxy.', es: 'Contraseñas y cookies de sesión viajan sin cifrar entre el navegador y el proxy.' },
+    'Habilitar certificado autoassinado': { en: 'Enable a self-signed certificate', es: 'Habilitar certificado autofirmado' },
+    'Habilitar Let\'s Encrypt': { en: 'Enable Let\'s Encrypt', es: 'Habilitar Let\'s Encrypt' },
+    'Certificado autoassinado em produção': { en: 'Self-signed certificate in production', es: 'Certificado autofirmado en producción' },
+    'Os navegadores exibem alerta e os usuários aprendem a ignorá-lo.': { en: 'Browsers show a warning and users learn to ignore it.', es: 'Los navegadores muestran una alerta y los usuarios aprenden a ignorarla.' },
+    'Os navegadores exibem alerta e os usuários aprendem a ignorá-lo. Informe o e-mail do Let\'s Encrypt no passo de configuração para corrigir.': { en: 'Browsers show a warning and users learn to ignore it. Enter the Let\'s Encrypt email in the settings step to fix it.', es: 'Los navegadores muestran una alerta y los usuarios aprenden a ignorarla. Indique el email de Let\'s Encrypt en el paso de configuración para corregirlo.' },
+    'Usar Let\'s Encrypt': { en: 'Use Let\'s Encrypt', es: 'Usar Let\'s Encrypt' },
+    'Nginx sem endurecimento': { en: 'Nginx without hardening', es: 'Nginx sin endurecimiento' },
+    'Tentativas de senha no /web/login não têm limite e o navegador não recebe HSTS nem Content-Security-Policy.': { en: 'Password attempts on /web/login are unlimited and the browser receives neither HSTS nor Content-Security-Policy.', es: 'Los intentos de contraseña en /web/login no tienen límite y el navegador no recibe HSTS ni Content-Security-Policy.' },
+    'Endurecer o Nginx': { en: 'Harden Nginx', es: 'Endurecer Nginx' },
+    'Gerenciador de bancos acessível de qualquer IP': { en: 'Database manager reachable from any IP', es: 'Gestor de bases de datos accesible desde cualquier IP' },
+    'Criar, duplicar, excluir e baixar backups dos bancos fica protegido apenas por senhas.': { en: 'Creating, duplicating, deleting and downloading database backups is protected by passwords only.', es: 'Crear, duplicar, eliminar y descargar backups de las bases de datos queda protegido solo por contraseñas.' },
+    'Bloquear o gerenciador de bancos': { en: 'Block the database manager', es: 'Bloquear el gestor de bases de datos' },
+    'Let\'s Encrypt em modo staging': { en: 'Let\'s Encrypt in staging mode', es: 'Let\'s Encrypt en modo staging' },
+    'Certificados de teste não são confiáveis para os navegadores.': { en: 'Test certificates are not trusted by browsers.', es: 'Los certificados de prueba no son confiables para los navegadores.' },
+    'Emitir certificado válido': { en: 'Issue a valid certificate', es: 'Emitir un certificado válido' },
+    'Containers sem endurecimento': { en: 'Containers without hardening', es: 'Contenedores sin endurecimiento' },
+    'Os containers rodam com todas as capacidades padrão, raiz gravável e sem limite de processos; o banco divide a rede com os serviços publicados.': { en: 'Containers run with all default capabilities, a writable root and no process limit; the database shares the network with the published services.', es: 'Los contenedores corren con todas las capacidades predeterminadas, raíz escribible y sin límite de procesos; la base de datos comparte la red con los servicios publicados.' },
+    'Endurecer os containers': { en: 'Harden the containers', es: 'Endurecer los contenedores' },
+    'Sem backup agendado': { en: 'No scheduled backup', es: 'Sin backup programado' },
+    'Um ransomware, um erro de operação ou a perda do disco não têm volta.': { en: 'Ransomware, an operator mistake or a lost disk cannot be undone.', es: 'Un ransomware, un error de operación o la pérdida del disco no tienen vuelta atrás.' },
+    'Agendar backup diário': { en: 'Schedule a daily backup', es: 'Programar backup diario' },
+    'Log em nível debug': { en: 'Debug level logging', es: 'Log en nivel debug' },
+    'O log registra parâmetros de requisições e consultas, que podem conter dados pessoais.': { en: 'The log records request and query parameters, which may contain personal data.', es: 'El log registra parámetros de solicitudes y consultas, que pueden contener datos personales.' },
+    'Usar nível info': { en: 'Use info level', es: 'Usar nivel info' },
 
-# ===================================================================
-# INICIALIZAÇÃO DOS CONTAINERS
-# ===================================================================
-echo "🐳 Iniciando containers Docker..."
+    // === Mensagens do wizard ===
+    'Novas senhas geradas com sucesso!': { en: 'New passwords generated successfully!', es: '¡Nuevas contraseñas generadas con éxito!' },
+    'Link carregado com pendências: {error}': { en: 'Link loaded with pending issues: {error}', es: 'Enlace cargado con pendientes: {error}' },
+    '🔗 Configuração compartilhada carregada com novas senhas': { en: '🔗 Shared configuration loaded with new passwords', es: '🔗 Configuración compartida cargada con nuevas contraseñas' },
+    '❌ Link de compartilhamento inválido ou corrompido': { en: '❌ Invalid or corrupted share link', es: '❌ Enlace compartido inválido o dañado' },
+    '🔗 Link copiado! Senhas não são incluídas e serão geradas novamente': { en: '🔗 Link copied! Passwords are not included and will be generated again', es: '🔗 ¡Enlace copiado! Las contraseñas no se incluyen y se generarán de nuevo' },
+    '❌ Erro ao copiar o link': { en: '❌ Error copying the link', es: '❌ Error al copiar el enlace' },
+    'Descartar o rascunho atual e recomeçar com os valores padrão?': { en: 'Discard the current draft and start over with the default values?', es: '¿Descartar el borrador actual y empezar de nuevo con los valores predeterminados?' },
+    'Nome da configuração:': { en: 'Configuration name:', es: 'Nombre de la configuración:' },
+    '💾 Configuração "{name}" salva neste navegador': { en: '💾 Configuration "{name}" saved in this browser', es: '💾 Configuración "{name}" guardada en este navegador' },
+    'Selecione uma configuração salva': { en: 'Select a saved configuration', es: 'Seleccione una configuración guardada' },
+    '📂 Configuração "{name}" carregada com novas senhas': { en: '📂 Configuration "{name}" loaded with new passwords', es: '📂 Configuración "{name}" cargada con nuevas contraseñas' },
+    'Excluir a configuração "{name}"?': { en: 'Delete the configuration "{name}"?', es: '¿Eliminar la configuración "{name}"?' },
+    '🗑️ Configuração "{name}" excluída': { en: '🗑️ Configuration "{name}" deleted', es: '🗑️ Configuración "{name}" eliminada' },
+    '❌ Nenhum arquivo reconhecido. Use o ZIP gerado ou .env, docker-compose.yml, odoo.conf e secrets/*.txt': { en: '❌ No recognized file. Use the generated ZIP or .env, docker-compose.yml, odoo.conf and secrets/*.txt', es: '❌ Ningún archivo reconocido. Use el ZIP generado o .env, docker-compose.yml, odoo.conf y secrets/*.txt' },
+    '📂 Projeto importado ({files}): {count} campos preenchidos': { en: '📂 Project imported ({files}): {count} fields filled in', es: '📂 Proyecto importado ({files}): {count} campos completados' },
+    '❌ Erro ao ler os arquivos importados': { en: '❌ Error reading the imported files', es: '❌ Error al leer los archivos importados' },
+    'Nenhum campo precisou ser alterado.': { en: 'No field needed to change.', es: 'Ningún campo necesitó cambios.' },
+    'Você ainda pode ajustar qualquer campo nos próximos passos.': { en: 'You can still adjust any field in the next steps.', es: 'Todavía puede ajustar cualquier campo en los próximos pasos.' },
+    'Preset aplicado: {count} campo(s) alterado(s)': { en: 'Preset applied: {count} field(s) changed', es: 'Preset aplicado: {count} campo(s) modificado(s)' },
+    'Informe núcleos, memória e usuários simultâneos para calcular': { en: 'Enter cores, memory and concurrent users to calculate', es: 'Indique núcleos, memoria y usuarios simultáneos para calcular' },
+    '{workers} workers + {cron} thread(s) cron': { en: '{workers} workers + {cron} cron thread(s)', es: '{workers} workers + {cron} thread(s) cron' },
+    'Odoo {memory} GB (limite por processo: {soft} MB suave, {hard} MB rígido)': { en: 'Odoo {memory} GB (per-process limit: {soft} MB soft, {hard} MB hard)', es: 'Odoo {memory} GB (límite por proceso: {soft} MB suave, {hard} MB rígido)' },
+    'Recursos calculados com avisos': { en: 'Resources calculated with warnings', es: 'Recursos calculados con avisos' },
+    'Recursos calculados e aplicados': { en: 'Resources calculated and applied', es: 'Recursos calculados y aplicados' },
 
-# Usar docker-compose ou docker compose (versões mais novas)
-if command -v docker-compose &> /dev/null; then
-    COMPOSE_CMD="docker-compose"
-else
-    COMPOSE_CMD="docker compose"
-fi
+    // === Revisão ===
+    '✅ Sim': { en: '✅ Yes', es: '✅ Sí' },
+    '❌ Não': { en: '❌ No', es: '❌ No' },
+    'Resumo da Configuração': { en: 'Configuration Summary', es: 'Resumen de la Configuración' },
+    'ajustado manualmente: {fields}': { en: 'adjusted manually: {fields}', es: 'ajustado manualmente: {fields}' },
+    'Projeto:': { en: 'Project:', es: 'Proyecto:' },
+    'Destino:': { en: 'Target:', es: 'Destino:' },
+    'quadlet/, inicia no boot': { en: 'quadlet/, starts at boot', es: 'quadlet/, inicia en el arranque' },
+    'unidade systemd (inicia no boot)': { en: 'systemd unit (starts at boot)', es: 'unidad systemd (inicia en el arranque)' },
+    'Versão Odoo:': { en: 'Odoo Version:', es: 'Versión de Odoo:' },
+    'Porta HTTP:': { en: 'HTTP Port:', es: 'Puerto HTTP:' },
+    'Porta Tempo Real:': { en: 'Real-Time Port:', es: 'Puerto de Tiempo Real:' },
+    'Domínio:': { en: 'Domain:', es: 'Dominio:' },
+    'Localhost (desenvolvimento)': { en: 'Localhost (development)', es: 'Localhost (desarrollo)' },
+    '0 (Desenvolvimento)': { en: '0 (Development)', es: '0 (Desarrollo)' },
+    'Memória:': { en: 'Memory:', es: 'Memoria:' },
+    'Odoo {memory} GB ÷ {processes} processo(s) = até {hard} MB cada, PostgreSQL {dbMemory} GB': { en: 'Odoo {memory} GB ÷ {processes} process(es) = up to {hard} MB each, PostgreSQL {dbMemory} GB', es: 'Odoo {memory} GB ÷ {processes} proceso(s) = hasta {hard} MB cada uno, PostgreSQL {dbMemory} GB' },
+    'Total dos containers:': { en: 'Containers total:', es: 'Total de los contenedores:' },
+    'de {host} GB do servidor': { en: 'of the server\'s {host} GB', es: 'de {host} GB del servidor' },
+    '✅ Sessões de login (addon session_redis)': { en: '✅ Login sessions (session_redis addon)', es: '✅ Sesiones de login (addon session_redis)' },
+    '❌ Desabilitado (sessões em arquivos no volume do Odoo)': { en: '❌ Disabled (sessions in files on the Odoo volume)', es: '❌ Deshabilitado (sesiones en archivos en el volumen de Odoo)' },
+    'Proxy reverso:': { en: 'Reverse proxy:', es: 'Proxy inverso:' },
+    '❌ Nenhum': { en: '❌ None', es: '❌ Ninguno' },
+    'endurecido': { en: 'hardened', es: 'endurecido' },
+    'sem criptografia': { en: 'unencrypted', es: 'sin cifrado' },
+    '⚠️ Autoassinado (testes)': { en: '⚠️ Self-signed (testing)', es: '⚠️ Autofirmado (pruebas)' },
+    '❌ Desabilitado': { en: '❌ Disabled', es: '❌ Deshabilitado' },
+    'Banco de Dados:': { en: 'Database:', es: 'Base de Datos:' },
+    'usuário: {user}': { en: 'user: {user}', es: 'usuario: {user}' },
+    'modo transaction, {pool} conexões por banco (+{reserve} de reserva) para até {clients} conexões do Odoo': { en: 'transaction mode, {pool} connections per database (+{reserve} reserve) for up to {clients} Odoo connections', es: 'modo transaction, {pool} conexiones por base de datos (+{reserve} de reserva) para hasta {clients} conexiones de Odoo' },
+    'Porta PostgreSQL:': { en: 'PostgreSQL Port:', es: 'Puerto PostgreSQL:' },
+    '✅ Exposta (5432)': { en: '✅ Exposed (5432)', es: '✅ Expuesto (5432)' },
+    '🔒 Interna apenas': { en: '🔒 Internal only', es: '🔒 Solo interno' },
+    'Sessões no Redis:': { en: 'Sessions in Redis:', es: 'Sesiones en Redis:' },
+    'o addon {module} entra na imagem personalizada e guarda as sessões de login no Redis (válidas por {days} dias): elas sobrevivem à recriação do container do Odoo e são compartilhadas entre os workers. O Redis exige senha e fica só na rede interna (porta 6379 não publicada)': { en: 'the {module} addon goes into the custom image and stores login sessions in Redis (valid for {days} days): they survive recreating the Odoo container and are shared between the workers. Redis requires a password and stays on the internal network only (port 6379 not published)', es: 'el addon {module} entra en la imagen personalizada y guarda las sesiones de login en Redis (válidas por {days} días): sobreviven a la recreación del contenedor de Odoo y se comparten entre los workers. Redis exige contraseña y queda solo en la red interna (puerto 6379 no publicado)' },
+    'Nginx endurecido:': { en: 'Hardened Nginx:', es: 'Nginx endurecido:' },
+    'login limitado a 10 tentativas/min por IP': { en: 'login limited to 10 attempts/min per IP', es: 'login limitado a 10 intentos/min por IP' },
+    'sem HSTS/CSP (exigem HTTPS)': { en: 'no HSTS/CSP (they require HTTPS)', es: 'sin HSTS/CSP (requieren HTTPS)' },
+    'HSTS e CSP': { en: 'HSTS and CSP', es: 'HSTS y CSP' },
+    '(+{count} origens externas)': { en: '(+{count} external origins)', es: '(+{count} orígenes externos)' },
+    'CSP (sem HSTS no autoassinado)': { en: 'CSP (no HSTS with self-signed)', es: 'CSP (sin HSTS con autofirmado)' },
+    'gerenciador de bancos restrito ({restriction})': { en: 'database manager restricted ({restriction})', es: 'gestor de bases de datos restringido ({restriction})' },
+    'gerenciador de bancos bloqueado': { en: 'database manager blocked', es: 'gestor de bases de datos bloqueado' },
+    '🚫 fail2ban banindo IPs com falhas de login': { en: '🚫 fail2ban banning IPs with failed logins', es: '🚫 fail2ban bloqueando IPs con fallos de login' },
+    'Containers endurecidos:': { en: 'Hardened containers:', es: 'Contenedores endurecidos:' },
+    'no-new-privileges, capacidades removidas, raiz somente leitura, limites de processos e CPU; banco, Redis, backup e exporters só na rede interna': { en: 'no-new-privileges, dropped capabilities, read-only root, process and CPU limits; database, Redis, backup and exporters on the internal network only', es: 'no-new-privileges, capacidades eliminadas, raíz de solo lectura, límites de procesos y CPU; base de datos, Redis, backup y exporters solo en la red interna' },
+    'portas do Odoo apenas em 127.0.0.1': { en: 'Odoo ports on 127.0.0.1 only', es: 'puertos de Odoo solo en 127.0.0.1' },
+    'Senhas:': { en: 'Passwords:', es: 'Contraseñas:' },
+    '{kind} em secrets/ ({count} arquivos)': { en: '{kind} in secrets/ ({count} files)', es: '{kind} en secrets/ ({count} archivos)' },
+    'no .env e no odoo.conf': { en: 'in .env and odoo.conf', es: 'en el .env y en el odoo.conf' },
+    '📥 Mailpit (captura local em http://localhost:8025)': { en: '📥 Mailpit (local capture at http://localhost:8025)', es: '📥 Mailpit (captura local en http://localhost:8025)' },
+    '⚠️ Não configurado (configure depois pelo Odoo)': { en: '⚠️ Not configured (set it up later in Odoo)', es: '⚠️ No configurado (configúrelo después desde Odoo)' },
+    'remetente: {from}': { en: 'sender: {from}', es: 'remitente: {from}' },
+    'Addons OCA:': { en: 'OCA Addons:', es: 'Addons OCA:' },
+    'Nenhum': { en: 'None', es: 'Ninguno' },
+    'Imagem Odoo:': { en: 'Odoo Image:', es: 'Imagen de Odoo:' },
+    'Dockerfile: {pip} pacotes pip, {apt} apt': { en: 'Dockerfile: {pip} pip packages, {apt} apt', es: 'Dockerfile: {pip} paquetes pip, {apt} apt' },
+    'oficial': { en: 'official', es: 'oficial' },
+    'mantém {daily} diários, {weekly} semanais, {monthly} mensais': { en: 'keeps {daily} daily, {weekly} weekly, {monthly} monthly', es: 'mantiene {daily} diarios, {weekly} semanales, {monthly} mensuales' },
+    '❌ Manual (pg_dump)': { en: '❌ Manual (pg_dump)', es: '❌ Manual (pg_dump)' },
+    'Monitoramento:': { en: 'Monitoring:', es: 'Monitoreo:' },
+    'Desabilitado': { en: 'Disabled', es: 'Deshabilitado' },
+    'Dimensionamento': { en: 'Sizing', es: 'Dimensionamiento' },
+    'Auditoria de segurança:': { en: 'Security audit:', es: 'Auditoría de seguridad:' },
+    'Nenhum problema encontrado.': { en: 'No issues found.', es: 'Ningún problema encontrado.' },
+    'correção aplicada': { en: 'fix applied', es: 'corrección aplicada' },
+    '{count} arquivo(s) atualizado(s) ({files})': { en: '{count} file(s) updated ({files})', es: '{count} archivo(s) actualizado(s) ({files})' },
 
-echo "📦 Baixando imagens Docker..."
-$COMPOSE_CMD pull
+    // === Comandos e arquivos gerados ===
+    'Comandos Kubernetes para Executar': { en: 'Kubernetes Commands to Run', es: 'Comandos de Kubernetes para Ejecutar' },
+    'Navegar para o diretório do projeto': { en: 'Go to the project directory', es: 'Ir al directorio del proyecto' },
+    'Construir e publicar a imagem (ajuste odoo.image no values.yaml)': { en: 'Build and push the image (adjust odoo.image in values.yaml)', es: 'Construir y publicar la imagen (ajuste odoo.image en el values.yaml)' },
+    'Instalar o chart em um namespace próprio': { en: 'Install the chart in its own namespace', es: 'Instalar el chart en un namespace propio' },
+    'Verificar os pods': { en: 'Check the pods', es: 'Verificar los pods' },
+    'Acessar o Odoo': { en: 'Access Odoo', es: 'Acceder a Odoo' },
+    'Aplicar alterações do values.yaml': { en: 'Apply values.yaml changes', es: 'Aplicar los cambios del values.yaml' },
+    'Comandos Podman para Executar': { en: 'Podman Commands to Run', es: 'Comandos de Podman para Ejecutar' },
+    'Instalar os quadlets e iniciar (rootless; como root usa o systemd do sistema)': { en: 'Install the quadlets and start (rootless; as root it uses the system systemd)', es: 'Instalar los quadlets e iniciar (rootless; como root usa el systemd del sistema)' },
+    'Verificar status dos serviços': { en: 'Check the service status', es: 'Verificar el estado de los servicios' },
+    'Ver logs (se necessário)': { en: 'View logs (if needed)', es: 'Ver logs (si es necesario)' },
+    'Reiniciar o Odoo': { en: 'Restart Odoo', es: 'Reiniciar Odoo' },
+    'Comandos Docker para Executar': { en: 'Docker Commands to Run', es: 'Comandos de Docker para Ejecutar' },
+    'Dar permissão ao script (Linux/Mac)': { en: 'Make the script executable (Linux/Mac)', es: 'Dar permiso al script (Linux/Mac)' },
+    'OU iniciar manualmente': { en: 'OR start manually', es: 'O iniciar manualmente' },
+    'Verificar status dos containers': { en: 'Check the container status', es: 'Verificar el estado de los contenedores' },
+    'Parar os containers': { en: 'Stop the containers', es: 'Detener los contenedores' },
+    '⚠️ {count} erro(s) de sintaxe nos arquivos gerados. Revise antes de baixar.': { en: '⚠️ {count} syntax error(s) in the generated files. Review them before downloading.', es: '⚠️ {count} error(es) de sintaxis en los archivos generados. Revíselos antes de descargar.' },
+    'Configurações geradas com sucesso!': { en: 'Configurations generated successfully!', es: '¡Configuraciones generadas con éxito!' },
+    'Verificação de sintaxe:': { en: 'Syntax check:', es: 'Verificación de sintaxis:' },
+    '{count} arquivos sem problemas': { en: '{count} files without issues', es: '{count} archivos sin problemas' },
+    '{errors} erro(s), {warnings} aviso(s)': { en: '{errors} error(s), {warnings} warning(s)', es: '{errors} error(es), {warnings} aviso(s)' },
+    'Entendo os erros acima e quero baixar o ZIP mesmo assim': { en: 'I understand the errors above and want to download the ZIP anyway', es: 'Entiendo los errores de arriba y quiero descargar el ZIP de todos modos' },
+    'Copiar {file}': { en: 'Copy {file}', es: 'Copiar {file}' },
+    '📋 {file} copiado para área de transferência!': { en: '📋 {file} copied to the clipboard!', es: '📋 ¡{file} copiado al portapapeles!' },
+    '❌ Erro ao copiar {file}. Tente copiar manualmente.': { en: '❌ Error copying {file}. Try copying it manually.', es: '❌ Error al copiar {file}. Intente copiarlo manualmente.' },
+    '❌ Nenhum arquivo foi gerado ainda!': { en: '❌ No file has been generated yet!', es: '❌ ¡Todavía no se generó ningún archivo!' },
+    '❌ Corrija os erros de sintaxe ou confirme que deseja baixar mesmo assim': { en: '❌ Fix the syntax errors or confirm that you want to download anyway', es: '❌ Corrija los errores de sintaxis o confirme que desea descargar de todos modos' },
+    '📦 Download do ZIP iniciado!': { en: '📦 ZIP download started!', es: '📦 ¡Descarga del ZIP iniciada!' },
+    '❌ Erro ao gerar ZIP. Use os botões individuais.': { en: '❌ Error generating the ZIP. Use the individual buttons.', es: '❌ Error al generar el ZIP. Use los botones individuales.' }
+};
 
-echo "🚀 Iniciando serviços..."
-$COMPOSE_CMD up -d
+/**
+ * Tradução dos comentários do docker-compose.yml, do odoo.conf e do setup.sh
+ * Chave: texto do comentário em português, sem o "#" e os espaços das bordas
+ * @type {Object<string, {en: string, es: string}>}
+ */
+const COMMENT_TRANSLATIONS = {
+    // === docker-compose.yml ===
+    'Gerado automaticamente pelo Gerador de Configuração Odoo': { en: 'Automatically generated by the Odoo Configuration Generator', es: 'Generado automáticamente por el Generador de Configuración de Odoo' },
+    'POSTGRESQL - Banco de dados principal': { en: 'POSTGRESQL - Main database', es: 'POSTGRESQL - Base de datos principal' },
+    'Ajustado à memória e aos workers': { en: 'Tuned to the memory and the workers', es: 'Ajustado a la memoria y a los workers' },
+    'Porta não exposta por segurança': { en: 'Port not exposed for security', es: 'Puerto no expuesto por seguridad' },
+    'Porta exposta apenas para desenvolvimento': { en: 'Port exposed for development only', es: 'Puerto expuesto solo para desarrollo' },
+    'Configuração montada no lugar da padrão (memória, conexões e WAL)': { en: 'Configuration mounted over the default one (memory, connections and WAL)', es: 'Configuración montada en lugar de la predeterminada (memoria, conexiones y WAL)' },
+    'Health check para garantir que banco está pronto antes de iniciar Odoo': { en: 'Health check to make sure the database is ready before Odoo starts', es: 'Health check para asegurar que la base de datos está lista antes de iniciar Odoo' },
+    'ODOO - Aplicação principal': { en: 'ODOO - Main application', es: 'ODOO - Aplicación principal' },
+    'Dockerfile + requirements.txt (veja .dockerignore)': { en: 'Dockerfile + requirements.txt (see .dockerignore)', es: 'Dockerfile + requirements.txt (ver .dockerignore)' },
+    'Tag da imagem construída localmente': { en: 'Tag of the locally built image', es: 'Tag de la imagen construida localmente' },
+    'Aguarda banco ficar saudável': { en: 'Waits for the database to be healthy', es: 'Espera a que la base de datos esté saludable' },
+    'Porta principal HTTP': { en: 'Main HTTP port', es: 'Puerto HTTP principal' },
+    'Porta principal HTTP (apenas no host: acesso externo pelo proxy)': { en: 'Main HTTP port (host only: external access through the proxy)', es: 'Puerto HTTP principal (solo en el host: acceso externo por el proxy)' },
+    'Dados persistentes do Odoo': { en: 'Odoo persistent data', es: 'Datos persistentes de Odoo' },
+    'Arquivos de configuração': { en: 'Configuration files', es: 'Archivos de configuración' },
+    'Logs do sistema': { en: 'System logs', es: 'Logs del sistema' },
+    'Pasta para módulos extra': { en: 'Folder for extra modules', es: 'Carpeta para módulos adicionales' },
+    'Repositórios OCA (baixados pelo fetch-addons.sh)': { en: 'OCA repositories (downloaded by fetch-addons.sh)', es: 'Repositorios OCA (descargados por fetch-addons.sh)' },
+    'Limites de recursos para evitar consumo excessivo (dividido entre os workers no odoo.conf)': { en: 'Resource limits to avoid excessive usage (split among the workers in odoo.conf)', es: 'Límites de recursos para evitar consumo excesivo (repartido entre los workers en odoo.conf)' },
+    'Senhas lidas de /run/secrets para uma cópia do odoo.conf fora do volume de configuração': { en: 'Passwords read from /run/secrets into a copy of odoo.conf outside the configuration volume', es: 'Contraseñas leídas de /run/secrets hacia una copia de odoo.conf fuera del volumen de configuración' },
+    'PgBouncer na frente do PostgreSQL (pool de conexões em pgbouncer/pgbouncer.ini)': { en: 'PgBouncer in front of PostgreSQL (connection pool in pgbouncer/pgbouncer.ini)', es: 'PgBouncer delante de PostgreSQL (pool de conexiones en pgbouncer/pgbouncer.ini)' },
+    'Mailpit captura todos os emails (visualize em http://localhost:8025)': { en: 'Mailpit captures every email (view them at http://localhost:8025)', es: 'Mailpit captura todos los emails (visualícelos en http://localhost:8025)' },
+    'Traefik: rotas, HTTPS e middlewares (headers de segurança e compressão) definidos aqui': { en: 'Traefik: routes, HTTPS and middlewares (security headers and compression) defined here', es: 'Traefik: rutas, HTTPS y middlewares (cabeceras de seguridad y compresión) definidos aquí' },
+    'REDIS - Sessões do Odoo (addon session_redis)': { en: 'REDIS - Odoo sessions (session_redis addon)', es: 'REDIS - Sesiones de Odoo (addon session_redis)' },
+    'Sessões no Redis (addon session_redis, carregado em server_wide_modules no odoo.conf)': { en: 'Sessions in Redis (session_redis addon, loaded in server_wide_modules in odoo.conf)', es: 'Sesiones en Redis (addon session_redis, cargado en server_wide_modules en odoo.conf)' },
+    'Sem "ports": acessível apenas pela rede interna, e sempre com senha': { en: 'No "ports": reachable only through the internal network, and always with a password', es: 'Sin "ports": accesible solo por la red interna, y siempre con contraseña' },
+    'AOF preserva as sessões entre reinícios; volatile-lru descarta só chaves com validade (as sessões)': { en: 'AOF keeps the sessions across restarts; volatile-lru only evicts keys with an expiry (the sessions)', es: 'AOF conserva las sesiones entre reinicios; volatile-lru descarta solo claves con expiración (las sesiones)' },
+    'A senha vem do ambiente ou do secret, fora da linha de comando versionada ($$ = $ para o shell)': { en: 'The password comes from the environment or the secret, outside the versioned command line ($$ = $ for the shell)', es: 'La contraseña viene del entorno o del secret, fuera de la línea de comandos versionada ($$ = $ para el shell)' },
+    'PGBOUNCER - Pool de conexões entre o Odoo e o PostgreSQL': { en: 'PGBOUNCER - Connection pool between Odoo and PostgreSQL', es: 'PGBOUNCER - Pool de conexiones entre Odoo y PostgreSQL' },
+    'Pools calculados pelos workers': { en: 'Pools calculated from the workers', es: 'Pools calculados según los workers' },
+    'Usuário e senha do banco': { en: 'Database user and password', es: 'Usuario y contraseña de la base de datos' },
+    'Sem "ports": o Odoo conecta pela rede interna na porta 6432': { en: 'No "ports": Odoo connects through the internal network on port 6432', es: 'Sin "ports": Odoo se conecta por la red interna en el puerto 6432' },
+    'MAILPIT - Captura os emails enviados pelo Odoo (desenvolvimento)': { en: 'MAILPIT - Captures the emails sent by Odoo (development)', es: 'MAILPIT - Captura los emails enviados por Odoo (desarrollo)' },
+    'Interface web para visualizar os emails capturados': { en: 'Web interface to view the captured emails', es: 'Interfaz web para ver los emails capturados' },
+    'SMTP interno na porta 1025 (acessível apenas pelos containers)': { en: 'Internal SMTP on port 1025 (reachable only by the containers)', es: 'SMTP interno en el puerto 1025 (accesible solo por los contenedores)' },
+    'BACKUP - Dump do banco + filestore agendados, com retenção': { en: 'BACKUP - Scheduled database dump + filestore, with retention', es: 'BACKUP - Dump de la base de datos + filestore programados, con retención' },
+    'Mesma versão do banco (pg_dump compatível)': { en: 'Same version as the database (compatible pg_dump)', es: 'Misma versión que la base de datos (pg_dump compatible)' },
+    'Lido pelo entrypoint.sh': { en: 'Read by entrypoint.sh', es: 'Leído por entrypoint.sh' },
+    'Scripts de backup': { en: 'Backup scripts', es: 'Scripts de backup' },
+    'Conjuntos gerados (daily/weekly/monthly)': { en: 'Generated sets (daily/weekly/monthly)', es: 'Conjuntos generados (daily/weekly/monthly)' },
+    'Filestore do Odoo (somente leitura)': { en: 'Odoo filestore (read-only)', es: 'Filestore de Odoo (solo lectura)' },
+    'NGINX - Proxy reverso para produção (SSL, compressão, cache)': { en: 'NGINX - Reverse proxy for production (SSL, compression, cache)', es: 'NGINX - Proxy inverso para producción (SSL, compresión, caché)' },
+    'HTTPS (configure SSL separadamente)': { en: 'HTTPS (configure SSL separately)', es: 'HTTPS (configure SSL por separado)' },
+    'Configuração personalizada': { en: 'Custom configuration', es: 'Configuración personalizada' },
+    'Certificados SSL': { en: 'SSL certificates', es: 'Certificados SSL' },
+    'Senha do gerenciador de bancos (gerada pelo setup.sh)': { en: 'Database manager password (generated by setup.sh)', es: 'Contraseña del gestor de bases de datos (generada por setup.sh)' },
+    "Certificados Let's Encrypt": { en: "Let's Encrypt certificates", es: "Certificados de Let's Encrypt" },
+    'Desafios ACME (webroot)': { en: 'ACME challenges (webroot)', es: 'Desafíos ACME (webroot)' },
+    'Logs em arquivo para o fail2ban (no lugar da saída padrão; sem rotação automática)': { en: 'File logs for fail2ban (instead of standard output; no automatic rotation)', es: 'Logs en archivo para fail2ban (en lugar de la salida estándar; sin rotación automática)' },
+    'Recarrega a configuração a cada 6h para aplicar certificados renovados': { en: 'Reloads the configuration every 6h to apply renewed certificates', es: 'Recarga la configuración cada 6h para aplicar los certificados renovados' },
+    "CERTBOT - Certificados Let's Encrypt com renovação automática": { en: "CERTBOT - Let's Encrypt certificates with automatic renewal", es: "CERTBOT - Certificados de Let's Encrypt con renovación automática" },
+    'Certificados e contas ACME': { en: 'ACME certificates and accounts', es: 'Certificados y cuentas ACME' },
+    'Webroot compartilhado com o Nginx': { en: 'Webroot shared with Nginx', es: 'Webroot compartido con Nginx' },
+    'Tenta renovar a cada 12h (o certbot só renova quando faltam menos de 30 dias)': { en: 'Tries to renew every 12h (certbot only renews when less than 30 days are left)', es: 'Intenta renovar cada 12h (certbot solo renueva cuando faltan menos de 30 días)' },
+    'FAIL2BAN - Bane IPs com falhas de login (logs do Odoo e do Nginx)': { en: 'FAIL2BAN - Bans IPs with login failures (Odoo and Nginx logs)', es: 'FAIL2BAN - Bloquea IPs con fallos de inicio de sesión (logs de Odoo y de Nginx)' },
+    'Rede do host e NET_ADMIN: os bloqueios vão para o iptables do host (cadeia DOCKER-USER)': { en: 'Host network and NET_ADMIN: bans go to the host iptables (DOCKER-USER chain)', es: 'Red del host y NET_ADMIN: los bloqueos van al iptables del host (cadena DOCKER-USER)' },
+    'Mesmo fuso dos logs do Odoo e do Nginx': { en: 'Same time zone as the Odoo and Nginx logs', es: 'Misma zona horaria que los logs de Odoo y de Nginx' },
+    'jail.d/ e filter.d/ gerados + banco de banimentos': { en: 'Generated jail.d/ and filter.d/ + ban database', es: 'jail.d/ y filter.d/ generados + base de datos de bloqueos' },
+    'odoo.log (falhas de login)': { en: 'odoo.log (login failures)', es: 'odoo.log (fallos de inicio de sesión)' },
+    'error.log (limite de login e senha do Nginx)': { en: 'error.log (login limit and Nginx password)', es: 'error.log (límite de inicio de sesión y contraseña de Nginx)' },
+    'TRAEFIK - Proxy reverso configurado pelos labels do serviço odoo': { en: 'TRAEFIK - Reverse proxy configured by the odoo service labels', es: 'TRAEFIK - Proxy inverso configurado por los labels del servicio odoo' },
+    'Apenas containers com traefik.enable=true': { en: 'Only containers with traefik.enable=true', es: 'Solo contenedores con traefik.enable=true' },
+    'Uploads e relatórios longos': { en: 'Uploads and long reports', es: 'Subidas e informes largos' },
+    "Certificados Let's Encrypt emitidos e renovados pelo próprio Traefik (desafio HTTP na porta 80)": { en: "Let's Encrypt certificates issued and renewed by Traefik itself (HTTP challenge on port 80)", es: "Certificados de Let's Encrypt emitidos y renovados por el propio Traefik (desafío HTTP en el puerto 80)" },
+    'Leitura dos labels dos containers': { en: 'Reads the container labels', es: 'Lectura de los labels de los contenedores' },
+    'Conta e certificados ACME (acme.json)': { en: 'ACME account and certificates (acme.json)', es: 'Cuenta y certificados ACME (acme.json)' },
+    'MONITORAMENTO - Perfil "monitoring" (ativado por COMPOSE_PROFILES no .env)': { en: 'MONITORING - "monitoring" profile (enabled by COMPOSE_PROFILES in .env)', es: 'MONITOREO - Perfil "monitoring" (activado por COMPOSE_PROFILES en .env)' },
+    'Histórico mantido': { en: 'History kept', es: 'Historial conservado' },
+    'Interface do Prometheus apenas no host local': { en: 'Prometheus interface on the local host only', es: 'Interfaz de Prometheus solo en el host local' },
+    'Interface web do Grafana': { en: 'Grafana web interface', es: 'Interfaz web de Grafana' },
+    'Fonte de dados e provedor': { en: 'Data source and provider', es: 'Fuente de datos y proveedor' },
+    'Dashboards JSON': { en: 'JSON dashboards', es: 'Dashboards JSON' },
+    'Usuário e senha separados da URI: a senha pode conter caracteres especiais': { en: 'User and password apart from the URI: the password may contain special characters', es: 'Usuario y contraseña separados de la URI: la contraseña puede contener caracteres especiales' },
+    'Necessário para ler as métricas dos cgroups': { en: 'Required to read the cgroup metrics', es: 'Necesario para leer las métricas de los cgroups' },
+    'stub_status exposto pelo Nginx apenas na rede interna (porta 8080)': { en: 'stub_status exposed by Nginx on the internal network only (port 8080)', es: 'stub_status expuesto por Nginx solo en la red interna (puerto 8080)' },
+    'VOLUMES - Dados persistentes': { en: 'VOLUMES - Persistent data', es: 'VOLÚMENES - Datos persistentes' },
+    'Dados do PostgreSQL': { en: 'PostgreSQL data', es: 'Datos de PostgreSQL' },
+    'Dados do Odoo (filestore, etc)': { en: 'Odoo data (filestore, etc)', es: 'Datos de Odoo (filestore, etc)' },
+    'Sessões do Redis (AOF)': { en: 'Redis sessions (AOF)', es: 'Sesiones de Redis (AOF)' },
+    'Séries temporais do Prometheus': { en: 'Prometheus time series', es: 'Series temporales de Prometheus' },
+    'Usuários e preferências do Grafana': { en: 'Grafana users and preferences', es: 'Usuarios y preferencias de Grafana' },
+    'SECRETS - Senhas em arquivos separados (montados em /run/secrets)': { en: 'SECRETS - Passwords in separate files (mounted at /run/secrets)', es: 'SECRETS - Contraseñas en archivos separados (montados en /run/secrets)' },
+    'NETWORK - Rede isolada para comunicação entre containers': { en: 'NETWORK - Isolated network for communication between containers', es: 'NETWORK - Red aislada para la comunicación entre contenedores' },
+    'Subnet dedicada para evitar conflitos': { en: 'Dedicated subnet to avoid conflicts', es: 'Subred dedicada para evitar conflictos' },
+    'Sem portas publicadas nem saída para a internet (banco, Redis, backup, exporters)': { en: 'No published ports and no internet access (database, Redis, backup, exporters)', es: 'Sin puertos publicados ni salida a internet (base de datos, Redis, backup, exporters)' },
 
-# ===================================================================
-# VERIFICAÇÃO DO STATUS
-# ===================================================================
-echo "⏳ Aguardando serviços ficarem prontos..."
-sleep 10
+    // === odoo.conf ===
+    'Arquivo de configuração principal do Odoo': { en: 'Main Odoo configuration file', es: 'Archivo de configuración principal de Odoo' },
+    'Documentação: https://www.odoo.com/documentation/': { en: 'Documentation: https://www.odoo.com/documentation/', es: 'Documentación: https://www.odoo.com/documentation/' },
+    'CONFIGURAÇÕES DO BANCO DE DADOS': { en: 'DATABASE SETTINGS', es: 'CONFIGURACIÓN DE LA BASE DE DATOS' },
+    'db_password: lida de secrets/db_password.txt pelo entrypoint-secrets.sh': { en: 'db_password: read from secrets/db_password.txt by entrypoint-secrets.sh', es: 'db_password: leída de secrets/db_password.txt por entrypoint-secrets.sh' },
+    'Conexões por processo (o max_connections do postgresql.conf comporta todos os processos)': { en: 'Connections per process (max_connections in postgresql.conf fits every process)', es: 'Conexiones por proceso (el max_connections de postgresql.conf admite todos los procesos)' },
+    'Conexões por processo com o PgBouncer (ele limita as conexões reais com o banco)': { en: 'Connections per process to PgBouncer (it limits the real connections to the database)', es: 'Conexiones por proceso con PgBouncer (él limita las conexiones reales con la base de datos)' },
+    'CONFIGURAÇÕES DO SERVIDOR WEB': { en: 'WEB SERVER SETTINGS', es: 'CONFIGURACIÓN DEL SERVIDOR WEB' },
+    'SEGURANÇA E CONTROLE DE ACESSO': { en: 'SECURITY AND ACCESS CONTROL', es: 'SEGURIDAD Y CONTROL DE ACCESO' },
+    'admin_passwd: lida de secrets/admin_password.txt pelo entrypoint-secrets.sh': { en: 'admin_passwd: read from secrets/admin_password.txt by entrypoint-secrets.sh', es: 'admin_passwd: leída de secrets/admin_password.txt por entrypoint-secrets.sh' },
+    'Oculta lista de BDs e desliga o gerenciador de bancos (/web/database/) por segurança': { en: 'Hides the database list and turns off the database manager (/web/database/) for security', es: 'Oculta la lista de BDs y desactiva el gestor de bases de datos (/web/database/) por seguridad' },
+    '(cada operação ainda exige a senha master)': { en: '(each operation still requires the master password)', es: '(cada operación aún exige la contraseña maestra)' },
+    'Permite acesso apenas ao BD configurado': { en: 'Allows access to the configured database only', es: 'Permite acceso solo a la BD configurada' },
+    'LIMITES DE PERFORMANCE E RECURSOS': { en: 'PERFORMANCE AND RESOURCE LIMITS', es: 'LÍMITES DE RENDIMIENTO Y RECURSOS' },
+    'Acima do limite suave o worker é reciclado após a requisição atual': { en: 'Above the soft limit the worker is recycled after the current request', es: 'Por encima del límite suave el worker se recicla después de la solicitud actual' },
+    'Acima do limite rígido a requisição é interrompida imediatamente': { en: 'Above the hard limit the request is stopped immediately', es: 'Por encima del límite rígido la solicitud se interrumpe inmediatamente' },
+    'Número máximo de requests por worker': { en: 'Maximum number of requests per worker', es: 'Número máximo de requests por worker' },
+    'Timeout CPU (10 minutos)': { en: 'CPU timeout (10 minutes)', es: 'Timeout de CPU (10 minutos)' },
+    'Timeout real (20 minutos)': { en: 'Real timeout (20 minutes)', es: 'Timeout real (20 minutos)' },
+    'CONFIGURAÇÕES DE LOG': { en: 'LOG SETTINGS', es: 'CONFIGURACIÓN DE LOG' },
+    'Rotação automática de logs': { en: 'Automatic log rotation', es: 'Rotación automática de logs' },
+    'Não loggar no banco (performance)': { en: 'Do not log to the database (performance)', es: 'No registrar logs en la base de datos (rendimiento)' },
+    'Falhas de login ("Login failed") sempre em INFO: lidas pelo fail2ban em qualquer log_level': { en: 'Login failures ("Login failed") always at INFO: read by fail2ban with any log_level', es: 'Fallos de inicio de sesión ("Login failed") siempre en INFO: leídos por fail2ban con cualquier log_level' },
+    'ADDONS E MÓDULOS': { en: 'ADDONS AND MODULES', es: 'ADDONS Y MÓDULOS' },
+    'Módulos carregados antes de qualquer banco: o session_redis troca o armazenamento de sessões': { en: 'Modules loaded before any database: session_redis replaces the session storage', es: 'Módulos cargados antes de cualquier base de datos: session_redis reemplaza el almacenamiento de sesiones' },
+    'CONFIGURAÇÕES DE EMAIL': { en: 'EMAIL SETTINGS', es: 'CONFIGURACIÓN DE EMAIL' },
+    'SMTP não configurado: cadastre o servidor em': { en: 'SMTP not configured: register the server in', es: 'SMTP no configurado: registre el servidor en' },
+    'Configurações > Técnico > Servidores de Email de Saída': { en: 'Settings > Technical > Outgoing Mail Servers', es: 'Ajustes > Técnico > Servidores de correo saliente' },
+    'ou preencha e descomente as linhas abaixo': { en: 'or fill in and uncomment the lines below', es: 'o complete y descomente las líneas de abajo' },
+    'smtp_server = smtp.exemplo.com.br': { en: 'smtp_server = smtp.example.com', es: 'smtp_server = smtp.ejemplo.com' },
+    'smtp_user = usuario@exemplo.com.br': { en: 'smtp_user = user@example.com', es: 'smtp_user = usuario@ejemplo.com' },
+    'smtp_password = senha': { en: 'smtp_password = password', es: 'smtp_password = contraseña' },
+    'smtp_password: lida de secrets/smtp_password.txt': { en: 'smtp_password: read from secrets/smtp_password.txt', es: 'smtp_password: leída de secrets/smtp_password.txt' },
+    'SSL/TLS implícito não é suportado pelo odoo.conf (smtp_ssl = STARTTLS)': { en: 'Implicit SSL/TLS is not supported by odoo.conf (smtp_ssl = STARTTLS)', es: 'SSL/TLS implícito no es compatible con odoo.conf (smtp_ssl = STARTTLS)' },
+    'Cadastre este servidor em Configurações > Técnico > Servidores de Email de Saída': { en: 'Register this server in Settings > Technical > Outgoing Mail Servers', es: 'Registre este servidor en Ajustes > Técnico > Servidores de correo saliente' },
+    'com Segurança da Conexão = SSL/TLS': { en: 'with Connection Encryption = SSL/TLS', es: 'con Seguridad de la conexión = SSL/TLS' },
+    'SESSÕES': { en: 'SESSIONS', es: 'SESIONES' },
+    'O odoo.conf não tem opções de Redis: o addon session_redis (server_wide_modules acima)': { en: 'odoo.conf has no Redis options: the session_redis addon (server_wide_modules above)', es: 'odoo.conf no tiene opciones de Redis: el addon session_redis (server_wide_modules arriba)' },
+    'lê as variáveis ODOO_SESSION_REDIS_* do serviço odoo (host, porta, senha, prefixo e validade)': { en: 'reads the ODOO_SESSION_REDIS_* variables of the odoo service (host, port, password, prefix and expiry)', es: 'lee las variables ODOO_SESSION_REDIS_* del servicio odoo (host, puerto, contraseña, prefijo y expiración)' },
+    'Sessões em arquivos no data_dir (volume odoo_data)': { en: 'Sessions in files in data_dir (odoo_data volume)', es: 'Sesiones en archivos en data_dir (volumen odoo_data)' },
+    'Para guardá-las no Redis, habilite o Redis no wizard (addon session_redis)': { en: 'To keep them in Redis, enable Redis in the wizard (session_redis addon)', es: 'Para guardarlas en Redis, habilite Redis en el asistente (addon session_redis)' },
+    'CONFIGURAÇÕES EXTRAS PARA PRODUÇÃO': { en: 'EXTRA SETTINGS FOR PRODUCTION', es: 'CONFIGURACIÓN ADICIONAL PARA PRODUCCIÓN' },
+    'Descomente se usar um proxy reverso (Nginx/Traefik/Apache)': { en: 'Uncomment if you use a reverse proxy (Nginx/Traefik/Apache)', es: 'Descomente si usa un proxy inverso (Nginx/Traefik/Apache)' },
+    'Restringir interface XML-RPC': { en: 'Restrict the XML-RPC interface', es: 'Restringir la interfaz XML-RPC' },
+    'Restringir interface NetRPC': { en: 'Restrict the NetRPC interface', es: 'Restringir la interfaz NetRPC' },
 
-echo "📊 Status dos containers:"
-$COMPOSE_CMD ps
+    // === setup.sh ===
+    'Script automatizado para configurar ambiente Odoo': { en: 'Automated script to set up the Odoo environment', es: 'Script automatizado para configurar el entorno de Odoo' },
+    'Gerado pelo Gerador de Configuração Odoo': { en: 'Generated by the Odoo Configuration Generator', es: 'Generado por el Generador de Configuración de Odoo' },
+    'VERIFICAÇÕES PRELIMINARES': { en: 'PRELIMINARY CHECKS', es: 'VERIFICACIONES PRELIMINARES' },
+    'Verificar se Docker está instalado e rodando': { en: 'Check that Docker is installed and running', es: 'Verificar que Docker está instalado y en ejecución' },
+    'Verificar se Docker Compose está disponível': { en: 'Check that Docker Compose is available', es: 'Verificar que Docker Compose está disponible' },
+    'Verificar se Podman 5.0+ está instalado (quadlets com Notify=healthy)': { en: 'Check that Podman 5.0+ is installed (quadlets with Notify=healthy)', es: 'Verificar que Podman 5.0+ está instalado (quadlets con Notify=healthy)' },
+    'Os quadlets viram serviços do systemd': { en: 'The quadlets become systemd services', es: 'Los quadlets se convierten en servicios de systemd' },
+    'Root usa o systemd do sistema; outros usuários o systemd do usuário (rootless)': { en: 'Root uses the system systemd; other users use the user systemd (rootless)', es: 'Root usa el systemd del sistema; los demás usuarios el systemd del usuario (rootless)' },
+    'Rootless só publica portas abaixo de 1024 se o kernel permitir': { en: 'Rootless only publishes ports below 1024 if the kernel allows it', es: 'Rootless solo publica puertos por debajo de 1024 si el kernel lo permite' },
+    'CRIAÇÃO DA ESTRUTURA DE DIRETÓRIOS': { en: 'DIRECTORY STRUCTURE CREATION', es: 'CREACIÓN DE LA ESTRUCTURA DE DIRECTORIOS' },
+    'Criar diretórios necessários': { en: 'Create the required directories', es: 'Crear los directorios necesarios' },
+    'O Odoo roda como uid 101 no container: no rootless o dono é mapeado pelo podman unshare': { en: 'Odoo runs as uid 101 in the container: in rootless mode the owner is mapped by podman unshare', es: 'Odoo se ejecuta como uid 101 en el contenedor: en rootless el dueño se mapea con podman unshare' },
+    'CONFIGURAÇÃO DE PERMISSÕES': { en: 'PERMISSION SETUP', es: 'CONFIGURACIÓN DE PERMISOS' },
+    'Permissões seguras para arquivos sensíveis': { en: 'Safe permissions for sensitive files', es: 'Permisos seguros para archivos sensibles' },
+    'Diretório de logs': { en: 'Log directory', es: 'Directorio de logs' },
+    'Arquivo de ambiente (apenas proprietário)': { en: 'Environment file (owner only)', es: 'Archivo de entorno (solo el propietario)' },
+    'Configuração do Odoo (leitura geral)': { en: 'Odoo configuration (world-readable)', es: 'Configuración de Odoo (lectura general)' },
+    'Configuração do PostgreSQL (lida pelo usuário postgres)': { en: 'PostgreSQL configuration (read by the postgres user)', es: 'Configuración de PostgreSQL (leída por el usuario postgres)' },
+    'Script executável': { en: 'Executable script', es: 'Script ejecutable' },
+    'Secrets de arquivo são bind mounts: os usuários dos containers (postgres, odoo,': { en: 'File secrets are bind mounts: the container users (postgres, odoo,', es: 'Los secrets de archivo son bind mounts: los usuarios de los contenedores (postgres, odoo,' },
+    'grafana) precisam ler os arquivos, então a proteção fica no diretório (700)': { en: 'grafana) need to read the files, so the protection is on the directory (700)', es: 'grafana) necesitan leer los archivos, así que la protección queda en el directorio (700)' },
+    'Apenas o proprietário lista/acessa as senhas': { en: 'Only the owner lists/accesses the passwords', es: 'Solo el propietario lista/accede a las contraseñas' },
+    'Lidos pelos containers via /run/secrets': { en: 'Read by the containers through /run/secrets', es: 'Leídos por los contenedores vía /run/secrets' },
+    'Entrypoint do Odoo que lê os secrets': { en: 'Odoo entrypoint that reads the secrets', es: 'Entrypoint de Odoo que lee los secrets' },
+    'O PgBouncer lê a senha do banco do secret; o diretório não guarda senhas': { en: 'PgBouncer reads the database password from the secret; the folder holds no passwords', es: 'PgBouncer lee la contraseña de la base de datos del secret; el directorio no guarda contraseñas' },
+    'Monta o userlist.txt a partir do secret': { en: 'Builds userlist.txt from the secret', es: 'Arma el userlist.txt a partir del secret' },
+    'Modo secrets: a senha do banco só existe em /run/secrets e no /tmp do container': { en: 'Secrets mode: the database password only exists in /run/secrets and in the container /tmp', es: 'Modo secrets: la contraseña de la base de datos solo existe en /run/secrets y en el /tmp del contenedor' },
+    'Mesma proteção dos secrets: a senha fica no userlist.txt, lido pelo usuário do container': { en: 'Same protection as the secrets: the password is in userlist.txt, read by the container user', es: 'Misma protección que los secrets: la contraseña está en userlist.txt, leído por el usuario del contenedor' },
+    'Apenas o proprietário acessa a senha do banco': { en: 'Only the owner accesses the database password', es: 'Solo el propietario accede a la contraseña de la base de datos' },
+    'Download dos addons OCA': { en: 'OCA addons download', es: 'Descarga de los addons OCA' },
+    'Script de restauração': { en: 'Restore script', es: 'Script de restauración' },
+    'Criar diretório para backups (boa prática)': { en: 'Create a directory for backups (good practice)', es: 'Crear un directorio para backups (buena práctica)' },
+    'ADDONS OCA': { en: 'OCA ADDONS', es: 'ADDONS OCA' },
+    'O Odoo não inicia se um diretório do addons_path não existir': { en: 'Odoo does not start if an addons_path directory does not exist', es: 'Odoo no inicia si un directorio del addons_path no existe' },
+    'CERTIFICADOS SSL': { en: 'SSL CERTIFICATES', es: 'CERTIFICADOS SSL' },
+    'Gera certificado autoassinado: gerar_certificado_autoassinado <chave> <certificado> <dias>': { en: 'Creates a self-signed certificate: gerar_certificado_autoassinado <key> <certificate> <days>', es: 'Genera un certificado autofirmado: gerar_certificado_autoassinado <clave> <certificado> <días>' },
+    'Usa o openssl local ou, se não estiver instalado, um container descartável': { en: 'Uses the local openssl or, if it is not installed, a throwaway container', es: 'Usa el openssl local o, si no está instalado, un contenedor desechable' },
+    'Certificado autoassinado para testes locais (o navegador exibirá um aviso)': { en: 'Self-signed certificate for local tests (the browser will show a warning)', es: 'Certificado autofirmado para pruebas locales (el navegador mostrará un aviso)' },
+    "O Nginx não inicia sem certificado: cria um provisório até o Let's Encrypt emitir o real": { en: "Nginx does not start without a certificate: creates a temporary one until Let's Encrypt issues the real one", es: "Nginx no inicia sin certificado: crea uno provisional hasta que Let's Encrypt emita el real" },
+    'SENHA DO GERENCIADOR DE BANCOS (autenticação HTTP do Nginx)': { en: 'DATABASE MANAGER PASSWORD (Nginx HTTP authentication)', es: 'CONTRASEÑA DEL GESTOR DE BASES DE DATOS (autenticación HTTP de Nginx)' },
+    'Refeita a cada execução: rode ./setup.sh de novo depois de trocar a senha': { en: 'Rebuilt on every run: run ./setup.sh again after changing the password', es: 'Se rehace en cada ejecución: ejecute ./setup.sh de nuevo después de cambiar la contraseña' },
+    'Hash SHA-512 (crypt) com o openssl local ou, se não estiver instalado, um container descartável': { en: 'SHA-512 (crypt) hash with the local openssl or, if it is not installed, a throwaway container', es: 'Hash SHA-512 (crypt) con el openssl local o, si no está instalado, un contenedor desechable' },
+    'Lido pelo usuário do Nginx; contém apenas o hash': { en: 'Read by the Nginx user; contains only the hash', es: 'Leído por el usuario de Nginx; contiene solo el hash' },
+    'O Odoo (uid 101 no container) grava o logs/odoo.log lido pelo fail2ban': { en: 'Odoo (uid 101 in the container) writes the logs/odoo.log read by fail2ban', es: 'Odoo (uid 101 en el contenedor) escribe el logs/odoo.log leído por fail2ban' },
+    'Sem root, o chown é feito por um container descartável (o daemon do Docker roda como root)': { en: 'Without root, the chown is done by a throwaway container (the Docker daemon runs as root)', es: 'Sin root, el chown lo hace un contenedor desechable (el daemon de Docker corre como root)' },
+    'acme.json do Traefik guarda chaves privadas': { en: "Traefik's acme.json stores private keys", es: 'El acme.json de Traefik guarda claves privadas' },
+    'VERIFICAÇÕES DE SEGURANÇA': { en: 'SECURITY CHECKS', es: 'VERIFICACIONES DE SEGURIDAD' },
+    'Verificar se .env não está no git': { en: 'Check that .env is not in git', es: 'Verificar que .env no está en git' },
+    'INICIALIZAÇÃO DOS CONTAINERS': { en: 'CONTAINER STARTUP', es: 'INICIO DE LOS CONTENEDORES' },
+    'Usar docker-compose ou docker compose (versões mais novas)': { en: 'Use docker-compose or docker compose (newer versions)', es: 'Usar docker-compose o docker compose (versiones más nuevas)' },
+    'A imagem local do Odoo não existe no registry': { en: 'The local Odoo image does not exist in the registry', es: 'La imagen local de Odoo no existe en el registry' },
+    "EMISSÃO DO CERTIFICADO LET'S ENCRYPT": { en: "LET'S ENCRYPT CERTIFICATE ISSUANCE", es: "EMISIÓN DEL CERTIFICADO DE LET'S ENCRYPT" },
+    'O certbot não sobrescreve um diretório live/ que ele mesmo não criou': { en: 'certbot does not overwrite a live/ directory it did not create itself', es: 'certbot no sobrescribe un directorio live/ que él mismo no creó' },
+    'INSTALAÇÃO DOS QUADLETS E INICIALIZAÇÃO': { en: 'QUADLET INSTALLATION AND STARTUP', es: 'INSTALACIÓN DE LOS QUADLETS E INICIO' },
+    'Caminhos absolutos: o systemd não conhece o diretório do projeto': { en: 'Absolute paths: systemd does not know the project directory', es: 'Rutas absolutas: systemd no conoce el directorio del proyecto' },
+    'Serviços do usuário só sobem no boot (sem login) com linger ativo': { en: 'User services only start at boot (without login) with linger enabled', es: 'Los servicios del usuario solo arrancan en el boot (sin login) con linger activo' },
+    'INICIALIZAÇÃO NO BOOT (systemd)': { en: 'STARTUP AT BOOT (systemd)', es: 'INICIO EN EL BOOT (systemd)' },
+    'VERIFICAÇÃO DO STATUS': { en: 'STATUS CHECK', es: 'VERIFICACIÓN DEL ESTADO' },
+    'INFORMAÇÕES FINAIS': { en: 'FINAL INFORMATION', es: 'INFORMACIÓN FINAL' }
+};
 
-# ===================================================================
-# INFORMAÇÕES FINAIS
-# ===================================================================
-echo ""
-echo "🎉 Setup concluído com sucesso!"
-echo "=================================================="
-echo ""
-echo "📋 PRÓXIMOS PASSOS:"
-echo "1. Aguarde alguns minutos para o Odoo inicializar completamente"
-echo "2. Acesse: http://localhost:${config.httpPort}"
-echo "3. Configure sua primeira empresa no Odoo"
-echo ""
-echo "🔧 COMANDOS ÚTEIS:"
-echo "• Ver logs:        $COMPOSE_CMD logs -f odoo"
-echo "• Parar:           $COMPOSE_CMD down"
-echo "• Reiniciar:       $COMPOSE_CMD restart odoo"
-echo "• Status:          $COMPOSE_CMD ps"
-echo "• Backup BD:       $COMPOSE_CMD exec db pg_dump -U ${config.dbUser} ${config.dbName} > backups/backup_\$(date +%Y%m%d_%H%M%S).sql"
-echo ""
-echo "🔐 SEGURANÇA:"
-echo "• Senhas estão no arquivo .env"
-echo "• Configure SSL para produção"
-echo "• Faça backups regulares"
-echo "• Monitore logs regularmente"
-echo ""
-echo "📖 DOCUMENTAÇÃO:"
-echo "• Odoo: https://www.odoo.com/documentation"
-echo "• Docker: https://docs.docker.com"`;
-}
+/**
+ * Comentários com valores da configuração (nome do projeto, limites, proxy...)
+ * A substituição segue String.replace: $1 ou uma função que recebe os grupos
+ * @type {{pattern: RegExp, en: (string|Function), es: (string|Function)}[]}
+ */
+const COMMENT_PATTERNS = [
+    {
+        pattern: /^Configuração Docker Compose para (.+)$/,
+        en: 'Docker Compose configuration for $1',
+        es: 'Configuración de Docker Compose para $1'
+    },
+    {
+        pattern: /^CONFIGURAÇÃO ODOO - (.+)$/,
+        en: 'ODOO CONFIGURATION - $1',
+        es: 'CONFIGURACIÓN DE ODOO - $1'
+    },
+    {
+        pattern: /^SCRIPT DE SETUP - (.+)$/,
+        en: 'SETUP SCRIPT - $1',
+        es: 'SCRIPT DE INSTALACIÓN - $1'
+    },
+    {
+        pattern: /^Porta de tempo real \((\S+): chat, notificações\)$/,
+        en: 'Real-time port ($1: chat, notifications)',
+        es: 'Puerto de tiempo real ($1: chat, notificaciones)'
+    },
+    {
+        pattern: /^Porta de tempo real \((\S+)\), usada com workers > 0$/,
+        en: 'Real-time port ($1), used with workers > 0',
+        es: 'Puerto de tiempo real ($1), usado con workers > 0'
+    },
+    {
+        pattern: /^Limites POR PROCESSO: (\d+) GB do container ÷ (\d+) processo\(s\) \(workers \+ cron\), entre (\d+) e (\d+) MB$/,
+        en: 'PER-PROCESS limits: $1 GB of the container ÷ $2 process(es) (workers + cron), between $3 and $4 MB',
+        es: 'Límites POR PROCESO: $1 GB del contenedor ÷ $2 proceso(s) (workers + cron), entre $3 y $4 MB'
+    },
+    {
+        pattern: /^Atrás do (\S+): usa os cabeçalhos X-Forwarded-\* \(IP do cliente e HTTPS\)$/,
+        en: 'Behind $1: uses the X-Forwarded-* headers (client IP and HTTPS)',
+        es: 'Detrás de $1: usa las cabeceras X-Forwarded-* (IP del cliente y HTTPS)'
+    },
+    {
+        // Restrição montada por describeDbManagerRestriction
+        pattern: /^Gerenciador de bancos ligado: o Nginx só libera \/web\/database\/ para (.+)$/,
+        en: (match, restriction) => 'Database manager enabled: Nginx only allows /web/database/ for ' + restriction
+            .replace(/(\d+) IP\(s\)\/rede\(s\) liberados/, '$1 allowed IP(s)/network(s)')
+            .replace('senha do Nginx', 'the Nginx password')
+            .replace(' e ', ' and '),
+        es: (match, restriction) => 'Gestor de bases de datos activado: Nginx solo permite /web/database/ para ' + restriction
+            .replace(/(\d+) IP\(s\)\/rede\(s\) liberados/, '$1 IP(s)/red(es) permitidas')
+            .replace('senha do Nginx', 'la contraseña de Nginx')
+            .replace(' e ', ' y ')
+    }
+];
 
 /**
- * Gera arquivo .gitignore para o projeto
- * @returns {string} Conteúdo do arquivo .gitignore
+ * README.md das pastas vazias em inglês e espanhol (o português está em generateFolderReadme)
+ * fallback: texto das pastas sem README próprio
+ * @type {Object<string, {fallback: string, folders: Object<string, string>}>}
  */
-function generateGitignore() {
-    return `# ===================================================================
-# GITIGNORE - Projeto Odoo
-# ===================================================================
+const FOLDER_README_TRANSLATIONS = {
+    en: {
+        fallback: 'This folder is part of the Odoo project structure.',
+        folders: {
+            'logs/': `# Logs Folder
 
-# ===================================================================
-# ARQUIVOS SENSÍVEIS (NUNCA COMMITAR)
-# ===================================================================
-.env                    # Variáveis de ambiente com senhas
-*.log                   # Arquivos de log
-*.key                   # Chaves privadas
-*.pem                   # Certificados
+	This folder will store the Odoo logs automatically.
 
-# ===================================================================
-# DADOS PERSISTENTES
-# ===================================================================
-logs/                   # Logs do Odoo
-backups/                # Backups do banco de dados
-data/                   # Dados temporários
+	## Files that will show up here:
+	- \`odoo.log\` - Main Odoo log
+	- Automatically rotated logs
 
-# ===================================================================
-# CERTIFICADOS SSL
-# ===================================================================
-nginx/ssl/*.key         # Chaves privadas SSL
-nginx/ssl/*.crt         # Certificados SSL
-nginx/ssl/*.pem         # Certificados PEM
+	## Monitoring:
+	\`\`\`bash
+	# Follow logs in real time
+	docker-compose logs -f odoo
 
-# ===================================================================
-# ARQUIVOS DO SISTEMA OPERACIONAL
-# ===================================================================
-.DS_Store               # macOS
-Thumbs.db               # Windows
-desktop.ini             # Windows
+	# Specific logs
+	tail -f logs/odoo.log
+	\`\`\``,
 
-# ===================================================================
-# ARQUIVOS DE IDEs
-# ===================================================================
-.vscode/                # Visual Studio Code
-.idea/                  # IntelliJ/PyCharm
-*.swp                   # Vim
-*.swo                   # Vim
-*~                      # Backup files
+            'addons/': `# Custom Addons Folder
 
-# ===================================================================
-# ARQUIVOS TEMPORÁRIOS
-# ===================================================================
-*.tmp                   # Arquivos temporários
-*.temp                  # Arquivos temporários
-.cache/                 # Cache de aplicações
+	Put your custom Odoo modules in this folder.
 
-# ===================================================================
-# NOTAS
-# ===================================================================
-# Este .gitignore protege informações sensíveis
-# Sempre revise antes de commitar arquivos`;
-}
+	## Recommended structure:
+	\`\`\`
+	addons/
+	├── my_module/
+	│   ├── __manifest__.py
+	│   ├── models/
+	│   ├── views/
+	│   └── data/
+	└── another_module/
+	\`\`\`
 
-/**
- * Gera configuração do Nginx (se habilitado)
- * @param {OdooConfig} config - Configuração do projeto
- * @returns {string} Conteúdo do arquivo nginx.conf
- */
-function generateNginxConf(config) {
-    return `# ===================================================================
-# CONFIGURAÇÃO NGINX - ${config.projectName}
-# ===================================================================
-# Proxy reverso otimizado para Odoo
-# Melhora performance, segurança e facilita configuração SSL
+	## Installing addons:
+	1. Put the module in this folder
+	2. Restart Odoo: \`docker-compose restart odoo\`
+	3. Update the apps list in Odoo
+	4. Install the module from the interface`,
 
-events {
-    worker_connections 1024;        # Conexões simultâneas por worker
-    use epoll;                     # Método eficiente para Linux
-}
+            'nginx/ssl/': `# SSL Certificates
 
-http {
-    # ===============================================================
-    # CONFIGURAÇÕES BÁSICAS
-    # ===============================================================
-    include /etc/nginx/mime.types;
-    default_type application/octet-stream;
+	Put your SSL certificates in this folder for HTTPS.
 
-    # Formato de logs personalizado
-    log_format main '$remote_addr - $remote_user [$time_local] "$request" '
-                    '$status $body_bytes_sent "$http_referer" '
-                    '"$http_user_agent" "$http_x_forwarded_for"';
+	## Required files:
+	- \`your-domain.crt\` - SSL certificate
+	- \`your-domain.key\` - Private key
 
-    access_log /var/log/nginx/access.log main;
-    error_log /var/log/nginx/error.log;
+	## Setup:
+	1. Get certificates (Let's Encrypt recommended)
+	2. Put the files in this folder
+	3. Uncomment the HTTPS sections in nginx.conf
+	4. Restart Nginx: \`docker-compose restart nginx\`
 
-    # Otimizações de performance
-    sendfile on;                   # Transferência eficiente de arquivos
-    tcp_nopush on;                 # Otimiza envio de headers
-    tcp_nodelay on;                # Reduz latência
-    keepalive_timeout 65;          # Mantém conexões abertas
-    types_hash_max_size 2048;      # Cache de tipos MIME
-    client_max_body_size 128M;     # Limite para uploads (arquivos Odoo)
+	## Self-signed mode:
+	If the project was generated with self-signed HTTPS, \`setup.sh\` creates
+	\`selfsigned.crt\` and \`selfsigned.key\` here automatically.`,
 
-    # ===============================================================
-    # COMPRESSÃO GZIP (melhora velocidade)
-    # ===============================================================
-    gzip on;
-    gzip_vary on;
-    gzip_min_length 1000;          # Só comprime arquivos > 1KB
-    gzip_proxied any;
-    gzip_comp_level 6;             # Nível de compressão balanceado
-    gzip_types 
-        text/plain 
-        text/css 
-        text/xml 
-        text/javascript 
-        application/javascript 
-        application/xml+rss 
-        application/json;
+            'oca/': `# OCA Repositories
 
-    # ===============================================================
-    # UPSTREAM - Definição dos backends
-    # ===============================================================
-    upstream odoo {
-        server odoo:8069;           # Container principal do Odoo
-    }
+	The OCA repositories listed in \`repos.yaml\` are downloaded here
+	by \`fetch-addons.sh\` (run automatically by \`setup.sh\`).
 
-    upstream odoochat {
-        server odoo:8072;           # Container para longpolling/chat
-    }
+	## Commands:
+	\`\`\`bash
+	# Download/update the repositories
+	./fetch-addons.sh
 
-    # ===============================================================
-    # SERVIDOR HTTP (porta 80)
-    # ===============================================================
-    server {
-        listen 80;
-        server_name ${config.domain || 'localhost'};
+	# Apply in Odoo
+	docker-compose restart odoo
+	\`\`\`
 
-        # Para HTTPS em produção, descomente a linha abaixo:
-        # return 301 https://$server_name$request_uri;
+	Each repository is added to the \`addons_path\` in \`config/odoo.conf\`.
+	Some modules require extra Python libraries (see each repository's README).
+	This folder is in \`.gitignore\`: only version \`repos.yaml\`.`,
 
-        # Configurações de proxy para comunicação com Odoo
-        proxy_read_timeout 720s;    # Timeout de leitura (12 min)
-        proxy_connect_timeout 720s; # Timeout de conexão
-        proxy_send_timeout 720s;    # Timeout de envio
-        proxy_set_header Host $http_host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto http;
+            'backups/': `# Backups
 
-        # ========================================================
-        # ROTA PARA LONGPOLLING (chat, notificações em tempo real)
-        # ========================================================
-        location /longpolling {
-            proxy_pass http://odoochat;
-            proxy_set_header Upgrade $http_upgrade;
-            proxy_set_header Connection "upgrade";
-            proxy_http_version 1.1;
-            proxy_buffering off;
-        }
+	Sets created by the \`backup\` container (database + filestore).
 
-        # ========================================================
-        # ARQUIVOS ESTÁTICOS (CSS, JS, imagens)
-        # ========================================================
-        location ~* /web/static/ {
-            proxy_pass http://odoo;
-            proxy_cache_valid 200 60m;    # Cache por 1 hora
-            proxy_buffering on;
-            expires 864000;               # Expires em 10 dias
-            add_header Cache-Control "public, immutable";
-        }
+	## Structure:
+	- \`daily/AAAAMMDD_HHMMSS/\` - One set per scheduled run
+	- \`weekly/AAAA-Wss/\` - First set of each week
+	- \`monthly/AAAA-MM/\` - First set of each month
 
-        # ========================================================
-        # TODAS AS OUTRAS ROTAS (interface principal)
-        # ========================================================
-        location / {
-            proxy_pass http://odoo;
-            proxy_redirect off;
-        }
+	Each set contains \`database.dump\` and \`filestore.tar.gz\`.
 
-        # ========================================================
-        # SEGURANÇA BÁSICA
-        # ========================================================
-        # Ocultar versão do Nginx
-        server_tokens off;
-        
-        # Headers de segurança
-        add_header X-Frame-Options DENY;
-        add_header X-Content-Type-Options nosniff;
-        add_header X-XSS-Protection "1; mode=block";
-    }
+	## Commands:
+	\`\`\`bash
+	# Immediate backup
+	docker-compose exec backup /bin/sh /backup/backup.sh
 
-    # ===============================================================
-    # SERVIDOR HTTPS (porta 443) - DESCOMENTE PARA SSL
-    # ===============================================================
-    # server {
-    #     listen 443 ssl http2;
-    #     server_name ${config.domain || 'localhost'};
-    #     
-    #     # Certificados SSL (configure seus certificados)
-    #     ssl_certificate /etc/ssl/certs/your-cert.crt;
-    #     ssl_certificate_key /etc/ssl/certs/your-cert.key;
-    #     
-    #     # Configurações SSL modernas
-    #     ssl_protocols TLSv1.2 TLSv1.3;
-    #     ssl_ciphers HIGH:!aNULL:!MD5;
-    #     ssl_prefer_server_ciphers on;
-    #     
-    #     # Configurações de proxy (mesmas do HTTP)
-    #     proxy_read_timeout 720s;
-    #     proxy_connect_timeout 720s;
-    #     proxy_send_timeout 720s;
-    #     proxy_set_header Host $http_host;
-    #     proxy_set_header X-Real-IP $remote_addr;
-    #     proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-    #     proxy_set_header X-Forwarded-Proto https;
-    #     
-    #     location /longpolling {
-    #         proxy_pass http://odoochat;
-    #     }
-    #     
-    #     location / {
-    #         proxy_pass http://odoo;
-    #         proxy_redirect off;
-    #     }
-    # }
-}`;
-}
+	# List and restore sets
+	./restore.sh
+	./restore.sh backups/daily/20250101_020000
+	\`\`\`
+
+	**Important:** copy this folder to another server or to external storage.`,
+
+            'certbot/conf/': `# Let's Encrypt Certificates
+
+	Folder managed by certbot. Do not edit it manually.
+
+	## Contents:
+	- \`live/<domain>/\` - Certificate and key in use by Nginx
+	- \`renewal/\` - Automatic renewal configuration
+
+	## Renewal:
+	The \`certbot\` container tries to renew every 12 hours and Nginx
+	reloads its configuration every 6 hours. To force the renewal:
+	\`\`\`bash
+	docker-compose run --rm --entrypoint certbot certbot renew --force-renewal
+	docker-compose exec nginx nginx -s reload
+	\`\`\``,
+
+            'certbot/www/': `# Let's Encrypt Webroot
+
+	Temporary files of the HTTP-01 challenge, served by Nginx at
+	\`/.well-known/acme-challenge/\`. certbot creates and removes the files by itself.`,
+
+            'traefik/letsencrypt/': `# Let's Encrypt Certificates (Traefik)
+
+	Traefik writes \`acme.json\` here, with the ACME account and the issued
+	certificates. Do not edit it manually and do not version it: it contains private keys.
+
+	## Renewal:
+	Automatic: Traefik renews the certificates 30 days before they expire.
+	To force a new issuance, stop Traefik, delete \`acme.json\` and start it again:
+	\`\`\`bash
+	docker-compose stop traefik && rm traefik/letsencrypt/acme.json && docker-compose up -d traefik
+	\`\`\``
+        }
+    },
+    es: {
+        fallback: 'Esta carpeta es parte de la estructura del proyecto Odoo.',
+        folders: {
+            'logs/': `# Carpeta de Logs
+
+	Esta carpeta almacenará los logs de Odoo automáticamente.
+
+	## Archivos que aparecerán aquí:
+	- \`odoo.log\` - Log principal de Odoo
+	- Logs rotados automáticamente
+
+	## Monitoreo:
+	\`\`\`bash
+	# Ver logs en tiempo real
+	docker-compose logs -f odoo
+
+	# Ver logs específicos
+	tail -f logs/odoo.log
+	\`\`\``,
+
+            'addons/': `# Carpeta de Addons Personalizados
+
+	Coloque sus módulos personalizados de Odoo en esta carpeta.
+
+	## Estructura recomendada:
+	\`\`\`
+	addons/
+	├── mi_modulo/
+	│   ├── __manifest__.py
+	│   ├── models/
+	│   ├── views/
+	│   └── data/
+	└── otro_modulo/
+	\`\`\`
+
+	## Instalación de addons:
+	1. Coloque el módulo en esta carpeta
+	2. Reinicie Odoo: \`docker-compose restart odoo\`
+	3. Actualice la lista de aplicaciones en Odoo
+	4. Instale el módulo desde la interfaz`,
+
+            'nginx/ssl/': `# Certificados SSL
+
+	Coloque sus certificados SSL en esta carpeta para HTTPS.
+
+	## Archivos necesarios:
+	- \`your-domain.crt\` - Certificado SSL
+	- \`your-domain.key\` - Clave privada
+
+	## Configuración:
+	1. Obtenga certificados (se recomienda Let's Encrypt)
+	2. Coloque los archivos en esta carpeta
+	3. Descomente las secciones HTTPS en nginx.conf
+	4. Reinicie Nginx: \`docker-compose restart nginx\`
+
+	## Modo autofirmado:
+	Si el proyecto se generó con HTTPS autofirmado, \`setup.sh\` crea
+	\`selfsigned.crt\` y \`selfsigned.key\` aquí automáticamente.`,
+
+            'oca/': `# Repositorios OCA
+
+	Los repositorios de la OCA listados en \`repos.yaml\` se descargan aquí
+	con \`fetch-addons.sh\` (ejecutado automáticamente por \`setup.sh\`).
+
+	## Comandos:
+	\`\`\`bash
+	# Descargar/actualizar los repositorios
+	./fetch-addons.sh
+
+	# Aplicar en Odoo
+	docker-compose restart odoo
+	\`\`\`
+
+	Cada repositorio entra en el \`addons_path\` de \`config/odoo.conf\`.
+	Algunos módulos requieren bibliotecas Python adicionales (vea el README de cada repositorio).
+	Esta carpeta está en \`.gitignore\`: versione solo \`repos.yaml\`.`,
+
+            'backups/': `# Backups
+
+	Conjuntos creados por el contenedor \`backup\` (base de datos + filestore).
+
+	## Estructura:
+	- \`daily/AAAAMMDD_HHMMSS/\` - Un conjunto por ejecución programada
+	- \`weekly/AAAA-Wss/\` - Primer conjunto de cada semana
+	- \`monthly/AAAA-MM/\` - Primer conjunto de cada mes
+
+	Cada conjunto contiene \`database.dump\` y \`filestore.tar.gz\`.
+
+	## Comandos:
+	\`\`\`bash
+	# Backup inmediato
+	docker-compose exec backup /bin/sh /backup/backup.sh
+
+	# Listar y restaurar conjuntos
+	./restore.sh
+	./restore.sh backups/daily/20250101_020000
+	\`\`\`
+
+	**Importante:** copie esta carpeta a otro servidor o a un almacenamiento externo.`,
+
+            'certbot/conf/': `# Certificados de Let's Encrypt
+
+	Carpeta administrada por certbot. No la edite manualmente.
+
+	## Contenido:
+	- \`live/<dominio>/\` - Certificado y clave en uso por Nginx
+	- \`renewal/\` - Configuración de la renovación automática
+
+	## Renovación:
+	El contenedor \`certbot\` intenta renovar cada 12 horas y Nginx
+	recarga la configuración cada 6 horas. Para forzar la renovación:
+	\`\`\`bash
+	docker-compose run --rm --entrypoint certbot certbot renew --force-renewal
+	docker-compose exec nginx nginx -s reload
+	\`\`\``,
+
+            'certbot/www/': `# Webroot de Let's Encrypt
+
+	Archivos temporales del desafío HTTP-01, servidos por Nginx en
+	\`/.well-known/acme-challenge/\`. certbot crea y elimina los archivos por sí solo.`,
+
+            'traefik/letsencrypt/': `# Certificados de Let's Encrypt (Traefik)
+
+	Traefik guarda aquí el \`acme.json\`, con la cuenta ACME y los certificados
+	emitidos. No lo edite manualmente ni lo versione: contiene claves privadas.
+
+	## Renovación:
+	Automática: Traefik renueva los certificados 30 días antes de que expiren.
+	Para forzar una nueva emisión, detenga Traefik, borre el \`acme.json\` y vuelva a iniciarlo:
+	\`\`\`bash
+	docker-compose stop traefik && rm traefik/letsencrypt/acme.json && docker-compose up -d traefik
+	\`\`\``
+        }
+    }
+};
 
 // ====================================================================
-// CLASSE PRINCIPAL DO WIZARD DE CONFIGURAÇÃO
+// UTILITÁRIOS E VALIDAÇÕES
 // ====================================================================
 
 /**
- * Classe que gerencia todo o wizard de configuração do Odoo
- * Controla navegação entre passos, validação, geração de arquivos
+ * Proxies reversos oferecidos na frente do Odoo
+ * @type {Object<string, string>}
  */
-class OdooConfigurationWizard {
-    constructor() {
-        // === ESTADO DO WIZARD ===
-        this.currentStep = 1;      // Passo atual (1-4)
-        this.totalSteps = 4;       // Total de passos após remover addons
-        this.config = {};          // Configuração coletada
-        
-        // Inicializar wizard
-        this.init();
+const REVERSE_PROXIES = {
+    none: 'Nenhum (Odoo exposto diretamente)',
+    nginx: 'Nginx',
+    traefik: 'Traefik'
+};
+
+/**
+ * Proxy reverso escolhido
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} 'none', 'nginx' ou 'traefik'
+ */
+function getReverseProxy(config) {
+    return config.reverseProxy || 'none';
+}
+
+/**
+ * Determina o modo HTTPS efetivo do projeto
+ * HTTPS só existe com um proxy reverso (é ele quem termina o TLS)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} 'none', 'letsencrypt' ou 'selfsigned'
+ */
+function getSslMode(config) {
+    if (getReverseProxy(config) === 'none') return 'none';
+    return config.sslMode || 'none';
+}
+
+/**
+ * Indica se o container certbot é usado: Let's Encrypt com o Nginx
+ * O Traefik emite e renova os certificados sozinho (resolvedor ACME)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesCertbot(config) {
+    return getReverseProxy(config) === 'nginx' && getSslMode(config) === 'letsencrypt';
+}
+
+/**
+ * Endereço em que as portas do Odoo são publicadas no host
+ * Com proxy reverso e odooPortsLocalOnly (ou o endurecimento de containers), só o próprio host
+ * acessa o Odoo sem passar pelo proxy
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Prefixo do mapeamento de portas ('' = todas as interfaces)
+ */
+function getOdooPortBinding(config) {
+    return (config.odooPortsLocalOnly || usesContainerHardening(config)) && getReverseProxy(config) !== 'none' ? '127.0.0.1:' : '';
+}
+
+/**
+ * Acesso ao gerenciador de bancos (/web/database/*) com o endurecimento do Nginx
+ * Sem o endurecimento ele fica desligado no próprio Odoo (list_db = False)
+ * @type {Object<string, string>}
+ */
+const DB_MANAGER_ACCESS = {
+    block: 'Bloqueado no Nginx',
+    restricted: 'Restrito por IP e/ou senha'
+};
+
+/**
+ * Usuário da autenticação HTTP do gerenciador de bancos (nginx/htpasswd)
+ * @type {string}
+ */
+const DB_MANAGER_USER = 'admin';
+
+/**
+ * Indica se o nginx.conf é endurecido: limite de tentativas de login,
+ * gerenciador de bancos protegido, HSTS e CSP
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesNginxHardening(config) {
+    return Boolean(config.nginxHardening) && getReverseProxy(config) === 'nginx';
+}
+
+/**
+ * Indica se o gerenciador de bancos fica ligado no Odoo (list_db = True),
+ * acessível apenas pelos IPs liberados e/ou com a senha do Nginx
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function isDbManagerRestricted(config) {
+    return usesNginxHardening(config) && config.dbManagerAccess === 'restricted';
+}
+
+/**
+ * Indica se o Nginx pede usuário e senha (nginx/htpasswd) no gerenciador de bancos
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesDbManagerAuth(config) {
+    return isDbManagerRestricted(config) && Boolean(config.dbManagerAuth);
+}
+
+/**
+ * Senhas geradas que os arquivos do projeto realmente usam (as demais ficam sem efeito)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string[]} Subconjunto de GENERATED_PASSWORD_FIELDS
+ */
+function getUsedPasswordFields(config) {
+    return ['dbPassword', 'adminPassword',
+        ...(config.enableRedis ? ['redisPassword'] : []),
+        ...(config.enableMonitoring ? ['grafanaPassword'] : []),
+        ...(usesDbManagerAuth(config) ? ['dbManagerPassword'] : [])];
+}
+
+/**
+ * Indica se o container fail2ban é usado (lê os logs do Nginx endurecido e do Odoo)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesFail2ban(config) {
+    return usesNginxHardening(config) && Boolean(config.enableFail2ban);
+}
+
+/**
+ * Descrição da restrição do gerenciador de bancos (comentários e mensagens)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Ex: "2 IP(s)/rede(s) liberados e senha do Nginx"
+ */
+function describeDbManagerRestriction(config) {
+    const allowlist = config.dbManagerAllowlist || [];
+    return [
+        ...(allowlist.length > 0 ? [`${allowlist.length} IP(s)/rede(s) liberados`] : []),
+        ...(config.dbManagerAuth ? ['senha do Nginx'] : [])
+    ].join(' e ');
+}
+
+/**
+ * Valida uma origem do Content-Security-Policy: apenas HTTPS, com curinga opcional no subdomínio
+ * (ex: https://js.stripe.com, https://*.paypal.com)
+ * @param {string} value - Origem informada
+ * @returns {boolean}
+ */
+function isValidCspOrigin(value) {
+    return /^https:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(:\d{1,5})?$/i.test(String(value));
+}
+
+/**
+ * Valida um endereço IPv4/IPv6 com prefixo CIDR opcional (ex: 203.0.113.0/24)
+ * @param {string} value - Endereço informado
+ * @returns {boolean}
+ */
+function isValidIpOrCidr(value) {
+    const [address, prefix, ...rest] = String(value).split('/');
+    if (rest.length > 0 || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) return false;
+    
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+        return address.split('.').every(octet => Number(octet) <= 255) && (prefix === undefined || Number(prefix) <= 32);
+    }
+    return /^[0-9a-fA-F:]+$/.test(address) && address.includes(':') && (prefix === undefined || Number(prefix) <= 128);
+}
+
+/**
+ * Caminhos do certificado e da chave privada dentro do container Nginx
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{certificate: string, key: string}} Caminhos usados no nginx.conf
+ */
+function getSslCertificatePaths(config) {
+    if (getSslMode(config) === 'letsencrypt') {
+        // Estrutura padrão do certbot: live/<domínio>/ aponta para a versão mais recente
+        return {
+            certificate: `/etc/letsencrypt/live/${config.domain}/fullchain.pem`,
+            key: `/etc/letsencrypt/live/${config.domain}/privkey.pem`
+        };
+    }
+    
+    // Certificado autoassinado gerado pelo setup.sh em nginx/ssl/
+    return {
+        certificate: '/etc/ssl/certs/selfsigned.crt',
+        key: '/etc/ssl/certs/selfsigned.key'
+    };
+}
+
+/**
+ * Caminhos de addons dentro do container, na ordem do addons_path
+ * Módulos customizados vêm primeiro para poderem sobrescrever os da OCA
+ * (o session_redis, com Redis, fica na imagem personalizada)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string[]} Diretórios para o addons_path
+ */
+function getAddonsPaths(config) {
+    return [
+        '/mnt/extra-addons',
+        ...(config.ocaRepositories || []).map(repo => `/mnt/oca-addons/${repo}`),
+        ...(config.enableRedis ? [SESSION_REDIS_ADDON.path] : []),
+        getOdooVersionInfo(config).coreAddonsPath
+    ];
+}
+
+/**
+ * Parâmetros SMTP efetivos que o Odoo usará para enviar emails
+ * O Mailpit (quando habilitado) substitui qualquer servidor informado
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{mode: string, host: string, port: number, encryption: string, user: string, password: string, from: string}}
+ *          mode: 'mailcatcher', 'smtp' ou 'none' (sem servidor configurado)
+ */
+function getSmtpSettings(config) {
+    const from = config.emailFrom || `admin@${config.domain || 'localhost'}`;
+    
+    if (config.enableMailCatcher) {
+        // Mailpit aceita SMTP sem autenticação nem criptografia na porta 1025
+        return { mode: 'mailcatcher', host: 'mailpit', port: 1025, encryption: 'none', user: '', password: '', from };
+    }
+    
+    if (!config.smtpHost) {
+        return { mode: 'none', host: '', port: 0, encryption: 'none', user: '', password: '', from };
+    }
+    
+    return {
+        mode: 'smtp',
+        host: config.smtpHost,
+        port: config.smtpPort || 587,
+        encryption: config.smtpEncryption || 'starttls',
+        user: config.smtpUser || '',
+        password: config.smtpPassword || '',
+        from
+    };
+}
+
+/**
+ * Addon que guarda as sessões do Odoo no Redis (camptocamp/odoo-cloud-platform)
+ * O Odoo Community não tem opções de Redis no odoo.conf: sem o addon o container ficaria ocioso.
+ * O Dockerfile extrai apenas o módulo em path, fora do volume ./addons (/mnt/extra-addons)
+ * @type {{module: string, repository: string, path: string, python: string}}
+ */
+const SESSION_REDIS_ADDON = {
+    module: 'session_redis',
+    repository: 'https://github.com/camptocamp/odoo-cloud-platform',
+    path: '/mnt/session-addons',
+    python: 'redis'             // Biblioteca cliente exigida pelo addon
+};
+
+/**
+ * Validade das sessões no Redis em segundos (7 dias, como as sessões em arquivo do Odoo)
+ * @type {number}
+ */
+const SESSION_REDIS_EXPIRATION = 7 * 24 * 60 * 60;
+
+/**
+ * Imagem do Odoo construída a partir do Dockerfile do projeto?
+ * Com Redis a imagem personalizada é obrigatória: ela traz o addon session_redis e a biblioteca redis
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean} true quando o serviço odoo usa a imagem local
+ */
+function usesCustomImage(config) {
+    return Boolean(config.customImage || config.enableRedis);
+}
+
+/**
+ * Variáveis de ambiente lidas pelo addon session_redis (a senha é tratada à parte:
+ * .env, secret montado em /run/secrets ou Secret do Kubernetes)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {Object<string, string>} Variável → valor
+ */
+function getSessionRedisEnvironment(config) {
+    return {
+        ODOO_SESSION_REDIS: '1',
+        ODOO_SESSION_REDIS_HOST: 'redis',
+        ODOO_SESSION_REDIS_PORT: '6379',
+        // Prefixo das chaves: permite compartilhar o Redis entre projetos
+        ODOO_SESSION_REDIS_PREFIX: config.projectName,
+        ODOO_SESSION_REDIS_EXPIRATION: String(SESSION_REDIS_EXPIRATION)
+    };
+}
+
+/**
+ * Nome do arquivo em secrets/ (e do Docker secret) de cada senha no modo secrets
+ * @type {Object<string, string>}
+ */
+const DOCKER_SECRET_FIELDS = {
+    db_password: 'dbPassword',
+    admin_password: 'adminPassword',
+    redis_password: 'redisPassword',
+    smtp_password: 'smtpPassword',
+    grafana_password: 'grafanaPassword',
+    db_manager_password: 'dbManagerPassword'
+};
+
+/**
+ * Secrets lidos apenas no host: o setup.sh gera o nginx/htpasswd a partir deles
+ * (não são montados em containers nem declarados no docker-compose.yml)
+ * @type {string[]}
+ */
+const HOST_ONLY_SECRETS = ['db_manager_password'];
+
+/**
+ * Senhas gravadas em secrets/ quando o modo secrets está ativo
+ * Redis, SMTP, Grafana e gerenciador de bancos só entram quando são usados pela configuração
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{name: string, value: string}[]} Nome do secret e conteúdo do arquivo
+ */
+function getDockerSecrets(config) {
+    if (!config.useSecrets) return [];
+    
+    const smtp = getSmtpSettings(config);
+    const used = {
+        db_password: true,
+        admin_password: true,
+        redis_password: Boolean(config.enableRedis),
+        smtp_password: smtp.mode === 'smtp' && Boolean(smtp.password),
+        grafana_password: Boolean(config.enableMonitoring),
+        db_manager_password: usesDbManagerAuth(config)
+    };
+    
+    return Object.entries(DOCKER_SECRET_FIELDS)
+        .filter(([name]) => used[name])
+        .map(([name, field]) => ({ name, value: config[field] }));
+}
+
+/**
+ * Validação robusta do formulário com verificações específicas
+ * @param {OdooConfig} config - Configuração a ser validada
+ * @returns {string[]} Array de erros encontrados (vazio se válido)
+ */
+function validateForm(config) {
+    const errors = [];
+    
+    // === VALIDAÇÕES CRÍTICAS (campos obrigatórios) ===
+    // Validar se campos essenciais não estão vazios antes de validar formato
+    if (!config.projectName || config.projectName.trim() === '') {
+        errors.push(t('Nome do projeto é obrigatório'));
+        return errors; // Para aqui se campo crítico está vazio
+    }
+    
+    if (!config.dbPassword || config.dbPassword.trim() === '') {
+        errors.push(t('Senha do banco é obrigatória'));
+        return errors;
+    }
+    
+    if (!config.adminPassword || config.adminPassword.trim() === '') {
+        errors.push(t('Senha master é obrigatória'));
+        return errors;
+    }
+    
+    // === VALIDAÇÕES DE FORMATO ===
+    // Nome do projeto: apenas letras minúsculas, números e hífens
+    // Não pode começar ou terminar com hífen (padrão Docker)
+    if (!config.projectName.match(/^[a-z0-9][a-z0-9-]*[a-z0-9]$/) && config.projectName.length > 1) {
+        errors.push(t('Nome do projeto deve conter apenas letras minúsculas, números e hífens (não pode começar ou terminar com hífen)'));
+    }
+    
+    // Versão do Odoo: apenas as descritas em ODOO_VERSIONS
+    if (!ODOO_VERSIONS[config.odooVersion]) {
+        errors.push(t('Versão do Odoo "{version}" não suportada. Use {options}', { version: config.odooVersion, options: Object.keys(ODOO_VERSIONS).join(', ') }));
+    } else if (config.postgresVersion && !ODOO_VERSIONS[config.odooVersion].postgresVersions.includes(config.postgresVersion)) {
+        errors.push(t('O Odoo {version} suporta PostgreSQL {supported} (escolhido: {chosen})', {
+            version: config.odooVersion,
+            supported: ODOO_VERSIONS[config.odooVersion].postgresVersions.join(', '),
+            chosen: config.postgresVersion
+        }));
+    }
+    
+    if (!DEPLOY_TARGETS[config.deployTarget]) {
+        errors.push(t('Destino de implantação inválido: "{value}". Use {options}', { value: config.deployTarget, options: Object.keys(DEPLOY_TARGETS).join(', ') }));
+    }
+    
+    if (config.commentLanguage && !LANGUAGES[config.commentLanguage]) {
+        errors.push(t('Idioma dos comentários inválido: "{value}". Use {options}', { value: config.commentLanguage, options: Object.keys(LANGUAGES).join(', ') }));
+    }
+    
+    // O perfil de monitoramento depende do Docker (cAdvisor lê /var/lib/docker)
+    if (config.deployTarget === 'podman' && config.enableMonitoring) {
+        errors.push(t('Monitoramento não está disponível no Podman: use Docker Compose ou desative o monitoramento'));
+    }
+    
+    if (!REVERSE_PROXIES[getReverseProxy(config)]) {
+        errors.push(t('Proxy reverso inválido: "{value}". Use {options}', { value: config.reverseProxy, options: Object.keys(REVERSE_PROXIES).join(', ') }));
+    }
+    
+    // O Traefik descobre as rotas pelos labels, lidos no socket do Docker
+    if (config.deployTarget === 'podman' && getReverseProxy(config) === 'traefik') {
+        errors.push(t('Traefik não está disponível no Podman: use o Nginx ou o destino Docker Compose'));
+    }
+    
+    // Verificar se não usa palavras reservadas do Docker/sistema
+    const reservedWords = ['docker', 'compose', 'postgres', 'redis', 'nginx', 'localhost', 'api', 'www'];
+    if (reservedWords.includes(config.projectName.toLowerCase())) {
+        errors.push(t('"{name}" é uma palavra reservada. Escolha outro nome.', { name: config.projectName }));
+    }
+    
+    // === VALIDAÇÕES DE REDE ===
+    // Portas devem estar na faixa não-privilegiada (>1024) e válida
+    if (config.httpPort < 1024 || config.httpPort > 65535) {
+        errors.push(t('Porta HTTP deve estar entre 1024 e 65535'));
+    }
+    
+    if (config.chatPort < 1024 || config.chatPort > 65535) {
+        errors.push(t('Porta Chat deve estar entre 1024 e 65535'));
+    }
+    
+    // Portas não podem ser iguais (conflito)
+    if (config.httpPort === config.chatPort) {
+        errors.push(t('Portas HTTP e Chat não podem ser iguais'));
+    }
+    
+    // Verificar se não estão usando portas comuns do sistema
+    const commonPorts = [3306, 5432, 6379, 22, 80, 443, 21, 25, 53, 110, 143, 993, 995];
+    if (commonPorts.includes(config.httpPort)) {
+        errors.push(t('Porta {port} é comumente usada por outros serviços. Escolha outra porta.', { port: config.httpPort }));
+    }
+    if (commonPorts.includes(config.chatPort)) {
+        errors.push(t('Porta {port} é comumente usada por outros serviços. Escolha outra porta.', { port: config.chatPort }));
+    }
+    
+    // === VALIDAÇÕES DE DOMÍNIO ===
+    // Domínio é opcional, mas se fornecido deve ter formato válido
+    if (config.domain && config.domain.trim() !== '') {
+        // Regex mais rigoroso para domínios: pelo menos um ponto, sem caracteres especiais
+        if (!config.domain.match(/^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/)) {
+            errors.push(t('Formato de domínio inválido (ex: meusite.com.br)'));
+        }
+        
+        // Verificar se não está usando localhost ou IPs
+        if (config.domain.toLowerCase().includes('localhost') || config.domain.match(/^\d+\.\d+\.\d+\.\d+$/)) {
+            errors.push(t('Use um domínio real ou deixe em branco para desenvolvimento local'));
+        }
+    }
+    
+    // === VALIDAÇÕES DE HTTPS ===
+    // Let's Encrypt só emite certificados para domínios públicos e exige e-mail de contato
+    if (getSslMode(config) === 'letsencrypt') {
+        if (!config.domain || config.domain.trim() === '') {
+            errors.push(t("Let's Encrypt exige um domínio público (configure no passo 1)"));
+        }
+        
+        if (!config.letsencryptEmail || !config.letsencryptEmail.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+            errors.push(t("Informe um e-mail válido para o registro no Let's Encrypt"));
+        }
+    }
+    
+    // === VALIDAÇÕES DO ENDURECIMENTO DO NGINX ===
+    if (usesNginxHardening(config)) {
+        if (!DB_MANAGER_ACCESS[config.dbManagerAccess]) {
+            errors.push(t('Acesso ao gerenciador de bancos inválido: "{value}". Use {options}', { value: config.dbManagerAccess, options: Object.keys(DB_MANAGER_ACCESS).join(', ') }));
+        }
+        
+        (config.dbManagerAllowlist || []).forEach(entry => {
+            if (!isValidIpOrCidr(entry)) {
+                errors.push(t('IP ou rede inválida na lista do gerenciador de bancos: "{entry}" (ex: 203.0.113.10 ou 10.0.0.0/8)', { entry }));
+            }
+        });
+        
+        (config.cspAllowedOrigins || []).forEach(origin => {
+            if (!isValidCspOrigin(origin)) {
+                errors.push(t('Origem inválida no Content-Security-Policy: "{origin}" (ex: https://js.stripe.com)', { origin }));
+            }
+        });
+        
+        // Sem lista de IPs nem senha o gerenciador ficaria aberto para qualquer um
+        if (isDbManagerRestricted(config) && (config.dbManagerAllowlist || []).length === 0 && !config.dbManagerAuth) {
+            errors.push(t('Gerenciador de bancos restrito: informe os IPs liberados e/ou habilite a senha do Nginx'));
+        }
+        
+        if (usesDbManagerAuth(config) && (!config.dbManagerPassword || config.dbManagerPassword.length < 12)) {
+            errors.push(t('Senha do gerenciador de bancos deve ter pelo menos 12 caracteres'));
+        }
+        
+        // O fail2ban bane pelo iptables do host (rede do host e NET_ADMIN no Docker)
+        if (usesFail2ban(config) && config.deployTarget !== 'compose') {
+            errors.push(t('fail2ban está disponível apenas no destino Docker Compose'));
+        }
+    }
+    
+    // === VALIDAÇÕES DE EMAIL ===
+    if (config.emailFrom && !config.emailFrom.match(/^[^\s@]+@[^\s@]+$/)) {
+        errors.push(t('Remetente padrão (email_from) deve ser um endereço de email válido'));
+    }
+    
+    if (!config.enableMailCatcher && config.smtpHost) {
+        if (!config.smtpHost.match(/^[a-zA-Z0-9.-]+$/)) {
+            errors.push(t('Servidor SMTP inválido (ex: smtp.exemplo.com.br)'));
+        }
+        
+        if (config.smtpPort < 1 || config.smtpPort > 65535) {
+            errors.push(t('Porta SMTP deve estar entre 1 e 65535'));
+        }
+        
+        if (config.smtpUser && !config.smtpPassword) {
+            errors.push(t('Informe a senha SMTP do usuário configurado'));
+        }
+    }
+    
+    // A interface web do Mailpit é publicada na porta 8025 do host
+    if (config.enableMailCatcher && (config.httpPort === 8025 || config.chatPort === 8025)) {
+        errors.push(t('A porta 8025 é usada pela interface do Mailpit. Escolha outra porta HTTP/Chat.'));
+    }
+    
+    // === VALIDAÇÕES DE ADDONS ===
+    // Nomes de repositório viram caminhos e URLs: apenas caracteres seguros
+    (config.ocaRepositories || []).forEach(repo => {
+        if (!repo.match(/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/)) {
+            errors.push(t('Nome de repositório OCA inválido: "{repo}"', { repo }));
+        }
+    });
+    
+    // === VALIDAÇÕES DA IMAGEM PERSONALIZADA ===
+    if (config.customImage) {
+        // Nomes de pacote Debian: minúsculas, números e + . -
+        (config.aptPackages || []).forEach(pkg => {
+            if (!pkg.match(/^[a-z0-9][a-z0-9+.-]+$/)) {
+                errors.push(t('Nome de pacote apt inválido: "{package}"', { package: pkg }));
+            }
+        });
+        
+        // Opções do pip (-r, --index-url...) fogem do propósito do campo
+        (config.pipPackages || []).forEach(pkg => {
+            if (pkg.startsWith('-')) {
+                errors.push(t('Use apenas nomes de pacotes no requirements.txt, não opções do pip: "{package}"', { package: pkg }));
+            }
+        });
+    }
+    
+    // === VALIDAÇÕES DO REDIS ===
+    // Sem senha qualquer container da rede leria e forjaria sessões
+    if (config.enableRedis && (!config.redisPassword || config.redisPassword.length < 12)) {
+        errors.push(t('Senha do Redis deve ter pelo menos 12 caracteres'));
+    }
+    
+    // === VALIDAÇÕES DE MONITORAMENTO ===
+    if (config.enableMonitoring && (!config.grafanaPassword || config.grafanaPassword.length < 8)) {
+        errors.push(t('Senha do Grafana deve ter pelo menos 8 caracteres'));
+    }
+    
+    // === VALIDAÇÕES DE BACKUP ===
+    if (config.enableBackup) {
+        // Cron com 5 campos: minuto hora dia mês dia-da-semana
+        if (!config.backupSchedule || !config.backupSchedule.match(/^[\d*\/,-]+( +[\d*\/,-]+){4}$/)) {
+            errors.push(t('Agendamento do backup deve estar no formato cron (ex: 0 2 * * *)'));
+        }
+        
+        if (config.backupKeepDaily < 1) {
+            errors.push(t('Mantenha pelo menos 1 backup diário'));
+        }
+        
+        if (config.backupKeepWeekly < 0 || config.backupKeepMonthly < 0) {
+            errors.push(t('Retenção semanal/mensal não pode ser negativa'));
+        }
+    }
+    
+    // === VALIDAÇÕES DE SEGURANÇA ===
+    // Senhas devem ter comprimento mínimo e complexidade adequada
+    if (config.dbPassword.length < 12) {
+        errors.push(t('Senha do banco deve ter pelo menos 12 caracteres'));
+    }
+    
+    if (config.adminPassword.length < 12) {
+        errors.push(t('Senha master deve ter pelo menos 12 caracteres'));
+    }
+    
+    // Verificar se senhas não são muito simples (sem espaços em branco, não só números)
+    if (config.dbPassword.includes(' ') || config.adminPassword.includes(' ')) {
+        errors.push(t('Senhas não podem conter espaços em branco'));
+    }
+    
+    if (config.dbPassword.match(/^\d+$/) || config.adminPassword.match(/^\d+$/)) {
+        errors.push(t('Senhas não podem ser apenas números'));
+    }
+    
+    // Quebras de linha e caracteres de controle não têm escape no odoo.conf nem no .env
+    const passwords = [config.dbPassword, config.adminPassword, config.redisPassword, config.smtpPassword, config.grafanaPassword, config.dbManagerPassword];
+    if (passwords.some(password => /[\u0000-\u001f\u007f]/.test(password || ''))) {
+        errors.push(t('Senhas não podem conter quebras de linha ou caracteres de controle'));
+    }
+    
+    // O entrypoint da imagem oficial do Odoo remove as aspas duplas do db_password
+    if (config.dbPassword.includes('"')) {
+        errors.push(t('A senha do banco não pode conter aspas duplas ("): o entrypoint da imagem oficial do Odoo as remove e o login no banco falharia'));
+    }
+    
+    // Opções de geração das senhas (comprimento, conjunto de caracteres, frase-senha)
+    Object.entries(config.passwordOptions || {}).forEach(([field, options]) => {
+        const { mode, length, charset, words } = { ...DEFAULT_PASSWORD_OPTIONS, ...options };
+        if (!['random', 'passphrase'].includes(mode)) {
+            errors.push(t('Modo de geração inválido para {field}: {mode}', { field, mode }));
+        } else if (mode === 'random' && (!(length >= 12 && length <= 128) || !PASSWORD_CHARSETS[charset])) {
+            errors.push(t('Senha aleatória de {field}: 12 a 128 caracteres e um conjunto de caracteres válido', { field }));
+        } else if (mode === 'passphrase' && !(words >= 4 && words <= 12)) {
+            errors.push(t('Frase-senha de {field}: entre 4 e 12 palavras', { field }));
+        }
+    });
+    
+    // === VALIDAÇÕES DE RECURSOS ===
+    // Workers: verificar se configuração faz sentido
+    if (config.workers > 0 && config.workers < 2) {
+        errors.push(t('Se usar workers, configure pelo menos 2. Use 0 apenas para desenvolvimento.'));
+    }
+    
+    if (!(config.memoryLimit >= 1) || !(config.dbMemoryLimit >= 1)) {
+        errors.push(t('Os limites de memória do Odoo e do PostgreSQL devem ser de pelo menos 1 GB'));
+    }
+    
+    return errors;
+}
+
+/**
+ * Exibe toast de notificação com diferentes tipos
+ * @param {string} message - Mensagem a ser exibida
+ * @param {string} type - Tipo do toast (success, error, warning)
+ */
+function showToast(message, type = 'success') {
+    // Remove toast anterior se existir (evita múltiplos toasts)
+    const existing = document.querySelector('.toast');
+    if (existing) existing.remove();
+    
+    // Criar elemento do toast com estilo inline para independência
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    
+    // Aplicar estilos CSS inline para não depender de arquivo externo
+    Object.assign(toast.style, {
+        position: 'fixed',
+        top: '20px',
+        right: '20px',
+        zIndex: '1000',
+        padding: '12px 20px',
+        borderRadius: '8px',
+        color: 'white',
+        fontWeight: '500',
+        fontSize: '14px',
+        // Cores baseadas no tipo de notificação
+        background: type === 'error' ? '#e74c3c' : type === 'warning' ? '#f39c12' : '#27ae60',
+        boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
+        transform: 'translateX(100%)', // Começa fora da tela
+        transition: 'transform 0.3s ease',
+        maxWidth: '300px'
+    });
+    
+    document.body.appendChild(toast);
+    
+    // Animação de entrada (slide da direita)
+    setTimeout(() => {
+        toast.style.transform = 'translateX(0)';
+    }, 10);
+    
+    // Remoção automática após 4 segundos com animação de saída
+    setTimeout(() => {
+        toast.style.transform = 'translateX(100%)';
+        setTimeout(() => {
+            if (toast.parentNode) toast.parentNode.removeChild(toast);
+        }, 300);
+    }, 4000);
+}
+
+/**
+ * Copia texto para área de transferência com fallback para browsers antigos
+ * @param {string} text - Texto a ser copiado
+ * @returns {Promise<boolean>} true se sucesso, false se erro
+ */
+async function copyToClipboard(text) {
+    try {
+        // Método moderno (Clipboard API)
+        if (navigator.clipboard) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        }
+        
+        // Fallback method para browsers antigos
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.cssText = 'position:fixed;opacity:0;top:0;left:0;';
+        document.body.appendChild(textarea);
+        textarea.focus();
+        textarea.select();
+        
+        const success = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        return success;
+    } catch (err) {
+        console.error('Falha ao copiar:', err);
+        return false;
+    }
+}
+
+/**
+ * Alterna visibilidade de campos de senha
+ * @param {string} fieldId - ID do campo de senha
+ */
+function togglePasswordVisibility(fieldId) {
+    const field = document.getElementById(fieldId);
+    const toggleBtn = document.querySelector(`[data-field="${fieldId}"]`);
+    
+    if (!field || !toggleBtn) {
+        console.error('Campo ou botão não encontrado:', fieldId);
+        return;
+    }
+    
+    // Alternar entre password e text para mostrar/ocultar
+    if (field.type === 'password') {
+        field.type = 'text';
+        toggleBtn.innerHTML = t('🙈 Ocultar');
+    } else {
+        field.type = 'password';
+        toggleBtn.innerHTML = t('👁️ Mostrar');
+    }
+}
+
+// ====================================================================
+// AUDITORIA DE SEGURANÇA
+// ====================================================================
+
+/**
+ * Níveis de severidade dos achados: rótulo, ícone e pontos descontados da nota (0-100)
+ * @type {Object<string, {label: string, icon: string, penalty: number}>}
+ */
+const SECURITY_SEVERITIES = {
+    critical: { label: 'Crítico', icon: '🛑', penalty: 30 },
+    high: { label: 'Alto', icon: '🔴', penalty: 15 },
+    medium: { label: 'Médio', icon: '🟠', penalty: 8 },
+    low: { label: 'Baixo', icon: '🟡', penalty: 3 }
+};
+
+/**
+ * Analisa a configuração em busca de riscos de segurança
+ * Cada achado traz a correção (campos a alterar) quando ela pode ser aplicada sem perguntar nada;
+ * senhas com valor vazio na correção são geradas por applySecurityFix
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {{score: number, grade: string, findings: {id: string, severity: string, title: string, detail: string, fix: ?{label: string, changes: Partial<OdooConfig>}}[]}}
+ *          Achados do mais grave ao mais leve
+ */
+function auditSecurity(config) {
+    const findings = [];
+    const add = (id, severity, title, detail, fix = null) => findings.push({ id, severity, title, detail, fix });
+    const proxy = getReverseProxy(config);
+    const sslMode = getSslMode(config);
+    const isKubernetes = config.deployTarget === 'kubernetes';
+    const isProduction = Boolean(config.domain);
+    // HTTPS que pode ser ligado direto: Let's Encrypt precisa de domínio e e-mail
+    const httpsMode = config.domain && config.letsencryptEmail ? 'letsencrypt' : 'selfsigned';
+    
+    // === SENHAS ===
+    getUsedPasswordFields(config)
+        .filter(field => getPasswordStrength(config[field] || '').level === 'weak')
+        .forEach(field => add(`weak-${field}`, field === 'adminPassword' ? 'critical' : 'high',
+            t('Senha {name} fraca', { name: t(PASSWORD_FIELD_LABELS[field]) }),
+            t('Menos de 50 bits de entropia ({bits} bits): vulnerável a força bruta.', { bits: getPasswordStrength(config[field] || '').bits }),
+            { label: t('Gerar nova senha'), changes: { [field]: '' } }));
+    
+    if (!config.useSecrets && config.deployTarget === 'compose') {
+        add('plaintext-passwords', 'low', t('Senhas no .env e no odoo.conf'),
+            t('Qualquer cópia desses arquivos (backup, repositório, suporte) leva as senhas junto.'),
+            { label: t('Usar Docker secrets'), changes: { useSecrets: true } });
+    }
+    
+    // === EXPOSIÇÃO DE PORTAS ===
+    if (config.enablePostgresPort && !isKubernetes) {
+        add('postgres-port', 'high', t('Porta 5432 do PostgreSQL publicada'),
+            t('O banco fica acessível por qualquer máquina que alcance o host; o Odoo usa a rede interna.'),
+            { label: t('Manter o banco só na rede interna'), changes: { enablePostgresPort: false } });
+    }
+    
+    if (proxy !== 'none' && !getOdooPortBinding(config) && !isKubernetes) {
+        add('odoo-ports', 'medium', t('Portas {http}/{chat} do Odoo publicadas com proxy reverso', { http: config.httpPort, chat: config.chatPort }),
+            t('O Odoo continua acessível sem o {proxy}: sem HTTPS, sem headers de segurança e com IPs de cliente forjáveis (proxy_mode).', { proxy: REVERSE_PROXIES[proxy] }),
+            { label: t('Publicar só em 127.0.0.1'), changes: { odooPortsLocalOnly: true } });
+    }
+    
+    if (config.enableMailCatcher && isProduction) {
+        add('mailpit-public', 'medium', t('Mailpit habilitado com domínio de produção'),
+            t('Os emails não são entregues e ficam legíveis por qualquer um na porta 8025, sem autenticação.'),
+            { label: t('Desabilitar o Mailpit'), changes: { enableMailCatcher: false } });
+    }
+    
+    // === PROXY REVERSO E HTTPS ===
+    if (isProduction && proxy === 'none') {
+        add('no-proxy', 'high', t('Domínio de produção sem proxy reverso'),
+            t('O Odoo atende direto em HTTP: senhas e cookies de sessão trafegam sem criptografia.'),
+            { label: t('Usar Nginx com HTTPS'), changes: { reverseProxy: 'nginx', sslMode: httpsMode } });
+    } else if (proxy !== 'none' && sslMode === 'none') {
+        add('no-https', 'high', t('{proxy} sem HTTPS', { proxy: REVERSE_PROXIES[proxy] }),
+            t('Senhas e cookies de sessão trafegam sem criptografia entre o navegador e o proxy.'),
+            { label: httpsMode === 'letsencrypt' ? t("Habilitar Let's Encrypt") : t('Habilitar certificado autoassinado'), changes: { sslMode: httpsMode } });
+    }
+    
+    if (sslMode === 'selfsigned' && isProduction) {
+        add('self-signed', 'medium', t('Certificado autoassinado em produção'),
+            config.letsencryptEmail
+                ? t('Os navegadores exibem alerta e os usuários aprendem a ignorá-lo.')
+                : t("Os navegadores exibem alerta e os usuários aprendem a ignorá-lo. Informe o e-mail do Let's Encrypt no passo de configuração para corrigir."),
+            config.letsencryptEmail ? { label: t("Usar Let's Encrypt"), changes: { sslMode: 'letsencrypt' } } : null);
+    }
+    
+    if (proxy === 'nginx' && !isKubernetes && !usesNginxHardening(config)) {
+        add('nginx-hardening', isProduction ? 'medium' : 'low', t('Nginx sem endurecimento'),
+            t('Tentativas de senha no /web/login não têm limite e o navegador não recebe HSTS nem Content-Security-Policy.'),
+            { label: t('Endurecer o Nginx'), changes: { nginxHardening: true } });
+    }
+    
+    if (isDbManagerRestricted(config) && (config.dbManagerAllowlist || []).length === 0 && !isKubernetes) {
+        add('db-manager-any-ip', 'low', t('Gerenciador de bancos acessível de qualquer IP'),
+            t('Criar, duplicar, excluir e baixar backups dos bancos fica protegido apenas por senhas.'),
+            { label: t('Bloquear o gerenciador de bancos'), changes: { dbManagerAccess: 'block' } });
+    }
+    
+    if (sslMode === 'letsencrypt' && config.letsencryptStaging) {
+        add('letsencrypt-staging', 'medium', t("Let's Encrypt em modo staging"),
+            t('Certificados de teste não são confiáveis para os navegadores.'),
+            { label: t('Emitir certificado válido'), changes: { letsencryptStaging: false } });
+    }
+    
+    // === CONTAINERS ===
+    if (config.deployTarget === 'compose' && !usesContainerHardening(config)) {
+        add('container-hardening', isProduction ? 'medium' : 'low', t('Containers sem endurecimento'),
+            t('Os containers rodam com todas as capacidades padrão, raiz gravável e sem limite de processos; o banco divide a rede com os serviços publicados.'),
+            { label: t('Endurecer os containers'), changes: { containerHardening: true } });
+    }
+    
+    // === OPERAÇÃO ===
+    if (!config.enableBackup) {
+        add('no-backup', isProduction ? 'medium' : 'low', t('Sem backup agendado'),
+            t('Um ransomware, um erro de operação ou a perda do disco não têm volta.'),
+            { label: t('Agendar backup diário'), changes: { enableBackup: true } });
+    }
+    
+    if (config.logLevel === 'debug') {
+        add('debug-log', 'low', t('Log em nível debug'),
+            t('O log registra parâmetros de requisições e consultas, que podem conter dados pessoais.'),
+            { label: t('Usar nível info'), changes: { logLevel: 'info' } });
+    }
+    
+    const order = Object.keys(SECURITY_SEVERITIES);
+    findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+    
+    const score = Math.max(0, 100 - findings.reduce((total, finding) => total + SECURITY_SEVERITIES[finding.severity].penalty, 0));
+    const grade = score >= 90 ? 'Excelente' : score >= 75 ? 'Boa' : score >= 50 ? 'Requer atenção' : 'Crítica';
+    
+    return { score, grade, findings };
+}
+
+/**
+ * Aplica a correção de um achado da auditoria
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {string} findingId - id retornado por auditSecurity
+ * @returns {OdooConfig|null} Nova configuração (senhas vazias regeneradas) ou null se não há correção
+ */
+function applySecurityFix(config, findingId) {
+    const finding = auditSecurity(config).findings.find(item => item.id === findingId);
+    if (!finding || !finding.fix) return null;
+    
+    const fixed = { ...config, ...finding.fix.changes };
+    GENERATED_PASSWORD_FIELDS.forEach(field => {
+        if (field in finding.fix.changes && !fixed[field]) {
+            fixed[field] = generatePassword(getPasswordOptions(fixed, field));
+        }
+    });
+    return fixed;
+}
+
+// ====================================================================
+// GERADORES DE ARQUIVOS DE CONFIGURAÇÃO
+// ====================================================================
+
+/**
+ * Labels do serviço odoo lidos pelo Traefik (provedor Docker)
+ * Duas rotas: a principal (porta 8069, com compressão) e a de tempo real (porta 8072),
+ * que vence pela regra mais longa; ambas com os headers de segurança do nginx.conf
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string[]} Labels no formato "chave=valor"
+ */
+function getTraefikLabels(config) {
+    const sslMode = getSslMode(config);
+    const versionInfo = getOdooVersionInfo(config);
+    const name = config.projectName;
+    const hostRule = config.domain ? `Host(\`${config.domain}\`)` : '';
+    const rules = {
+        [name]: hostRule || 'PathPrefix(`/`)',
+        [`${name}-realtime`]: [hostRule, `PathPrefix(\`${versionInfo.realtimePath}\`)`].filter(Boolean).join(' && ')
+    };
+    
+    const router = (router, port, middlewares) => [
+        `traefik.http.routers.${router}.rule=${rules[router]}`,
+        `traefik.http.routers.${router}.entrypoints=${sslMode === 'none' ? 'web' : 'websecure'}`,
+        ...(sslMode === 'none' ? [] : [`traefik.http.routers.${router}.tls=true`]),
+        // Autoassinado: certificado padrão gerado pelo próprio Traefik
+        ...(sslMode === 'letsencrypt' ? [`traefik.http.routers.${router}.tls.certresolver=letsencrypt`] : []),
+        `traefik.http.routers.${router}.middlewares=${middlewares.map(middleware => `${name}-${middleware}`).join(',')}`,
+        `traefik.http.routers.${router}.service=${router}`,
+        `traefik.http.services.${router}.loadbalancer.server.port=${port}`
+    ];
+    
+    return [
+        'traefik.enable=true',
+        ...router(name, 8069, ['headers', 'compress']),
+        // Websocket: o Traefik repassa o upgrade sozinho; sem compressão nesta rota
+        ...router(`${name}-realtime`, 8072, ['headers']),
+        `traefik.http.middlewares.${name}-headers.headers.frameDeny=true`,
+        `traefik.http.middlewares.${name}-headers.headers.contentTypeNosniff=true`,
+        `traefik.http.middlewares.${name}-headers.headers.browserXssFilter=true`,
+        `traefik.http.middlewares.${name}-headers.headers.referrerPolicy=strict-origin-when-cross-origin`,
+        ...(sslMode === 'none' ? [] : [
+            `traefik.http.middlewares.${name}-headers.headers.stsSeconds=31536000`,
+            `traefik.http.middlewares.${name}-headers.headers.stsIncludeSubdomains=true`
+        ]),
+        `traefik.http.middlewares.${name}-compress.compress=true`
+    ];
+}
+
+/**
+ * Gera arquivo docker-compose.yml completo
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo docker-compose.yml
+ */
+function generateDockerCompose(config) {
+    const sslMode = getSslMode(config);
+    const versionInfo = getOdooVersionInfo(config);
+    const hasOca = (config.ocaRepositories || []).length > 0;
+    const memoryPlan = getServiceMemoryPlan(config);
+    const postgresVersion = getPostgresVersion(config);
+    const secretNames = getDockerSecrets(config).map(secret => secret.name);
+    const reverseProxy = getReverseProxy(config);
+    
+    // Modo secrets: lista de secrets montados em /run/secrets/<nome> no serviço
+    const serviceSecrets = (...names) => `
+    secrets:
+${names.filter(name => secretNames.includes(name)).map(name => `      - ${name}`).join('\n')}`;
+    
+    // Bloco deploy com o limite de memória do serviço (veja getServiceMemoryPlan) e, com o endurecimento, de CPU
+    const resourceLimits = (service) => {
+        const cpus = (getContainerHardening(config, service) || {}).cpus;
+        return `
+    deploy:
+      resources:
+        limits:${cpus ? `
+          cpus: '${cpus}'` : ''}
+          memory: ${formatMemory(memoryPlan[service])}`;
+    };
+    
+    // Endurecimento do serviço (veja CONTAINER_HARDENING); vazio sem containerHardening
+    const hardeningOptions = (service) => {
+        const hardening = getContainerHardening(config, service);
+        if (!hardening) return '';
+        return `${hardening.user ? `
+    user: ${hardening.user}` : ''}
+    security_opt:
+      - no-new-privileges:true
+    cap_drop:
+      - ALL${hardening.capAdd.length > 0 ? `
+    cap_add:
+${hardening.capAdd.map(capability => `      - ${capability}`).join('\n')}` : ''}${hardening.tmpfs ? `
+    read_only: true${hardening.tmpfs.length > 0 ? `
+    tmpfs:
+${hardening.tmpfs.map(path => `      - ${path}`).join('\n')}` : ''}` : ''}
+    pids_limit: ${hardening.pids}`;
+    };
+    
+    // Redes do serviço: com o endurecimento, banco e serviços de apoio ficam só na rede interna
+    const serviceNetworks = (service) => `    networks:
+${getServiceNetworks(config, service).map(network => `      - ${network}`).join('\n')}`;
+    
+    return `version: '3.8'
+
+# Configuração Docker Compose para ${config.projectName}
+# Gerado automaticamente pelo Gerador de Configuração Odoo
+
+services:
+  # ===================================================================
+  # POSTGRESQL - Banco de dados principal
+  # ===================================================================
+  db:
+    image: postgres:${postgresVersion}-alpine
+    container_name: ${config.projectName}_postgres
+    restart: unless-stopped
+    environment:
+      POSTGRES_DB: \${POSTGRES_DB}
+      POSTGRES_USER: \${POSTGRES_USER}
+${config.useSecrets ? '      POSTGRES_PASSWORD_FILE: /run/secrets/db_password' : '      POSTGRES_PASSWORD: \${POSTGRES_PASSWORD}'}
+      PGDATA: /var/lib/postgresql/data/pgdata${config.useSecrets ? serviceSecrets('db_password') : ''}
+    volumes:
+      - postgres_data:/var/lib/postgresql/data/pgdata
+      - ./postgres/postgresql.conf:/etc/postgresql/postgresql.conf:ro   # Ajustado à memória e aos workers
+${config.enablePostgresPort ? '    ports:\n      - "5432:5432"  # Porta exposta apenas para desenvolvimento' : '    # Porta não exposta por segurança'}
+${serviceNetworks('db')}
+    # Configuração montada no lugar da padrão (memória, conexões e WAL)
+    command: postgres -c config_file=/etc/postgresql/postgresql.conf
+    # Health check para garantir que banco está pronto antes de iniciar Odoo
+    healthcheck:
+      test: ["CMD-SHELL", "pg_isready -U \${POSTGRES_USER} -d \${POSTGRES_DB}"]
+      interval: 30s
+      timeout: 10s
+      retries: 3
+      start_period: 30s${hardeningOptions('db')}${resourceLimits('db')}
+${usesPgbouncer(config) ? `
+  # ===================================================================
+  # PGBOUNCER - Pool de conexões entre o Odoo e o PostgreSQL
+  # ===================================================================
+  pgbouncer:
+    image: edoburu/pgbouncer:v1.23.1-p2
+    container_name: ${config.projectName}_pgbouncer
+    restart: unless-stopped
+    depends_on:
+      db:
+        condition: service_healthy
+    volumes:
+      - ./pgbouncer/pgbouncer.ini:/etc/pgbouncer/pgbouncer.ini:ro   # Pools calculados pelos workers${config.useSecrets ? `
+      - ./pgbouncer/entrypoint.sh:/etc/pgbouncer/entrypoint.sh:ro   # Monta o userlist.txt a partir do secret
+    environment:
+      DB_USER: \${POSTGRES_USER}
+    # Modo secrets: a senha do banco só existe em /run/secrets e no /tmp do container
+    entrypoint: ["/bin/sh", "/etc/pgbouncer/entrypoint.sh"]${serviceSecrets('db_password')}` : `
+      - ./pgbouncer/userlist.txt:/etc/pgbouncer/userlist.txt:ro     # Usuário e senha do banco`}
+${serviceNetworks('pgbouncer')}
+    # Sem "ports": o Odoo conecta pela rede interna na porta ${PGBOUNCER_PORT}${hardeningOptions('pgbouncer')}${resourceLimits('pgbouncer')}
+` : ''}
+  # ===================================================================
+  # ODOO - Aplicação principal
+  # ===================================================================
+  odoo:
+${usesCustomImage(config) ? `    build:
+      context: .                    # Dockerfile + requirements.txt (veja .dockerignore)
+      args:
+        ODOO_VERSION: \${ODOO_VERSION}
+    image: ${config.projectName}-odoo:\${ODOO_VERSION}   # Tag da imagem construída localmente` : `    image: odoo:\${ODOO_VERSION}`}
+    container_name: ${config.projectName}_odoo
+    restart: unless-stopped
+    depends_on:
+      db:
+        condition: service_healthy  # Aguarda banco ficar saudável${usesPgbouncer(config) ? `
+      pgbouncer:
+        condition: service_started` : ''}${config.enableRedis ? `
+      redis:
+        condition: service_started` : ''}
+    environment:
+      HOST: ${usesPgbouncer(config) ? `pgbouncer
+      PORT: "${PGBOUNCER_PORT}"` : 'db'}
+      USER: \${POSTGRES_USER}${config.useSecrets ? '' : `
+      PASSWORD: \${POSTGRES_PASSWORD}`}
+      ODOO_RC: /etc/odoo/odoo.conf${config.enableRedis ? `
+      # Sessões no Redis (addon ${SESSION_REDIS_ADDON.module}, carregado em server_wide_modules no odoo.conf)
+${Object.entries(getSessionRedisEnvironment(config)).map(([key, value]) => `      ${key}: ${quoteYaml(value)}`).join('\n')}${config.useSecrets ? '' : `
+      ODOO_SESSION_REDIS_PASSWORD: \${REDIS_PASSWORD}`}` : ''}${config.useSecrets ? `
+    # Senhas lidas de /run/secrets para uma cópia do odoo.conf fora do volume de configuração
+    entrypoint: ["/bin/sh", "/etc/odoo/entrypoint-secrets.sh"]
+    command: ["odoo"]${serviceSecrets('db_password', 'admin_password', 'redis_password', 'smtp_password')}` : ''}
+    ports:
+      - "${getOdooPortBinding(config)}${config.httpPort}:8069"   # Porta principal HTTP${getOdooPortBinding(config) ? ' (apenas no host: acesso externo pelo proxy)' : ''}
+      - "${getOdooPortBinding(config)}${config.chatPort}:8072"   # Porta de tempo real (${versionInfo.realtimePath}: chat, notificações)
+    volumes:
+      - odoo_data:/var/lib/odoo      # Dados persistentes do Odoo
+      - ./config:/etc/odoo           # Arquivos de configuração
+      - ./logs:/var/log/odoo         # Logs do sistema
+      - ./addons:/mnt/extra-addons   # Pasta para módulos extra${hasOca ? `
+      - ./oca:/mnt/oca-addons:ro     # Repositórios OCA (baixados pelo fetch-addons.sh)` : ''}${reverseProxy === 'traefik' ? `
+    # Traefik: rotas, HTTPS e middlewares (headers de segurança e compressão) definidos aqui
+    labels:
+${getTraefikLabels(config).map(label => `      - ${quoteYaml(label)}`).join('\n')}` : ''}
+${serviceNetworks('odoo')}${hardeningOptions('odoo')}
+    # Limites de recursos para evitar consumo excessivo (dividido entre os workers no odoo.conf)${resourceLimits('odoo')}
+${config.enableRedis ? `
+  # ===================================================================
+  # REDIS - Sessões do Odoo (addon ${SESSION_REDIS_ADDON.module})
+  # ===================================================================
+  redis:
+    image: redis:7-alpine
+    container_name: ${config.projectName}_redis
+    restart: unless-stopped
+    # Sem "ports": acessível apenas pela rede interna, e sempre com senha${config.useSecrets ? '' : `
+    environment:
+      REDIS_PASSWORD: \${REDIS_PASSWORD}`}
+    volumes:
+      - redis_data:/data
+${serviceNetworks('redis')}
+    # AOF preserva as sessões entre reinícios; volatile-lru descarta só chaves com validade (as sessões)
+    # A senha vem do ambiente ou do secret, fora da linha de comando versionada ($$ = $ para o shell)
+    command: ["/bin/sh", "-c", "exec redis-server --requirepass \\"${config.useSecrets ? '$$(cat /run/secrets/redis_password)' : '$$REDIS_PASSWORD'}\\" --appendonly yes --maxmemory 256mb --maxmemory-policy volatile-lru"]${config.useSecrets ? serviceSecrets('redis_password') : ''}${hardeningOptions('redis')}${resourceLimits('redis')}
+` : ''}${config.enableMailCatcher ? `
+  # ===================================================================
+  # MAILPIT - Captura os emails enviados pelo Odoo (desenvolvimento)
+  # ===================================================================
+  mailpit:
+    image: axllent/mailpit:latest
+    container_name: ${config.projectName}_mailpit
+    restart: unless-stopped
+    ports:
+      - "8025:8025"   # Interface web para visualizar os emails capturados
+${serviceNetworks('mailpit')}
+    # SMTP interno na porta 1025 (acessível apenas pelos containers)${hardeningOptions('mailpit')}${resourceLimits('mailpit')}
+` : ''}${config.enableBackup ? `
+  # ===================================================================
+  # BACKUP - Dump do banco + filestore agendados, com retenção
+  # ===================================================================
+  backup:
+    image: postgres:${postgresVersion}-alpine   # Mesma versão do banco (pg_dump compatível)
+    container_name: ${config.projectName}_backup
+    restart: unless-stopped
+    depends_on:
+      db:
+        condition: service_healthy
+    environment:
+      PGHOST: db
+${config.useSecrets ? '      PGPASSWORD_FILE: /run/secrets/db_password   # Lido pelo entrypoint.sh' : '      PGPASSWORD: \${POSTGRES_PASSWORD}'}
+      POSTGRES_USER: \${POSTGRES_USER}
+      POSTGRES_DB: \${POSTGRES_DB}
+      BACKUP_SCHEDULE: \${BACKUP_SCHEDULE}
+      BACKUP_KEEP_DAILY: \${BACKUP_KEEP_DAILY}
+      BACKUP_KEEP_WEEKLY: \${BACKUP_KEEP_WEEKLY}
+      BACKUP_KEEP_MONTHLY: \${BACKUP_KEEP_MONTHLY}
+    volumes:
+      - ./backup:/backup:ro              # Scripts de backup
+      - ./backups:/backups               # Conjuntos gerados (daily/weekly/monthly)
+      - odoo_data:/var/lib/odoo:ro       # Filestore do Odoo (somente leitura)
+    entrypoint: ["/bin/sh", "/backup/entrypoint.sh"]${config.useSecrets ? serviceSecrets('db_password') : ''}
+${serviceNetworks('backup')}${hardeningOptions('backup')}${resourceLimits('backup')}
+` : ''}${reverseProxy === 'nginx' ? `
+  # ===================================================================
+  # NGINX - Proxy reverso para produção (SSL, compressão, cache)
+  # ===================================================================
+  nginx:
+    image: nginx:alpine
+    container_name: ${config.projectName}_nginx
+    restart: unless-stopped
+    ports:
+      - "80:80"    # HTTP
+      - "443:443"  # HTTPS${sslMode === 'none' ? ' (configure SSL separadamente)' : ''}
+    volumes:
+      - ./nginx/nginx.conf:/etc/nginx/nginx.conf:ro  # Configuração personalizada
+      - ./nginx/ssl:/etc/ssl/certs:ro                # Certificados SSL${usesDbManagerAuth(config) ? `
+      - ./nginx/htpasswd:/etc/nginx/htpasswd:ro      # Senha do gerenciador de bancos (gerada pelo setup.sh)` : ''}${sslMode === 'letsencrypt' ? `
+      - ./certbot/conf:/etc/letsencrypt:ro           # Certificados Let's Encrypt
+      - ./certbot/www:/var/www/certbot:ro            # Desafios ACME (webroot)` : ''}${usesFail2ban(config) ? `
+      # Logs em arquivo para o fail2ban (no lugar da saída padrão; sem rotação automática)
+      - ./logs/nginx:/var/log/nginx` : ''}
+    depends_on:
+      - odoo
+${serviceNetworks('nginx')}${sslMode !== 'none' ? `
+    # Recarrega a configuração a cada 6h para aplicar certificados renovados
+    command: "/bin/sh -c 'while :; do sleep 6h & wait $\${!}; nginx -s reload; done & nginx -g \\"daemon off;\\"'"` : ''}${hardeningOptions('nginx')}${resourceLimits('nginx')}
+` : ''}${reverseProxy === 'traefik' ? `
+  # ===================================================================
+  # TRAEFIK - Proxy reverso configurado pelos labels do serviço odoo
+  # ===================================================================
+  traefik:
+    image: traefik:v3.1
+    container_name: ${config.projectName}_traefik
+    restart: unless-stopped
+    command:
+      - --providers.docker=true
+      - --providers.docker.exposedbydefault=false       # Apenas containers com traefik.enable=true
+      - --providers.docker.network=${config.projectName}_network
+      - --entrypoints.web.address=:80
+      - --entrypoints.web.transport.respondingtimeouts.readtimeout=720s   # Uploads e relatórios longos${sslMode !== 'none' ? `
+      - --entrypoints.websecure.address=:443
+      - --entrypoints.websecure.transport.respondingtimeouts.readtimeout=720s
+      - --entrypoints.web.http.redirections.entrypoint.to=websecure   # HTTP → HTTPS
+      - --entrypoints.web.http.redirections.entrypoint.scheme=https` : ''}${sslMode === 'letsencrypt' ? `
+      # Certificados Let's Encrypt emitidos e renovados pelo próprio Traefik (desafio HTTP na porta 80)
+      - --certificatesresolvers.letsencrypt.acme.email=${config.letsencryptEmail}
+      - --certificatesresolvers.letsencrypt.acme.storage=/letsencrypt/acme.json
+      - --certificatesresolvers.letsencrypt.acme.httpchallenge.entrypoint=web${config.letsencryptStaging ? `
+      - --certificatesresolvers.letsencrypt.acme.caserver=https://acme-staging-v02.api.letsencrypt.org/directory` : ''}` : ''}
+      - --accesslog=true
+    ports:
+      - "80:80"    # HTTP${sslMode !== 'none' ? `
+      - "443:443"  # HTTPS` : ''}
+    volumes:
+      - /var/run/docker.sock:/var/run/docker.sock:ro   # Leitura dos labels dos containers${sslMode === 'letsencrypt' ? `
+      - ./traefik/letsencrypt:/letsencrypt             # Conta e certificados ACME (acme.json)` : ''}
+    depends_on:
+      - odoo
+${serviceNetworks('traefik')}${hardeningOptions('traefik')}${resourceLimits('traefik')}
+` : ''}${usesCertbot(config) ? `
+  # ===================================================================
+  # CERTBOT - Certificados Let's Encrypt com renovação automática
+  # ===================================================================
+  certbot:
+    image: certbot/certbot:latest
+    container_name: ${config.projectName}_certbot
+    restart: unless-stopped
+    volumes:
+      - ./certbot/conf:/etc/letsencrypt    # Certificados e contas ACME
+      - ./certbot/www:/var/www/certbot     # Webroot compartilhado com o Nginx
+${serviceNetworks('certbot')}
+    # Tenta renovar a cada 12h (o certbot só renova quando faltam menos de 30 dias)
+    entrypoint: "/bin/sh -c 'trap exit TERM; while :; do certbot renew --webroot -w /var/www/certbot --quiet; sleep 12h & wait $\${!}; done'"${hardeningOptions('certbot')}${resourceLimits('certbot')}
+` : ''}${usesFail2ban(config) ? `
+  # ===================================================================
+  # FAIL2BAN - Bane IPs com falhas de login (logs do Odoo e do Nginx)
+  # ===================================================================
+  fail2ban:
+    image: crazymax/fail2ban:1.1.0
+    container_name: ${config.projectName}_fail2ban
+    restart: unless-stopped
+    # Rede do host e NET_ADMIN: os bloqueios vão para o iptables do host (cadeia DOCKER-USER)
+    network_mode: host
+    cap_add:
+      - NET_ADMIN
+      - NET_RAW
+    environment:
+      TZ: UTC                    # Mesmo fuso dos logs do Odoo e do Nginx
+      F2B_LOG_TARGET: STDOUT
+    volumes:
+      - ./fail2ban:/data                      # jail.d/ e filter.d/ gerados + banco de banimentos
+      - ./logs:/var/log/odoo:ro               # odoo.log (falhas de login)
+      - ./logs/nginx:/var/log/nginx:ro        # error.log (limite de login e senha do Nginx)${resourceLimits('fail2ban')}
+` : ''}${config.enableMonitoring ? `
+  # ===================================================================
+  # MONITORAMENTO - Perfil "monitoring" (ativado por COMPOSE_PROFILES no .env)
+  # ===================================================================
+  prometheus:
+    image: prom/prometheus:v2.53.2
+    container_name: ${config.projectName}_prometheus
+    restart: unless-stopped
+    profiles: ["monitoring"]
+    command:
+      - --config.file=/etc/prometheus/prometheus.yml
+      - --storage.tsdb.path=/prometheus
+      - --storage.tsdb.retention.time=15d   # Histórico mantido
+    ports:
+      - "127.0.0.1:9090:9090"   # Interface do Prometheus apenas no host local
+    volumes:
+      - ./monitoring/prometheus.yml:/etc/prometheus/prometheus.yml:ro
+      - prometheus_data:/prometheus
+${serviceNetworks('prometheus')}${hardeningOptions('prometheus')}${resourceLimits('prometheus')}
+
+  grafana:
+    image: grafana/grafana:11.2.0
+    container_name: ${config.projectName}_grafana
+    restart: unless-stopped
+    profiles: ["monitoring"]
+    environment:
+      GF_SECURITY_ADMIN_USER: admin
+${config.useSecrets ? '      GF_SECURITY_ADMIN_PASSWORD__FILE: /run/secrets/grafana_password' : '      GF_SECURITY_ADMIN_PASSWORD: \${GRAFANA_ADMIN_PASSWORD}'}
+      GF_USERS_ALLOW_SIGN_UP: "false"${config.useSecrets ? serviceSecrets('grafana_password') : ''}
+    ports:
+      - "3000:3000"   # Interface web do Grafana
+    volumes:
+      - grafana_data:/var/lib/grafana
+      - ./monitoring/grafana/provisioning:/etc/grafana/provisioning:ro   # Fonte de dados e provedor
+      - ./monitoring/grafana/dashboards:/var/lib/grafana/dashboards:ro   # Dashboards JSON
+    depends_on:
+      - prometheus
+${serviceNetworks('grafana')}${hardeningOptions('grafana')}${resourceLimits('grafana')}
+
+  postgres-exporter:
+    image: prometheuscommunity/postgres-exporter:v0.15.0
+    container_name: ${config.projectName}_postgres_exporter
+    restart: unless-stopped
+    profiles: ["monitoring"]
+    environment:
+      # Usuário e senha separados da URI: a senha pode conter caracteres especiais
+      DATA_SOURCE_URI: db:5432/\${POSTGRES_DB}?sslmode=disable
+      DATA_SOURCE_USER: \${POSTGRES_USER}
+${config.useSecrets ? '      DATA_SOURCE_PASS_FILE: /run/secrets/db_password' : '      DATA_SOURCE_PASS: \${POSTGRES_PASSWORD}'}${config.useSecrets ? serviceSecrets('db_password') : ''}
+    depends_on:
+      db:
+        condition: service_healthy
+${serviceNetworks('postgres-exporter')}${hardeningOptions('postgres-exporter')}${resourceLimits('postgres-exporter')}
+
+  cadvisor:
+    image: gcr.io/cadvisor/cadvisor:v0.49.1
+    container_name: ${config.projectName}_cadvisor
+    restart: unless-stopped
+    profiles: ["monitoring"]
+    privileged: true   # Necessário para ler as métricas dos cgroups
+    devices:
+      - /dev/kmsg
+    volumes:
+      - /:/rootfs:ro
+      - /var/run:/var/run:ro
+      - /sys:/sys:ro
+      - /var/lib/docker/:/var/lib/docker:ro
+      - /dev/disk/:/dev/disk:ro
+${serviceNetworks('cadvisor')}${resourceLimits('cadvisor')}
+${reverseProxy === 'nginx' ? `
+  nginx-exporter:
+    image: nginx/nginx-prometheus-exporter:1.3.0
+    container_name: ${config.projectName}_nginx_exporter
+    restart: unless-stopped
+    profiles: ["monitoring"]
+    # stub_status exposto pelo Nginx apenas na rede interna (porta 8080)
+    command: ["--nginx.scrape-uri=http://nginx:8080/stub_status"]
+    depends_on:
+      - nginx
+${serviceNetworks('nginx-exporter')}${hardeningOptions('nginx-exporter')}${resourceLimits('nginx-exporter')}
+` : ''}` : ''}
+${config.useSecrets ? `# ===================================================================
+# SECRETS - Senhas em arquivos separados (montados em /run/secrets)
+# ===================================================================
+secrets:
+${secretNames.filter(name => !HOST_ONLY_SECRETS.includes(name)).map(name => `  ${name}:
+    file: ./secrets/${name}.txt`).join('\n')}
+
+` : ''}# ===================================================================
+# VOLUMES - Dados persistentes
+# ===================================================================
+volumes:
+  postgres_data:
+    driver: local  # Dados do PostgreSQL
+  odoo_data:
+    driver: local  # Dados do Odoo (filestore, etc)${config.enableRedis ? '\n  redis_data:\n    driver: local  # Sessões do Redis (AOF)' : ''}${config.enableMonitoring ? `
+  prometheus_data:
+    driver: local  # Séries temporais do Prometheus
+  grafana_data:
+    driver: local  # Usuários e preferências do Grafana` : ''}
+
+# ===================================================================
+# NETWORK - Rede isolada para comunicação entre containers
+# ===================================================================
+networks:
+  ${config.projectName}_network:
+    driver: bridge
+    ipam:
+      config:
+        - subnet: 172.20.0.0/16  # Subnet dedicada para evitar conflitos${usesContainerHardening(config) ? `
+  ${config.projectName}_backend:
+    driver: bridge
+    internal: true  # Sem portas publicadas nem saída para a internet (banco, Redis, backup, exporters)` : ''}`;
+}
+
+/**
+ * Gera arquivo .env com variáveis de ambiente
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo .env
+ */
+function generateEnvFile(config) {
+    const smtp = getSmtpSettings(config);
+    
+    return `# ===================================================================
+# VARIÁVEIS DE AMBIENTE - ${config.projectName}
+# ===================================================================
+# IMPORTANTE: Este arquivo contém informações sensíveis!
+# - Adicione .env ao seu .gitignore
+# - Nunca commite senhas no controle de versão
+# - Use permissões restritivas (chmod 600 .env)${config.useSecrets ? `
+# - Modo secrets: as senhas ficam em secrets/*.txt, não neste arquivo` : ''}${config.deployTarget === 'podman' ? `
+# - Podman: as unidades em quadlet/ não leem este arquivo (valores de referência)` : ''}
+
+# ===================================================================
+# CONFIGURAÇÕES DO BANCO DE DADOS
+# ===================================================================
+POSTGRES_DB=${config.dbName}
+POSTGRES_USER=${config.dbUser}${config.useSecrets ? '' : `
+POSTGRES_PASSWORD=${escapeEnvValue(config.dbPassword)}`}
+
+# ===================================================================
+# CONFIGURAÇÕES DO ODOO
+# ===================================================================
+ODOO_VERSION=${config.odooVersion}${config.useSecrets ? '' : `
+ODOO_ADMIN_PASSWORD=${escapeEnvValue(config.adminPassword)}`}
+${config.enableRedis && !config.useSecrets ? `
+# ===================================================================
+# REDIS (sessões do Odoo, apenas na rede interna)
+# ===================================================================
+REDIS_PASSWORD=${escapeEnvValue(config.redisPassword)}
+` : ''}${usesDbManagerAuth(config) && !config.useSecrets ? `
+# ===================================================================
+# GERENCIADOR DE BANCOS (autenticação HTTP do Nginx, usuário ${DB_MANAGER_USER})
+# ===================================================================
+# O setup.sh grava o hash em nginx/htpasswd: execute-o de novo ao trocar a senha
+DB_MANAGER_PASSWORD=${escapeEnvValue(config.dbManagerPassword)}
+` : ''}
+# ===================================================================
+# CONFIGURAÇÕES DE REDE
+# ===================================================================
+HTTP_PORT=${config.httpPort}
+CHAT_PORT=${config.chatPort}
+DOMAIN=${config.domain || 'localhost'}
+
+# ===================================================================
+# CONFIGURAÇÕES DE EMAIL (SMTP)
+# ===================================================================
+SMTP_HOST=${smtp.host}
+SMTP_PORT=${smtp.port || ''}
+SMTP_ENCRYPTION=${smtp.encryption}
+SMTP_USER=${escapeEnvValue(smtp.user)}${config.useSecrets ? '' : `
+SMTP_PASSWORD=${escapeEnvValue(smtp.password)}`}
+EMAIL_FROM=${escapeEnvValue(smtp.from)}
+
+${config.enableBackup ? `# ===================================================================
+# BACKUP AGENDADO (formato cron, horário UTC)
+# ===================================================================
+BACKUP_SCHEDULE="${config.backupSchedule}"
+BACKUP_KEEP_DAILY=${config.backupKeepDaily}
+BACKUP_KEEP_WEEKLY=${config.backupKeepWeekly}
+BACKUP_KEEP_MONTHLY=${config.backupKeepMonthly}
+
+` : ''}${config.enableMonitoring ? `# ===================================================================
+# MONITORAMENTO (Prometheus + Grafana)
+# ===================================================================
+# Perfis ativos do docker compose: remova "monitoring" para não subir a stack
+COMPOSE_PROFILES=monitoring${config.useSecrets ? '' : `
+GRAFANA_ADMIN_PASSWORD=${escapeEnvValue(config.grafanaPassword)}`}
+
+` : ''}# ===================================================================
+# CONFIGURAÇÕES DE PERFORMANCE
+# ===================================================================
+WORKERS=${config.workers}
+MEMORY_LIMIT=${config.memoryLimit}
+DB_MEMORY_LIMIT=${config.dbMemoryLimit}
+LOG_LEVEL=${config.logLevel}
+
+# ===================================================================
+# FEATURES HABILITADAS
+# ===================================================================
+ENABLE_REDIS=${config.enableRedis}
+COMMENT_LANGUAGE=${config.commentLanguage || 'pt'}
+REVERSE_PROXY=${getReverseProxy(config)}
+SSL_MODE=${getSslMode(config)}${getSslMode(config) === 'letsencrypt' ? `
+LETSENCRYPT_EMAIL=${config.letsencryptEmail}` : ''}${getReverseProxy(config) === 'nginx' ? `
+NGINX_HARDENING=${!!config.nginxHardening}` : ''}${usesNginxHardening(config) ? `
+DB_MANAGER_ACCESS=${config.dbManagerAccess}${isDbManagerRestricted(config) ? `
+DB_MANAGER_ALLOWLIST=${(config.dbManagerAllowlist || []).join(',')}
+DB_MANAGER_AUTH=${!!config.dbManagerAuth}` : ''}
+CSP_ALLOWED_ORIGINS=${(config.cspAllowedOrigins || []).join(',')}
+ENABLE_FAIL2BAN=${!!config.enableFail2ban}` : ''}
+ENABLE_MAILPIT=${!!config.enableMailCatcher}
+ENABLE_MONITORING=${!!config.enableMonitoring}${config.deployTarget === 'compose' ? `
+ENABLE_PGBOUNCER=${!!config.enablePgbouncer}
+CONTAINER_HARDENING=${!!config.containerHardening}` : ''}
+
+# ===================================================================
+# NOTAS DE SEGURANÇA
+# ===================================================================
+# 1. Senhas geradas com a crypto API; valores com símbolos ficam entre aspas simples (sem interpolação de $)
+# 2. Mude as senhas periodicamente em produção
+# 3. Use vault/secrets em ambientes críticos
+# 4. Monitore logs de acesso regularmente`;
+}
+
+/**
+ * Gera entrypoint do Odoo no modo secrets
+ * Completa uma cópia do odoo.conf com as senhas de /run/secrets antes de chamar o entrypoint da imagem
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo config/entrypoint-secrets.sh
+ */
+function generateOdooSecretsEntrypoint(config) {
+    return `#!/bin/sh
+
+# ===================================================================
+# ENTRYPOINT DO ODOO - MODO SECRETS
+# ===================================================================
+# O odoo.conf versionável não contém senhas: elas são lidas dos secrets
+# (Docker ou Kubernetes) e gravadas em uma cópia em /tmp, visível só dentro do container
+
+set -eu
+umask 077
+
+cp /etc/odoo/odoo.conf /tmp/odoo.conf
+{
+    printf '\\ndb_password = %s\\n' "$(cat /run/secrets/db_password)"
+    printf 'admin_passwd = %s\\n' "$(cat /run/secrets/admin_password)"
+    # Senha SMTP apenas quando o secret existe e não está vazio
+    if [ -s /run/secrets/smtp_password ]; then
+        printf 'smtp_password = %s\\n' "$(cat /run/secrets/smtp_password)"
+    fi
+} >> /tmp/odoo.conf
+
+# O addon session_redis lê a senha do Redis do ambiente, não do odoo.conf
+if [ -s /run/secrets/redis_password ]; then
+    ODOO_SESSION_REDIS_PASSWORD="$(cat /run/secrets/redis_password)"
+    export ODOO_SESSION_REDIS_PASSWORD
+fi
+
+# O /entrypoint.sh da imagem oficial lê db_password do ODOO_RC
+export ODOO_RC=/tmp/odoo.conf
+exec /entrypoint.sh "$@"`;
+}
+
+/**
+ * Gera arquivo de configuração odoo.conf
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo odoo.conf
+ */
+function generateOdooConf(config) {
+    const smtp = getSmtpSettings(config);
+    const versionInfo = getOdooVersionInfo(config);
+    const workerLimits = getWorkerMemoryLimits(config);
+    
+    // Parâmetros SMTP: o odoo.conf só conhece STARTTLS (smtp_ssl = True)
+    const smtpParams = `smtp_server = ${smtp.host}
+smtp_port = ${smtp.port}
+smtp_ssl = ${smtp.encryption === 'starttls' ? 'True' : 'False'}
+smtp_user = ${escapeOdooConfValue(smtp.user)}${config.useSecrets && smtp.password ? `
+# smtp_password: lida de secrets/smtp_password.txt` : `
+smtp_password = ${escapeOdooConfValue(smtp.password)}`}`;
+    
+    let smtpLines;
+    if (smtp.mode === 'mailcatcher') {
+        smtpLines = `# Mailpit captura todos os emails (visualize em http://localhost:8025)
+${smtpParams}`;
+    } else if (smtp.mode === 'none') {
+        smtpLines = `# SMTP não configurado: cadastre o servidor em
+# Configurações > Técnico > Servidores de Email de Saída
+# ou preencha e descomente as linhas abaixo
+# smtp_server = smtp.exemplo.com.br
+# smtp_port = 587
+# smtp_ssl = True
+# smtp_user = usuario@exemplo.com.br
+# smtp_password = senha`;
+    } else if (smtp.encryption === 'ssl') {
+        // SSL implícito (porta 465) só pode ser configurado pelo banco de dados
+        smtpLines = `# SSL/TLS implícito não é suportado pelo odoo.conf (smtp_ssl = STARTTLS)
+# Cadastre este servidor em Configurações > Técnico > Servidores de Email de Saída
+# com Segurança da Conexão = SSL/TLS
+${smtpParams.replace(/^/gm, '# ')}`;
+    } else {
+        smtpLines = smtpParams;
+    }
+    
+    return `# ===================================================================
+# CONFIGURAÇÃO ODOO - ${config.projectName}
+# ===================================================================
+# Arquivo de configuração principal do Odoo
+# Documentação: https://www.odoo.com/documentation/
+
+[options]
+# ===================================================================
+# CONFIGURAÇÕES DO BANCO DE DADOS
+# ===================================================================
+${usesPgbouncer(config) ? `# PgBouncer na frente do PostgreSQL (pool de conexões em pgbouncer/pgbouncer.ini)
+db_host = pgbouncer
+db_port = ${PGBOUNCER_PORT}` : `db_host = db
+db_port = 5432`}
+db_user = ${config.dbUser}
+${config.useSecrets ? '# db_password: lida de secrets/db_password.txt pelo entrypoint-secrets.sh' : `db_password = ${escapeOdooConfValue(config.dbPassword)}`}
+db_name = ${config.dbName}
+${usesPgbouncer(config)
+    ? '# Conexões por processo com o PgBouncer (ele limita as conexões reais com o banco)'
+    : '# Conexões por processo (o max_connections do postgresql.conf comporta todos os processos)'}
+db_maxconn = ${getPostgresTuning(config).dbMaxConn}
+
+# ===================================================================
+# CONFIGURAÇÕES DO SERVIDOR WEB
+# ===================================================================
+http_port = 8069
+# Porta de tempo real (${versionInfo.realtimePath}), usada com workers > 0
+${versionInfo.realtimeOption} = 8072
+workers = ${config.workers}
+max_cron_threads = ${config.cronThreads}
+
+# ===================================================================
+# SEGURANÇA E CONTROLE DE ACESSO
+# ===================================================================
+${config.useSecrets ? '# admin_passwd: lida de secrets/admin_password.txt pelo entrypoint-secrets.sh' : `admin_passwd = ${escapeOdooConfValue(config.adminPassword)}`}
+${isDbManagerRestricted(config) ? `# Gerenciador de bancos ligado: o Nginx só libera /web/database/ para ${describeDbManagerRestriction(config)}
+# (cada operação ainda exige a senha master)
+list_db = True` : `# Oculta lista de BDs e desliga o gerenciador de bancos (/web/database/) por segurança
+list_db = False`}
+# Permite acesso apenas ao BD configurado
+db_filter = ^${config.dbName}$
+
+# ===================================================================
+# LIMITES DE PERFORMANCE E RECURSOS
+# ===================================================================
+# Limites POR PROCESSO: ${config.memoryLimit} GB do container ÷ ${getOdooProcessCount(config)} processo(s) (workers + cron), entre ${ODOO_MEMORY_HARD_RANGE_MB.min} e ${ODOO_MEMORY_HARD_RANGE_MB.max} MB
+# Acima do limite suave o worker é reciclado após a requisição atual
+limit_memory_soft = ${workerLimits.soft}
+# Acima do limite rígido a requisição é interrompida imediatamente
+limit_memory_hard = ${workerLimits.hard}
+# Número máximo de requests por worker
+limit_request = 8192
+# Timeout CPU (10 minutos)
+limit_time_cpu = 600
+# Timeout real (20 minutos)
+limit_time_real = 1200
+
+# ===================================================================
+# CONFIGURAÇÕES DE LOG
+# ===================================================================
+logfile = /var/log/odoo/odoo.log
+log_level = ${config.logLevel}
+# Rotação automática de logs
+logrotate = True
+${usesFail2ban(config) ? `# Falhas de login ("Login failed") sempre em INFO: lidas pelo fail2ban em qualquer log_level
+log_handler = :INFO,werkzeug:WARNING,odoo.service.server:INFO,odoo.addons.base.models.res_users:INFO` : 'log_handler = :INFO,werkzeug:WARNING,odoo.service.server:INFO'}
+# Não loggar no banco (performance)
+log_db = False
+log_db_level = warning
+
+# ===================================================================
+# ADDONS E MÓDULOS
+# ===================================================================
+addons_path = ${getAddonsPaths(config).join(',')}${config.enableRedis ? `
+# Módulos carregados antes de qualquer banco: o ${SESSION_REDIS_ADDON.module} troca o armazenamento de sessões
+server_wide_modules = base,web,${SESSION_REDIS_ADDON.module}` : ''}
+
+# ===================================================================
+# CONFIGURAÇÕES DE EMAIL
+# ===================================================================
+email_from = ${smtp.from}
+${smtpLines}
+
+# ===================================================================
+# SESSÕES
+# ===================================================================${config.enableRedis ? `
+# O odoo.conf não tem opções de Redis: o addon ${SESSION_REDIS_ADDON.module} (server_wide_modules acima)
+# lê as variáveis ODOO_SESSION_REDIS_* do serviço odoo (host, porta, senha, prefixo e validade)` : `
+# Sessões em arquivos no data_dir (volume odoo_data)
+# Para guardá-las no Redis, habilite o Redis no wizard (addon ${SESSION_REDIS_ADDON.module})`}
+
+# ===================================================================
+# CONFIGURAÇÕES EXTRAS PARA PRODUÇÃO
+# ===================================================================
+${getReverseProxy(config) === 'none' ? `# Descomente se usar um proxy reverso (Nginx/Traefik/Apache)
+# proxy_mode = True` : `# Atrás do ${REVERSE_PROXIES[getReverseProxy(config)]}: usa os cabeçalhos X-Forwarded-* (IP do cliente e HTTPS)
+proxy_mode = True`}
+# Restringir interface XML-RPC
+# xmlrpc_interface = 127.0.0.1
+# Restringir interface NetRPC
+# netrpc_interface = 127.0.0.1`;
+}
+
+/**
+ * Gera postgresql.conf ajustado à memória do container e aos processos do Odoo
+ * Montado em /etc/postgresql/postgresql.conf (substitui o arquivo padrão da imagem)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do postgresql.conf
+ */
+function generatePostgresqlConf(config) {
+    const tuning = getPostgresTuning(config);
+    
+    return `# ===================================================================
+# CONFIGURAÇÃO POSTGRESQL ${getPostgresVersion(config)} - ${config.projectName}
+# ===================================================================
+# Calculada para ${config.dbMemoryLimit} GB de memória no container e
+# ${config.workers} worker(s) + ${config.cronThreads} thread(s) cron do Odoo
+# Aplicar alterações: ${config.deployTarget === 'kubernetes'
+    ? `helm upgrade ${config.projectName} ./${getHelmChartDir(config).slice(0, -1)}`
+    : 'docker compose restart db'}
+
+# ===================================================================
+# CONEXÕES
+# ===================================================================
+# Obrigatório ao substituir o arquivo padrão: aceitar conexões dos containers
+listen_addresses = '*'
+port = 5432
+${usesPgbouncer(config)
+    ? '# Conexões reais do PgBouncer (max_user_connections) + reserva para backup e manutenção'
+    : `# Processos do Odoo × db_maxconn (${tuning.dbMaxConn}) + reserva para backup e manutenção`}
+max_connections = ${tuning.maxConnections}
+
+# ===================================================================
+# MEMÓRIA
+# ===================================================================
+# 25% da memória do container
+shared_buffers = ${tuning.sharedBuffersMb}MB
+# Estimativa do cache do sistema disponível para o planejador (75%)
+effective_cache_size = ${tuning.effectiveCacheSizeMb}MB
+# Por operação de ordenação/hash em cada conexão
+work_mem = ${tuning.workMemMb}MB
+# VACUUM, CREATE INDEX e restaurações
+maintenance_work_mem = ${tuning.maintenanceWorkMemMb}MB
+
+# ===================================================================
+# WAL E CHECKPOINTS
+# ===================================================================
+wal_buffers = 16MB
+min_wal_size = 1GB
+max_wal_size = 4GB
+checkpoint_completion_target = 0.9
+
+# ===================================================================
+# PLANEJADOR (armazenamento SSD)
+# ===================================================================
+random_page_cost = 1.1
+effective_io_concurrency = 200
+default_statistics_target = 100
+
+# ===================================================================
+# LOGS
+# ===================================================================
+# Registra consultas com mais de 1 segundo (útil para achar lentidão no Odoo)
+log_min_duration_statement = 1000
+log_checkpoints = on
+log_lock_waits = on
+log_timezone = 'UTC'
+
+# ===================================================================
+# LOCALIZAÇÃO
+# ===================================================================
+timezone = 'UTC'
+datestyle = 'iso, mdy'
+`;
+}
+
+/**
+ * Gera pgbouncer.ini com os pools calculados pelos processos do Odoo (veja getPgbouncerPools)
+ * O banco "postgres" fica em modo session: o bus de tempo real do Odoo faz LISTEN nele, e o
+ * LISTEN se perde quando a conexão volta ao pool no modo transaction
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo pgbouncer/pgbouncer.ini
+ */
+function generatePgbouncerIni(config) {
+    const pools = getPgbouncerPools(config);
+    
+    return `; ===================================================================
+; PGBOUNCER - ${config.projectName}
+; ===================================================================
+; Calculado para ${config.workers} worker(s) + ${config.cronThreads} thread(s) cron do Odoo
+; Aplicar alterações: docker compose restart pgbouncer
+; Pools em uso: docker compose exec db psql -h pgbouncer -p ${PGBOUNCER_PORT} -U ${config.dbUser} pgbouncer -c "SHOW POOLS;"
+
+[databases]
+; Bus de tempo real e gerenciador de bancos (LISTEN/NOTIFY exige o modo session)
+postgres = host=db port=5432 pool_mode=session pool_size=${pools.sessionPoolSize}
+; Banco do Odoo e os criados pelo gerenciador de bancos
+* = host=db port=5432
+
+[pgbouncer]
+listen_addr = 0.0.0.0
+listen_port = ${PGBOUNCER_PORT}
+auth_type = scram-sha-256
+auth_file = ${config.useSecrets ? '/tmp/userlist.txt' : '/etc/pgbouncer/userlist.txt'}
+; Console de administração (SHOW POOLS, SHOW STATS)
+admin_users = ${config.dbUser}
+
+; Conexão real devolvida ao pool ao fim de cada transação
+pool_mode = transaction
+; Conexões que o Odoo pode abrir: db_maxconn (${ODOO_DB_MAXCONN}) × processos + folga
+max_client_conn = ${pools.maxClientConn}
+; Conexões reais por banco: 2 por processo do Odoo
+default_pool_size = ${pools.defaultPoolSize}
+; Conexões extras para picos, liberadas após 3 segundos de espera
+reserve_pool_size = ${pools.reservePoolSize}
+reserve_pool_timeout = 3
+; Teto de conexões reais somando todos os bancos (cabe no max_connections do postgresql.conf)
+max_user_connections = ${pools.maxUserConnections}
+
+; Conexões ociosas com o banco fechadas após 10 minutos
+server_idle_timeout = 600
+; Segundos que uma consulta espera por uma conexão livre antes do erro
+query_wait_timeout = 120
+`;
+}
+
+/**
+ * Gera o arquivo de usuários do PgBouncer com as credenciais do banco
+ * Senha em texto: o PgBouncer a usa tanto com o Odoo quanto com o PostgreSQL (SCRAM)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo pgbouncer/userlist.txt
+ */
+function generatePgbouncerUserlist(config) {
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    return `${quote(config.dbUser)} ${quote(config.dbPassword)}\n`;
+}
+
+/**
+ * Gera o entrypoint do PgBouncer no modo secrets: o userlist.txt é montado em /tmp
+ * a cada início a partir de /run/secrets/db_password, sem a senha no diretório do projeto
+ * @returns {string} Conteúdo do arquivo pgbouncer/entrypoint.sh
+ */
+function generatePgbouncerEntrypoint() {
+    return `#!/bin/sh
+
+# ===================================================================
+# ENTRYPOINT DO PGBOUNCER - MODO SECRETS
+# ===================================================================
+# A senha do banco vem do secret e vai para um userlist.txt em /tmp,
+# visível só dentro do container (auth_file do pgbouncer.ini)
+
+set -eu
+umask 077
+
+# Formato do auth_file: "usuário" "senha", com as aspas internas duplicadas
+quote() {
+    printf '"%s"' "$(printf '%s' "$1" | sed 's/"/""/g')"
+}
+printf '%s %s\\n' "$(quote "$DB_USER")" "$(quote "$(cat /run/secrets/db_password)")" > /tmp/userlist.txt
+
+exec /usr/bin/pgbouncer /etc/pgbouncer/pgbouncer.ini`;
+}
+
+/**
+ * Gera script de setup/instalação
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do script setup.sh
+ */
+function generateSetupScript(config) {
+    const sslMode = getSslMode(config);
+    const hasOca = (config.ocaRepositories || []).length > 0;
+    const serverName = config.domain || 'localhost';
+    const accessUrl = sslMode === 'none' ? `http://localhost:${config.httpPort}` : `https://${serverName}`;
+    const isPodman = config.deployTarget === 'podman';
+    const reverseProxy = getReverseProxy(config);
+    const podmanUnits = isPodman ? getPodmanServices(config).map(service => `${getQuadletUnitName(config, service.name)}.service`) : [];
+    const hasSystemdUnit = !isPodman && config.enableSystemdUnit;
+    
+    // Comandos do dia a dia: docker compose ou systemctl/podman (nomes dos containers)
+    const commands = isPodman ? {
+        logs: `podman logs -f ${config.projectName}_odoo`,
+        stop: `$SYSTEMCTL stop ${[...podmanUnits].reverse().join(' ')}`,
+        restartOdoo: `$SYSTEMCTL restart ${getQuadletUnitName(config, 'odoo')}`,
+        status: `$SYSTEMCTL status '${config.projectName}-*'`,
+        execBackup: `podman exec ${config.projectName}_backup`,
+        execDb: `podman exec ${config.projectName}_postgres`
+    } : {
+        logs: '$COMPOSE_CMD logs -f odoo',
+        stop: '$COMPOSE_CMD down',
+        restartOdoo: '$COMPOSE_CMD restart odoo',
+        status: '$COMPOSE_CMD ps',
+        execBackup: '$COMPOSE_CMD exec backup',
+        execDb: '$COMPOSE_CMD exec db'
+    };
+    
+    return `#!/bin/bash
+
+# ===================================================================
+# SCRIPT DE SETUP - ${config.projectName}
+# ===================================================================
+# Script automatizado para configurar ambiente Odoo
+# Gerado pelo Gerador de Configuração Odoo
+
+echo "🚀 Iniciando setup do projeto ${config.projectName}"
+echo "=================================================="
+
+# ===================================================================
+# VERIFICAÇÕES PRELIMINARES
+# ===================================================================
+echo "🔍 Verificando dependências..."
+
+${isPodman ? `# Verificar se Podman 5.0+ está instalado (quadlets com Notify=healthy)
+if ! command -v podman &> /dev/null; then
+    echo "❌ Podman não está instalado. Instale o Podman primeiro:"
+    echo "   📖 https://podman.io/docs/installation"
+    exit 1
+fi
+
+PODMAN_MAJOR="$(podman version --format '{{.Client.Version}}' 2> /dev/null | cut -d. -f1)"
+if [ "\${PODMAN_MAJOR:-0}" -lt 5 ]; then
+    echo "❌ Os quadlets gerados exigem Podman 5.0 ou superior ($(podman --version))"
+    exit 1
+fi
+
+# Os quadlets viram serviços do systemd
+if ! command -v systemctl &> /dev/null; then
+    echo "❌ systemd não encontrado: os quadlets do Podman dependem dele"
+    exit 1
+fi
+
+# Root usa o systemd do sistema; outros usuários o systemd do usuário (rootless)
+if [ "$(id -u)" -eq 0 ]; then
+    SYSTEMCTL="systemctl"
+    QUADLET_DIR="/etc/containers/systemd"
+else
+    SYSTEMCTL="systemctl --user"
+    QUADLET_DIR="$HOME/.config/containers/systemd"
+fi
+${reverseProxy === 'nginx' ? `
+# Rootless só publica portas abaixo de 1024 se o kernel permitir
+if [ "$(id -u)" -ne 0 ] && [ "$(sysctl -n net.ipv4.ip_unprivileged_port_start 2> /dev/null || echo 1024)" -gt 80 ]; then
+    echo "❌ O Nginx usa as portas 80/443, bloqueadas para usuários comuns. Libere com:"
+    echo "   echo 'net.ipv4.ip_unprivileged_port_start=80' | sudo tee /etc/sysctl.d/90-podman-portas.conf"
+    echo "   sudo sysctl --system"
+    exit 1
+fi
+` : ''}
+echo "✅ Podman e systemd estão disponíveis!"` : `# Verificar se Docker está instalado e rodando
+if ! command -v docker &> /dev/null; then
+    echo "❌ Docker não está instalado. Instale o Docker primeiro:"
+    echo "   📖 https://docs.docker.com/get-docker/"
+    exit 1
+fi
+
+if ! docker info &> /dev/null; then
+    echo "❌ Docker não está rodando. Inicie o Docker primeiro."
+    exit 1
+fi
+
+# Verificar se Docker Compose está disponível
+if ! command -v docker-compose &> /dev/null && ! docker compose version &> /dev/null; then
+    echo "❌ Docker Compose não está instalado. Instale o Docker Compose:"
+    echo "   📖 https://docs.docker.com/compose/install/"
+    exit 1
+fi
+
+echo "✅ Docker e Docker Compose estão disponíveis!"`}
+
+# ===================================================================
+# CRIAÇÃO DA ESTRUTURA DE DIRETÓRIOS
+# ===================================================================
+echo "📁 Criando estrutura de pastas..."
+
+# Criar diretórios necessários
+mkdir -p config postgres logs addons${config.useSecrets ? ' secrets' : ''}${hasOca ? ' oca' : ''}${reverseProxy === 'nginx' ? ' nginx nginx/ssl' : ''}${usesFail2ban(config) ? ' logs/nginx' : ''}${usesCertbot(config) ? ' certbot/conf certbot/www' : ''}${reverseProxy === 'traefik' && sslMode === 'letsencrypt' ? ' traefik/letsencrypt' : ''}
+
+# ===================================================================
+# CONFIGURAÇÃO DE PERMISSÕES
+# ===================================================================
+echo "🔐 Configurando permissões..."
+
+# Permissões seguras para arquivos sensíveis
+chmod 755 logs                     # Diretório de logs
+chmod 600 .env                     # Arquivo de ambiente (apenas proprietário)
+chmod 644 config/odoo.conf         # Configuração do Odoo (leitura geral)
+chmod 644 postgres/postgresql.conf # Configuração do PostgreSQL (lida pelo usuário postgres)${config.useSecrets ? `
+# Secrets de arquivo são bind mounts: os usuários dos containers (postgres, odoo,
+# grafana) precisam ler os arquivos, então a proteção fica no diretório (700)
+chmod 700 secrets                  # Apenas o proprietário lista/acessa as senhas
+chmod 644 secrets/*.txt            # Lidos pelos containers via /run/secrets
+chmod 755 config/entrypoint-secrets.sh # Entrypoint do Odoo que lê os secrets` : ''}
+chmod +x setup.sh                  # Script executável${usesPgbouncer(config) ? config.useSecrets ? `
+# O PgBouncer lê a senha do banco do secret; o diretório não guarda senhas
+chmod 755 pgbouncer
+chmod 644 pgbouncer/pgbouncer.ini pgbouncer/entrypoint.sh` : `
+# Mesma proteção dos secrets: a senha fica no userlist.txt, lido pelo usuário do container
+chmod 700 pgbouncer                # Apenas o proprietário acessa a senha do banco
+chmod 644 pgbouncer/pgbouncer.ini pgbouncer/userlist.txt` : ''}${reverseProxy === 'traefik' && sslMode === 'letsencrypt' ? `
+chmod 700 traefik/letsencrypt      # acme.json do Traefik guarda chaves privadas` : ''}${hasOca ? `
+chmod +x fetch-addons.sh           # Download dos addons OCA` : ''}${config.enableBackup ? `
+chmod +x restore.sh                # Script de restauração` : ''}
+
+# Criar diretório para backups (boa prática)
+mkdir -p backups
+chmod 755 backups
+${isPodman ? `
+# O Odoo roda como uid 101 no container: no rootless o dono é mapeado pelo podman unshare
+if [ "$(id -u)" -eq 0 ]; then
+    chown 101:101 logs
+else
+    podman unshare chown 101:101 logs
+fi
+` : usesFail2ban(config) ? `
+# O Odoo (uid 101 no container) grava o logs/odoo.log lido pelo fail2ban
+# Sem root, o chown é feito por um container descartável (o daemon do Docker roda como root)
+if [ "$(id -u)" -eq 0 ]; then
+    chown 101:101 logs
+else
+    docker run --rm -v "$(pwd)/logs:/logs" alpine chown 101:101 /logs
+fi
+` : ''}
+# ===================================================================
+# VERIFICAÇÕES DE SEGURANÇA
+# ===================================================================
+echo "🔒 Verificando configurações de segurança..."
+
+# Verificar se .env não está no git
+if git rev-parse --git-dir > /dev/null 2>&1; then
+    if git check-ignore .env > /dev/null 2>&1; then
+        echo "✅ Arquivo .env está no .gitignore"
+    else
+        echo "⚠️  ATENÇÃO: Adicione '.env' ao seu .gitignore!"
+    fi${config.useSecrets ? `
+    if ! git check-ignore secrets/db_password.txt > /dev/null 2>&1; then
+        echo "⚠️  ATENÇÃO: Adicione 'secrets/' ao seu .gitignore!"
+    fi` : ''}
+fi
+
+${hasOca ? `# ===================================================================
+# ADDONS OCA
+# ===================================================================
+# O Odoo não inicia se um diretório do addons_path não existir
+echo "🧩 Baixando addons OCA (${config.ocaRepositories.join(', ')})..."
+if ! ./fetch-addons.sh; then
+    echo "❌ Falha ao baixar os addons OCA. Corrija o problema e execute ./fetch-addons.sh"
+    exit 1
+fi
+
+` : ''}${reverseProxy === 'nginx' && sslMode !== 'none' ? `# ===================================================================
+# CERTIFICADOS SSL
+# ===================================================================
+echo "🔏 Preparando certificados SSL..."
+
+# Gera certificado autoassinado: gerar_certificado_autoassinado <chave> <certificado> <dias>
+# Usa o openssl local ou, se não estiver instalado, um container descartável
+gerar_certificado_autoassinado() {
+    if command -v openssl &> /dev/null; then
+        openssl req -x509 -nodes -newkey rsa:2048 -days "$3" \\
+            -keyout "$1" -out "$2" -subj "/CN=${serverName}" > /dev/null 2>&1
+    else
+        ${isPodman ? 'podman run --rm -v "$(pwd):/work:z" -w /work docker.io/alpine/openssl' : 'docker run --rm --user "$(id -u):$(id -g)" -v "$(pwd):/work" -w /work alpine/openssl'} \\
+            req -x509 -nodes -newkey rsa:2048 -days "$3" \\
+            -keyout "$1" -out "$2" -subj "/CN=${serverName}" > /dev/null 2>&1
+    fi
+    chmod 600 "$1"
+}
+${sslMode === 'selfsigned' ? `
+# Certificado autoassinado para testes locais (o navegador exibirá um aviso)
+if [ ! -f nginx/ssl/selfsigned.crt ]; then
+    gerar_certificado_autoassinado nginx/ssl/selfsigned.key nginx/ssl/selfsigned.crt 365
+    echo "✅ Certificado autoassinado criado em nginx/ssl/ (válido por 365 dias)"
+else
+    echo "✅ Certificado autoassinado já existe em nginx/ssl/"
+fi
+` : `
+# O Nginx não inicia sem certificado: cria um provisório até o Let's Encrypt emitir o real
+LE_LIVE_DIR="certbot/conf/live/${config.domain}"
+LE_MARCADOR="certbot/.certificado-provisorio"
+if [ ! -f "$LE_LIVE_DIR/fullchain.pem" ] || [ -f "$LE_MARCADOR" ]; then
+    echo "⏳ Criando certificado provisório para o Nginx iniciar..."
+    mkdir -p "$LE_LIVE_DIR"
+    gerar_certificado_autoassinado "$LE_LIVE_DIR/privkey.pem" "$LE_LIVE_DIR/fullchain.pem" 1
+    touch "$LE_MARCADOR"
+else
+    echo "✅ Certificado Let's Encrypt já existe"
+fi
+`}
+` : ''}${usesDbManagerAuth(config) ? `# ===================================================================
+# SENHA DO GERENCIADOR DE BANCOS (autenticação HTTP do Nginx)
+# ===================================================================
+# Refeita a cada execução: rode ./setup.sh de novo depois de trocar a senha
+echo "🔑 Gerando nginx/htpasswd (usuário ${DB_MANAGER_USER})..."
+${config.useSecrets ? 'DB_MANAGER_PASSWORD="$(cat secrets/db_manager_password.txt)"' : `DB_MANAGER_PASSWORD="$(. ./.env && printf '%s' "$DB_MANAGER_PASSWORD")"`}
+
+# Hash SHA-512 (crypt) com o openssl local ou, se não estiver instalado, um container descartável
+if command -v openssl &> /dev/null; then
+    DB_MANAGER_HASH="$(printf '%s\\n' "$DB_MANAGER_PASSWORD" | openssl passwd -6 -stdin)"
+else
+    DB_MANAGER_HASH="$(printf '%s\\n' "$DB_MANAGER_PASSWORD" | ${isPodman ? 'podman run --rm -i docker.io/alpine/openssl' : 'docker run --rm -i alpine/openssl'} passwd -6 -stdin)"
+fi
+unset DB_MANAGER_PASSWORD
+
+if [ -z "$DB_MANAGER_HASH" ]; then
+    echo "❌ Não foi possível gerar o hash da senha do gerenciador de bancos"
+    exit 1
+fi
+printf '%s:%s\\n' "${DB_MANAGER_USER}" "$DB_MANAGER_HASH" > nginx/htpasswd
+chmod 644 nginx/htpasswd           # Lido pelo usuário do Nginx; contém apenas o hash
+
+` : ''}${isPodman ? `# ===================================================================
+# INSTALAÇÃO DOS QUADLETS E INICIALIZAÇÃO
+# ===================================================================
+${usesCustomImage(config) ? `echo "🔨 Construindo imagem personalizada do Odoo..."
+podman build --pull --build-arg ODOO_VERSION=${config.odooVersion} -t ${getPodmanOdooImage(config)} .
+
+` : ''}echo "📦 Instalando unidades do Podman em $QUADLET_DIR..."
+mkdir -p "$QUADLET_DIR"
+for unidade in quadlet/*; do
+    # Caminhos absolutos: o systemd não conhece o diretório do projeto
+    sed "s|@PROJECT_DIR@|$(pwd)|g" "$unidade" > "$QUADLET_DIR/$(basename "$unidade")"
+done
+$SYSTEMCTL daemon-reload
+
+# Serviços do usuário só sobem no boot (sem login) com linger ativo
+if [ "$(id -u)" -ne 0 ] && ! loginctl enable-linger "$USER" 2> /dev/null; then
+    echo "⚠️  Execute 'sudo loginctl enable-linger $USER' para iniciar os serviços no boot"
+fi
+
+echo "🚀 Iniciando serviços (o primeiro início baixa as imagens)..."
+$SYSTEMCTL start ${podmanUnits.join(' ')}
+` : `# ===================================================================
+# INICIALIZAÇÃO DOS CONTAINERS
+# ===================================================================
+echo "🐳 Iniciando containers Docker..."
+
+# Usar docker-compose ou docker compose (versões mais novas)
+if command -v docker-compose &> /dev/null; then
+    COMPOSE_CMD="docker-compose"
+else
+    COMPOSE_CMD="docker compose"
+fi
+
+${usesCustomImage(config) ? `echo "🔨 Construindo imagem personalizada do Odoo..."
+$COMPOSE_CMD build --pull odoo
+
+echo "📦 Baixando imagens Docker..."
+$COMPOSE_CMD pull --ignore-pull-failures   # A imagem local do Odoo não existe no registry
+` : `echo "📦 Baixando imagens Docker..."
+$COMPOSE_CMD pull
+`}
+echo "🚀 Iniciando serviços..."
+$COMPOSE_CMD up -d
+`}
+# ===================================================================
+# VERIFICAÇÃO DO STATUS
+# ===================================================================
+echo "⏳ Aguardando serviços ficarem prontos..."
+sleep 10
+
+${usesCertbot(config) ? `# ===================================================================
+# EMISSÃO DO CERTIFICADO LET'S ENCRYPT
+# ===================================================================
+if [ -f "$LE_MARCADOR" ]; then
+    echo "🔐 Solicitando certificado Let's Encrypt para ${config.domain}..."
+    
+    # O certbot não sobrescreve um diretório live/ que ele mesmo não criou
+    rm -rf "$LE_LIVE_DIR" "certbot/conf/archive/${config.domain}" "certbot/conf/renewal/${config.domain}.conf"
+    
+    if ${isPodman ? `podman exec ${config.projectName}_certbot certbot certonly --webroot -w /var/www/certbot \\
+        -d ${config.domain} --email ${config.letsencryptEmail} \\
+        --agree-tos --no-eff-email --non-interactive${config.letsencryptStaging ? ' --staging' : ''}` : `$COMPOSE_CMD run --rm --entrypoint "certbot certonly --webroot -w /var/www/certbot \\
+        -d ${config.domain} --email ${config.letsencryptEmail} \\
+        --agree-tos --no-eff-email --non-interactive${config.letsencryptStaging ? ' --staging' : ''}" certbot`}; then
+        rm -f "$LE_MARCADOR"
+        ${isPodman ? `podman exec ${config.projectName}_nginx` : '$COMPOSE_CMD exec nginx'} nginx -s reload
+        echo "✅ Certificado emitido! O container certbot renova automaticamente a cada 12h"
+    else
+        echo "⚠️  Não foi possível emitir o certificado Let's Encrypt."
+        echo "   Verifique se o DNS de ${config.domain} aponta para este servidor e se a porta 80 está acessível."
+        echo "   Mantendo certificado provisório; execute ./setup.sh novamente para tentar de novo."
+        mkdir -p "$LE_LIVE_DIR"
+        gerar_certificado_autoassinado "$LE_LIVE_DIR/privkey.pem" "$LE_LIVE_DIR/fullchain.pem" 1
+    fi
+fi
+
+` : ''}echo "📊 Status dos containers:"
+${isPodman ? `podman ps --filter "name=^${config.projectName}_"` : '$COMPOSE_CMD ps'}
+${hasSystemdUnit ? `
+# ===================================================================
+# INICIALIZAÇÃO NO BOOT (systemd)
+# ===================================================================
+UNIT_FILE="/etc/systemd/system/${config.projectName}.service"
+if [ "$(id -u)" -eq 0 ]; then
+    sed -e "s|@PROJECT_DIR@|$(pwd)|g" -e "s|/usr/bin/docker |$(command -v docker) |g" \\
+        systemd/${config.projectName}.service > "$UNIT_FILE"
+    systemctl daemon-reload
+    systemctl enable ${config.projectName}.service
+    echo "✅ Unidade systemd instalada: a stack sobe no boot"
+else
+    echo "ℹ️  Para subir a stack no boot, instale a unidade systemd como root:"
+    echo "   sed 's|@PROJECT_DIR@|$(pwd)|g' systemd/${config.projectName}.service | sudo tee $UNIT_FILE > /dev/null"
+    echo "   sudo systemctl daemon-reload && sudo systemctl enable ${config.projectName}.service"
+fi
+` : ''}
+# ===================================================================
+# INFORMAÇÕES FINAIS
+# ===================================================================
+echo ""
+echo "🎉 Setup concluído com sucesso!"
+echo "=================================================="
+echo ""
+echo "📋 PRÓXIMOS PASSOS:"
+echo "1. Aguarde alguns minutos para o Odoo inicializar completamente"
+echo "2. Acesse: ${accessUrl}"
+echo "3. Configure sua primeira empresa no Odoo"
+echo ""
+echo "🔧 COMANDOS ÚTEIS:"
+echo "• Ver logs:        ${commands.logs}"
+echo "• Parar:           ${commands.stop}"
+echo "• Reiniciar:       ${commands.restartOdoo}"
+echo "• Status:          ${commands.status}"${hasOca ? `
+echo "• Atualizar OCA:   ./fetch-addons.sh && ${commands.restartOdoo}"` : ''}${config.enableMailCatcher ? `
+echo "• Emails (Mailpit): http://localhost:8025"` : ''}${usesPgbouncer(config) ? `
+echo "• Pools PgBouncer: ${commands.execDb} psql -h pgbouncer -p ${PGBOUNCER_PORT} -U ${config.dbUser} pgbouncer -c 'SHOW POOLS;'"` : ''}${usesFail2ban(config) ? `
+echo "• IPs banidos:     $COMPOSE_CMD exec fail2ban fail2ban-client status odoo-login"` : ''}${config.enableMonitoring ? `
+echo "• Grafana:         http://localhost:3000  (usuário admin, senha ${config.useSecrets ? 'em secrets/grafana_password.txt' : 'GRAFANA_ADMIN_PASSWORD do .env'})"
+echo "• Prometheus:      http://localhost:9090"` : ''}
+${config.enableBackup ? `echo "• Backup agora:    ${commands.execBackup} /bin/sh /backup/backup.sh"
+echo "• Restaurar:       ./restore.sh  (lista os conjuntos em backups/)"` : `echo "• Backup BD:       ${commands.execDb} pg_dump -U ${config.dbUser} ${config.dbName} > backups/backup_\$(date +%Y%m%d_%H%M%S).sql"`}
+echo ""
+echo "🔐 SEGURANÇA:"
+echo "• ${config.useSecrets ? `Senhas estão em secrets/ (${isPodman ? 'montadas em /run/secrets' : 'Docker secrets'}, fora do .env e do odoo.conf)` : 'Senhas estão no arquivo .env'}"
+echo "• ${sslMode === 'letsencrypt' ? "HTTPS ativo com Let's Encrypt (renovação automática)" : sslMode === 'selfsigned' ? 'HTTPS autoassinado: use Let\'s Encrypt em produção' : 'Configure SSL para produção'}"
+${usesNginxHardening(config) ? `echo "• Login limitado a 10 tentativas/min por IP; gerenciador de bancos ${isDbManagerRestricted(config) ? `restrito (${describeDbManagerRestriction(config)}${usesDbManagerAuth(config) ? `, usuário ${DB_MANAGER_USER}` : ''})` : 'bloqueado'}"
+` : ''}${usesContainerHardening(config) ? `echo "• Containers endurecidos: sem novos privilégios, raiz somente leitura e banco na rede interna ${config.projectName}_backend"
+` : ''}echo "• ${config.enableBackup ? `Backups automáticos: ${config.backupSchedule} (UTC), copie backups/ para fora do servidor` : 'Faça backups regulares'}"
+echo "• Monitore logs regularmente"
+echo ""
+echo "📖 DOCUMENTAÇÃO:"
+echo "• Odoo: https://www.odoo.com/documentation"
+echo "• ${isPodman ? 'Quadlets: https://docs.podman.io/en/latest/markdown/podman-systemd.unit.5.html' : 'Docker: https://docs.docker.com'}"`;
+}
+
+/**
+ * Gera script de backup executado pelo container de backup (cron)
+ * Cada execução cria um conjunto com dump do banco + filestore e aplica a retenção
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo backup/backup.sh
+ */
+function generateBackupScript(config) {
+    return `#!/bin/sh
+
+# ===================================================================
+# BACKUP AGENDADO - ${config.projectName}
+# ===================================================================
+# Executado pelo crond do container "backup" conforme BACKUP_SCHEDULE
+# Estrutura gerada em ./backups:
+#   daily/AAAAMMDD_HHMMSS/    - um conjunto por execução
+#   weekly/AAAA-Wss/          - primeiro conjunto de cada semana
+#   monthly/AAAA-MM/          - primeiro conjunto de cada mês
+# Cada conjunto contém database.dump (pg_dump -Fc) e filestore.tar.gz
+
+set -eu
+
+# Modo secrets: senha do banco lida do arquivo montado em /run/secrets
+# (aqui e não no entrypoint, para valer também no backup manual via exec)
+if [ -n "\${PGPASSWORD_FILE:-}" ]; then
+    PGPASSWORD="$(cat "$PGPASSWORD_FILE")"
+    export PGPASSWORD
+fi
+
+STAMP=$(date +%Y%m%d_%H%M%S)
+SET_DIR="/backups/daily/$STAMP"
+FILESTORE="/var/lib/odoo/filestore/$POSTGRES_DB"
+
+echo "[backup] Iniciando conjunto $STAMP"
+mkdir -p /backups/daily /backups/weekly /backups/monthly "$SET_DIR"
+
+# ===================================================================
+# DUMP DO BANCO (formato custom, restaurável com pg_restore)
+# ===================================================================
+if ! pg_dump -U "$POSTGRES_USER" -d "$POSTGRES_DB" -Fc -f "$SET_DIR/database.dump"; then
+    echo "[backup] ❌ Falha no pg_dump, conjunto descartado"
+    rm -rf "$SET_DIR"
+    exit 1
+fi
+
+# ===================================================================
+# FILESTORE (anexos, imagens e documentos do Odoo)
+# ===================================================================
+if [ -d "$FILESTORE" ]; then
+    tar -czf "$SET_DIR/filestore.tar.gz" -C "$FILESTORE" .
+else
+    echo "[backup] ⚠️  Filestore $FILESTORE ainda não existe, salvando apenas o banco"
+fi
+
+# ===================================================================
+# PROMOÇÃO PARA SEMANAL/MENSAL (hard links, sem ocupar espaço extra)
+# ===================================================================
+promover() {
+    if [ ! -d "$1" ]; then
+        mkdir -p "$1"
+        for arquivo in "$SET_DIR"/*; do
+            ln "$arquivo" "$1/"
+        done
+        echo "[backup] Conjunto promovido para $1"
+    fi
+}
+promover "/backups/weekly/$(date +%G-W%V)"
+promover "/backups/monthly/$(date +%Y-%m)"
+
+# ===================================================================
+# RETENÇÃO - mantém apenas os N conjuntos mais recentes de cada nível
+# ===================================================================
+limpar() {
+    ls -1d "$1"/*/ 2>/dev/null | sort -r | tail -n +$(($2 + 1)) | while read -r antigo; do
+        rm -rf "$antigo"
+        echo "[backup] Removido conjunto antigo $antigo"
+    done
+}
+limpar /backups/daily "$BACKUP_KEEP_DAILY"
+limpar /backups/weekly "$BACKUP_KEEP_WEEKLY"
+limpar /backups/monthly "$BACKUP_KEEP_MONTHLY"
+
+echo "[backup] ✅ Conjunto $STAMP concluído ($(du -sh "$SET_DIR" | cut -f1))"`;
+}
+
+/**
+ * Gera entrypoint do container de backup (agenda o backup.sh no crond)
+ * @returns {string} Conteúdo do arquivo backup/entrypoint.sh
+ */
+function generateBackupEntrypoint() {
+    return `#!/bin/sh
+
+# ===================================================================
+# ENTRYPOINT DO CONTAINER DE BACKUP
+# ===================================================================
+# Registra o backup.sh no crond com o agendamento de BACKUP_SCHEDULE
+
+set -eu
+
+# O crond não repassa as variáveis do container para os jobs:
+# salva as necessárias em um arquivo carregado antes de cada execução
+export -p | grep -E ' (PG[A-Z_]*|POSTGRES_[A-Z]*|BACKUP_[A-Z_]*)=' > /tmp/backup.env
+
+echo "$BACKUP_SCHEDULE . /tmp/backup.env; /bin/sh /backup/backup.sh > /proc/1/fd/1 2>&1" | crontab -
+
+echo "[backup] Agendado: $BACKUP_SCHEDULE (horário UTC)"
+exec crond -f -l 8`;
+}
+
+/**
+ * Gera script de restauração a partir de um conjunto de backup
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do script restore.sh
+ */
+function generateRestoreScript(config) {
+    const isPodman = config.deployTarget === 'podman';
+    // Tudo que mantém conexões abertas no banco: Odoo, container de backup (dump em andamento)
+    // e PgBouncer (conexões ociosas com o PostgreSQL por até server_idle_timeout)
+    const services = ['odoo', 'backup', ...(usesPgbouncer(config) ? ['pgbouncer'] : [])];
+    const stoppedServices = isPodman
+        ? services.map(service => `${getQuadletUnitName(config, service)}.service`).join(' ')
+        : services.join(' ');
+    
+    return `#!/bin/bash
+
+# ===================================================================
+# RESTAURAÇÃO DE BACKUP - ${config.projectName}
+# ===================================================================
+# Recria o banco e o filestore a partir de um conjunto gerado pelo
+# container de backup.
+#
+# Uso:
+#   ./restore.sh                               # Lista os conjuntos disponíveis
+#   ./restore.sh backups/daily/AAAAMMDD_HHMMSS # Restaura no banco ${config.dbName}
+#   ./restore.sh <conjunto> <outro_banco>      # Restaura em outro banco
+
+set -euo pipefail
+
+${isPodman ? `# Serviços do Podman no systemd do sistema (root) ou do usuário (rootless)
+if [ "$(id -u)" -eq 0 ]; then
+    SYSTEMCTL="systemctl"
+else
+    SYSTEMCTL="systemctl --user"
+fi` : `# Usar docker-compose ou docker compose (versões mais novas)
+if command -v docker-compose &> /dev/null; then
+    COMPOSE_CMD="docker-compose"
+else
+    COMPOSE_CMD="docker compose"
+fi`}
+
+# ===================================================================
+# SELEÇÃO DO CONJUNTO
+# ===================================================================
+if [ $# -lt 1 ]; then
+    echo "📦 Conjuntos de backup disponíveis:"
+    for nivel in daily weekly monthly; do
+        echo ""
+        echo "  $nivel:"
+        ls -1d backups/$nivel/*/ 2>/dev/null | sed 's|/$||; s|^|    |' || echo "    (nenhum)"
+    done
+    echo ""
+    echo "Uso: ./restore.sh <conjunto> [nome_do_banco]"
+    exit 0
+fi
+
+SET_DIR="\${1%/}"
+TARGET_DB="\${2:-${config.dbName}}"
+
+if [ ! -f "$SET_DIR/database.dump" ]; then
+    echo "❌ $SET_DIR/database.dump não encontrado"
+    exit 1
+fi
+
+if ! echo "$TARGET_DB" | grep -Eq '^[a-zA-Z][a-zA-Z0-9_]*$'; then
+    echo "❌ Nome de banco inválido: $TARGET_DB"
+    exit 1
+fi
+
+echo "⚠️  O banco '$TARGET_DB' e seu filestore serão SUBSTITUÍDOS pelo conjunto $SET_DIR"
+read -r -p "Digite o nome do banco para confirmar: " CONFIRMACAO
+if [ "$CONFIRMACAO" != "$TARGET_DB" ]; then
+    echo "Cancelado."
+    exit 1
+fi
+
+# ===================================================================
+# RESTAURAÇÃO DO BANCO
+# ===================================================================
+# Sem conexões abertas o dropdb não falha com "database is being accessed by other users"
+SERVICOS="${stoppedServices}"
+
+# Religa os serviços na saída, inclusive quando um passo falha (set -e): a pilha nunca fica parada
+religar() {
+    echo "▶️  Iniciando $SERVICOS..."
+    ${isPodman ? '$SYSTEMCTL start $SERVICOS' : '$COMPOSE_CMD start $SERVICOS'}
+}
+trap religar EXIT
+
+echo "⏸️  Parando $SERVICOS..."
+${isPodman ? '$SYSTEMCTL stop $SERVICOS' : '$COMPOSE_CMD stop $SERVICOS'}
+
+echo "🗄️  Recriando banco $TARGET_DB..."
+${isPodman ? `podman exec -i ${config.projectName}_postgres` : '$COMPOSE_CMD exec -T db'} sh -c "dropdb -U \\"\\$POSTGRES_USER\\" --if-exists '$TARGET_DB' && createdb -U \\"\\$POSTGRES_USER\\" -O \\"\\$POSTGRES_USER\\" '$TARGET_DB'"
+${isPodman ? `podman exec -i ${config.projectName}_postgres` : '$COMPOSE_CMD exec -T db'} sh -c "pg_restore -U \\"\\$POSTGRES_USER\\" -d '$TARGET_DB' --no-owner --role=\\"\\$POSTGRES_USER\\"" < "$SET_DIR/database.dump"
+
+# ===================================================================
+# RESTAURAÇÃO DO FILESTORE
+# ===================================================================
+if [ -f "$SET_DIR/filestore.tar.gz" ]; then
+    echo "📁 Restaurando filestore..."
+    ${isPodman ? `podman run --rm -i -v ${config.projectName}_odoo_data:/var/lib/odoo -v "$(pwd)/$SET_DIR:/restore:ro,z" --entrypoint sh ${getPodmanOdooImage(config)} -c` : '$COMPOSE_CMD run --rm --no-deps -T -v "$(pwd)/$SET_DIR:/restore:ro" --entrypoint sh odoo -c'} \\
+        "rm -rf /var/lib/odoo/filestore/$TARGET_DB && mkdir -p /var/lib/odoo/filestore/$TARGET_DB && tar -xzf /restore/filestore.tar.gz -C /var/lib/odoo/filestore/$TARGET_DB"
+else
+    echo "⚠️  Conjunto sem filestore.tar.gz, apenas o banco foi restaurado"
+fi
+
+# ===================================================================
+# REINÍCIO
+# ===================================================================
+trap - EXIT
+religar
+
+echo "✅ Restauração concluída: $TARGET_DB ← $SET_DIR"`;
+}
+
+/**
+ * Gera configuração de coleta do Prometheus (prometheus.yml)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo monitoring/prometheus.yml
+ */
+function generatePrometheusConfig(config) {
+    return `# ===================================================================
+# PROMETHEUS - ${config.projectName}
+# ===================================================================
+# Alvos acessados pela rede interna do Docker (nomes dos serviços)
+
+global:
+  scrape_interval: 15s       # Frequência de coleta
+  evaluation_interval: 15s
+
+scrape_configs:
+  # O próprio Prometheus
+  - job_name: prometheus
+    static_configs:
+      - targets: ['localhost:9090']
+
+  # PostgreSQL: conexões, tamanho do banco, transações
+  - job_name: postgres
+    static_configs:
+      - targets: ['postgres-exporter:9187']
+
+  # CPU, memória e rede de cada container (inclui o Odoo)
+  - job_name: cadvisor
+    static_configs:
+      - targets: ['cadvisor:8080']
+${getReverseProxy(config) === 'nginx' ? `
+  # Nginx: requisições e conexões (stub_status)
+  - job_name: nginx
+    static_configs:
+      - targets: ['nginx-exporter:9113']
+` : ''}`;
+}
+
+/**
+ * Gera provisionamento da fonte de dados Prometheus no Grafana
+ * @returns {string} Conteúdo de monitoring/grafana/provisioning/datasources/prometheus.yml
+ */
+function generateGrafanaDatasource() {
+    return `# Fonte de dados criada automaticamente na inicialização do Grafana
+apiVersion: 1
+
+datasources:
+  - name: Prometheus
+    uid: prometheus          # Referenciado pelos painéis do dashboard
+    type: prometheus
+    access: proxy
+    url: http://prometheus:9090
+    isDefault: true
+    editable: false
+`;
+}
+
+/**
+ * Gera provedor de dashboards do Grafana (lê os JSON de /var/lib/grafana/dashboards)
+ * @returns {string} Conteúdo de monitoring/grafana/provisioning/dashboards/dashboards.yml
+ */
+function generateGrafanaDashboardProvider() {
+    return `# Dashboards carregados da pasta monitoring/grafana/dashboards
+apiVersion: 1
+
+providers:
+  - name: odoo
+    folder: Odoo
+    type: file
+    disableDeletion: false
+    updateIntervalSeconds: 30
+    options:
+      path: /var/lib/grafana/dashboards
+`;
+}
+
+/**
+ * Gera dashboard inicial do Grafana com painéis de Odoo, PostgreSQL e Nginx
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} JSON do dashboard
+ */
+function generateGrafanaDashboard(config) {
+    const odooContainer = `${config.projectName}_odoo`;
+    const datasource = { type: 'prometheus', uid: 'prometheus' };
+    
+    // Painel de série temporal: cada painel ocupa meia largura (12 de 24 colunas)
+    const panel = (title, unit, targets) => ({ title, unit, targets });
+    const panels = [
+        panel('Odoo - CPU (núcleos)', 'short', [
+            { expr: `rate(container_cpu_usage_seconds_total{name="${odooContainer}"}[5m])`, legendFormat: 'odoo' }
+        ]),
+        panel('Odoo - Memória', 'bytes', [
+            { expr: `container_memory_working_set_bytes{name="${odooContainer}"}`, legendFormat: 'em uso' },
+            { expr: `container_spec_memory_limit_bytes{name="${odooContainer}"}`, legendFormat: 'limite' }
+        ]),
+        panel('Memória por container', 'bytes', [
+            { expr: `container_memory_working_set_bytes{name=~"${config.projectName}_.*"}`, legendFormat: '{{name}}' }
+        ]),
+        panel('PostgreSQL - Conexões', 'short', [
+            { expr: `pg_stat_database_numbackends{datname="${config.dbName}"}`, legendFormat: '{{datname}}' }
+        ]),
+        panel('PostgreSQL - Transações/s', 'ops', [
+            { expr: `rate(pg_stat_database_xact_commit{datname="${config.dbName}"}[5m])`, legendFormat: 'commits' },
+            { expr: `rate(pg_stat_database_xact_rollback{datname="${config.dbName}"}[5m])`, legendFormat: 'rollbacks' }
+        ]),
+        panel('PostgreSQL - Tamanho do banco', 'bytes', [
+            { expr: `pg_database_size_bytes{datname="${config.dbName}"}`, legendFormat: '{{datname}}' }
+        ]),
+        ...(getReverseProxy(config) === 'nginx' ? [
+            panel('Nginx - Requisições/s', 'reqps', [
+                { expr: 'rate(nginx_http_requests_total[5m])', legendFormat: 'requisições' }
+            ]),
+            panel('Nginx - Conexões ativas', 'short', [
+                { expr: 'nginx_connections_active', legendFormat: 'ativas' }
+            ])
+        ] : [])
+    ];
+    
+    const dashboard = {
+        uid: `${config.projectName}-odoo`,
+        title: `Odoo - ${config.projectName}`,
+        tags: ['odoo', 'postgres'],
+        timezone: 'browser',
+        schemaVersion: 39,
+        refresh: '30s',
+        time: { from: 'now-6h', to: 'now' },
+        panels: panels.map((item, index) => ({
+            id: index + 1,
+            type: 'timeseries',
+            title: item.title,
+            datasource,
+            gridPos: { h: 8, w: 12, x: (index % 2) * 12, y: Math.floor(index / 2) * 8 },
+            fieldConfig: { defaults: { unit: item.unit }, overrides: [] },
+            targets: item.targets.map((target, targetIndex) => ({
+                ...target,
+                datasource,
+                refId: String.fromCharCode(65 + targetIndex)
+            }))
+        }))
+    };
+    
+    return JSON.stringify(dashboard, null, 2);
+}
+
+/**
+ * Gera Dockerfile que estende a imagem oficial do Odoo com dependências extras
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do Dockerfile
+ */
+function generateDockerfile(config) {
+    // Pacotes informados só valem com a opção de imagem personalizada (o Redis também gera o Dockerfile)
+    const aptPackages = config.customImage ? config.aptPackages || [] : [];
+    const versionInfo = getOdooVersionInfo(config);
+    
+    return `# ===================================================================
+# IMAGEM ODOO PERSONALIZADA - ${config.projectName}
+# ===================================================================
+# Estende a imagem oficial com pacotes do sistema e do Python
+# Reconstruir após alterações: docker compose build odoo && docker compose up -d odoo
+
+ARG ODOO_VERSION=${config.odooVersion}
+FROM odoo:\${ODOO_VERSION}
+
+# Instalações exigem root; a imagem oficial roda como usuário odoo
+USER root
+${aptPackages.length > 0 ? `
+# Pacotes do sistema (Debian/Ubuntu)
+RUN apt-get update \\
+    && apt-get install -y --no-install-recommends \\
+${aptPackages.map(pkg => `        ${pkg} \\`).join('\n')}
+    && rm -rf /var/lib/apt/lists/*
+` : `
+# Pacotes do sistema (Debian/Ubuntu): nenhum declarado
+# RUN apt-get update && apt-get install -y --no-install-recommends <pacote> && rm -rf /var/lib/apt/lists/*
+`}
+# Dependências Python dos addons (Python ${versionInfo.python} da imagem ${versionInfo.baseImage})
+COPY requirements.txt /tmp/requirements.txt
+${versionInfo.pipBreakSystemPackages ? `# PIP_BREAK_SYSTEM_PACKAGES: o Python do sistema é "externally managed" (PEP 668)
+RUN PIP_BREAK_SYSTEM_PACKAGES=1 pip3 install` : 'RUN pip3 install'} --no-cache-dir -r /tmp/requirements.txt \\
+    && rm /tmp/requirements.txt
+${config.enableRedis ? `
+# Sessões no Redis: addon ${SESSION_REDIS_ADDON.module} de ${SESSION_REDIS_ADDON.repository.replace('https://github.com/', '')}
+# na ref fixada pelo gerador para a versão ${config.odooVersion}. Apenas o módulo é extraído para ${SESSION_REDIS_ADDON.path}
+# Outra ref: docker compose build --build-arg SESSION_REDIS_REF=<commit> odoo
+ARG SESSION_REDIS_REF=${versionInfo.sessionRedisRef}
+ADD ${SESSION_REDIS_ADDON.repository}/archive/\${SESSION_REDIS_REF}.tar.gz /tmp/odoo-cloud-platform.tar.gz
+RUN mkdir -p ${SESSION_REDIS_ADDON.path} \\
+    && tar -xzf /tmp/odoo-cloud-platform.tar.gz -C ${SESSION_REDIS_ADDON.path} --strip-components=1 \\
+        --wildcards "*/${SESSION_REDIS_ADDON.module}" \\
+    && rm /tmp/odoo-cloud-platform.tar.gz
+` : ''}
+USER odoo
+`;
+}
+
+/**
+ * Gera requirements.txt com os pacotes Python da imagem personalizada
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do requirements.txt
+ */
+function generateRequirementsTxt(config) {
+    const pipPackages = config.customImage ? config.pipPackages || [] : [];
+    const packageName = (line) => line.split(/[\s<>=!~;[]/)[0].toLowerCase();
+    const needsRedis = config.enableRedis && !pipPackages.some(pkg => packageName(pkg) === SESSION_REDIS_ADDON.python);
+    
+    return `# Dependências Python extras - ${config.projectName}
+# Instaladas na imagem pelo Dockerfile (um pacote por linha, formato pip)${needsRedis ? `
+# Cliente Redis do addon ${SESSION_REDIS_ADDON.module}
+${SESSION_REDIS_ADDON.python}` : ''}
+${pipPackages.join('\n')}
+`;
+}
+
+/**
+ * Gera .dockerignore: o contexto de build só precisa do Dockerfile e do requirements.txt
+ * (evita enviar backups, logs e addons para o daemon a cada build)
+ * @returns {string} Conteúdo do .dockerignore
+ */
+function generateDockerignore() {
+    return `*
+!Dockerfile
+!requirements.txt
+`;
+}
+
+/**
+ * Gera repos.yaml no formato do git-aggregator com os repositórios OCA
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo repos.yaml
+ */
+function generateReposYaml(config) {
+    const repositories = config.ocaRepositories.map(repo => `./oca/${repo}:
+  remotes:
+    oca: https://github.com/OCA/${repo}.git
+  merges:
+    - oca ${config.odooVersion}
+  target: oca ${config.odooVersion}
+  defaults:
+    depth: 1`).join('\n\n');
+    
+    return `# ===================================================================
+# REPOSITÓRIOS OCA - ${config.projectName}
+# ===================================================================
+# Formato git-aggregator: https://github.com/acsone/git-aggregator
+# Baixe com ./fetch-addons.sh (ou: gitaggregate -c repos.yaml)
+# Para aplicar um PR ainda não mesclado, adicione em "merges":
+#   - oca refs/pull/<número>/head
+
+${repositories}
+`;
+}
+
+/**
+ * Gera script que baixa os repositórios OCA na branch da versão do Odoo
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do script fetch-addons.sh
+ */
+function generateFetchAddonsScript(config) {
+    return `#!/bin/bash
+
+# ===================================================================
+# DOWNLOAD DOS ADDONS OCA - ${config.projectName}
+# ===================================================================
+# Baixa os repositórios de repos.yaml na branch ${config.odooVersion}
+# Usa o git-aggregator se estiver instalado (suporta merges de PRs);
+# caso contrário, faz um git clone raso de cada repositório
+
+set -euo pipefail
+cd "$(dirname "$0")"
+
+ODOO_BRANCH="${config.odooVersion}"
+REPOS=(${config.ocaRepositories.join(' ')})
+
+if command -v gitaggregate &> /dev/null; then
+    echo "📦 Baixando repositórios com git-aggregator (repos.yaml)..."
+    gitaggregate -c repos.yaml -j 4
+else
+    if ! command -v git &> /dev/null; then
+        echo "❌ Git não está instalado. Instale o git (ou pip install git-aggregator)."
+        exit 1
+    fi
+    
+    echo "📦 git-aggregator não encontrado, usando git clone..."
+    mkdir -p oca
+    for repo in "\${REPOS[@]}"; do
+        if [ -d "oca/$repo/.git" ]; then
+            echo "🔄 Atualizando $repo..."
+            git -C "oca/$repo" pull --ff-only
+        else
+            echo "⬇️  Clonando $repo ($ODOO_BRANCH)..."
+            git clone --depth 1 --branch "$ODOO_BRANCH" "https://github.com/OCA/$repo.git" "oca/$repo"
+        fi
+    done
+fi
+
+echo "✅ Addons OCA prontos em ./oca"
+echo "   Reinicie o Odoo e atualize a lista de apps para instalar os módulos."`;
+}
+
+/**
+ * Gera arquivo .gitignore para o projeto
+ * Comentários ficam em linhas próprias: o git não aceita comentário após um padrão
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo .gitignore
+ */
+function generateGitignore(config) {
+    return `# ===================================================================
+# GITIGNORE - Projeto Odoo
+# ===================================================================
+
+# ===================================================================
+# ARQUIVOS SENSÍVEIS (NUNCA COMMITAR)
+# ===================================================================
+# Variáveis de ambiente com senhas
+.env
+# Senhas do modo Docker secrets
+secrets/${config.useSecrets ? '' : `
+# Configuração do Odoo (contém db_password e admin_passwd)
+config/odoo.conf`}${usesDbManagerAuth(config) ? `
+# Hash da senha do gerenciador de bancos (gerado pelo setup.sh)
+nginx/htpasswd` : ''}${usesPgbouncer(config) && !config.useSecrets ? `
+# Usuário e senha do banco para o PgBouncer
+pgbouncer/userlist.txt` : ''}${usesFail2ban(config) ? `
+# Banco de banimentos do fail2ban
+fail2ban/db/` : ''}
+# Arquivos de log, chaves privadas e certificados
+*.log
+*.key
+*.pem
+
+# ===================================================================
+# DADOS PERSISTENTES
+# ===================================================================
+# Logs do Odoo
+logs/
+# Backups do banco de dados
+backups/
+# Dados temporários
+data/
+# Repositórios OCA (recriados pelo fetch-addons.sh)
+oca/
+
+# ===================================================================
+# CERTIFICADOS SSL
+# ===================================================================
+# Chaves e certificados do Nginx
+nginx/ssl/*.key
+nginx/ssl/*.crt
+nginx/ssl/*.pem
+# Certificados e contas Let's Encrypt (certbot e Traefik)
+certbot/conf/
+certbot/.certificado-provisorio
+traefik/letsencrypt/acme.json
+
+# ===================================================================
+# ARQUIVOS DO SISTEMA OPERACIONAL
+# ===================================================================
+# macOS
+.DS_Store
+# Windows
+Thumbs.db
+desktop.ini
+
+# ===================================================================
+# ARQUIVOS DE IDEs
+# ===================================================================
+# Visual Studio Code
+.vscode/
+# IntelliJ/PyCharm
+.idea/
+# Vim e arquivos de backup
+*.swp
+*.swo
+*~
+
+# ===================================================================
+# ARQUIVOS TEMPORÁRIOS
+# ===================================================================
+*.tmp
+*.temp
+# Cache de aplicações
+.cache/
+
+# ===================================================================
+# NOTAS
+# ===================================================================
+# Este .gitignore protege informações sensíveis
+# Sempre revise antes de commitar arquivos`;
+}
+
+/**
+ * Content-Security-Policy do Nginx endurecido com HTTPS
+ * O Odoo exige scripts inline e eval (templates compilados no navegador); imagens e
+ * iframes externos (vídeos, mapas) continuam permitidos, desde que em HTTPS
+ * Scripts, estilos, fontes, conexões e formulários de outros domínios (provedores de pagamento,
+ * Google Fonts) só carregam se estiverem em config.cspAllowedOrigins
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Valor do header
+ */
+function getContentSecurityPolicy(config) {
+    const origins = (config.cspAllowedOrigins || []).map(origin => ` ${origin}`).join('');
+    return [
+        "default-src 'self'",
+        `script-src 'self' 'unsafe-inline' 'unsafe-eval'${origins}`,
+        `style-src 'self' 'unsafe-inline'${origins}`,
+        "img-src 'self' data: blob: https:",
+        `font-src 'self' data:${origins}`,
+        `connect-src 'self' wss://${config.domain || 'localhost'}${origins}`,
+        "frame-src 'self' https:",
+        "frame-ancestors 'self'",
+        "base-uri 'self'",
+        `form-action 'self'${origins}`,
+        "object-src 'none'"
+    ].join('; ');
+}
+
+/**
+ * Gera configuração do Nginx (se habilitado)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo nginx.conf
+ */
+function generateNginxConf(config) {
+    const sslMode = getSslMode(config);
+    const serverName = config.domain || 'localhost';
+    const versionInfo = getOdooVersionInfo(config);
+    const hardening = usesNginxHardening(config);
+    
+    // Gerenciador de bancos: Odoo (/web/database/*) e serviço db do XML-RPC
+    const dbManagerRoute = '~ ^/(web/database/|xmlrpc/(2/)?db$)';
+    const dbManagerLocation = isDbManagerRestricted(config) ? `        # Restrito (${describeDbManagerRestriction(config)}); cada operação ainda exige a senha master
+        # O serviço db também responde em /jsonrpc, onde vale apenas a senha master
+        location ${dbManagerRoute} {${(config.dbManagerAllowlist || []).map(entry => `
+            allow ${entry};`).join('')}${(config.dbManagerAllowlist || []).length > 0 ? `
+            deny all;` : ''}${usesDbManagerAuth(config) ? `
+            auth_basic "Gerenciador de bancos";
+            auth_basic_user_file /etc/nginx/htpasswd;   # Gerado pelo setup.sh` : ''}
+            proxy_pass http://odoo;
+            proxy_redirect off;
+        }` : `        # Bloqueado: o Odoo já recusa essas rotas (list_db = False) e o Nginx nem as repassa
+        location ${dbManagerRoute} {
+            return 404;
+        }`;
+    
+    // Headers de segurança: repetidos em toda location com add_header próprio,
+    // já que o Nginx só herda os add_header do server quando a location não define nenhum
+    const securityHeaders = (scheme, indent) => (hardening ? [
+        'add_header X-Frame-Options SAMEORIGIN always;',
+        'add_header X-Content-Type-Options nosniff always;',
+        'add_header X-XSS-Protection "1; mode=block" always;',
+        'add_header Referrer-Policy strict-origin-when-cross-origin always;',
+        ...(scheme === 'https' ? [`add_header Content-Security-Policy "${getContentSecurityPolicy(config)}" always;`] : []),
+        ...(scheme === 'https' && sslMode === 'letsencrypt' ? ['add_header Strict-Transport-Security "max-age=31536000; includeSubDomains" always;'] : [])
+    ] : [
+        'add_header X-Frame-Options DENY;',
+        'add_header X-Content-Type-Options nosniff;',
+        'add_header X-XSS-Protection "1; mode=block";'
+    ]).map(line => indent + line).join('\n');
+    
+    // Rotas e headers de proxy (usados pelo servidor que atende o Odoo: HTTP ou HTTPS)
+    const proxyLocations = (scheme) => `        # Configurações de proxy para comunicação com Odoo
+        proxy_read_timeout 720s;    # Timeout de leitura (12 min)
+        proxy_connect_timeout 720s; # Timeout de conexão
+        proxy_send_timeout 720s;    # Timeout de envio
+        proxy_set_header Host $http_host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto ${scheme};
+
+        # ========================================================
+        # ROTA DE TEMPO REAL (chat, notificações) - ${versionInfo.realtimeOption}
+        # ========================================================
+        location ${versionInfo.realtimePath} {
+            proxy_pass http://odoochat;
+            proxy_set_header Upgrade $http_upgrade;
+            proxy_set_header Connection $connection_upgrade;
+            proxy_http_version 1.1;
+            proxy_buffering off;
+        }
+${hardening ? `
+        # ========================================================
+        # LOGIN E REDEFINIÇÃO DE SENHA (limite contra força bruta)
+        # ========================================================
+        # Zona odoo_login; o excesso recebe 429 e é registrado no error.log${usesFail2ban(config) ? ' (lido pelo fail2ban)' : ''}
+        location ~ ^/web/(login|reset_password|session/authenticate)$ {
+            limit_req zone=odoo_login burst=5 nodelay;
+            proxy_pass http://odoo;
+            proxy_redirect off;
+        }
+
+        # ========================================================
+        # GERENCIADOR DE BANCOS (criar, duplicar, excluir, backup)
+        # ========================================================
+${dbManagerLocation}
+` : ''}
+        # ========================================================
+        # ARQUIVOS ESTÁTICOS (CSS, JS, imagens)
+        # ========================================================
+        location ~* /web/static/ {
+            proxy_pass http://odoo;
+            proxy_cache_valid 200 60m;    # Cache por 1 hora
+            proxy_buffering on;
+            expires 864000;               # Expires em 10 dias
+            add_header Cache-Control "public, immutable";
+            # Este add_header anula os do server: os headers de segurança são repetidos aqui
+${securityHeaders(scheme, '            ')}
+        }
+
+        # ========================================================
+        # TODAS AS OUTRAS ROTAS (interface principal)
+        # ========================================================
+        location / {
+            proxy_pass http://odoo;
+            proxy_redirect off;
+        }
+
+        # ========================================================
+        # SEGURANÇA BÁSICA
+        # ========================================================
+        # Ocultar versão do Nginx
+        server_tokens off;
+        
+        ${hardening ? `# Headers de segurança ("always": também nas respostas de erro, como o 429)
+        # SAMEORIGIN: o editor do site e as pré-visualizações do Odoo usam iframes do próprio domínio${scheme === 'https' && sslMode === 'letsencrypt' ? `
+        # HSTS: o navegador recusa HTTP por 1 ano (fora do modo autoassinado, cujo aviso não poderia mais ser ignorado)` : ''}` : '# Headers de segurança'}
+${securityHeaders(scheme, '        ')}`;
+    
+    let servers;
+    if (sslMode === 'none') {
+        servers = `    # ===============================================================
+    # SERVIDOR HTTP (porta 80)
+    # ===============================================================
+    server {
+        listen 80;
+        server_name ${serverName};
+
+        # Para HTTPS em produção, descomente a linha abaixo:
+        # return 301 https://$server_name$request_uri;
+
+${proxyLocations('http')}
+    }
+
+    # ===============================================================
+    # SERVIDOR HTTPS (porta 443) - DESCOMENTE PARA SSL
+    # ===============================================================
+    # server {
+    #     listen 443 ssl http2;
+    #     server_name ${serverName};
+    #     
+    #     # Certificados SSL (configure seus certificados)
+    #     ssl_certificate /etc/ssl/certs/your-cert.crt;
+    #     ssl_certificate_key /etc/ssl/certs/your-cert.key;
+    #     
+    #     # Configurações SSL modernas
+    #     ssl_protocols TLSv1.2 TLSv1.3;
+    #     ssl_ciphers HIGH:!aNULL:!MD5;
+    #     ssl_prefer_server_ciphers on;
+    #     
+    #     # Configurações de proxy (mesmas do HTTP)
+    #     proxy_read_timeout 720s;
+    #     proxy_connect_timeout 720s;
+    #     proxy_send_timeout 720s;
+    #     proxy_set_header Host $http_host;
+    #     proxy_set_header X-Real-IP $remote_addr;
+    #     proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+    #     proxy_set_header X-Forwarded-Proto https;
+    #     
+    #     location ${versionInfo.realtimePath} {
+    #         proxy_pass http://odoochat;
+    #         proxy_set_header Upgrade $http_upgrade;
+    #         proxy_set_header Connection $connection_upgrade;
+    #         proxy_http_version 1.1;
+    #     }
+    #     
+    #     location / {
+    #         proxy_pass http://odoo;
+    #         proxy_redirect off;
+    #     }
+    # }`;
+    } else {
+        const certPaths = getSslCertificatePaths(config);
+        servers = `    # ===============================================================
+    # SERVIDOR HTTP (porta 80) - ${sslMode === 'letsencrypt' ? 'DESAFIO ACME E ' : ''}REDIRECIONAMENTO
+    # ===============================================================
+    server {
+        listen 80;
+        server_name ${serverName};
+        server_tokens off;
+${sslMode === 'letsencrypt' ? `
+        # Desafio HTTP-01 do Let's Encrypt (arquivos criados pelo certbot)
+        location /.well-known/acme-challenge/ {
+            root /var/www/certbot;
+        }
+` : ''}
+        # Todo o restante do tráfego é redirecionado para HTTPS
+        location / {
+            return 301 https://$host$request_uri;
+        }
+    }
+
+    # ===============================================================
+    # SERVIDOR HTTPS (porta 443)
+    # ===============================================================
+    server {
+        listen 443 ssl;
+        http2 on;
+        server_name ${serverName};
+
+        # Certificados ${sslMode === 'letsencrypt' ? "Let's Encrypt (renovados pelo container certbot)" : 'autoassinados (apenas para testes locais)'}
+        ssl_certificate ${certPaths.certificate};
+        ssl_certificate_key ${certPaths.key};
+
+        # Configurações SSL modernas
+        ssl_protocols TLSv1.2 TLSv1.3;
+        ssl_ciphers HIGH:!aNULL:!MD5;
+        ssl_prefer_server_ciphers on;
+        ssl_session_cache shared:SSL:10m;   # Reaproveita sessões TLS entre conexões
+        ssl_session_timeout 1d;
+
+${proxyLocations('https')}
+    }`;
+    }
+    
+    // Métricas para o nginx-exporter: porta 8080 não é publicada no host
+    if (config.enableMonitoring) {
+        servers += `
+
+    # ===============================================================
+    # MÉTRICAS (stub_status) - apenas rede interna do Docker
+    # ===============================================================
+    server {
+        listen 8080;
+        server_name _;
+        access_log off;
+
+        location = /stub_status {
+            stub_status;
+        }
+    }`;
+    }
+    
+    return `# ===================================================================
+# CONFIGURAÇÃO NGINX - ${config.projectName}
+# ===================================================================
+# Proxy reverso otimizado para Odoo
+# Melhora performance, segurança e facilita configuração SSL
+
+events {
+    worker_connections 1024;        # Conexões simultâneas por worker
+    use epoll;                     # Método eficiente para Linux
+}
+
+http {
+    # ===============================================================
+    # CONFIGURAÇÕES BÁSICAS
+    # ===============================================================
+    include /etc/nginx/mime.types;
+    default_type application/octet-stream;
+
+    # Formato de logs personalizado
+    log_format main '$remote_addr - $remote_user [$time_local] "$request" '
+                    '$status $body_bytes_sent "$http_referer" '
+                    '"$http_user_agent" "$http_x_forwarded_for"';
+
+    access_log /var/log/nginx/access.log main;
+    error_log /var/log/nginx/error.log;
+
+    # Otimizações de performance
+    sendfile on;                   # Transferência eficiente de arquivos
+    tcp_nopush on;                 # Otimiza envio de headers
+    tcp_nodelay on;                # Reduz latência
+    keepalive_timeout 65;          # Mantém conexões abertas
+    types_hash_max_size 2048;      # Cache de tipos MIME
+    client_max_body_size 128M;     # Limite para uploads (arquivos Odoo)
+
+    # ===============================================================
+    # COMPRESSÃO GZIP (melhora velocidade)
+    # ===============================================================
+    gzip on;
+    gzip_vary on;
+    gzip_min_length 1000;          # Só comprime arquivos > 1KB
+    gzip_proxied any;
+    gzip_comp_level 6;             # Nível de compressão balanceado
+    gzip_types 
+        text/plain 
+        text/css 
+        text/xml 
+        text/javascript 
+        application/javascript 
+        application/xml+rss 
+        application/json;
+
+    # ===============================================================
+    # UPSTREAM - Definição dos backends
+    # ===============================================================
+    upstream odoo {
+        server odoo:8069;           # Container principal do Odoo
+    }
+
+    upstream odoochat {
+        server odoo:8072;           # Porta de tempo real (${versionInfo.realtimeOption})
+    }
+
+    # Conexões de ${versionInfo.realtimePath} pedem upgrade; as demais são fechadas normalmente
+    map $http_upgrade $connection_upgrade {
+        default upgrade;
+        ''      close;
+    }
+${hardening ? `
+    # ===============================================================
+    # LIMITE DE TENTATIVAS DE LOGIN
+    # ===============================================================
+    # 10 requisições por minuto por IP (10 MB guardam cerca de 160 mil IPs)
+    limit_req_zone $binary_remote_addr zone=odoo_login:10m rate=10r/m;
+    limit_req_status 429;
+` : ''}
+${servers}
+}`;
+}
+
+/**
+ * Gera as jails do fail2ban: falhas de login do Odoo, limite de login do Nginx
+ * e, com a senha do gerenciador de bancos, falhas da autenticação HTTP
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo fail2ban/jail.d/odoo.local
+ */
+function generateFail2banJail(config) {
+    const ignoreIps = ['127.0.0.1/8', '::1', ...(config.dbManagerAllowlist || [])];
+    
+    return `# ===================================================================
+# FAIL2BAN - ${config.projectName}
+# ===================================================================
+# Bane por 1 hora os IPs com 5 falhas em 10 minutos
+# Logs montados pelo docker-compose.yml: /var/log/odoo (logs/) e /var/log/nginx (logs/nginx/)
+# Banidos: docker compose exec fail2ban fail2ban-client status odoo-login
+# Desbanir: docker compose exec fail2ban fail2ban-client set odoo-login unbanip <IP>
+
+[DEFAULT]
+# Tráfego dos containers passa pela cadeia DOCKER-USER, não pela INPUT
+chain = DOCKER-USER
+bantime = 1h
+findtime = 10m
+maxretry = 5
+# Host local${isDbManagerRestricted(config) && (config.dbManagerAllowlist || []).length > 0 ? ' e IPs liberados no gerenciador de bancos' : ''} nunca são banidos
+ignoreip = ${ignoreIps.join(' ')}
+
+# Senha errada no login do Odoo (filter.d/odoo-login.conf)
+[odoo-login]
+enabled = true
+filter = odoo-login
+port = http,https
+logpath = /var/log/odoo/odoo.log
+
+# Excesso de tentativas no /web/login (limit_req do Nginx, resposta 429)
+[nginx-limit-req]
+enabled = true
+port = http,https
+logpath = /var/log/nginx/error.log${usesDbManagerAuth(config) ? `
+
+# Senha errada na autenticação HTTP do gerenciador de bancos
+[nginx-http-auth]
+enabled = true
+port = http,https
+logpath = /var/log/nginx/error.log` : ''}
+`;
+}
+
+/**
+ * Gera o filtro do fail2ban para as falhas de login registradas pelo Odoo
+ * @returns {string} Conteúdo do arquivo fail2ban/filter.d/odoo-login.conf
+ */
+function generateFail2banOdooFilter() {
+    return `# ===================================================================
+# FAIL2BAN - Falhas de login do Odoo
+# ===================================================================
+# Linha registrada pelo Odoo (res_users, nível INFO garantido pelo log_handler do odoo.conf):
+# 2025-01-01 12:00:00,000 42 INFO odoo odoo.addons.base.models.res_users: Login failed for db:odoo login:joao from 203.0.113.9
+# O IP é o do cliente porque o Odoo roda com proxy_mode = True atrás do Nginx
+# O "$" final impede que um login forjado ("x from 1.2.3.4") aponte outro IP
+
+[Definition]
+failregex = res_users: Login failed for db:\\S+ login:.* from <HOST>$
+ignoreregex =
+`;
+}
+
+// ====================================================================
+// PODMAN: QUADLETS DO SYSTEMD (alternativa ao Docker Compose)
+// ====================================================================
+
+/**
+ * Marcador do caminho do projeto nas unidades systemd
+ * O setup.sh troca pelo diretório real ao instalar as unidades (systemd exige caminhos absolutos)
+ * @type {string}
+ */
+const PROJECT_DIR_PLACEHOLDER = '@PROJECT_DIR@';
+
+/**
+ * Nome da unidade de um serviço no Podman (arquivo <nome>.container → <nome>.service)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {string} service - Serviço (mesmo nome do docker-compose.yml, ex: "db")
+ * @returns {string} Ex: "minha-empresa-db"
+ */
+function getQuadletUnitName(config, service) {
+    return `${config.projectName}-${service}`;
+}
+
+/**
+ * Imagem do Odoo no Podman: oficial (nome completo no Docker Hub) ou construída localmente
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Referência da imagem
+ */
+function getPodmanOdooImage(config) {
+    return usesCustomImage(config)
+        ? `localhost/${config.projectName}-odoo:${config.odooVersion}`
+        : `docker.io/library/odoo:${config.odooVersion}`;
+}
+
+/**
+ * Coloca um valor entre aspas duplas no formato das unidades systemd
+ * Escapa barras e aspas; % vira %% (especificadores do systemd, ex: %h)
+ * @param {string} value - Valor original
+ * @returns {string} Valor pronto para "Chave=valor"
+ */
+function quoteSystemdValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/%/g, '%%')}"`;
+}
+
+/**
+ * Serviços do projeto no Podman, equivalentes aos do docker-compose.yml
+ * O Podman sempre usa o modo secrets: as senhas ficam fora das unidades systemd
+ * @param {OdooConfig} config - Configuração do projeto (com useSecrets ativo)
+ * @returns {Array<{name: string, description: string, image: string, containerName: string, requires: string[], environment: Object<string, (string|number)>, volumes: string[], secrets: string[], ports: string[], entrypoint: (string|undefined), exec: (string|undefined), health: (string|undefined), memory: number}>}
+ */
+function getPodmanServices(config) {
+    const sslMode = getSslMode(config);
+    const memoryPlan = getServiceMemoryPlan(config);
+    const postgresVersion = getPostgresVersion(config);
+    const projectDir = PROJECT_DIR_PLACEHOLDER;
+    const secretNames = getDockerSecrets(config).map(secret => secret.name);
+    const service = (name, spec) => ({
+        name,
+        containerName: `${config.projectName}_${name}`,
+        requires: [],
+        environment: {},
+        volumes: [],
+        secrets: [],
+        ports: [],
+        memory: memoryPlan[name],
+        ...spec
+    });
+    
+    const services = [
+        service('db', {
+            description: 'PostgreSQL - Banco de dados principal',
+            image: `docker.io/library/postgres:${postgresVersion}-alpine`,
+            containerName: `${config.projectName}_postgres`,
+            environment: {
+                POSTGRES_DB: config.dbName,
+                POSTGRES_USER: config.dbUser,
+                POSTGRES_PASSWORD_FILE: '/run/secrets/db_password',
+                PGDATA: '/var/lib/postgresql/data/pgdata'
+            },
+            volumes: [
+                `${config.projectName}-postgres-data.volume:/var/lib/postgresql/data/pgdata`,
+                `${projectDir}/postgres/postgresql.conf:/etc/postgresql/postgresql.conf:ro,z`
+            ],
+            secrets: ['db_password'],
+            ports: config.enablePostgresPort ? ['5432:5432'] : [],
+            exec: 'postgres -c config_file=/etc/postgresql/postgresql.conf',
+            health: `pg_isready -U ${config.dbUser} -d ${config.dbName}`
+        }),
+        service('odoo', {
+            description: 'Odoo - Aplicação principal',
+            image: getPodmanOdooImage(config),
+            // Como o depends_on do docker-compose.yml: sessões no Redis exigem o Redis no ar
+            requires: ['db', ...(config.enableRedis ? ['redis'] : [])],
+            environment: {
+                HOST: 'db',
+                USER: config.dbUser,
+                ODOO_RC: '/etc/odoo/odoo.conf',
+                // Senha do Redis exportada pelo entrypoint-secrets.sh
+                ...(config.enableRedis ? getSessionRedisEnvironment(config) : {})
+            },
+            volumes: [
+                `${config.projectName}-odoo-data.volume:/var/lib/odoo`,
+                `${projectDir}/config:/etc/odoo:z`,
+                `${projectDir}/logs:/var/log/odoo:z`,
+                `${projectDir}/addons:/mnt/extra-addons:z`,
+                ...(config.ocaRepositories.length > 0 ? [`${projectDir}/oca:/mnt/oca-addons:ro,z`] : [])
+            ],
+            secrets: ['db_password', 'admin_password', 'redis_password', 'smtp_password'],
+            ports: [`${getOdooPortBinding(config)}${config.httpPort}:8069`, `${getOdooPortBinding(config)}${config.chatPort}:8072`],
+            // Senhas lidas de /run/secrets para uma cópia do odoo.conf (mesmo entrypoint do Compose)
+            entrypoint: '/bin/sh',
+            exec: '/etc/odoo/entrypoint-secrets.sh odoo'
+        })
+    ];
+    
+    if (config.enableRedis) {
+        services.push(service('redis', {
+            description: 'Redis - Sessões do Odoo',
+            image: 'docker.io/library/redis:7-alpine',
+            volumes: [`${config.projectName}-redis-data.volume:/data`],
+            secrets: ['redis_password'],
+            // Sem PublishPort: apenas na rede do projeto ("$$" chega ao shell como "$")
+            entrypoint: '/bin/sh',
+            exec: `-c 'exec redis-server --requirepass "$$(cat /run/secrets/redis_password)" --appendonly yes --maxmemory 256mb --maxmemory-policy volatile-lru'`
+        }));
+    }
+    
+    if (config.enableMailCatcher) {
+        services.push(service('mailpit', {
+            description: 'Mailpit - Captura os emails enviados pelo Odoo',
+            image: 'docker.io/axllent/mailpit:latest',
+            ports: ['8025:8025']
+        }));
+    }
+    
+    if (config.enableBackup) {
+        services.push(service('backup', {
+            description: 'Backup - Dump do banco + filestore agendados',
+            image: `docker.io/library/postgres:${postgresVersion}-alpine`,
+            requires: ['db'],
+            environment: {
+                PGHOST: 'db',
+                PGPASSWORD_FILE: '/run/secrets/db_password',
+                POSTGRES_USER: config.dbUser,
+                POSTGRES_DB: config.dbName,
+                BACKUP_SCHEDULE: config.backupSchedule,
+                BACKUP_KEEP_DAILY: config.backupKeepDaily,
+                BACKUP_KEEP_WEEKLY: config.backupKeepWeekly,
+                BACKUP_KEEP_MONTHLY: config.backupKeepMonthly
+            },
+            volumes: [
+                `${projectDir}/backup:/backup:ro,z`,
+                `${projectDir}/backups:/backups:z`,
+                `${config.projectName}-odoo-data.volume:/var/lib/odoo:ro`
+            ],
+            secrets: ['db_password'],
+            entrypoint: '/bin/sh',
+            exec: '/backup/entrypoint.sh'
+        }));
+    }
+    
+    if (getReverseProxy(config) === 'nginx') {
+        services.push(service('nginx', {
+            description: 'Nginx - Proxy reverso',
+            image: 'docker.io/library/nginx:alpine',
+            requires: ['odoo'],
+            volumes: [
+                `${projectDir}/nginx/nginx.conf:/etc/nginx/nginx.conf:ro,z`,
+                `${projectDir}/nginx/ssl:/etc/ssl/certs:ro,z`,
+                ...(usesDbManagerAuth(config) ? [`${projectDir}/nginx/htpasswd:/etc/nginx/htpasswd:ro,z`] : []),
+                ...(sslMode === 'letsencrypt' ? [
+                    `${projectDir}/certbot/conf:/etc/letsencrypt:ro,z`,
+                    `${projectDir}/certbot/www:/var/www/certbot:ro,z`
+                ] : [])
+            ],
+            ports: ['80:80', '443:443'],
+            // Recarrega a cada 6h para aplicar certificados renovados (sem "$": o systemd expandiria)
+            ...(sslMode !== 'none' ? {
+                exec: `/bin/sh -c 'while :; do sleep 6h & wait; nginx -s reload; done & exec nginx -g "daemon off;"'`
+            } : {})
+        }));
+    }
+    
+    if (usesCertbot(config)) {
+        services.push(service('certbot', {
+            description: "Certbot - Renovação dos certificados Let's Encrypt",
+            image: 'docker.io/certbot/certbot:latest',
+            volumes: [
+                `${projectDir}/certbot/conf:/etc/letsencrypt:z`,
+                `${projectDir}/certbot/www:/var/www/certbot:z`
+            ],
+            entrypoint: '/bin/sh',
+            exec: `-c 'trap exit TERM; while :; do certbot renew --webroot -w /var/www/certbot --quiet; sleep 12h & wait; done'`
+        }));
+    }
+    
+    // Secrets de arquivo montados como no Compose; SMTP só quando existe
+    services.forEach(entry => {
+        entry.secrets = entry.secrets.filter(name => secretNames.includes(name));
+    });
+    
+    return services;
+}
+
+/**
+ * Gera a unidade quadlet (.container) de um serviço
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {ReturnType<typeof getPodmanServices>[number]} service - Serviço descrito por getPodmanServices
+ * @returns {string} Conteúdo do arquivo <projeto>-<serviço>.container
+ */
+function generateQuadletContainer(config, service) {
+    const dependencies = service.requires.map(name => `${getQuadletUnitName(config, name)}.service`).join(' ');
+    
+    const containerLines = [
+        `Image=${service.image}`,
+        `ContainerName=${service.containerName}`,
+        `Network=${config.projectName}.network`,
+        '# Mesmo nome de host do docker-compose.yml (odoo.conf e nginx.conf usam estes nomes)',
+        `PodmanArgs=--network-alias ${service.name} --memory ${formatMemory(service.memory)}`,
+        ...Object.entries(service.environment).map(([key, value]) => `Environment=${quoteSystemdValue(`${key}=${value}`)}`),
+        ...service.volumes.map(volume => `Volume=${volume}`),
+        ...service.secrets.map(name => `Volume=${PROJECT_DIR_PLACEHOLDER}/secrets/${name}.txt:/run/secrets/${name}:ro,z`),
+        ...service.ports.map(port => `PublishPort=${port}`),
+        ...(service.entrypoint ? [`Entrypoint=${service.entrypoint}`] : []),
+        ...(service.exec ? [`Exec=${service.exec}`] : []),
+        ...(service.health ? [
+            '# O serviço só fica ativo com o banco saudável (os dependentes aguardam)',
+            `HealthCmd=${service.health}`,
+            'HealthInterval=10s',
+            'HealthTimeout=10s',
+            'HealthRetries=3',
+            'HealthStartPeriod=30s',
+            'Notify=healthy'
+        ] : [])
+    ];
+    
+    return `# ===================================================================
+# ${service.description.toUpperCase()}
+# ===================================================================
+# Quadlet do Podman (>= 5.0): o systemd gera ${getQuadletUnitName(config, service.name)}.service
+# Instalado pelo setup.sh; ${PROJECT_DIR_PLACEHOLDER} vira o caminho do projeto
+
+[Unit]
+Description=${config.projectName}: ${service.description}${dependencies ? `
+Requires=${dependencies}
+After=${dependencies}` : ''}
+
+[Container]
+${containerLines.join('\n')}
+
+[Service]
+Restart=always
+# O primeiro início baixa a imagem
+TimeoutStartSec=900
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+/**
+ * Gera a unidade quadlet (.volume) de um volume nomeado
+ * @param {OdooConfig} config - Configuração do projeto
+ * @param {string} volume - Nome do volume no docker-compose.yml (ex: "postgres_data")
+ * @param {string} description - Conteúdo do volume
+ * @returns {string} Conteúdo do arquivo <projeto>-<volume>.volume
+ */
+function generateQuadletVolume(config, volume, description) {
+    return `# Volume persistente: ${description}
+[Volume]
+VolumeName=${config.projectName}_${volume}
+`;
+}
+
+/**
+ * Gera a unidade quadlet (.network) da rede isolada do projeto
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo <projeto>.network
+ */
+function generateQuadletNetwork(config) {
+    return `# Rede isolada para comunicação entre containers (mesma subnet do docker-compose.yml)
+[Network]
+NetworkName=${config.projectName}_network
+Subnet=172.20.0.0/16
+`;
+}
+
+/**
+ * Gera todas as unidades quadlet do projeto (pasta quadlet/)
+ * @param {OdooConfig} config - Configuração do projeto (com useSecrets ativo)
+ * @returns {Array<[string, string]>} Nome do arquivo e conteúdo
+ */
+function generateQuadletFiles(config) {
+    const volumes = [
+        ['postgres_data', 'dados do PostgreSQL'],
+        ['odoo_data', 'dados do Odoo (filestore, etc)'],
+        ...(config.enableRedis ? [['redis_data', 'sessões do Redis (AOF)']] : [])
+    ];
+    
+    return [
+        [`${config.projectName}.network`, generateQuadletNetwork(config)],
+        ...volumes.map(([volume, description]) => [
+            `${config.projectName}-${volume.replace(/_/g, '-')}.volume`,
+            generateQuadletVolume(config, volume, description)
+        ]),
+        ...getPodmanServices(config).map(service => [
+            `${getQuadletUnitName(config, service.name)}.container`,
+            generateQuadletContainer(config, service)
+        ])
+    ];
+}
+
+/**
+ * Gera a unidade systemd que sobe o Docker Compose no boot
+ * O restart: unless-stopped não religa containers parados por "docker compose down"
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do arquivo systemd/<projeto>.service
+ */
+function generateComposeSystemdUnit(config) {
+    return `# ===================================================================
+# UNIDADE SYSTEMD - ${config.projectName} (Docker Compose)
+# ===================================================================
+# Instalada pelo setup.sh em /etc/systemd/system/${config.projectName}.service
+# ${PROJECT_DIR_PLACEHOLDER} vira o caminho do projeto na instalação
+
+[Unit]
+Description=Odoo ${config.projectName} (Docker Compose)
+Requires=docker.service
+After=docker.service network-online.target
+Wants=network-online.target
+
+[Service]
+Type=oneshot
+RemainAfterExit=yes
+WorkingDirectory=${PROJECT_DIR_PLACEHOLDER}
+ExecStart=/usr/bin/docker compose up -d --remove-orphans
+ExecStop=/usr/bin/docker compose down
+# O primeiro início pode baixar ou construir imagens
+TimeoutStartSec=0
+
+[Install]
+WantedBy=multi-user.target
+`;
+}
+
+// ====================================================================
+// KUBERNETES: HELM CHART (alternativa ao Docker Compose)
+// ====================================================================
+
+/**
+ * Pasta do chart dentro do projeto (o nome do chart é o nome do projeto)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Caminho relativo com barra final (ex: "helm/minha-empresa/")
+ */
+function getHelmChartDir(config) {
+    return `helm/${config.projectName}/`;
+}
+
+/**
+ * Converte um valor para escalar YAML entre aspas duplas (senhas, emails, hosts)
+ * JSON é um subconjunto do YAML: as aspas e escapes do JSON.stringify valem nos dois
+ * @param {*} value - Valor original
+ * @returns {string} Escalar pronto para "chave: valor"
+ */
+function quoteYaml(value) {
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Formata um limite de memória em MB no formato de quantidade do Kubernetes
+ * @param {number} mb - Memória em MB
+ * @returns {string} Ex: "2Gi", "384Mi"
+ */
+function formatKubernetesMemory(mb) {
+    return mb % 1024 === 0 ? `${mb / 1024}Gi` : `${mb}Mi`;
+}
+
+/**
+ * Ingress do chart: no Kubernetes é ele quem expõe o Odoo, então fica ligado com proxy reverso,
+ * domínio ou HTTPS escolhidos (sem proxy escolhido, vale o Ingress Controller NGINX)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {boolean}
+ */
+function usesHelmIngress(config) {
+    return getReverseProxy(config) !== 'none' || Boolean(config.domain) || (config.sslMode || 'none') !== 'none';
+}
+
+/**
+ * Modo HTTPS do Ingress: o TLS é terminado pelo Ingress Controller, não pelo proxy do Compose
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} 'none', 'letsencrypt' ou 'selfsigned'
+ */
+function getHelmSslMode(config) {
+    return usesHelmIngress(config) ? config.sslMode || 'none' : 'none';
+}
+
+/**
+ * Gera Chart.yaml (metadados do chart; appVersion = versão do Odoo)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do Chart.yaml
+ */
+function generateHelmChartYaml(config) {
+    return `apiVersion: v2
+name: ${config.projectName}
+description: Odoo ${config.odooVersion} Community com PostgreSQL (gerado pelo Gerador de Configuração Odoo)
+type: application
+# Versão do chart: incremente a cada alteração nos templates
+version: 0.1.0
+# Versão do Odoo (tag padrão da imagem)
+appVersion: "${config.odooVersion}"
+`;
+}
+
+/**
+ * Gera values.yaml com os mesmos campos do wizard
+ * Alterar um valor e rodar "helm upgrade" equivale a regerar o projeto no wizard
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do values.yaml
+ */
+function generateHelmValues(config) {
+    const smtp = getSmtpSettings(config);
+    const sslMode = getHelmSslMode(config);
+    const memoryPlan = getServiceMemoryPlan(config);
+    const workerLimits = getWorkerMemoryLimits(config);
+    const repositories = config.ocaRepositories || [];
+    
+    // SSL implícito (465) não existe no odoo.conf: o servidor é cadastrado pelo banco
+    const smtpHost = smtp.mode === 'smtp' && smtp.encryption !== 'ssl' ? smtp.host : '';
+    
+    return `# ===================================================================
+# VALORES DO CHART ${config.projectName}
+# ===================================================================
+# Espelham os campos do wizard. Aplicar alterações:
+#   helm upgrade ${config.projectName} ./${getHelmChartDir(config).slice(0, -1)} -n ${config.projectName}
+# ATENÇÃO: este arquivo contém senhas. Não o versione sem criptografia
+# (use helm-secrets/SOPS ou passe as senhas com --set no pipeline).
+
+# Substitui o nome "<release>-${config.projectName}" dos recursos
+fullnameOverride: ""
+
+# ===================================================================
+# ODOO
+# ===================================================================
+odoo:
+  version: "${config.odooVersion}"
+  image:${usesCustomImage(config) ? `
+    # Imagem construída a partir do Dockerfile do projeto: publique-a no seu registry
+    #   docker build -t registry.exemplo.com/${config.projectName}-odoo:${config.odooVersion} .
+    #   docker push registry.exemplo.com/${config.projectName}-odoo:${config.odooVersion}
+    repository: registry.exemplo.com/${config.projectName}-odoo` : `
+    repository: odoo`}
+    tag: "${config.odooVersion}"
+    pullPolicy: IfNotPresent
+  adminPassword: ${quoteYaml(config.adminPassword)}
+  workers: ${config.workers}
+  cronThreads: ${config.cronThreads}
+  logLevel: ${config.logLevel}
+  # Conexões por processo (o max_connections do postgresql.conf comporta todos os processos)
+  dbMaxConn: ${getPostgresTuning(config).dbMaxConn}
+  # Limites POR PROCESSO em bytes: ${config.memoryLimit} GB do pod ÷ ${getOdooProcessCount(config)} processo(s), entre ${ODOO_MEMORY_HARD_RANGE_MB.min} e ${ODOO_MEMORY_HARD_RANGE_MB.max} MB
+  limitMemorySoft: ${workerLimits.soft}
+  limitMemoryHard: ${workerLimits.hard}
+  # Repositórios OCA clonados na branch ${config.odooVersion} por um initContainer
+  ocaRepositories:${repositories.length > 0 ? repositories.map(repo => `\n    - ${repo}`).join('') : ' []'}
+  resources:
+    requests:
+      cpu: 500m
+      memory: ${formatKubernetesMemory(Math.round(memoryPlan.odoo / 2))}
+    limits:
+      memory: ${formatKubernetesMemory(memoryPlan.odoo)}
+  persistence:
+    # Filestore (anexos e documentos)
+    size: 10Gi
+    storageClass: ""
+
+# ===================================================================
+# POSTGRESQL ${getPostgresVersion(config)}
+# ===================================================================
+postgresql:
+  image:
+    repository: postgres
+    tag: "${getPostgresVersion(config)}-alpine"
+  database: ${config.dbName}
+  user: ${config.dbUser}
+  password: ${quoteYaml(config.dbPassword)}
+  resources:
+    requests:
+      cpu: 250m
+      memory: ${formatKubernetesMemory(Math.round(memoryPlan.db / 2))}
+    limits:
+      memory: ${formatKubernetesMemory(memoryPlan.db)}
+  persistence:
+    size: 10Gi
+    storageClass: ""
+
+# ===================================================================
+# REDIS
+# ===================================================================
+# Sessões do Odoo (addon ${SESSION_REDIS_ADDON.module}): exige a imagem personalizada do Odoo
+redis:
+  enabled: ${!!config.enableRedis}
+  image: redis:7-alpine
+  password: ${quoteYaml(config.redisPassword || '')}
+  resources:
+    limits:
+      memory: ${formatKubernetesMemory(SERVICE_MEMORY_LIMITS.redis)}
+
+# ===================================================================
+# EMAIL DE SAÍDA
+# ===================================================================
+# Mailpit captura todos os emails (desenvolvimento) e substitui o SMTP abaixo
+mailpit:
+  enabled: ${!!config.enableMailCatcher}
+smtp:${smtp.mode === 'smtp' && smtp.encryption === 'ssl' ? `
+  # SSL/TLS implícito (${smtp.host}:${smtp.port}) não é suportado pelo odoo.conf:
+  # cadastre o servidor em Configurações > Técnico > Servidores de Email de Saída` : ''}
+  host: ${quoteYaml(smtpHost)}
+  port: ${smtp.port || 587}
+  # STARTTLS (smtp_ssl do odoo.conf)
+  starttls: ${smtp.encryption === 'starttls'}
+  user: ${quoteYaml(smtp.user)}
+  password: ${quoteYaml(smtp.password)}
+  from: ${quoteYaml(smtp.from)}
+
+# ===================================================================
+# INGRESS (substitui o Nginx do Docker Compose)
+# ===================================================================
+ingress:
+  enabled: ${usesHelmIngress(config)}
+  # nginx ou traefik: define também as annotations do Ingress
+  className: ${getReverseProxy(config) === 'traefik' ? 'traefik' : 'nginx'}
+  host: ${config.domain || `${config.projectName}.local`}
+  tls:
+    enabled: ${sslMode !== 'none'}
+    # Secret com o certificado (criado pelo cert-manager quando certManager.issuer está definido)
+    secretName: ""
+  certManager:
+    # Issuer criado pelo chart (exige o cert-manager no cluster):
+    # letsencrypt, selfsigned ou "" para usar um certificado próprio em tls.secretName
+    issuer: ${sslMode === 'none' ? '""' : sslMode}
+    email: ${quoteYaml(config.letsencryptEmail || '')}
+    staging: ${!!config.letsencryptStaging}
+
+# ===================================================================
+# BACKUP AGENDADO (CronJob com pg_dump + filestore)
+# ===================================================================
+backup:
+  enabled: ${!!config.enableBackup}
+  # Formato cron, horário UTC
+  schedule: "${config.backupSchedule}"
+  keepDaily: ${config.backupKeepDaily}
+  keepWeekly: ${config.backupKeepWeekly}
+  keepMonthly: ${config.backupKeepMonthly}
+  persistence:
+    size: 20Gi
+    storageClass: ""
+`;
+}
+
+/**
+ * Gera templates/_helpers.tpl (nomes e labels compartilhados pelos manifests)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do _helpers.tpl
+ */
+function generateHelmHelpers(config) {
+    const name = config.projectName;
+    
+    return `{{/*
+Nome dos recursos: <release>-<chart>, ou apenas o release quando ele já contém o nome do chart
+*/}}
+{{- define "${name}.fullname" -}}
+{{- if .Values.fullnameOverride }}
+{{- .Values.fullnameOverride | trunc 63 | trimSuffix "-" }}
+{{- else if contains .Chart.Name .Release.Name }}
+{{- .Release.Name | trunc 63 | trimSuffix "-" }}
+{{- else }}
+{{- printf "%s-%s" .Release.Name .Chart.Name | trunc 63 | trimSuffix "-" }}
+{{- end }}
+{{- end }}
+
+{{/*
+Labels padrão de todos os recursos
+*/}}
+{{- define "${name}.labels" -}}
+helm.sh/chart: {{ printf "%s-%s" .Chart.Name .Chart.Version }}
+{{ include "${name}.selectorLabels" . }}
+app.kubernetes.io/version: {{ .Chart.AppVersion | quote }}
+app.kubernetes.io/managed-by: {{ .Release.Service }}
+{{- end }}
+
+{{/*
+Labels de seleção (cada manifest acrescenta app.kubernetes.io/component)
+*/}}
+{{- define "${name}.selectorLabels" -}}
+app.kubernetes.io/name: {{ .Chart.Name }}
+app.kubernetes.io/instance: {{ .Release.Name }}
+{{- end }}
+
+{{/*
+Imagem do Odoo (tag padrão = appVersion do chart)
+*/}}
+{{- define "${name}.odooImage" -}}
+{{ .Values.odoo.image.repository }}:{{ .Values.odoo.image.tag | default .Chart.AppVersion }}
+{{- end }}
+`;
+}
+
+/**
+ * Gera templates/configmap.yaml: odoo.conf (sem senhas), entrypoint e postgresql.conf
+ * O odoo.conf é montado a partir do values.yaml; as senhas vêm do Secret
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do configmap.yaml
+ */
+function generateHelmConfigMap(config) {
+    const name = config.projectName;
+    const versionInfo = getOdooVersionInfo(config);
+    
+    return `apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: {{ include "${name}.fullname" . }}-odoo
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: odoo
+data:
+  # Senhas lidas de /run/secrets (Secret do chart) e gravadas em uma cópia do odoo.conf
+  entrypoint-secrets.sh: |
+    {{- .Files.Get "files/entrypoint-secrets.sh" | nindent 4 }}
+  odoo.conf: |
+    [options]
+    # Gerado pelo chart {{ .Chart.Name }}: altere o values.yaml, não este arquivo
+    db_host = {{ include "${name}.fullname" . }}-db
+    db_port = 5432
+    db_user = {{ .Values.postgresql.user }}
+    # db_password e admin_passwd: lidas do Secret pelo entrypoint-secrets.sh
+    db_name = {{ .Values.postgresql.database }}
+    db_maxconn = {{ .Values.odoo.dbMaxConn }}
+    list_db = False
+    db_filter = ^{{ .Values.postgresql.database }}$
+
+    http_port = 8069
+    # Porta de tempo real (${versionInfo.realtimePath}), usada com workers > 0
+    ${versionInfo.realtimeOption} = 8072
+    workers = {{ .Values.odoo.workers }}
+    max_cron_threads = {{ .Values.odoo.cronThreads }}
+    # Atrás do Ingress: confia em X-Forwarded-Host/Proto
+    proxy_mode = {{ if .Values.ingress.enabled }}True{{ else }}False{{ end }}
+
+    limit_memory_soft = {{ int64 .Values.odoo.limitMemorySoft }}
+    limit_memory_hard = {{ int64 .Values.odoo.limitMemoryHard }}
+    limit_request = 8192
+    limit_time_cpu = 600
+    limit_time_real = 1200
+
+    # Sem logfile: os logs vão para a saída padrão (kubectl logs)
+    log_level = {{ .Values.odoo.logLevel }}
+    log_handler = :INFO,werkzeug:WARNING,odoo.service.server:INFO
+
+    addons_path = /mnt/extra-addons{{ range .Values.odoo.ocaRepositories }},/mnt/oca-addons/{{ . }}{{ end }}{{ if .Values.redis.enabled }},${SESSION_REDIS_ADDON.path}{{ end }},${versionInfo.coreAddonsPath}
+    {{- if .Values.redis.enabled }}
+    # Sessões no Redis: variáveis ODOO_SESSION_REDIS_* definidas no Deployment
+    server_wide_modules = base,web,${SESSION_REDIS_ADDON.module}
+    {{- end }}
+
+    email_from = {{ .Values.smtp.from }}
+    {{- if .Values.mailpit.enabled }}
+    smtp_server = {{ include "${name}.fullname" . }}-mailpit
+    smtp_port = 1025
+    smtp_ssl = False
+    {{- else if .Values.smtp.host }}
+    smtp_server = {{ .Values.smtp.host }}
+    smtp_port = {{ .Values.smtp.port }}
+    smtp_ssl = {{ if .Values.smtp.starttls }}True{{ else }}False{{ end }}
+    smtp_user = {{ .Values.smtp.user | default "False" }}
+    {{- end }}
+---
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: {{ include "${name}.fullname" . }}-postgres
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: postgres
+data:
+  # Ajustado à memória e aos workers escolhidos no wizard
+  postgresql.conf: |
+    {{- .Files.Get "files/postgresql.conf" | nindent 4 }}
+`;
+}
+
+/**
+ * Gera templates/secret.yaml com as senhas do values.yaml
+ * Montado em /run/secrets no Odoo, como no modo secrets do Docker Compose
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do secret.yaml
+ */
+function generateHelmSecret(config) {
+    const name = config.projectName;
+    
+    return `apiVersion: v1
+kind: Secret
+metadata:
+  name: {{ include "${name}.fullname" . }}
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+type: Opaque
+stringData:
+  db_password: {{ .Values.postgresql.password | quote }}
+  admin_password: {{ .Values.odoo.adminPassword | quote }}
+  smtp_password: {{ .Values.smtp.password | quote }}
+  {{- if .Values.redis.enabled }}
+  redis_password: {{ .Values.redis.password | quote }}
+  {{- end }}
+`;
+}
+
+/**
+ * Gera templates/postgres.yaml: StatefulSet com volume próprio + Service interno
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do postgres.yaml
+ */
+function generateHelmPostgres(config) {
+    const name = config.projectName;
+    
+    return `apiVersion: apps/v1
+kind: StatefulSet
+metadata:
+  name: {{ include "${name}.fullname" . }}-db
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: postgres
+spec:
+  serviceName: {{ include "${name}.fullname" . }}-db
+  replicas: 1
+  selector:
+    matchLabels:
+      {{- include "${name}.selectorLabels" . | nindent 6 }}
+      app.kubernetes.io/component: postgres
+  template:
+    metadata:
+      labels:
+        {{- include "${name}.selectorLabels" . | nindent 8 }}
+        app.kubernetes.io/component: postgres
+      annotations:
+        # Reinicia o banco quando o postgresql.conf muda
+        checksum/config: {{ .Files.Get "files/postgresql.conf" | sha256sum }}
+    spec:
+      containers:
+        - name: postgres
+          image: "{{ .Values.postgresql.image.repository }}:{{ .Values.postgresql.image.tag }}"
+          # Configuração montada no lugar da padrão (memória, conexões e WAL)
+          args: ["-c", "config_file=/etc/postgresql/postgresql.conf"]
+          env:
+            - name: POSTGRES_DB
+              value: {{ .Values.postgresql.database | quote }}
+            - name: POSTGRES_USER
+              value: {{ .Values.postgresql.user | quote }}
+            - name: POSTGRES_PASSWORD
+              valueFrom:
+                secretKeyRef:
+                  name: {{ include "${name}.fullname" . }}
+                  key: db_password
+            - name: PGDATA
+              value: /var/lib/postgresql/data/pgdata
+          ports:
+            - name: postgres
+              containerPort: 5432
+          readinessProbe:
+            exec:
+              command: ["/bin/sh", "-c", 'pg_isready -U "$POSTGRES_USER" -d "$POSTGRES_DB"']
+            initialDelaySeconds: 10
+            periodSeconds: 10
+          resources:
+            {{- toYaml .Values.postgresql.resources | nindent 12 }}
+          volumeMounts:
+            - name: data
+              mountPath: /var/lib/postgresql/data
+            - name: config
+              mountPath: /etc/postgresql
+              readOnly: true
+      volumes:
+        - name: config
+          configMap:
+            name: {{ include "${name}.fullname" . }}-postgres
+  volumeClaimTemplates:
+    - metadata:
+        name: data
+      spec:
+        accessModes: ["ReadWriteOnce"]
+        {{- with .Values.postgresql.persistence.storageClass }}
+        storageClassName: {{ . }}
+        {{- end }}
+        resources:
+          requests:
+            storage: {{ .Values.postgresql.persistence.size }}
+---
+# Porta 5432 apenas dentro do cluster (acesso local: kubectl port-forward)
+apiVersion: v1
+kind: Service
+metadata:
+  name: {{ include "${name}.fullname" . }}-db
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: postgres
+spec:
+  selector:
+    {{- include "${name}.selectorLabels" . | nindent 4 }}
+    app.kubernetes.io/component: postgres
+  ports:
+    - name: postgres
+      port: 5432
+      targetPort: postgres
+`;
+}
+
+/**
+ * Gera templates/odoo.yaml: Deployment, Service e volume do filestore
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do odoo.yaml
+ */
+function generateHelmOdoo(config) {
+    const name = config.projectName;
+    const versionInfo = getOdooVersionInfo(config);
+    
+    return `apiVersion: v1
+kind: PersistentVolumeClaim
+metadata:
+  name: {{ include "${name}.fullname" . }}-odoo-data
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: odoo
+spec:
+  accessModes: ["ReadWriteOnce"]
+  {{- with .Values.odoo.persistence.storageClass }}
+  storageClassName: {{ . }}
+  {{- end }}
+  resources:
+    requests:
+      storage: {{ .Values.odoo.persistence.size }}
+---
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ include "${name}.fullname" . }}-odoo
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: odoo
+spec:
+  # Filestore em volume ReadWriteOnce: um pod por vez, o novo sobe depois que o antigo para
+  replicas: 1
+  strategy:
+    type: Recreate
+  selector:
+    matchLabels:
+      {{- include "${name}.selectorLabels" . | nindent 6 }}
+      app.kubernetes.io/component: odoo
+  template:
+    metadata:
+      labels:
+        {{- include "${name}.selectorLabels" . | nindent 8 }}
+        app.kubernetes.io/component: odoo
+      annotations:
+        # Reinicia o Odoo quando o odoo.conf ou as senhas mudam
+        checksum/config: {{ include (print $.Template.BasePath "/configmap.yaml") . | sha256sum }}
+        checksum/secret: {{ include (print $.Template.BasePath "/secret.yaml") . | sha256sum }}
+    spec:
+      securityContext:
+        # Grupo do usuário odoo da imagem oficial (grava no filestore)
+        fsGroup: 101
+      {{- if .Values.odoo.ocaRepositories }}
+      initContainers:
+        # Repositórios OCA clonados a cada início do pod (equivalente ao fetch-addons.sh)
+        - name: fetch-oca
+          image: alpine/git:2.45.2
+          command: ["/bin/sh", "-c"]
+          args:
+            - |
+              set -eu
+              for repo in {{ join " " .Values.odoo.ocaRepositories }}; do
+                git clone --depth 1 --branch {{ .Values.odoo.version }} "https://github.com/OCA/$repo.git" "/mnt/oca-addons/$repo"
+              done
+          volumeMounts:
+            - name: oca-addons
+              mountPath: /mnt/oca-addons
+      {{- end }}
+      containers:
+        - name: odoo
+          image: {{ include "${name}.odooImage" . | quote }}
+          imagePullPolicy: {{ .Values.odoo.image.pullPolicy }}
+          command: ["/bin/sh", "/etc/odoo/entrypoint-secrets.sh"]
+          args: ["odoo"]
+          env:
+            - name: ODOO_RC
+              value: /etc/odoo/odoo.conf
+            {{- if .Values.redis.enabled }}
+            # Addon ${SESSION_REDIS_ADDON.module} (senha exportada pelo entrypoint a partir de /run/secrets)
+            - name: ODOO_SESSION_REDIS_HOST
+              value: {{ include "${name}.fullname" . }}-redis
+${Object.entries(getSessionRedisEnvironment(config)).filter(([key]) => key !== 'ODOO_SESSION_REDIS_HOST').map(([key, value]) => `            - name: ${key}
+              value: ${quoteYaml(value)}`).join('\n')}
+            {{- end }}
+          ports:
+            - name: http
+              containerPort: 8069
+            - name: realtime
+              # ${versionInfo.realtimePath}: chat e notificações
+              containerPort: 8072
+          readinessProbe:
+            tcpSocket:
+              port: http
+            initialDelaySeconds: 20
+            periodSeconds: 10
+          livenessProbe:
+            tcpSocket:
+              port: http
+            initialDelaySeconds: 120
+            periodSeconds: 30
+          resources:
+            {{- toYaml .Values.odoo.resources | nindent 12 }}
+          volumeMounts:
+            - name: config
+              mountPath: /etc/odoo
+              readOnly: true
+            - name: secrets
+              mountPath: /run/secrets
+              readOnly: true
+            - name: data
+              mountPath: /var/lib/odoo
+            {{- if .Values.odoo.ocaRepositories }}
+            - name: oca-addons
+              mountPath: /mnt/oca-addons
+              readOnly: true
+            {{- end }}
+      volumes:
+        - name: config
+          configMap:
+            name: {{ include "${name}.fullname" . }}-odoo
+        - name: secrets
+          secret:
+            secretName: {{ include "${name}.fullname" . }}
+        - name: data
+          persistentVolumeClaim:
+            claimName: {{ include "${name}.fullname" . }}-odoo-data
+        {{- if .Values.odoo.ocaRepositories }}
+        - name: oca-addons
+          emptyDir: {}
+        {{- end }}
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: {{ include "${name}.fullname" . }}-odoo
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: odoo
+spec:
+  selector:
+    {{- include "${name}.selectorLabels" . | nindent 4 }}
+    app.kubernetes.io/component: odoo
+  ports:
+    - name: http
+      port: 8069
+      targetPort: http
+    - name: realtime
+      port: 8072
+      targetPort: realtime
+`;
+}
+
+/**
+ * Gera templates/redis.yaml (Deployment + Service internos, habilitados por redis.enabled)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do redis.yaml
+ */
+function generateHelmRedis(config) {
+    const name = config.projectName;
+    
+    return `{{- if .Values.redis.enabled }}
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ include "${name}.fullname" . }}-redis
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: redis
+spec:
+  replicas: 1
+  selector:
+    matchLabels:
+      {{- include "${name}.selectorLabels" . | nindent 6 }}
+      app.kubernetes.io/component: redis
+  template:
+    metadata:
+      labels:
+        {{- include "${name}.selectorLabels" . | nindent 8 }}
+        app.kubernetes.io/component: redis
+    spec:
+      containers:
+        - name: redis
+          image: {{ .Values.redis.image }}
+          env:
+            - name: REDIS_PASSWORD
+              valueFrom:
+                secretKeyRef:
+                  name: {{ include "${name}.fullname" . }}
+                  key: redis_password
+          # Sessões sem persistência em disco (um reinício do Redis exige novo login);
+          # volatile-lru descarta apenas chaves com validade. $(REDIS_PASSWORD) é expandido pelo Kubernetes
+          args: ["--requirepass", "$(REDIS_PASSWORD)", "--save", "", "--appendonly", "no", "--maxmemory", "256mb", "--maxmemory-policy", "volatile-lru"]
+          ports:
+            - name: redis
+              containerPort: 6379
+          resources:
+            {{- toYaml .Values.redis.resources | nindent 12 }}
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: {{ include "${name}.fullname" . }}-redis
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: redis
+spec:
+  selector:
+    {{- include "${name}.selectorLabels" . | nindent 4 }}
+    app.kubernetes.io/component: redis
+  ports:
+    - name: redis
+      port: 6379
+      targetPort: redis
+{{- end }}
+`;
+}
+
+/**
+ * Gera templates/mailpit.yaml (captura de emails, habilitada por mailpit.enabled)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do mailpit.yaml
+ */
+function generateHelmMailpit(config) {
+    const name = config.projectName;
+    
+    return `{{- if .Values.mailpit.enabled }}
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ include "${name}.fullname" . }}-mailpit
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: mailpit
+spec:
+  replicas: 1
+  selector:
+    matchLabels:
+      {{- include "${name}.selectorLabels" . | nindent 6 }}
+      app.kubernetes.io/component: mailpit
+  template:
+    metadata:
+      labels:
+        {{- include "${name}.selectorLabels" . | nindent 8 }}
+        app.kubernetes.io/component: mailpit
+    spec:
+      containers:
+        - name: mailpit
+          image: axllent/mailpit:latest
+          ports:
+            - name: smtp
+              containerPort: 1025
+            - name: web
+              containerPort: 8025
+          resources:
+            limits:
+              memory: ${formatKubernetesMemory(SERVICE_MEMORY_LIMITS.mailpit)}
+---
+# Interface web: kubectl port-forward svc/<nome>-mailpit 8025:8025
+apiVersion: v1
+kind: Service
+metadata:
+  name: {{ include "${name}.fullname" . }}-mailpit
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: mailpit
+spec:
+  selector:
+    {{- include "${name}.selectorLabels" . | nindent 4 }}
+    app.kubernetes.io/component: mailpit
+  ports:
+    - name: smtp
+      port: 1025
+      targetPort: smtp
+    - name: web
+      port: 8025
+      targetPort: web
+{{- end }}
+`;
+}
+
+/**
+ * Gera templates/ingress.yaml: rota de tempo real para a porta 8072 e o restante para a 8069
+ * Com certManager.issuer, cria também o Issuer que emite o certificado TLS
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do ingress.yaml
+ */
+function generateHelmIngress(config) {
+    const name = config.projectName;
+    const versionInfo = getOdooVersionInfo(config);
+    
+    return `{{- if .Values.ingress.enabled }}
+{{- $fullname := include "${name}.fullname" . }}
+{{- if and .Values.ingress.tls.enabled .Values.ingress.certManager.issuer }}
+apiVersion: cert-manager.io/v1
+kind: Issuer
+metadata:
+  name: {{ $fullname }}-issuer
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+spec:
+  {{- if eq .Values.ingress.certManager.issuer "letsencrypt" }}
+  acme:
+    # Staging evita os limites de emissão durante os testes (certificado não confiável)
+    server: https://{{ if .Values.ingress.certManager.staging }}acme-staging-v02{{ else }}acme-v02{{ end }}.api.letsencrypt.org/directory
+    email: {{ .Values.ingress.certManager.email | quote }}
+    privateKeySecretRef:
+      name: {{ $fullname }}-acme-account
+    solvers:
+      - http01:
+          ingress:
+            ingressClassName: {{ .Values.ingress.className }}
+  {{- else }}
+  # Certificado autoassinado (testes): o navegador exibirá um aviso
+  selfSigned: {}
+  {{- end }}
+---
+{{- end }}
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: {{ $fullname }}
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+  annotations:
+    {{- if eq .Values.ingress.className "traefik" }}
+    # Traefik: rota no entrypoint HTTPS quando há TLS (timeouts e tamanho de upload ficam na configuração estática)
+    {{- if .Values.ingress.tls.enabled }}
+    traefik.ingress.kubernetes.io/router.entrypoints: websecure
+    traefik.ingress.kubernetes.io/router.tls: "true"
+    {{- end }}
+    {{- else }}
+    # Uploads grandes e requisições longas (relatórios, importações): mesmos limites do nginx.conf
+    nginx.ingress.kubernetes.io/proxy-body-size: 128m
+    nginx.ingress.kubernetes.io/proxy-read-timeout: "720"
+    nginx.ingress.kubernetes.io/proxy-send-timeout: "720"
+    {{- end }}
+    {{- if and .Values.ingress.tls.enabled .Values.ingress.certManager.issuer }}
+    cert-manager.io/issuer: {{ $fullname }}-issuer
+    {{- end }}
+spec:
+  ingressClassName: {{ .Values.ingress.className }}
+  {{- if .Values.ingress.tls.enabled }}
+  tls:
+    - hosts:
+        - {{ .Values.ingress.host | quote }}
+      secretName: {{ .Values.ingress.tls.secretName | default (printf "%s-tls" $fullname) }}
+  {{- end }}
+  rules:
+    - host: {{ .Values.ingress.host | quote }}
+      http:
+        paths:
+          # Tempo real (chat, notificações): ${versionInfo.realtimeOption}
+          - path: ${versionInfo.realtimePath}
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ $fullname }}-odoo
+                port:
+                  name: realtime
+          - path: /
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ $fullname }}-odoo
+                port:
+                  name: http
+{{- end }}
+`;
+}
+
+/**
+ * Gera templates/backup.yaml: CronJob que roda o mesmo backup.sh do Docker Compose
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do backup.yaml
+ */
+function generateHelmBackup(config) {
+    const name = config.projectName;
+    
+    return `{{- if .Values.backup.enabled }}
+{{- $fullname := include "${name}.fullname" . }}
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: {{ $fullname }}-backup
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: backup
+data:
+  backup.sh: |
+    {{- .Files.Get "files/backup.sh" | nindent 4 }}
+---
+apiVersion: v1
+kind: PersistentVolumeClaim
+metadata:
+  name: {{ $fullname }}-backups
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: backup
+spec:
+  accessModes: ["ReadWriteOnce"]
+  {{- with .Values.backup.persistence.storageClass }}
+  storageClassName: {{ . }}
+  {{- end }}
+  resources:
+    requests:
+      storage: {{ .Values.backup.persistence.size }}
+---
+apiVersion: batch/v1
+kind: CronJob
+metadata:
+  name: {{ $fullname }}-backup
+  labels:
+    {{- include "${name}.labels" . | nindent 4 }}
+    app.kubernetes.io/component: backup
+spec:
+  schedule: {{ .Values.backup.schedule | quote }}
+  timeZone: UTC
+  concurrencyPolicy: Forbid
+  successfulJobsHistoryLimit: 3
+  failedJobsHistoryLimit: 3
+  jobTemplate:
+    spec:
+      backoffLimit: 1
+      template:
+        metadata:
+          labels:
+            {{- include "${name}.selectorLabels" . | nindent 12 }}
+            app.kubernetes.io/component: backup
+        spec:
+          restartPolicy: Never
+          # O filestore é ReadWriteOnce: o job roda no mesmo nó do pod do Odoo
+          affinity:
+            podAffinity:
+              requiredDuringSchedulingIgnoredDuringExecution:
+                - topologyKey: kubernetes.io/hostname
+                  labelSelector:
+                    matchLabels:
+                      {{- include "${name}.selectorLabels" . | nindent 22 }}
+                      app.kubernetes.io/component: odoo
+          containers:
+            - name: backup
+              # Mesma versão do banco (pg_dump compatível)
+              image: "{{ .Values.postgresql.image.repository }}:{{ .Values.postgresql.image.tag }}"
+              command: ["/bin/sh", "/backup/backup.sh"]
+              env:
+                - name: PGHOST
+                  value: {{ $fullname }}-db
+                - name: PGPASSWORD
+                  valueFrom:
+                    secretKeyRef:
+                      name: {{ $fullname }}
+                      key: db_password
+                - name: POSTGRES_USER
+                  value: {{ .Values.postgresql.user | quote }}
+                - name: POSTGRES_DB
+                  value: {{ .Values.postgresql.database | quote }}
+                - name: BACKUP_KEEP_DAILY
+                  value: {{ .Values.backup.keepDaily | quote }}
+                - name: BACKUP_KEEP_WEEKLY
+                  value: {{ .Values.backup.keepWeekly | quote }}
+                - name: BACKUP_KEEP_MONTHLY
+                  value: {{ .Values.backup.keepMonthly | quote }}
+              resources:
+                limits:
+                  memory: ${formatKubernetesMemory(SERVICE_MEMORY_LIMITS.backup)}
+              volumeMounts:
+                - name: scripts
+                  mountPath: /backup
+                  readOnly: true
+                - name: backups
+                  mountPath: /backups
+                - name: data
+                  mountPath: /var/lib/odoo
+                  readOnly: true
+          volumes:
+            - name: scripts
+              configMap:
+                name: {{ $fullname }}-backup
+            - name: backups
+              persistentVolumeClaim:
+                claimName: {{ $fullname }}-backups
+            - name: data
+              persistentVolumeClaim:
+                claimName: {{ $fullname }}-odoo-data
+{{- end }}
+`;
+}
+
+/**
+ * Gera templates/NOTES.txt (exibido pelo helm após install/upgrade)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do NOTES.txt
+ */
+function generateHelmNotes(config) {
+    const name = config.projectName;
+    
+    return `{{- $fullname := include "${name}.fullname" . -}}
+Odoo {{ .Values.odoo.version }} instalado como {{ $fullname }} no namespace {{ .Release.Namespace }}.
+
+{{- if .Values.ingress.enabled }}
+
+Acesse: http{{ if .Values.ingress.tls.enabled }}s{{ end }}://{{ .Values.ingress.host }}
+(o host precisa apontar para o Ingress Controller do cluster)
+{{- else }}
+
+Acesso local (sem Ingress):
+  kubectl port-forward -n {{ .Release.Namespace }} svc/{{ $fullname }}-odoo 8069:8069
+  http://localhost:8069
+{{- end }}
+
+Acompanhar a inicialização:
+  kubectl get pods -n {{ .Release.Namespace }} -l app.kubernetes.io/instance={{ .Release.Name }}
+  kubectl logs -n {{ .Release.Namespace }} deploy/{{ $fullname }}-odoo -f
+{{- if .Values.mailpit.enabled }}
+
+Emails capturados (Mailpit):
+  kubectl port-forward -n {{ .Release.Namespace }} svc/{{ $fullname }}-mailpit 8025:8025
+{{- end }}
+{{- if .Values.backup.enabled }}
+
+Backup imediato:
+  kubectl create job -n {{ .Release.Namespace }} --from=cronjob/{{ $fullname }}-backup {{ $fullname }}-backup-manual
+{{- end }}
+`;
+}
+
+/**
+ * Gera README.md do chart com instalação e diferenças em relação ao Docker Compose
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Conteúdo do README.md
+ */
+function generateHelmReadme(config) {
+    const chartDir = getHelmChartDir(config).slice(0, -1);
+    const sslMode = getHelmSslMode(config);
+    
+    return `# Chart Helm - ${config.projectName}
+
+Odoo ${config.odooVersion} Community com PostgreSQL ${getPostgresVersion(config)} no Kubernetes.
+Os valores em \`values.yaml\` são os mesmos campos do wizard.
+
+## Instalação
+\`\`\`bash
+kubectl create namespace ${config.projectName}
+helm install ${config.projectName} ./${chartDir} -n ${config.projectName}
+
+# Aplicar alterações do values.yaml
+helm upgrade ${config.projectName} ./${chartDir} -n ${config.projectName}
+\`\`\`
+
+## Pré-requisitos
+- Kubernetes 1.27+ (CronJob com \`timeZone\`) e uma StorageClass padrão para os volumes${usesHelmIngress(config) ? `
+- Ingress Controller ${getReverseProxy(config) === 'traefik' ? 'Traefik (\`ingressClassName: traefik\`)' : 'NGINX (\`ingressClassName: nginx\`)'}` : ''}${sslMode !== 'none' ? `
+- cert-manager instalado no cluster (emite o certificado ${sslMode === 'letsencrypt' ? "Let's Encrypt" : 'autoassinado'})` : ''}${usesCustomImage(config) ? `
+- Imagem personalizada publicada em um registry (veja \`odoo.image\` no values.yaml)` : ''}
+
+## Recursos criados
+- \`StatefulSet\` do PostgreSQL com volume próprio e \`postgresql.conf\` ajustado
+- \`Deployment\` do Odoo (1 réplica: o filestore é ReadWriteOnce)
+- \`ConfigMap\` com o \`odoo.conf\` (sem senhas) e \`Secret\` com as senhas
+- \`Ingress\` no lugar do Nginx do Docker Compose${config.enableRedis ? ', `Deployment` do Redis' : ''}${config.enableBackup ? ', `CronJob` de backup' : ''}
+
+## Diferenças em relação ao Docker Compose
+- Addons próprios: inclua-os na imagem (não há pasta \`addons/\` montada do host)
+- Repositórios OCA: clonados por um initContainer a cada início do pod
+- Logs: saída padrão do container (\`kubectl logs\`), sem \`logs/\`
+- Monitoramento: use o kube-prometheus-stack do cluster${config.enableMonitoring ? ' (o perfil monitoring do Compose não é gerado)' : ''}
+
+**Importante:** \`values.yaml\` contém as senhas. Não o versione sem criptografia.
+`;
+}
+
+/**
+ * Gera .helmignore do chart
+ * @returns {string} Conteúdo do .helmignore
+ */
+function generateHelmignore() {
+    return `# Arquivos fora do pacote do chart (helm package)
+.git/
+.gitignore
+*.swp
+*.bak
+*.tmp
+README.md
+`;
+}
+
+/**
+ * Gera o projeto Kubernetes: chart Helm (+ Dockerfile da imagem personalizada)
+ * Mesmo formato de retorno de buildProjectFiles
+ * @param {OdooConfig} config - Configuração completa
+ * @returns {{files: Map<string, string>, structure: {root: string[], folders: Object<string, string[]>}}}
+ */
+function buildKubernetesProjectFiles(config) {
+    const chartDir = getHelmChartDir(config);
+    // O chart sempre usa o Secret montado em /run/secrets (mesmo entrypoint do modo secrets)
+    const secretsConfig = { ...config, useSecrets: true };
+    
+    const chartFiles = {
+        '': [
+            ['Chart.yaml', generateHelmChartYaml(config)],
+            ['values.yaml', generateHelmValues(config)],
+            ['.helmignore', generateHelmignore()],
+            ['README.md', generateHelmReadme(config)]
+        ],
+        'templates/': [
+            ['_helpers.tpl', generateHelmHelpers(config)],
+            ['NOTES.txt', generateHelmNotes(config)],
+            ['configmap.yaml', generateHelmConfigMap(config)],
+            ['secret.yaml', generateHelmSecret(config)],
+            ['postgres.yaml', generateHelmPostgres(config)],
+            ['odoo.yaml', generateHelmOdoo(config)],
+            ['redis.yaml', generateHelmRedis(config)],
+            ['mailpit.yaml', generateHelmMailpit(config)],
+            ['ingress.yaml', generateHelmIngress(config)],
+            ['backup.yaml', generateHelmBackup(config)]
+        ],
+        'files/': [
+            ['entrypoint-secrets.sh', generateOdooSecretsEntrypoint(secretsConfig)],
+            ['postgresql.conf', generatePostgresqlConf(config)],
+            ['backup.sh', generateBackupScript(config)]
+        ]
+    };
+    
+    const files = new Map();
+    const folders = {};
+    Object.entries(chartFiles).forEach(([subdir, entries]) => {
+        folders[chartDir + subdir] = entries.map(([filename]) => filename);
+        entries.forEach(([filename, content]) => files.set(chartDir + subdir + filename, content));
+    });
+    
+    // Imagem personalizada: construída e publicada antes do helm install
+    if (usesCustomImage(config)) {
+        files.set('Dockerfile', generateDockerfile(config));
+        files.set('requirements.txt', generateRequirementsTxt(config));
+        files.set('.dockerignore', generateDockerignore());
+    }
+    
+    const structure = {
+        root: usesCustomImage(config) ? ['Dockerfile', 'requirements.txt', '.dockerignore'] : [],
+        folders
+    };
+    
+    return { files, structure };
+}
+
+// ====================================================================
+// MONTAGEM DO PROJETO (compartilhada pelo wizard e pela CLI)
+// ====================================================================
+
+/**
+ * Destinos de implantação: o que buildProjectFiles gera para o mesmo OdooConfig
+ * @type {Object<string, string>}
+ */
+const DEPLOY_TARGETS = {
+    compose: 'Docker Compose',
+    podman: 'Podman (quadlets do systemd)',
+    kubernetes: 'Kubernetes (chart Helm)'
+};
+
+/**
+ * Valores padrão de cada campo, iguais aos do formulário em index.html
+ * Senhas vazias são geradas por normalizeConfig
+ * @type {OdooConfig}
+ */
+const DEFAULT_CONFIG = {
+    preset: '',
+    projectName: '',
+    odooVersion: '18.0',
+    postgresVersion: '',
+    httpPort: 8069,
+    chatPort: 8072,
+    domain: '',
+    deployTarget: 'compose',
+    enableSystemdUnit: false,
+    commentLanguage: 'pt',
+    dbName: 'odoo',
+    dbUser: 'odoo',
+    dbPassword: '',
+    adminPassword: '',
+    enablePostgresPort: false,
+    useSecrets: false,
+    containerHardening: false,
+    passwordOptions: {},
+    workers: 4,
+    cronThreads: 2,
+    memoryLimit: 2,
+    dbMemoryLimit: 1,
+    hostCpus: 0,
+    hostMemory: 0,
+    concurrentUsers: 0,
+    logLevel: 'info',
+    enablePgbouncer: false,
+    enableRedis: true,
+    redisPassword: '',
+    reverseProxy: 'none',
+    odooPortsLocalOnly: false,
+    sslMode: 'none',
+    letsencryptEmail: '',
+    letsencryptStaging: false,
+    nginxHardening: false,
+    dbManagerAccess: 'block',
+    dbManagerAllowlist: [],
+    dbManagerAuth: false,
+    dbManagerPassword: '',
+    cspAllowedOrigins: [],
+    enableFail2ban: false,
+    smtpHost: '',
+    smtpPort: 587,
+    smtpEncryption: 'starttls',
+    smtpUser: '',
+    smtpPassword: '',
+    emailFrom: '',
+    enableMailCatcher: false,
+    ocaRepositories: [],
+    customImage: false,
+    pipPackages: [],
+    aptPackages: [],
+    enableMonitoring: false,
+    grafanaPassword: '',
+    enableBackup: false,
+    backupSchedule: '0 2 * * *',
+    backupKeepDaily: 7,
+    backupKeepWeekly: 4,
+    backupKeepMonthly: 6
+};
+
+/**
+ * Converte campos de versões anteriores (JSONs, rascunhos e links antigos)
+ * enableNginx (boolean) deu lugar à escolha do proxy em reverseProxy
+ * @param {Object} values - Configuração ou valores do formulário
+ * @returns {Object} Cópia apenas com os campos atuais
+ */
+function migrateLegacyFields(values) {
+    const { enableNginx, ...current } = values;
+    if (enableNginx !== undefined && current.reverseProxy === undefined) {
+        current.reverseProxy = enableNginx ? 'nginx' : 'none';
+    }
+    return current;
+}
+
+/**
+ * Completa uma configuração parcial com os valores padrão e gera as senhas ausentes
+ * (o wizard faz o mesmo ao abrir: senhas já vêm preenchidas no formulário)
+ * @param {Partial<OdooConfig>} partial - Configuração informada (ex: JSON da CLI)
+ * @returns {OdooConfig} Configuração completa
+ */
+function normalizeConfig(partial = {}) {
+    const config = { ...DEFAULT_CONFIG, ...migrateLegacyFields(partial) };
+    
+    config.passwordOptions = Object.fromEntries(GENERATED_PASSWORD_FIELDS.map(field => [field, getPasswordOptions(config, field)]));
+    GENERATED_PASSWORD_FIELDS.forEach(field => {
+        if (!config[field]) config[field] = generatePassword(config.passwordOptions[field]);
+    });
+    
+    return config;
+}
+
+/**
+ * Gera todos os arquivos do projeto e a estrutura de pastas do ZIP
+ * @param {OdooConfig} config - Configuração completa (veja normalizeConfig)
+ * @returns {{files: Map<string, string>, structure: {root: string[], folders: Object<string, string[]>}}}
+ */
+function buildProjectFiles(config) {
+    // Kubernetes: chart Helm no lugar do docker-compose.yml e seus arquivos
+    if (config.deployTarget === 'kubernetes') {
+        return translateProjectComments(buildKubernetesProjectFiles(config), config);
+    }
+    
+    // Podman: quadlets no lugar do docker-compose.yml, sempre no modo secrets
+    // (as senhas ficam em secrets/, fora das unidades systemd)
+    const isPodman = config.deployTarget === 'podman';
+    if (isPodman) {
+        config = { ...config, useSecrets: true };
+    }
+    
+    // === MAPA DE ARQUIVOS A SEREM GERADOS ===
+    const files = new Map([
+        ...(isPodman ? [] : [['docker-compose.yml', generateDockerCompose(config)]]),
+        ['.env', generateEnvFile(config)],
+        ['config/odoo.conf', generateOdooConf(config)],
+        ['postgres/postgresql.conf', generatePostgresqlConf(config)],
+        ['setup.sh', generateSetupScript(config)],
+        ['.gitignore', generateGitignore(config)]
+    ]);
+    
+    // Modo secrets: uma senha por arquivo + entrypoint que as injeta no odoo.conf
+    const dockerSecrets = getDockerSecrets(config);
+    dockerSecrets.forEach(secret => files.set(`secrets/${secret.name}.txt`, secret.value));
+    if (config.useSecrets) {
+        files.set('config/entrypoint-secrets.sh', generateOdooSecretsEntrypoint(config));
+    }
+    
+    // Inicialização no boot: quadlets do Podman ou unidade systemd do Compose
+    const quadletFiles = isPodman ? generateQuadletFiles(config) : [];
+    quadletFiles.forEach(([filename, content]) => files.set(`quadlet/${filename}`, content));
+    const hasSystemdUnit = !isPodman && config.enableSystemdUnit;
+    if (hasSystemdUnit) {
+        files.set(`systemd/${config.projectName}.service`, generateComposeSystemdUnit(config));
+    }
+    
+    // Adicionar nginx.conf se habilitado (o Traefik é configurado pelos labels do docker-compose.yml)
+    if (getReverseProxy(config) === 'nginx') {
+        files.set('nginx/nginx.conf', generateNginxConf(config));
+    }
+    
+    // PgBouncer: pools e usuário do banco
+    if (usesPgbouncer(config)) {
+        files.set('pgbouncer/pgbouncer.ini', generatePgbouncerIni(config));
+        if (config.useSecrets) {
+            files.set('pgbouncer/entrypoint.sh', generatePgbouncerEntrypoint());
+        } else {
+            files.set('pgbouncer/userlist.txt', generatePgbouncerUserlist(config));
+        }
+    }
+    
+    // fail2ban: jails e filtro lidos de /data no container
+    if (usesFail2ban(config)) {
+        files.set('fail2ban/jail.d/odoo.local', generateFail2banJail(config));
+        files.set('fail2ban/filter.d/odoo-login.conf', generateFail2banOdooFilter());
+    }
+    
+    // Repositórios OCA e script de download
+    if (config.ocaRepositories.length > 0) {
+        files.set('repos.yaml', generateReposYaml(config));
+        files.set('fetch-addons.sh', generateFetchAddonsScript(config));
+    }
+    
+    // Imagem personalizada do Odoo
+    if (usesCustomImage(config)) {
+        files.set('Dockerfile', generateDockerfile(config));
+        files.set('requirements.txt', generateRequirementsTxt(config));
+        files.set('.dockerignore', generateDockerignore());
+    }
+    
+    // Perfil de monitoramento: Prometheus + provisionamento do Grafana
+    if (config.enableMonitoring) {
+        files.set('monitoring/prometheus.yml', generatePrometheusConfig(config));
+        files.set('monitoring/grafana/provisioning/datasources/prometheus.yml', generateGrafanaDatasource());
+        files.set('monitoring/grafana/provisioning/dashboards/dashboards.yml', generateGrafanaDashboardProvider());
+        files.set('monitoring/grafana/dashboards/odoo.json', generateGrafanaDashboard(config));
+    }
+    
+    // Scripts do container de backup e restauração
+    if (config.enableBackup) {
+        files.set('backup/backup.sh', generateBackupScript(config));
+        files.set('backup/entrypoint.sh', generateBackupEntrypoint());
+        files.set('restore.sh', generateRestoreScript(config));
+    }
+    
+    // Estrutura hierárquica do ZIP (pastas condicionais)
+    const structure = {
+        root: [
+            ...(isPodman ? [] : ['docker-compose.yml']),
+            '.env', 
+            '.gitignore',
+            'setup.sh',
+            ...(usesCustomImage(config) ? ['Dockerfile', 'requirements.txt', '.dockerignore'] : []),
+            ...(config.ocaRepositories.length > 0 ? ['repos.yaml', 'fetch-addons.sh'] : []),
+            ...(config.enableBackup ? ['restore.sh'] : [])
+        ],
+        folders: {
+            'config/': ['odoo.conf', ...(config.useSecrets ? ['entrypoint-secrets.sh'] : [])],
+            'postgres/': ['postgresql.conf'],
+            // PgBouncer APENAS se habilitado (Docker Compose)
+            ...(usesPgbouncer(config) ? { 'pgbouncer/': ['pgbouncer.ini', config.useSecrets ? 'entrypoint.sh' : 'userlist.txt'] } : {}),
+            // Unidades systemd APENAS no Podman ou com a opção de boot do Compose
+            ...(isPodman ? { 'quadlet/': quadletFiles.map(([filename]) => filename) } : {}),
+            ...(hasSystemdUnit ? { 'systemd/': [`${config.projectName}.service`] } : {}),
+            // Senhas em arquivos APENAS no modo secrets
+            ...(config.useSecrets ? {
+                'secrets/': dockerSecrets.map(secret => `${secret.name}.txt`)
+            } : {}),
+            'logs/': [], // Sempre necessária (Docker criará logs)
+            'addons/': [], // Sempre necessária (usuário adicionará módulos)
+            // Destino dos repositórios OCA (preenchido pelo fetch-addons.sh)
+            ...(config.ocaRepositories.length > 0 ? { 'oca/': [] } : {}),
+            // Nginx APENAS se habilitado
+            ...(getReverseProxy(config) === 'nginx' ? {
+                'nginx/': ['nginx.conf'],
+                'nginx/ssl/': []
+            } : {}),
+            // fail2ban APENAS com o Nginx endurecido
+            ...(usesFail2ban(config) ? {
+                'fail2ban/jail.d/': ['odoo.local'],
+                'fail2ban/filter.d/': ['odoo-login.conf']
+            } : {}),
+            // Armazenamento ACME APENAS com Traefik + Let's Encrypt
+            ...(getReverseProxy(config) === 'traefik' && getSslMode(config) === 'letsencrypt' ? {
+                'traefik/letsencrypt/': []
+            } : {}),
+            // Backup APENAS se habilitado
+            ...(config.enableBackup ? {
+                'backup/': ['backup.sh', 'entrypoint.sh'],
+                'backups/': []
+            } : {}),
+            // Monitoramento APENAS se habilitado
+            ...(config.enableMonitoring ? {
+                'monitoring/': ['prometheus.yml'],
+                'monitoring/grafana/provisioning/datasources/': ['prometheus.yml'],
+                'monitoring/grafana/provisioning/dashboards/': ['dashboards.yml'],
+                'monitoring/grafana/dashboards/': ['odoo.json']
+            } : {}),
+            // Certbot APENAS no modo Let's Encrypt com o Nginx
+            ...(usesCertbot(config) ? {
+                'certbot/conf/': [],
+                'certbot/www/': []
+            } : {})
+        }
+    };
+    
+    // Comentários no idioma escolhido (config.commentLanguage)
+    return translateProjectComments({ files, structure }, config);
+}
+
+/**
+ * Gera conteúdo README para pastas vazias explicando seu propósito
+ * @param {string} folderPath - Caminho da pasta
+ * @param {string} [language] - Idioma do texto (chave de LANGUAGES; padrão: português)
+ * @returns {string} Conteúdo do README
+ */
+function generateFolderReadme(folderPath, language = DEFAULT_LANGUAGE) {
+    const translated = FOLDER_README_TRANSLATIONS[language];
+    if (translated) {
+        return translated.folders[folderPath] || `# ${folderPath}
+
+	${translated.fallback}`;
+    }
+    
+    const readmeContent = {
+        'logs/': `# Pasta de Logs
+
+	Esta pasta armazenará os logs do Odoo automaticamente.
+
+	## Arquivos que aparecerão aqui:
+	- \`odoo.log\` - Log principal do Odoo
+	- Logs rotacionados automaticamente
+
+	## Monitoramento:
+	\`\`\`bash
+	# Ver logs em tempo real
+	docker-compose logs -f odoo
+
+	# Ver logs específicos
+	tail -f logs/odoo.log
+	\`\`\``,
+
+        'addons/': `# Pasta de Addons Customizados
+
+	Coloque seus módulos personalizados do Odoo nesta pasta.
+
+	## Estrutura recomendada:
+	\`\`\`
+	addons/
+	├── meu_modulo/
+	│   ├── __manifest__.py
+	│   ├── models/
+	│   ├── views/
+	│   └── data/
+	└── outro_modulo/
+	\`\`\`
+
+	## Instalação de addons:
+	1. Coloque o módulo nesta pasta
+	2. Reinicie o Odoo: \`docker-compose restart odoo\`
+	3. Atualize a lista de apps no Odoo
+	4. Instale o módulo pela interface`,
+
+        'nginx/ssl/': `# Certificados SSL
+
+	Coloque seus certificados SSL nesta pasta para HTTPS.
+
+	## Arquivos necessários:
+	- \`your-domain.crt\` - Certificado SSL
+	- \`your-domain.key\` - Chave privada
+
+	## Configuração:
+	1. Obtenha certificados (Let's Encrypt recomendado)
+	2. Coloque os arquivos nesta pasta
+	3. Descomente as seções HTTPS no nginx.conf
+	4. Reinicie o Nginx: \`docker-compose restart nginx\`
+
+	## Modo autoassinado:
+	Se o projeto foi gerado com HTTPS autoassinado, o \`setup.sh\` cria
+	\`selfsigned.crt\` e \`selfsigned.key\` aqui automaticamente.`,
+
+        'oca/': `# Repositórios OCA
+
+	Os repositórios da OCA listados em \`repos.yaml\` são baixados aqui
+	pelo \`fetch-addons.sh\` (executado automaticamente pelo \`setup.sh\`).
+
+	## Comandos:
+	\`\`\`bash
+	# Baixar/atualizar os repositórios
+	./fetch-addons.sh
+
+	# Aplicar no Odoo
+	docker-compose restart odoo
+	\`\`\`
+
+	Cada repositório entra no \`addons_path\` do \`config/odoo.conf\`.
+	Alguns módulos exigem bibliotecas Python extras (veja o README de cada repositório).
+	Esta pasta está no \`.gitignore\`: versione apenas o \`repos.yaml\`.`,
+
+        'backups/': `# Backups
+
+	Conjuntos criados pelo container \`backup\` (banco + filestore).
+
+	## Estrutura:
+	- \`daily/AAAAMMDD_HHMMSS/\` - Um conjunto por execução agendada
+	- \`weekly/AAAA-Wss/\` - Primeiro conjunto de cada semana
+	- \`monthly/AAAA-MM/\` - Primeiro conjunto de cada mês
+
+	Cada conjunto contém \`database.dump\` e \`filestore.tar.gz\`.
+
+	## Comandos:
+	\`\`\`bash
+	# Backup imediato
+	docker-compose exec backup /bin/sh /backup/backup.sh
+
+	# Listar e restaurar conjuntos
+	./restore.sh
+	./restore.sh backups/daily/20250101_020000
+	\`\`\`
+
+	**Importante:** copie esta pasta para outro servidor ou storage externo.`,
+
+        'certbot/conf/': `# Certificados Let's Encrypt
+
+	Pasta gerenciada pelo certbot. Não edite manualmente.
+
+	## Conteúdo:
+	- \`live/<domínio>/\` - Certificado e chave em uso pelo Nginx
+	- \`renewal/\` - Configuração de renovação automática
+
+	## Renovação:
+	O container \`certbot\` tenta renovar a cada 12 horas e o Nginx
+	recarrega a configuração a cada 6 horas. Para forçar a renovação:
+	\`\`\`bash
+	docker-compose run --rm --entrypoint certbot certbot renew --force-renewal
+	docker-compose exec nginx nginx -s reload
+	\`\`\``,
+
+        'certbot/www/': `# Webroot do Let's Encrypt
+
+	Arquivos temporários do desafio HTTP-01, servidos pelo Nginx em
+	\`/.well-known/acme-challenge/\`. O certbot cria e remove os arquivos sozinho.`,
+
+        'traefik/letsencrypt/': `# Certificados Let's Encrypt (Traefik)
+
+	O Traefik grava aqui o \`acme.json\`, com a conta ACME e os certificados
+	emitidos. Não edite manualmente e não versione: contém chaves privadas.
+
+	## Renovação:
+	Automática: o Traefik renova os certificados 30 dias antes de expirarem.
+	Para forçar uma nova emissão, pare o Traefik, apague o \`acme.json\` e suba de novo:
+	\`\`\`bash
+	docker-compose stop traefik && rm traefik/letsencrypt/acme.json && docker-compose up -d traefik
+	\`\`\``
+    };
+    
+    return readmeContent[folderPath] || `# ${folderPath}
+
+	Esta pasta é parte da estrutura do projeto Odoo.`;
+}
+
+/**
+ * Árvore final do projeto: arquivos da estrutura + README das pastas vazias
+ * É exatamente o conteúdo do ZIP do wizard e o que a CLI grava em disco
+ * @param {Map<string, string>} files - Arquivos gerados por buildProjectFiles
+ * @param {{root: string[], folders: Object<string, string[]>}} structure - Estrutura de pastas
+ * @param {string} [language] - Idioma dos README das pastas vazias (config.commentLanguage)
+ * @returns {Map<string, string>} Caminho relativo → conteúdo
+ */
+function buildProjectTree(files, structure, language = DEFAULT_LANGUAGE) {
+    const tree = new Map();
+    
+    // Arquivos da raiz
+    structure.root.forEach(filename => {
+        if (files.has(filename)) tree.set(filename, files.get(filename));
+    });
+    
+    // Pastas: arquivos listados ou README explicativo quando vazia
+    Object.entries(structure.folders).forEach(([folderPath, folderFiles]) => {
+        folderFiles.forEach(filename => {
+            const fullPath = folderPath + filename;
+            if (files.has(fullPath)) tree.set(fullPath, files.get(fullPath));
+        });
+        
+        if (folderFiles.length === 0) {
+            tree.set(folderPath + 'README.md', generateFolderReadme(folderPath, language));
+        }
+    });
+    
+    return tree;
+}
+
+// ====================================================================
+// VERIFICAÇÃO DOS ARQUIVOS GERADOS (LINTER)
+// ====================================================================
+
+/**
+ * @typedef {Object} LintIssue - Problema encontrado em um arquivo gerado
+ * @property {string} [file] - Caminho do arquivo (preenchido por lintProjectFiles)
+ * @property {number} line - Linha do problema (1 = primeira)
+ * @property {string} severity - Gravidade: error (bloqueia o ZIP) ou warning
+ * @property {string} message - Descrição do problema
+ */
+
+/**
+ * Remove comentário "# ..." do fim de uma linha YAML, respeitando aspas
+ * @param {string} text - Linha sem a indentação
+ * @returns {string} Linha sem o comentário e sem espaços finais
+ */
+function stripYamlComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            // Aspas só abrem um escalar no início do valor
+            if (i === 0 || /[\s:\[{,-]/.test(text[i - 1])) quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+/**
+ * Verifica um escalar YAML: aspas e colchetes/chaves de fluxo fechados
+ * @param {string} value - Valor sem comentário
+ * @returns {string|null} Mensagem de erro ou null
+ */
+function checkYamlScalar(value) {
+    if (value.startsWith('"') && !/^"(?:[^"\\]|\\.)*"$/.test(value)) return 'Aspas duplas não fechadas';
+    if (value.startsWith("'") && !/^'(?:[^']|'')*'$/.test(value)) return 'Aspas simples não fechadas';
+    if (value.startsWith('[') && !value.endsWith(']')) return 'Lista "[ ]" não fechada';
+    if (value.startsWith('{') && !value.endsWith('}')) return 'Mapa "{ }" não fechado';
+    return null;
+}
+
+/**
+ * Verifica a estrutura de um YAML em estilo bloco (docker-compose, repos.yaml, Prometheus, Grafana)
+ * Detecta tabulações, indentação inconsistente, chaves repetidas e escalares não fechados
+ * Vários documentos separados por "---" (manifests Kubernetes) são verificados um a um
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintYaml(content) {
+    const issues = [];
+    let levels = [{ indent: -1, keys: new Set() }]; // Níveis de mapeamento abertos
+    let previous = null;     // Última linha significativa: {indent, opensBlock}
+    let blockScalar = null;  // Indentação da chave de um bloco literal (| ou >)
+
+    content.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.replace(/\r$/, '');
+        const lineNumber = index + 1;
+        const error = (message) => issues.push({ line: lineNumber, severity: 'error', message });
+
+        // Conteúdo de blocos literais não é YAML estrutural
+        if (blockScalar !== null) {
+            if (line.trim() === '' || line.match(/^ */)[0].length > blockScalar) return;
+            blockScalar = null;
+        }
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+        // Início de um novo documento: chaves e níveis recomeçam
+        if (/^---\s*$/.test(line)) {
+            levels = [{ indent: -1, keys: new Set() }];
+            previous = null;
+            return;
+        }
+
+        // === INDENTAÇÃO ===
+        const leading = line.match(/^[ \t]*/)[0];
+        if (leading.includes('\t')) {
+            error('Tabulação na indentação (YAML aceita apenas espaços)');
+            previous = null;
+            return;
+        }
+        const indent = leading.length;
+        let text = stripYamlComment(line.slice(indent));
+
+        // Item de lista: "- valor" ou "- chave: valor" (o conteúdo fica em indent + 2)
+        const isItem = text === '-' || text.startsWith('- ');
+        const sameIndentList = isItem && previous && previous.opensBlock && indent === previous.indent;
+
+        if (previous && indent > previous.indent && !previous.opensBlock) {
+            error('Indentação inesperada: a linha anterior não abre um bloco');
+        }
+        while (levels.length > 1 && levels[levels.length - 1].indent > indent) levels.pop();
+        const top = levels[levels.length - 1];
+        if (indent > top.indent) {
+            if (previous && previous.opensBlock && !sameIndentList) {
+                levels.push({ indent, keys: new Set() });
+            } else if (top.indent >= 0 || indent > 0) {
+                if (!previous || previous.opensBlock || indent <= previous.indent) {
+                    error('Indentação não corresponde a nenhum nível anterior');
+                }
+                levels.push({ indent, keys: new Set() });
+            }
+        }
+        const level = levels[levels.length - 1];
+
+        let contentIndent = indent;
+        if (isItem) {
+            text = text.slice(1).trim();
+            contentIndent = indent + 2;
+            // Cada item inicia um mapeamento novo (chaves podem se repetir entre itens)
+            if (text) levels.push({ indent: contentIndent, keys: new Set() });
+        }
+
+        // === CHAVE: VALOR ===
+        const pair = text.match(/^("(?:[^"\\]|\\.)*"|'[^']*'|[^\s"'\[\]{},#][^#]*?)\s*:(?:\s+(.*))?$/);
+        let opensBlock = isItem && text === '';
+        if (pair) {
+            const key = pair[1].replace(/^["']|["']$/g, '');
+            const value = (pair[2] || '').trim();
+            const keys = levels[levels.length - 1].keys;
+            if (keys.has(key)) error(`Chave "${key}" repetida no mesmo bloco`);
+            keys.add(key);
+
+            if (value === '') {
+                opensBlock = true;
+            } else if (/^[|>][+-]?$/.test(value)) {
+                blockScalar = contentIndent;
+            } else {
+                const scalarError = checkYamlScalar(value);
+                if (scalarError) error(scalarError);
+            }
+        } else if (isItem && /^[|>][+-]?$/.test(text)) {
+            // Item de lista com bloco literal ("- |")
+            blockScalar = indent;
+        } else if (text) {
+            const scalarError = checkYamlScalar(text);
+            if (scalarError) error(scalarError);
+            else if (!isItem && level.keys.size > 0) error('Linha sem "chave: valor" dentro de um mapeamento');
+        }
+
+        previous = { indent: contentIndent, opensBlock };
+    });
+
+    return issues;
+}
+
+/**
+ * Verifica um template do chart Helm como YAML
+ * Linhas só com ações ({{- if }}, {{- include ... | nindent }}) somem na renderização
+ * e são ignoradas; expressões no meio da linha viram um valor fictício
+ * @param {string} content - Conteúdo do template
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintHelmTemplate(content) {
+    const yaml = content.split('\n').map(line => {
+        if (/^\s*\{\{.*\}\}\s*$/.test(line)) return '';
+        return line.replace(/\{\{.*?\}\}/g, 'tpl');
+    }).join('\n');
+    return lintYaml(yaml);
+}
+
+/**
+ * Verifica um arquivo INI lido pelo Odoo (configparser do Python)
+ * @param {string} content - Conteúdo do odoo.conf
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintIni(content) {
+    const issues = [];
+    let section = null;
+    const seen = new Set();
+
+    content.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.replace(/\r$/, '');
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith(';')) return;
+
+        if (/^\s/.test(line)) {
+            issues.push({ line: lineNumber, severity: 'error', message: 'Linha indentada é lida como continuação do valor anterior' });
+            return;
+        }
+
+        const header = trimmed.match(/^\[([^\]]+)\]$/);
+        if (header) {
+            section = header[1];
+            return;
+        }
+
+        // "*" é o banco coringa do pgbouncer.ini
+        const option = trimmed.match(/^([A-Za-z_][A-Za-z0-9_.]*|\*)\s*=\s*(.*)$/);
+        if (!option) {
+            issues.push({ line: lineNumber, severity: 'error', message: 'Linha inválida (esperado "chave = valor")' });
+            return;
+        }
+        if (!section) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Opção "${option[1]}" fora de uma seção (ex: [options])` });
+        }
+        if (/\s[#;]/.test(option[2])) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Comentário inline em "${option[1]}": o Odoo lê o comentário como parte do valor` });
+        }
+
+        const key = `${section}.${option[1]}`;
+        if (seen.has(key)) {
+            issues.push({ line: lineNumber, severity: 'warning', message: `Opção "${option[1]}" repetida: o último valor prevalece` });
+        }
+        seen.add(key);
+    });
+
+    return issues;
+}
+
+/**
+ * Verifica uma unidade systemd (quadlets do Podman e unidade do Compose):
+ * "Chave=valor" dentro de uma seção, aspas fechadas e sem comentário no fim da linha
+ * @param {string} content - Conteúdo da unidade
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintSystemdUnit(content) {
+    const issues = [];
+    let section = null;
+
+    content.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.replace(/\r$/, '');
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith(';')) return;
+
+        const header = trimmed.match(/^\[([A-Za-z]+)\]$/);
+        if (header) {
+            section = header[1];
+            return;
+        }
+
+        const option = line.match(/^([A-Za-z][A-Za-z0-9]*)=(.*)$/);
+        if (!option) {
+            issues.push({ line: lineNumber, severity: 'error', message: 'Linha inválida (esperado "Chave=valor")' });
+            return;
+        }
+        if (!section) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Opção "${option[1]}" fora de uma seção (ex: [Unit])` });
+        }
+
+        // Description é texto livre: o systemd não interpreta aspas nela
+        const value = option[1] === 'Description' ? '' : option[2].replace(/\\./g, '');
+        if ((value.match(/"/g) || []).length % 2 !== 0 || (value.match(/'/g) || []).length % 2 !== 0) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Aspas não fechadas em "${option[1]}"` });
+        }
+        if (/\s#/.test(value.replace(/"[^"]*"|'[^']*'/g, ''))) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Comentário inline em "${option[1]}": o systemd lê o comentário como parte do valor` });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Verifica um postgresql.conf: "parâmetro = valor", aspas simples fechadas e repetições
+ * @param {string} content - Conteúdo do postgresql.conf
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintPostgresqlConf(content) {
+    const issues = [];
+    const seen = new Set();
+
+    content.split('\n').forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const trimmed = rawLine.replace(/\r$/, '').trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        const option = trimmed.match(/^([a-z_][a-z0-9_.]*)\s*=?\s*(.*)$/);
+        if (!option) {
+            issues.push({ line: lineNumber, severity: 'error', message: 'Linha inválida (esperado "parâmetro = valor")' });
+            return;
+        }
+
+        // Strings entre aspas simples ('' representa um apóstrofo); após o valor só cabe comentário
+        const value = option[2];
+        if (value.startsWith("'") && !/^'(?:[^']|'')*'\s*(#.*)?$/.test(value)) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Aspas simples não fechadas em "${option[1]}"` });
+        }
+
+        if (seen.has(option[1])) {
+            issues.push({ line: lineNumber, severity: 'warning', message: `Parâmetro "${option[1]}" repetido: o último valor prevalece` });
+        }
+        seen.add(option[1]);
+    });
+
+    return issues;
+}
+
+/**
+ * Verifica um arquivo .env lido pelo Docker Compose
+ * @param {string} content - Conteúdo do .env
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintDotenv(content) {
+    const issues = [];
+    const seen = new Set();
+
+    content.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.replace(/\r$/, '');
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        const variable = line.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+        if (!variable) {
+            const message = /^\s*[A-Za-z_]\w*\s+=|=\s/.test(line)
+                ? 'Espaços ao redor de "=" não são permitidos'
+                : 'Linha inválida (esperado CHAVE=valor)';
+            issues.push({ line: lineNumber, severity: 'error', message });
+            return;
+        }
+
+        const [, name, value] = variable;
+        if (seen.has(name)) {
+            issues.push({ line: lineNumber, severity: 'warning', message: `Variável ${name} repetida: o último valor prevalece` });
+        }
+        seen.add(name);
+
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && (value.length < 2 || !value.endsWith(quote))) {
+            issues.push({ line: lineNumber, severity: 'error', message: `Aspas não fechadas em ${name}` });
+            return;
+        }
+
+        // O Compose interpola $VAR em valores sem aspas simples
+        if (quote !== "'" && value.replace(/\$\$|\\\$/g, '').includes('$')) {
+            issues.push({ line: lineNumber, severity: 'warning', message: `${name} contém "$", que o Docker Compose interpreta como variável (use "$$" ou aspas simples)` });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Diretivas emitidas pelo gerador: uma delas no início de uma linha que continua
+ * a diretiva anterior indica ";" esquecido
+ */
+const NGINX_DIRECTIVES = [
+    'events', 'http', 'server', 'location', 'upstream', 'listen', 'server_name', 'root', 'return',
+    'include', 'proxy_pass', 'proxy_set_header', 'proxy_redirect', 'proxy_buffering', 'proxy_http_version',
+    'proxy_read_timeout', 'proxy_connect_timeout', 'proxy_send_timeout', 'proxy_cache_valid',
+    'add_header', 'expires', 'server_tokens', 'ssl_certificate', 'ssl_certificate_key', 'ssl_protocols',
+    'ssl_ciphers', 'ssl_prefer_server_ciphers', 'ssl_session_cache', 'ssl_session_timeout', 'http2',
+    'access_log', 'error_log', 'log_format', 'sendfile', 'tcp_nopush', 'tcp_nodelay', 'keepalive_timeout',
+    'types_hash_max_size', 'client_max_body_size', 'gzip', 'gzip_vary', 'gzip_min_length', 'gzip_proxied',
+    'gzip_comp_level', 'gzip_types', 'worker_connections', 'use', 'stub_status', 'default_type', 'map'
+];
+
+/**
+ * Verifica a sintaxe de um nginx.conf: chaves balanceadas, ";" ao fim das diretivas e aspas
+ * @param {string} content - Conteúdo do nginx.conf
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintNginxConf(content) {
+    const issues = [];
+    const blocks = [];        // Linhas dos "{" abertos
+    let statement = null;     // Linha onde começou a diretiva atual
+    let statementLast = null; // Última linha com conteúdo da diretiva atual
+    let line = 1;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (char === '\n') {
+            line++;
+        } else if (char === '#') {
+            while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+        } else if (char === '"' || char === "'") {
+            const start = line;
+            let j = i + 1;
+            for (; j < content.length && content[j] !== char; j++) {
+                if (content[j] === '\\') j++;
+                else if (content[j] === '\n') line++;
+            }
+            if (j >= content.length) {
+                issues.push({ line: start, severity: 'error', message: 'Aspas não fechadas' });
+                return issues;
+            }
+            if (statement === null) statement = start;
+            statementLast = line;
+            i = j;
+        } else if (char === '{') {
+            if (statement === null) issues.push({ line, severity: 'error', message: 'Bloco "{" sem diretiva' });
+            blocks.push(line);
+            statement = null;
+        } else if (char === ';') {
+            statement = null;
+        } else if (char === '}') {
+            if (statement !== null) {
+                issues.push({ line: statementLast, severity: 'error', message: 'Diretiva sem ";" antes de "}"' });
+                statement = null;
+            }
+            if (blocks.length === 0) issues.push({ line, severity: 'error', message: '"}" sem "{" correspondente' });
+            else blocks.pop();
+        } else if (!/\s/.test(char)) {
+            // Palavra: nova diretiva ou continuação da atual
+            let j = i;
+            while (j < content.length && !/[\s;{}#"']/.test(content[j])) j++;
+            const word = content.slice(i, j);
+            if (statement === null) {
+                statement = line;
+            } else if (line > statementLast && NGINX_DIRECTIVES.includes(word)) {
+                issues.push({ line: statementLast, severity: 'error', message: 'Diretiva sem ";" no fim da linha' });
+                statement = line;
+            }
+            statementLast = line;
+            i = j - 1;
+        }
+    }
+
+    if (statement !== null) issues.push({ line: statementLast, severity: 'error', message: 'Diretiva sem ";" no fim do arquivo' });
+    blocks.forEach(open => issues.push({ line: open, severity: 'error', message: 'Bloco "{" não fechado' }));
+    return issues;
+}
+
+/**
+ * Verifica a sintaxe de um script shell: aspas, substituições, heredocs e
+ * pares if/fi, for|while/done, case/esac e { }
+ * @param {string} content - Conteúdo do script
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintShellScript(content) {
+    const issues = [];
+    const constructs = [];   // Estruturas abertas: {type, line}
+    const heredocs = [];     // Heredocs aguardando o fim da linha: {delimiter, stripTabs, line}
+    let commandStart = true; // Próxima palavra está em posição de comando
+    let line = 1;
+    let i = 0;
+
+    const error = (lineNumber, message) => issues.push({ line: lineNumber, severity: 'error', message });
+
+    // Avança até o fechamento de um trecho citado/aninhado; retorna false se o arquivo acabar
+    const skipQuoted = (closing, allowNested) => {
+        let depth = 1;
+        while (++i < content.length) {
+            const char = content[i];
+            if (char === '\n') line++;
+            if (char === '\\' && closing !== "'") { if (content[i + 1] === '\n') line++; i++; continue; }
+            if (closing === "'") { if (char === "'") return true; continue; }
+            if (allowNested && char === "'" && closing === ')') { if (!skipQuoted("'", false)) return false; continue; }
+            if (allowNested && char === '"' && closing !== '"') { if (!skipQuoted('"', true)) return false; continue; }
+            if (char === '`' && closing !== '`') { if (!skipQuoted('`', false)) return false; continue; }
+            if (char === '$' && content[i + 1] === '(') { i++; if (!skipQuoted(')', true)) return false; continue; }
+            if (char === '$' && content[i + 1] === '{') { i++; if (!skipQuoted('}', true)) return false; continue; }
+            if (closing === ')' && char === '(') depth++;
+            if (char === closing && --depth === 0) return true;
+        }
+        return false;
+    };
+
+    const keyword = (word, lineNumber) => {
+        const top = constructs[constructs.length - 1];
+        const close = (type, name) => {
+            if (top && top.type === type) constructs.pop();
+            else error(lineNumber, `"${word}" sem "${name}" correspondente`);
+        };
+        switch (word) {
+            case 'if': constructs.push({ type: 'if', line: lineNumber }); return true;
+            case 'then': case 'elif': case 'else':
+                if (!top || top.type !== 'if') error(lineNumber, `"${word}" fora de um "if"`);
+                return true;
+            case 'fi': close('if', 'if'); return false;
+            case 'for': case 'while': case 'until': case 'select':
+                constructs.push({ type: 'loop', line: lineNumber }); return true;
+            case 'do':
+                if (!top || top.type !== 'loop') error(lineNumber, '"do" fora de um laço');
+                return true;
+            case 'done': close('loop', 'for/while'); return false;
+            case 'case': constructs.push({ type: 'case', line: lineNumber }); return false;
+            case 'esac': close('case', 'case'); return false;
+            case '{': constructs.push({ type: '{', line: lineNumber }); return true;
+            case '}': close('{', '{'); return false;
+            case '!': return true;
+            default: return false;
+        }
+    };
+
+    for (; i < content.length; i++) {
+        const char = content[i];
+        const startLine = line;
+
+        if (char === '\n') {
+            line++;
+            commandStart = true;
+            // Corpo dos heredocs começa na linha seguinte ao operador
+            while (heredocs.length > 0) {
+                const heredoc = heredocs.shift();
+                let found = false;
+                while (i < content.length - 1) {
+                    const end = content.indexOf('\n', i + 1);
+                    const bodyLine = content.slice(i + 1, end === -1 ? content.length : end);
+                    i = end === -1 ? content.length : end;
+                    line++;
+                    if ((heredoc.stripTabs ? bodyLine.replace(/^\t+/, '') : bodyLine) === heredoc.delimiter) {
+                        found = true;
+                        break;
+                    }
+                }
+                if (!found) error(heredoc.line, `Heredoc sem o terminador "${heredoc.delimiter}"`);
+            }
+            continue;
+        }
+        if (char === ' ' || char === '\t') continue;
+        if (char === '\\') { if (content[i + 1] === '\n') line++; i++; continue; }
+        if (char === '#') {
+            while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+            continue;
+        }
+        if (char === ';' || char === '|' || (char === '&' && content[i + 1] !== '>' && content[i - 1] !== '>')) {
+            commandStart = true;
+            continue;
+        }
+        if (char === '(') {
+            // "nome() {" define função; "( ... )" em posição de comando é subshell
+            if (content[i - 1] === '=') {
+                // Atribuição de array: VAR=(a b c)
+                if (!skipQuoted(')', true)) error(line, 'Array "(" sem ")"');
+                commandStart = false;
+                continue;
+            }
+            if (commandStart) constructs.push({ type: '(', line });
+            else if (content[i + 1] === ')') i++;
+            commandStart = true;
+            continue;
+        }
+        if (char === ')') {
+            const top = constructs[constructs.length - 1];
+            if (top && top.type === '(') constructs.pop();
+            else if (!top || top.type !== 'case') error(line, '")" sem "(" correspondente');
+            commandStart = true;
+            continue;
+        }
+        if (char === '<' && content[i + 1] === '<' && content[i + 2] !== '<') {
+            const match = content.slice(i).match(/^<<(-?)\s*(['"]?)([A-Za-z_][A-Za-z0-9_]*)\2/);
+            if (match) {
+                heredocs.push({ delimiter: match[3], stripTabs: match[1] === '-', line });
+                i += match[0].length - 1;
+                continue;
+            }
+        }
+
+        if (char === '<' || char === '>' || char === '&') continue; // Redirecionamentos
+
+        // === PALAVRA ===
+        let word = '';
+        let plain = true; // Palavra sem aspas nem expansões (candidata a palavra-chave)
+        for (; i < content.length && !/[\s;|&()<>]/.test(content[i]); i++) {
+            const current = content[i];
+            if (current === "'" || current === '"' || current === '`') {
+                plain = false;
+                if (!skipQuoted(current, current === '"')) {
+                    error(startLine, current === '`' ? 'Crase não fechada' : `Aspas ${current === '"' ? 'duplas' : 'simples'} não fechadas`);
+                    return issues;
+                }
+            } else if (current === '$' && (content[i + 1] === '(' || content[i + 1] === '{')) {
+                plain = false;
+                const closing = content[i + 1] === '(' ? ')' : '}';
+                i++;
+                if (!skipQuoted(closing, true)) {
+                    error(startLine, closing === ')' ? 'Substituição "$(" não fechada' : 'Expansão "${" não fechada');
+                    return issues;
+                }
+            } else if (current === '\\') {
+                plain = false;
+                i++;
+            } else {
+                word += current;
+            }
+        }
+        i--;
+
+        commandStart = commandStart && plain ? keyword(word, startLine) : false;
+    }
+
+    const names = { if: '"if" sem "fi"', loop: 'Laço sem "done"', case: '"case" sem "esac"', '{': '"{" sem "}"', '(': '"(" sem ")"' };
+    constructs.forEach(open => error(open.line, names[open.type]));
+    return issues;
+}
+
+/**
+ * Verifica se um arquivo JSON é válido (dashboards do Grafana)
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {LintIssue[]} Problemas encontrados
+ */
+function lintJson(content) {
+    try {
+        JSON.parse(content);
+        return [];
+    } catch (error) {
+        // A posição do erro vem na mensagem ("... at position N")
+        const position = parseInt((error.message.match(/position (\d+)/) || [])[1], 10);
+        const line = Number.isNaN(position) ? 1 : content.slice(0, position).split('\n').length;
+        return [{ line, severity: 'error', message: `JSON inválido: ${error.message}` }];
+    }
+}
+
+/**
+ * Verificador usado para cada tipo de arquivo gerado (primeiro padrão que casar)
+ * @type {Array<{pattern: RegExp, lint: function(string): LintIssue[]}>}
+ */
+const FILE_LINTERS = [
+    { pattern: /(^|\/)templates\/[^/]+\.ya?ml$/, lint: lintHelmTemplate },
+    { pattern: /\.ya?ml$/, lint: lintYaml },
+    { pattern: /(^|\/)odoo\.conf$/, lint: lintIni },
+    { pattern: /(^|\/)postgresql\.conf$/, lint: lintPostgresqlConf },
+    { pattern: /(^|\/)\.env$/, lint: lintDotenv },
+    { pattern: /(^|\/)nginx\.conf$/, lint: lintNginxConf },
+    { pattern: /(^|\/)fail2ban\/.+\.(local|conf)$/, lint: lintIni },
+    { pattern: /(^|\/)pgbouncer\.ini$/, lint: lintIni },
+    { pattern: /\.(container|volume|network|service)$/, lint: lintSystemdUnit },
+    { pattern: /\.sh$/, lint: lintShellScript },
+    { pattern: /\.json$/, lint: lintJson }
+];
+
+/**
+ * Verifica todos os arquivos gerados que têm um verificador
+ * @param {Map<string, string>} files - Arquivos gerados por buildProjectFiles
+ * @returns {LintIssue[]} Problemas encontrados, com o caminho do arquivo
+ */
+function lintProjectFiles(files) {
+    const issues = [];
+
+    files.forEach((content, file) => {
+        const linter = FILE_LINTERS.find(entry => entry.pattern.test(file));
+        if (!linter) return;
+        linter.lint(content).forEach(issue => issues.push({ file, ...issue }));
+    });
+
+    return issues;
+}
+
+// ====================================================================
+// IMPORTAÇÃO DE PROJETOS GERADOS
+// ====================================================================
+
+/**
+ * Arquivos reconhecidos na importação (dentro do ZIP ou soltos)
+ * @type {Object<string, RegExp>}
+ */
+const IMPORTABLE_FILES = {
+    env: /(^|\/)[^/]*\.env$/,
+    compose: /(^|\/)docker-compose\.ya?ml$/,
+    odooConf: /(^|\/)odoo\.conf$/,
+    setup: /(^|\/)setup\.sh$/,
+    dockerfile: /(^|\/)Dockerfile$/,
+    requirements: /(^|\/)requirements\.txt$/,
+    // Unidade systemd do Compose: systemd/<projeto>.service (os quadlets do Podman são .container)
+    systemdUnit: /(^|\/)[^/]+\.service$/,
+    // Modo secrets: secrets/<nome>.txt
+    dbPasswordSecret: /(^|\/)db_password\.txt$/,
+    adminPasswordSecret: /(^|\/)admin_password\.txt$/,
+    smtpPasswordSecret: /(^|\/)smtp_password\.txt$/,
+    grafanaPasswordSecret: /(^|\/)grafana_password\.txt$/,
+    redisPasswordSecret: /(^|\/)redis_password\.txt$/,
+    dbManagerPasswordSecret: /(^|\/)db_manager_password\.txt$/
+};
+
+/**
+ * Lê um arquivo .env no formato gerado (CHAVE=valor, aspas e escapes de escapeEnvValue)
+ * @param {string} content - Conteúdo do arquivo .env
+ * @returns {Object<string, string>} Variáveis encontradas
+ */
+function parseEnvFile(content) {
+    const vars = {};
+    
+    content.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*([A-Z_][A-Z0-9_]*)=(.*)$/);
+        if (!match) return;
+        
+        let value = match[2].trim();
+        const quote = value[0];
+        if (value.length >= 2 && quote === "'" && value.endsWith("'")) {
+            // Aspas simples: valor literal
+            value = value.slice(1, -1);
+        } else if (value.length >= 2 && quote === '"' && value.endsWith('"')) {
+            // Aspas duplas: desfaz o escape de escapeEnvValue (\\ \" \$ \`)
+            value = value.slice(1, -1).replace(/\\([\\"$`])/g, '$1');
+        } else {
+            // Sem aspas: $$ é o escape do Compose para $
+            value = value.replace(/\$\$/g, '$');
+        }
+        vars[match[1]] = value;
+    });
+    
+    return vars;
+}
+
+/**
+ * Lê as opções de um odoo.conf (chave = valor), ignorando linhas comentadas
+ * @param {string} content - Conteúdo do arquivo odoo.conf
+ * @returns {Object<string, string>} Opções encontradas ("False" vira string vazia)
+ */
+function parseOdooConf(content) {
+    const options = {};
+    
+    content.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*([a-z_]+)\s*=\s*(.*)$/);
+        if (!match) return;
+        
+        // Comentários inline de versões antigas do gerador ("valor    # comentário")
+        const value = match[2].replace(/\s+#.*$/, '').trim();
+        options[match[1]] = value === 'False' ? '' : value;
+    });
+    
+    return options;
+}
+
+/**
+ * Reconstrói a configuração a partir dos arquivos de um projeto gerado
+ * Prioridade: .env (fonte principal) → secrets/ → odoo.conf → docker-compose.yml → setup.sh
+ * @param {Object<string, string>} sources - Conteúdo dos arquivos, nas chaves de IMPORTABLE_FILES
+ * @returns {Partial<OdooConfig>} Campos que puderam ser recuperados
+ */
+function parseGeneratedProject(sources) {
+    const env = sources.env ? parseEnvFile(sources.env) : {};
+    const conf = sources.odooConf ? parseOdooConf(sources.odooConf) : {};
+    const compose = sources.compose || '';
+    const imported = {};
+    
+    // === AUXILIARES ===
+    // Primeiro valor definido e não vazio
+    const first = (...values) => values.find(value => value !== undefined && value !== '');
+    const set = (key, value) => {
+        if (value !== undefined && value !== '' && !Number.isNaN(value)) imported[key] = value;
+    };
+    const toInt = (value) => value === undefined ? undefined : parseInt(value, 10);
+    // Chaves ENABLE_* ausentes (projetos antigos) caem no serviço do compose: first(toBool(...), hasService(...)),
+    // que mantém um false explícito do .env
+    const toBool = (value) => value === undefined ? undefined : String(value).toLowerCase() === 'true';
+    const hasService = (name) => compose ? new RegExp(`^  ${name}:\\s*$`, 'm').test(compose) : undefined;
+    const composeMatch = (regex) => (compose.match(regex) || [])[1];
+    // Conteúdo de um arquivo secrets/<nome>.txt (sem a quebra de linha final, se editado à mão)
+    const secret = (key) => sources[key] === undefined ? undefined : sources[key].replace(/\r?\n$/, '');
+    
+    // === PASSO 1: BÁSICO ===
+    set('projectName', composeMatch(/container_name:\s*([a-z0-9-]+)_odoo\b/));
+    set('odooVersion', env.ODOO_VERSION);
+    set('httpPort', toInt(first(env.HTTP_PORT, composeMatch(/"(?:127\.0\.0\.1:)?(\d+):8069"/))));
+    set('chatPort', toInt(first(env.CHAT_PORT, composeMatch(/"(?:127\.0\.0\.1:)?(\d+):8072"/))));
+    // O endurecimento de containers também publica em 127.0.0.1 (mesmo efeito da opção)
+    if (compose) imported.odooPortsLocalOnly = /"127\.0\.0\.1:\d+:8069"/.test(compose) && !/no-new-privileges:true/.test(compose);
+    if (env.DOMAIN !== undefined) imported.domain = env.DOMAIN === 'localhost' ? '' : env.DOMAIN;
+    set('commentLanguage', env.COMMENT_LANGUAGE);
+    // Unidade systemd: o próprio arquivo ou a instalação feita pelo setup.sh
+    if (sources.systemdUnit !== undefined || sources.setup) {
+        imported.enableSystemdUnit = sources.systemdUnit !== undefined || /^UNIT_FILE="\/etc\/systemd\/system\//m.test(sources.setup);
+    }
+    
+    // === PASSO 2: BANCO DE DADOS ===
+    set('dbName', first(env.POSTGRES_DB, conf.db_name));
+    set('dbUser', first(env.POSTGRES_USER, conf.db_user));
+    set('dbPassword', first(env.POSTGRES_PASSWORD, secret('dbPasswordSecret'), conf.db_password));
+    set('adminPassword', first(env.ODOO_ADMIN_PASSWORD, secret('adminPasswordSecret'), conf.admin_passwd));
+    if (compose) imported.enablePostgresPort = /"\d+:5432"/.test(compose);
+    if (compose) imported.useSecrets = /^secrets:/m.test(compose);
+    set('containerHardening', first(toBool(env.CONTAINER_HARDENING), compose ? /no-new-privileges:true/.test(compose) : undefined));
+    set('postgresVersion', composeMatch(/image:\s*postgres:(\d+)-alpine/));
+    
+    // === PASSO 3: PERFORMANCE E SERVIÇOS ===
+    set('workers', toInt(first(env.WORKERS, conf.workers)));
+    set('cronThreads', toInt(conf.max_cron_threads));
+    set('memoryLimit', toInt(env.MEMORY_LIMIT));
+    set('dbMemoryLimit', toInt(env.DB_MEMORY_LIMIT));
+    set('logLevel', first(env.LOG_LEVEL, conf.log_level));
+    set('enablePgbouncer', first(toBool(env.ENABLE_PGBOUNCER), hasService('pgbouncer')));
+    set('enableRedis', first(toBool(env.ENABLE_REDIS), hasService('redis')));
+    set('redisPassword', first(env.REDIS_PASSWORD, secret('redisPasswordSecret')));
+    // Proxy reverso: REVERSE_PROXY no .env ou, em projetos antigos, ENABLE_NGINX e os serviços do compose
+    const hasNginx = first(toBool(env.ENABLE_NGINX), hasService('nginx'));
+    const composeProxy = hasService('traefik') ? 'traefik' : hasNginx === undefined ? undefined : hasNginx ? 'nginx' : 'none';
+    set('reverseProxy', first(env.REVERSE_PROXY, composeProxy));
+    set('sslMode', env.SSL_MODE);
+    set('letsencryptEmail', env.LETSENCRYPT_EMAIL);
+    if (sources.setup) imported.letsencryptStaging = /--staging/.test(sources.setup);
+    set('nginxHardening', toBool(env.NGINX_HARDENING));
+    set('dbManagerAccess', env.DB_MANAGER_ACCESS);
+    if (env.DB_MANAGER_ALLOWLIST !== undefined) imported.dbManagerAllowlist = env.DB_MANAGER_ALLOWLIST.split(',').filter(Boolean);
+    set('dbManagerAuth', toBool(env.DB_MANAGER_AUTH));
+    set('dbManagerPassword', first(env.DB_MANAGER_PASSWORD, secret('dbManagerPasswordSecret')));
+    if (env.CSP_ALLOWED_ORIGINS !== undefined) imported.cspAllowedOrigins = env.CSP_ALLOWED_ORIGINS.split(',').filter(Boolean);
+    set('enableFail2ban', first(toBool(env.ENABLE_FAIL2BAN), hasService('fail2ban')));
+    
+    // === PASSO 4: EMAIL ===
+    const mailCatcher = first(toBool(env.ENABLE_MAILPIT), hasService('mailpit'));
+    set('enableMailCatcher', mailCatcher);
+    if (!mailCatcher) {
+        // O .env guarda o servidor efetivo; o odoo.conf só tem linhas ativas com SMTP configurado
+        const smtpHost = first(env.SMTP_HOST, conf.smtp_server);
+        if (smtpHost) {
+            set('smtpHost', smtpHost);
+            set('smtpPort', toInt(first(env.SMTP_PORT, conf.smtp_port)));
+            set('smtpEncryption', first(env.SMTP_ENCRYPTION, conf.smtp_ssl === 'True' ? 'starttls' : undefined));
+            set('smtpUser', first(env.SMTP_USER, conf.smtp_user));
+            set('smtpPassword', first(env.SMTP_PASSWORD, secret('smtpPasswordSecret'), conf.smtp_password));
+        }
+    }
+    
+    // Remetente padrão (admin@<domínio>) volta a ser campo vazio
+    const emailFrom = first(env.EMAIL_FROM, conf.email_from);
+    if (emailFrom !== undefined) {
+        imported.emailFrom = emailFrom === `admin@${imported.domain || 'localhost'}` ? '' : emailFrom;
+    }
+    
+    // === PASSO 5: ADDONS OCA ===
+    if (conf.addons_path !== undefined) {
+        imported.ocaRepositories = conf.addons_path.split(',')
+            .map(path => (path.trim().match(/^\/mnt\/oca-addons\/(.+)$/) || [])[1])
+            .filter(Boolean);
+    }
+    
+    // Imagem personalizada: build no compose, pacotes no Dockerfile e requirements.txt
+    // O "redis" sem versão é a linha que o gerador acrescenta com Redis: volta a ser automática
+    if (sources.requirements) {
+        imported.pipPackages = sources.requirements.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .filter(line => !(imported.enableRedis && line === SESSION_REDIS_ADDON.python));
+    }
+    if (sources.dockerfile) {
+        const aptBlock = (sources.dockerfile.match(/--no-install-recommends \\\n((?:[ \t]+\S+ \\\n)+)/) || [])[1] || '';
+        imported.aptPackages = aptBlock.split('\n').map(line => line.replace('\\', '').trim()).filter(Boolean);
+    }
+    // Com Redis o build existe de qualquer forma: só conta como imagem personalizada se houver pacotes
+    if (compose) {
+        const hasPackages = (imported.pipPackages || []).length > 0 || (imported.aptPackages || []).length > 0;
+        imported.customImage = /^    build:/m.test(compose) && (!imported.enableRedis || hasPackages);
+    }
+    
+    // === PASSO 6: BACKUP E MONITORAMENTO ===
+    set('enableMonitoring', first(toBool(env.ENABLE_MONITORING), hasService('prometheus')));
+    set('grafanaPassword', first(env.GRAFANA_ADMIN_PASSWORD, secret('grafanaPasswordSecret')));
+    set('enableBackup', hasService('backup'));
+    set('backupSchedule', env.BACKUP_SCHEDULE);
+    set('backupKeepDaily', toInt(env.BACKUP_KEEP_DAILY));
+    set('backupKeepWeekly', toInt(env.BACKUP_KEEP_WEEKLY));
+    set('backupKeepMonthly', toInt(env.BACKUP_KEEP_MONTHLY));
+    
+    return imported;
+}
+
+// ====================================================================
+// RASCUNHOS E COMPARTILHAMENTO
+// ====================================================================
+
+/**
+ * Chaves usadas no localStorage do navegador
+ */
+const STORAGE_KEYS = {
+    draft: 'odooker.draft',          // Rascunho salvo automaticamente
+    saved: 'odooker.savedConfigs',   // Configurações salvas com nome
+    language: 'odooker.language'     // Idioma escolhido no seletor da interface
+};
+
+/**
+ * Campos secretos: nunca entram no link de compartilhamento nem no localStorage
+ * @type {string[]}
+ */
+const SECRET_FIELDS = ['dbPassword', 'adminPassword', 'redisPassword', 'smtpPassword', 'grafanaPassword', 'dbManagerPassword'];
+
+/**
+ * Cópia da configuração sem os campos de SECRET_FIELDS
+ * @param {Partial<OdooConfig>} config - Configuração do projeto
+ * @returns {Partial<OdooConfig>} Configuração sem senhas
+ */
+function omitSecretFields(config) {
+    const result = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (!SECRET_FIELDS.includes(key)) result[key] = value;
+    });
+    return result;
+}
+
+/**
+ * Codifica as configurações não secretas para o hash da URL (base64url de JSON)
+ * @param {OdooConfig} config - Configuração do projeto
+ * @returns {string} Valor para #config=
+ */
+function encodeShareConfig(config) {
+    const shared = omitSecretFields(config);
+    
+    // UTF-8 → binário → base64url (sem +, / e = que precisariam de escape na URL)
+    const bytes = new TextEncoder().encode(JSON.stringify(shared));
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodifica um link de compartilhamento, descartando campos secretos
+ * @param {string} encoded - Valor de #config=
+ * @returns {Partial<OdooConfig>} Configuração compartilhada
+ */
+function decodeShareConfig(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const shared = JSON.parse(new TextDecoder().decode(bytes));
+    
+    // Um link editado à mão não deve conseguir injetar senhas
+    SECRET_FIELDS.forEach(key => delete shared[key]);
+    return shared;
+}
+
+// ====================================================================
+// CLASSE PRINCIPAL DO WIZARD DE CONFIGURAÇÃO
+// ====================================================================
+
+/**
+ * Classe que gerencia todo o wizard de configuração do Odoo
+ * Controla navegação entre passos, validação, geração de arquivos
+ */
+class OdooConfigurationWizard {
+    constructor() {
+        // === ESTADO DO WIZARD ===
+        this.currentStep = 1;      // Passo atual (1 até totalSteps)
+        this.totalSteps = document.querySelectorAll('.step').length; // Total de passos (revisão é o último)
+        this.config = {};          // Configuração coletada
+        this.draftStatus = { message: 'Alterações são salvas automaticamente neste navegador (sem as senhas)', params: {} }; // Texto da barra de rascunhos
+        
+        // Inicializar wizard
+        this.init();
+    }
+    
+    /**
+     * Inicialização do wizard - gera senhas e configura eventos
+     */
+    init() {
+        console.log('Inicializando Gerador de Configuração Odoo...');
+        
+        // Idioma escolhido antes ou o do navegador, antes de montar qualquer texto
+        setLanguage(detectLanguage(this.readStorage(STORAGE_KEYS.language), navigator.languages || [navigator.language]));
+        
+        // Opções de geração e medidores de força, depois as senhas iniciais
+        this.renderPasswordControls();
+        this.generatePasswords();
+        
+        // Montar o seletor de versões e o catálogo de repositórios OCA
+        this.renderOdooVersions();
+        this.renderOcaRepositories();
+        this.renderLanguageOptions();
+        
+        // Traduzir a página e os controles montados acima
+        this.applyLanguage();
+        
+        // Configurar todos os event listeners
+        this.setupEventListeners();
+        
+        // Atualizar barra de progresso inicial
+        this.updateProgress();
+        const totalStepsSpan = document.getElementById('totalSteps');
+        if (totalStepsSpan) totalStepsSpan.textContent = this.totalSteps;
+        
+        // Exibir apenas as opções cujos pré-requisitos estão marcados
+        this.updateDependentSections();
+        
+        // Restaurar link compartilhado ou rascunho salvo no navegador
+        this.restoreState();
+        this.refreshSavedConfigsList();
+        
+        console.log('Wizard inicializado com sucesso!');
+    }
+    
+    /**
+     * Gera senhas seguras automaticamente (banco, master, Redis e Grafana)
+     * Cada senha usa as opções escolhidas abaixo do seu campo
+     */
+    generatePasswords() {
+        console.log('Gerando senhas seguras...');
+        
+        GENERATED_PASSWORD_FIELDS.forEach(field => this.regeneratePassword(field));
+        
+        console.log('Senhas geradas e aplicadas aos campos');
+    }
+    
+    /**
+     * Gera novamente uma senha com as opções do formulário e atualiza o medidor de força
+     * @param {string} field - Campo da senha (ex: 'dbPassword')
+     */
+    regeneratePassword(field) {
+        this.config[field] = generatePassword(this.getPasswordOptionsFromForm(field));
+        this.updateField(field, this.config[field]);
+        this.updatePasswordStrength(field);
+    }
+    
+    /**
+     * Monta as opções de geração e os medidores de força abaixo dos campos de senha
+     * (containers .password-options e .password-strength com data-password-field)
+     */
+    renderPasswordControls() {
+        const charsetOptions = Object.entries(PASSWORD_CHARSETS)
+            .map(([id, charset]) => `<option value="${id}" data-i18n>${charset.label}</option>`)
+            .join('');
+        
+        document.querySelectorAll('.password-options[data-password-field]').forEach(container => {
+            const field = container.dataset.passwordField;
+            container.innerHTML = `
+                <select id="${field}Mode" title="Tipo de senha" data-i18n-title>
+                    <option value="random" data-i18n>Aleatória</option>
+                    <option value="passphrase" data-i18n>Frase-senha</option>
+                </select>
+                <label data-password-mode="random"><span data-i18n>Caracteres</span>
+                    <input type="number" id="${field}Length" min="12" max="128" value="${DEFAULT_PASSWORD_OPTIONS.length}">
+                </label>
+                <select id="${field}Charset" data-password-mode="random" title="Caracteres usados" data-i18n-title>${charsetOptions}</select>
+                <label data-password-mode="passphrase"><span data-i18n>Palavras</span>
+                    <input type="number" id="${field}Words" min="4" max="12" value="${DEFAULT_PASSWORD_OPTIONS.words}">
+                </label>
+                <button type="button" class="btn btn-secondary btn-small" data-regenerate="${field}" data-i18n>🔄 Gerar</button>
+            `;
+            this.updateField(`${field}Charset`, DEFAULT_PASSWORD_OPTIONS.charset);
+            this.updatePasswordModeControls(field);
+        });
+        
+        document.querySelectorAll('.password-strength[data-password-field]').forEach(container => {
+            container.innerHTML = `
+                <div class="strength-bar"><div class="strength-fill"></div></div>
+                <span class="strength-label"></span>
+            `;
+        });
+    }
+    
+    /**
+     * Lê as opções de geração de uma senha no formulário
+     * @param {string} field - Campo da senha (ex: 'dbPassword')
+     * @returns {{mode: string, length: number, charset: string, words: number}} Opções (padrões se o campo não existir)
+     */
+    getPasswordOptionsFromForm(field) {
+        const element = (suffix) => document.getElementById(`${field}${suffix}`);
+        if (!element('Mode')) return { ...DEFAULT_PASSWORD_OPTIONS };
+        
+        return {
+            mode: element('Mode').value,
+            length: parseInt(element('Length').value, 10) || DEFAULT_PASSWORD_OPTIONS.length,
+            charset: element('Charset').value,
+            words: parseInt(element('Words').value, 10) || DEFAULT_PASSWORD_OPTIONS.words
+        };
+    }
+    
+    /**
+     * Preenche as opções de geração de uma senha no formulário
+     * @param {string} field - Campo da senha (ex: 'dbPassword')
+     * @param {{mode: string, length: number, charset: string, words: number}} options - Opções completas
+     */
+    setPasswordOptionsInForm(field, options) {
+        if (!document.getElementById(`${field}Mode`)) return;
+        
+        this.updateField(`${field}Mode`, options.mode);
+        this.updateField(`${field}Length`, options.length);
+        this.updateField(`${field}Charset`, options.charset);
+        this.updateField(`${field}Words`, options.words);
+        this.updatePasswordModeControls(field);
+    }
+    
+    /**
+     * Exibe apenas os controles do modo escolhido (caracteres ou palavras)
+     * @param {string} field - Campo da senha (ex: 'dbPassword')
+     */
+    updatePasswordModeControls(field) {
+        const mode = this.getPasswordOptionsFromForm(field).mode;
+        const container = document.querySelector(`.password-options[data-password-field="${field}"]`);
+        if (!container) return;
+        
+        container.querySelectorAll('[data-password-mode]').forEach(control => {
+            control.hidden = control.dataset.passwordMode !== mode;
+        });
+    }
+    
+    /**
+     * Atualiza o medidor de força de uma senha (entropia estimada)
+     * @param {string} field - Campo da senha (ex: 'dbPassword')
+     */
+    updatePasswordStrength(field) {
+        const container = document.querySelector(`.password-strength[data-password-field="${field}"]`);
+        const input = document.getElementById(field);
+        if (!container || !input) return;
+        
+        const fill = container.querySelector('.strength-fill');
+        const label = container.querySelector('.strength-label');
+        if (!fill || !label) return;
+        
+        const password = input.value.trim();
+        const strength = getPasswordStrength(password);
+        container.className = `password-strength${password ? ` strength-${strength.level}` : ''}`;
+        fill.style.width = `${password ? strength.percent : 0}%`;
+        label.textContent = password ? `${t(strength.label)} · ${strength.bits} bits` : '';
+    }
+    
+    /**
+     * Preenche o seletor de versões do Odoo a partir de ODOO_VERSIONS
+     * O texto de ajuda resume o que muda na versão escolhida
+     */
+    renderOdooVersions() {
+        const select = document.getElementById('odooVersion');
+        if (!select) return;
+        
+        select.innerHTML = Object.entries(ODOO_VERSIONS).map(([version, info]) => `
+            <option value="${version}"${version === DEFAULT_CONFIG.odooVersion ? ' selected' : ''} data-i18n>${info.label}</option>
+        `).join('');
+        
+        select.addEventListener('change', () => this.updateOdooVersionInfo());
+        this.updateOdooVersionInfo();
+    }
+    
+    /**
+     * Atualiza o texto de ajuda com as características da versão selecionada
+     * e limita o seletor do PostgreSQL às versões que ela suporta
+     */
+    updateOdooVersionInfo() {
+        const select = document.getElementById('odooVersion');
+        const versionInfo = select && ODOO_VERSIONS[select.value];
+        if (!versionInfo) return;
+        
+        const info = document.getElementById('odooVersionInfo');
+        if (info) {
+            info.textContent = t('Tempo real em {path} ({option}), PostgreSQL {postgres}, Python {python} ({image})', {
+                path: versionInfo.realtimePath,
+                option: versionInfo.realtimeOption,
+                postgres: versionInfo.postgresVersions.join(', '),
+                python: versionInfo.python,
+                image: versionInfo.baseImage
+            });
+        }
+        
+        // Mantém a versão do PostgreSQL escolhida quando a nova versão do Odoo também a suporta
+        const postgresSelect = document.getElementById('postgresVersion');
+        if (postgresSelect) {
+            const selected = versionInfo.postgresVersions.includes(postgresSelect.value)
+                ? postgresSelect.value
+                : versionInfo.postgresDefault;
+            postgresSelect.innerHTML = versionInfo.postgresVersions.map(version => `
+                <option value="${version}"${version === selected ? ' selected' : ''}>PostgreSQL ${version}${version === versionInfo.postgresDefault ? ` (${t('recomendado')})` : ''}</option>
+            `).join('');
+        }
+    }
+    
+    /**
+     * Cria os cards de seleção dos repositórios OCA a partir do catálogo
+     */
+    renderOcaRepositories() {
+        const container = document.getElementById('ocaRepoList');
+        if (!container) return;
+        
+        container.innerHTML = OCA_REPOSITORIES.map(repo => `
+            <label class="checkbox-item">
+                <div class="addon-name">
+                    <input type="checkbox" name="ocaRepo" value="${repo.name}">${repo.name}
+                </div>
+                <div class="addon-description" data-i18n>${repo.description}</div>
+            </label>
+        `).join('');
+        
+        // Destacar o card selecionado
+        container.querySelectorAll('input[name="ocaRepo"]').forEach(input => {
+            input.addEventListener('change', () => {
+                input.closest('.checkbox-item').classList.toggle('selected', input.checked);
+            });
+        });
+    }
+    
+    /**
+     * Preenche os seletores de idioma (interface e comentários dos arquivos) a partir de LANGUAGES
+     * Os comentários começam no idioma da interface; rascunhos, links e importações trazem o escolhido
+     */
+    renderLanguageOptions() {
+        const options = Object.entries(LANGUAGES)
+            .map(([code, language]) => `<option value="${code}">${language.label}</option>`)
+            .join('');
+        
+        ['languageSwitcher', 'commentLanguage'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.innerHTML = options;
+                select.value = getLanguage();
+            }
+        });
+    }
+    
+    /**
+     * Troca o idioma da interface e guarda a escolha no navegador
+     * @param {string} language - Chave de LANGUAGES
+     */
+    changeLanguage(language) {
+        setLanguage(language);
+        this.writeStorage(STORAGE_KEYS.language, getLanguage());
+        this.applyLanguage();
+        console.log(`Idioma da interface: ${getLanguage()}`);
+    }
+    
+    /**
+     * Traduz a página para o idioma atual: elementos com data-i18n e os textos
+     * montados pelo wizard (botões, medidores de senha, revisão e arquivos exibidos)
+     */
+    applyLanguage() {
+        applyTranslations(document);
+        document.documentElement.lang = LANGUAGES[getLanguage()].locale;
+        
+        this.showStep(this.currentStep);
+        document.querySelectorAll('.toggle-password').forEach(btn => {
+            const field = document.getElementById(btn.dataset.field);
+            if (field) btn.innerHTML = field.type === 'password' ? t('👁️ Mostrar') : t('🙈 Ocultar');
+        });
+        Object.keys(PASSWORD_FIELD_LABELS).forEach(field => this.updatePasswordStrength(field));
+        this.updateOdooVersionInfo();
+        
+        const savedConfigs = document.getElementById('savedConfigs');
+        this.refreshSavedConfigsList(savedConfigs ? savedConfigs.value : '');
+        this.updateDraftStatus(this.draftStatus.message, this.draftStatus.params);
+        
+        // Revisão e arquivos gerados são montados a partir da configuração já coletada
+        if (this.currentStep === this.totalSteps) {
+            this.generateReview();
+            this.generateDockerCommandsPreview();
+        }
+        if (this.generatedFiles) {
+            this.displayFiles(this.generatedFiles);
+            this.displayLintReport(this.generatedFiles);
+        }
+    }
+    
+    /**
+     * Atualiza valor de um campo na interface
+     * @param {string} fieldId - ID do campo HTML
+     * @param {string} value - Valor a ser definido
+     */
+    updateField(fieldId, value) {
+        const field = document.getElementById(fieldId);
+        if (field) {
+            field.value = value;
+        } else {
+            console.warn(`Campo ${fieldId} não encontrado`);
+        }
+    }
+    
+    /**
+     * Configura todos os event listeners do wizard
+     */
+    setupEventListeners() {
+        // === BOTÕES DE NAVEGAÇÃO ===
+        const nextBtn = document.getElementById('nextBtn');
+        const prevBtn = document.getElementById('prevBtn');
+        const generateBtn = document.querySelector('button[onclick*="generatePasswords"]');
+		
+		if (generateBtn) {
+		    generateBtn.onclick = (e) => {
+		        e.preventDefault();
+		        this.generatePasswords();
+		        this.scheduleDraftSave();
+		        showToast(t('Novas senhas geradas com sucesso!'), 'success');
+		    };
+		}
+        if (nextBtn) nextBtn.onclick = () => this.nextStep();
+        if (prevBtn) prevBtn.onclick = () => this.previousStep();
+		
+        // === IDIOMA DA INTERFACE ===
+        const languageSwitcher = document.getElementById('languageSwitcher');
+        if (languageSwitcher) {
+            languageSwitcher.addEventListener('change', () => this.changeLanguage(languageSwitcher.value));
+        }
+        
+        // === BOTÕES DE MOSTRAR/OCULTAR SENHA ===
+        document.querySelectorAll('.toggle-password').forEach(btn => {
+            btn.addEventListener('click', () => togglePasswordVisibility(btn.dataset.field));
+        });
+        
+        // === FORÇA E OPÇÕES DE GERAÇÃO DAS SENHAS ===
+        Object.keys(PASSWORD_FIELD_LABELS).forEach(field => {
+            const input = document.getElementById(field);
+            if (input) input.addEventListener('input', () => this.updatePasswordStrength(field));
+            this.updatePasswordStrength(field);
+        });
+        document.querySelectorAll('.password-options[data-password-field]').forEach(container => {
+            const field = container.dataset.passwordField;
+            // Trocar modo, tamanho ou caracteres gera uma nova senha com as novas opções
+            container.addEventListener('change', (e) => {
+                if (e.target.matches('select, input')) {
+                    this.updatePasswordModeControls(field);
+                    this.regeneratePassword(field);
+                }
+            });
+            container.addEventListener('click', (e) => {
+                if (e.target.dataset.regenerate) {
+                    this.regeneratePassword(field);
+                    this.scheduleDraftSave();
+                }
+            });
+        });
+        
+        // === IMPORTAÇÃO DE PROJETO (arrastar e soltar na página ou seletor) ===
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            document.body.classList.add('drag-over');
+        });
+        document.addEventListener('dragleave', (e) => {
+            // relatedTarget nulo = o cursor saiu da janela
+            if (!e.relatedTarget) document.body.classList.remove('drag-over');
+        });
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            document.body.classList.remove('drag-over');
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                this.importProject(e.dataTransfer.files);
+            }
+        });
+        
+        const importInput = document.getElementById('importFiles');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                this.importProject(importInput.files);
+                importInput.value = ''; // Permite importar o mesmo arquivo novamente
+            });
+        }
+        
+        // === RASCUNHO AUTOMÁTICO (qualquer alteração nos campos) ===
+        const content = document.querySelector('.content');
+        if (content) {
+            content.addEventListener('input', () => this.scheduleDraftSave());
+            content.addEventListener('change', () => this.scheduleDraftSave());
+        }
+        
+        // === CONFIGURAÇÕES SALVAS E COMPARTILHAMENTO ===
+        const draftActions = {
+            saveConfigBtn: () => this.saveNamedConfig(),
+            loadSavedBtn: () => this.loadNamedConfig(document.getElementById('savedConfigs').value),
+            deleteSavedBtn: () => this.deleteNamedConfig(document.getElementById('savedConfigs').value),
+            shareLinkBtn: () => this.copyShareLink(),
+            clearDraftBtn: () => this.clearDraft()
+        };
+        Object.entries(draftActions).forEach(([buttonId, action]) => {
+            const button = document.getElementById(buttonId);
+            if (button) button.addEventListener('click', action);
+        });
+        
+        // === CALCULADORA DE RECURSOS ===
+        const calculateSizingBtn = document.getElementById('calculateSizingBtn');
+        if (calculateSizingBtn) calculateSizingBtn.addEventListener('click', () => this.applySizing());
+        
+        // === PRESETS ===
+        const presetSelect = document.getElementById('preset');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => this.applyPreset(presetSelect.value));
+        }
+        
+        // === SEÇÕES DEPENDENTES (ex: opções de HTTPS só com Nginx) ===
+        const triggers = new Set();
+        document.querySelectorAll('[data-depends-on]').forEach(section => triggers.add(section.dataset.dependsOn.replace(/^!/, '')));
+        triggers.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) field.addEventListener('change', () => this.updateDependentSections());
+        });
+        
+        // === VALIDAÇÃO EM TEMPO REAL ===
+        // Adicionar validação nos campos críticos
+        const criticalFields = ['projectName', 'httpPort', 'chatPort', 'domain'];
+        criticalFields.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('blur', () => this.validateField(fieldId));
+            }
+        });
+        
+        console.log('Event listeners configurados');
+    }
+    
+    /**
+     * Restaura o estado inicial: link compartilhado (#config=) tem prioridade sobre o rascunho
+     */
+    restoreState() {
+        const hash = window.location.hash || '';
+        
+        if (hash.startsWith('#config=')) {
+            this.loadSharedConfig(hash.slice('#config='.length));
+            return;
+        }
+        
+        // Versões anteriores gravavam as senhas em texto puro: os salvos são regravados sem elas
+        const savedConfigs = this.readStorage(STORAGE_KEYS.saved);
+        if (savedConfigs && Object.values(savedConfigs).some(entry => SECRET_FIELDS.some(key => key in (entry.config || {})))) {
+            Object.values(savedConfigs).forEach(entry => { entry.config = omitSecretFields(entry.config || {}); });
+            this.writeStorage(STORAGE_KEYS.saved, savedConfigs);
+        }
+        
+        const draft = this.readStorage(STORAGE_KEYS.draft);
+        if (draft && draft.config) {
+            // As senhas não ficam no rascunho: continuam as geradas agora
+            this.populateForm(omitSecretFields(draft.config));
+            this.collectCurrentStepData();
+            this.goToStep(draft.step || 1);
+            this.updateDraftStatus('Rascunho restaurado (salvo em {date})', { date: new Date(draft.savedAt).toLocaleString(LANGUAGES[getLanguage()].locale) });
+            console.log('Rascunho restaurado do passo', draft.step);
+        }
+    }
+    
+    /**
+     * Carrega configuração de um link compartilhado e vai para a revisão
+     * As senhas não fazem parte do link: ficam as geradas agora
+     * @param {string} encoded - Valor após #config=
+     */
+    loadSharedConfig(encoded) {
+        try {
+            const shared = decodeShareConfig(encoded);
+            this.populateForm(shared);
+            this.collectCurrentStepData();
+            
+            // Limpar o hash para um reload não sobrescrever alterações feitas a partir daqui
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            
+            const errors = validateForm(this.config);
+            if (errors.length > 0) {
+                this.goToStep(1);
+                showToast(t('Link carregado com pendências: {error}', { error: errors[0] }), 'warning');
+                return;
+            }
+            
+            this.goToStep(this.totalSteps);
+            showToast(t('🔗 Configuração compartilhada carregada com novas senhas'), 'success');
+        } catch (error) {
+            console.error('Link de compartilhamento inválido:', error);
+            showToast(t('❌ Link de compartilhamento inválido ou corrompido'), 'error');
+        }
+    }
+    
+    /**
+     * Copia um link com todas as configurações não secretas no hash da URL
+     */
+    async copyShareLink() {
+        this.collectCurrentStepData();
+        
+        const url = `${window.location.origin}${window.location.pathname}#config=${encodeShareConfig(this.config)}`;
+        const success = await copyToClipboard(url);
+        
+        showToast(success
+            ? t('🔗 Link copiado! Senhas não são incluídas e serão geradas novamente')
+            : t('❌ Erro ao copiar o link'), success ? 'success' : 'error');
+    }
+    
+    /**
+     * Agenda o salvamento do rascunho (agrupa digitação em sequência)
+     */
+    scheduleDraftSave() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraft(), 500);
+    }
+    
+    /**
+     * Salva o estado atual do wizard no localStorage
+     */
+    saveDraft() {
+        this.collectCurrentStepData();
+        
+        const saved = this.writeStorage(STORAGE_KEYS.draft, {
+            savedAt: new Date().toISOString(),
+            step: this.currentStep,
+            config: omitSecretFields(this.config)
+        });
+        
+        if (saved) this.updateDraftStatus('Rascunho salvo às {time}', { time: new Date().toLocaleTimeString(LANGUAGES[getLanguage()].locale) });
+    }
+    
+    /**
+     * Descarta o rascunho e recomeça o wizard do zero
+     */
+    clearDraft() {
+        if (!confirm(t('Descartar o rascunho atual e recomeçar com os valores padrão?'))) return;
+        
+        clearTimeout(this.draftTimer);
+        localStorage.removeItem(STORAGE_KEYS.draft);
+        window.location.reload();
+    }
+    
+    /**
+     * Salva a configuração atual com um nome escolhido pelo usuário
+     */
+    saveNamedConfig() {
+        this.collectCurrentStepData();
+        
+        const name = (prompt(t('Nome da configuração:'), this.config.projectName || '') || '').trim();
+        if (!name) return;
+        
+        const savedConfigs = this.readStorage(STORAGE_KEYS.saved) || {};
+        savedConfigs[name] = { savedAt: new Date().toISOString(), config: omitSecretFields(this.config) };
+        
+        if (this.writeStorage(STORAGE_KEYS.saved, savedConfigs)) {
+            this.refreshSavedConfigsList(name);
+            showToast(t('💾 Configuração "{name}" salva neste navegador', { name }), 'success');
+        }
+    }
+    
+    /**
+     * Carrega uma configuração salva no formulário
+     * @param {string} name - Nome da configuração salva
+     */
+    loadNamedConfig(name) {
+        const entry = (this.readStorage(STORAGE_KEYS.saved) || {})[name];
+        if (!entry) {
+            showToast(t('Selecione uma configuração salva'), 'warning');
+            return;
+        }
+        
+        this.populateForm(omitSecretFields(entry.config));
+        this.collectCurrentStepData();
+        this.goToStep(1);
+        showToast(t('📂 Configuração "{name}" carregada com novas senhas', { name }), 'success');
+    }
+    
+    /**
+     * Remove uma configuração salva
+     * @param {string} name - Nome da configuração salva
+     */
+    deleteNamedConfig(name) {
+        const savedConfigs = this.readStorage(STORAGE_KEYS.saved) || {};
+        if (!savedConfigs[name]) {
+            showToast(t('Selecione uma configuração salva'), 'warning');
+            return;
+        }
+        if (!confirm(t('Excluir a configuração "{name}"?', { name }))) return;
+        
+        delete savedConfigs[name];
+        this.writeStorage(STORAGE_KEYS.saved, savedConfigs);
+        this.refreshSavedConfigsList();
+        showToast(t('🗑️ Configuração "{name}" excluída', { name }), 'success');
+    }
+    
+    /**
+     * Atualiza o select com as configurações salvas
+     * @param {string} selected - Nome a deixar selecionado (opcional)
+     */
+    refreshSavedConfigsList(selected = '') {
+        const select = document.getElementById('savedConfigs');
+        if (!select) return;
+        
+        const names = Object.keys(this.readStorage(STORAGE_KEYS.saved) || {}).sort();
+        select.innerHTML = `<option value="">${t('Configurações salvas...')}</option>` +
+            names.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+        select.value = selected;
+    }
+    
+    /**
+     * Exibe o estado do rascunho na barra de rascunhos
+     * A mensagem original fica guardada para ser traduzida de novo quando o idioma muda
+     * @param {string} message - Texto de status (chave de UI_TRANSLATIONS)
+     * @param {Object<string, (string|number)>} [params] - Valores dos marcadores {nome}
+     */
+    updateDraftStatus(message, params = {}) {
+        this.draftStatus = { message, params };
+        const status = document.getElementById('draftStatus');
+        if (status) status.textContent = t(message, params);
+    }
+    
+    /**
+     * Lê um valor JSON do localStorage
+     * @param {string} key - Chave em STORAGE_KEYS
+     * @returns {*} Valor salvo ou null (ausente, corrompido ou storage bloqueado)
+     */
+    readStorage(key) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn(`Não foi possível ler ${key} do localStorage:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Grava um valor JSON no localStorage
+     * @param {string} key - Chave em STORAGE_KEYS
+     * @param {*} value - Valor serializável
+     * @returns {boolean} true se gravou (false em navegação privada/cota cheia)
+     */
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Não foi possível gravar ${key} no localStorage:`, error);
+            this.updateDraftStatus('⚠️ Rascunhos indisponíveis neste navegador');
+            return false;
+        }
+    }
+    
+    /**
+     * Importa um projeto gerado anteriormente (ZIP ou .env/docker-compose.yml/odoo.conf)
+     * Repopula this.config e o formulário mantendo as mesmas senhas
+     * @param {FileList|File[]} fileList - Arquivos soltos na página ou selecionados
+     */
+    async importProject(fileList) {
+        try {
+            console.log('Importando projeto...');
+            const sources = {};
+            
+            for (const file of Array.from(fileList)) {
+                if (file.name.toLowerCase().endsWith('.zip')) {
+                    // ZIP gerado: <projeto>/.env, <projeto>/config/odoo.conf, ...
+                    const JSZip = window.JSZip || await this.loadJSZip();
+                    const zip = await JSZip.loadAsync(file);
+                    for (const [key, pattern] of Object.entries(IMPORTABLE_FILES)) {
+                        const entry = zip.file(pattern)[0];
+                        if (entry) sources[key] = await entry.async('string');
+                    }
+                } else {
+                    const key = Object.keys(IMPORTABLE_FILES).find(k => IMPORTABLE_FILES[k].test(file.name));
+                    if (key) sources[key] = await file.text();
+                }
+            }
+            
+            const imported = parseGeneratedProject(sources);
+            if (Object.keys(imported).length === 0) {
+                showToast(t('❌ Nenhum arquivo reconhecido. Use o ZIP gerado ou .env, docker-compose.yml, odoo.conf e secrets/*.txt'), 'error');
+                return;
+            }
+            
+            // Preset não se aplica a um projeto importado
+            imported.preset = '';
+            
+            this.populateForm(imported);
+            Object.assign(this.config, imported);
+            
+            // Voltar ao início para revisar os passos com os valores importados
+            this.goToStep(1);
+            
+            showToast(t('📂 Projeto importado ({files}): {count} campos preenchidos', {
+                files: Object.keys(sources).join(', '),
+                count: Object.keys(imported).length
+            }), 'success');
+            console.log('Configuração importada:', imported);
+        } catch (error) {
+            console.error('Erro ao importar projeto:', error);
+            showToast(t('❌ Erro ao ler os arquivos importados'), 'error');
+        }
     }
     
     /**
-     * Inicialização do wizard - gera senhas e configura eventos
+     * Preenche os campos do formulário a partir de valores de configuração
+     * @param {Partial<OdooConfig>} values - Valores indexados pelo ID do campo
      */
-    init() {
-        console.log('Inicializando Gerador de Configuração Odoo...');
+    populateForm(values) {
+        values = migrateLegacyFields(values);
         
-        // Gerar senhas seguras iniciais
-        this.generatePasswords();
+        // Repositórios OCA: marca os do catálogo, os demais vão para o campo de texto
+        if (Array.isArray(values.ocaRepositories)) {
+            const catalog = OCA_REPOSITORIES.map(repo => repo.name);
+            document.querySelectorAll('input[name="ocaRepo"]').forEach(input => {
+                input.checked = values.ocaRepositories.includes(input.value);
+                input.closest('.checkbox-item').classList.toggle('selected', input.checked);
+            });
+            this.updateField('ocaExtraRepos', values.ocaRepositories.filter(repo => !catalog.includes(repo)).join(', '));
+        }
         
-        // Configurar todos os event listeners
-        this.setupEventListeners();
+        Object.entries(values).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (!field || value === undefined || value === null) return;
+            
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(value);
+            } else if (Array.isArray(value)) {
+                // Listas: uma por linha em textarea, separadas por espaço nos demais campos
+                field.value = value.join(field.tagName === 'TEXTAREA' ? '\n' : ' ');
+            } else {
+                field.value = String(value);
+            }
+        });
         
-        // Atualizar barra de progresso inicial
-        this.updateProgress();
+        // Presets aplicados anteriormente não descrevem mais o formulário
+        const presetChanges = document.getElementById('presetChanges');
+        if (presetChanges) presetChanges.style.display = 'none';
         
-        console.log('Wizard inicializado com sucesso!');
+        // Opções de geração (objeto aninhado) e força das senhas preenchidas
+        if (values.passwordOptions) {
+            GENERATED_PASSWORD_FIELDS.forEach(field => this.setPasswordOptionsInForm(field, getPasswordOptions(values, field)));
+        }
+        Object.keys(PASSWORD_FIELD_LABELS).forEach(field => this.updatePasswordStrength(field));
+        
+        // Opções do PostgreSQL dependem da versão do Odoo recém-preenchida
+        this.updateOdooVersionInfo();
+        if (values.postgresVersion) this.updateField('postgresVersion', values.postgresVersion);
+        this.updateDependentSections();
     }
     
     /**
-     * Gera senhas seguras automaticamente para banco e admin
+     * Aplica um preset preenchendo os campos dos passos 1 a 3
+     * Os campos continuam editáveis; as alterações ficam listadas abaixo do seletor
+     * @param {string} presetId - Chave de CONFIG_PRESETS (vazio = personalizado)
      */
-    generatePasswords() {
-        console.log('Gerando senhas seguras...');
+    applyPreset(presetId) {
+        const container = document.getElementById('presetChanges');
+        const preset = CONFIG_PRESETS[presetId];
+        
+        if (!preset) {
+            if (container) container.style.display = 'none';
+            return;
+        }
+        
+        // Preencher campos registrando o que mudou
+        const changes = [];
+        Object.entries(preset.values).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (!field) return;
+            
+            const before = this.describeFieldValue(field);
+            if (field.type === 'checkbox') {
+                field.checked = value;
+            } else {
+                field.value = Array.isArray(value) ? value.join(' ') : String(value);
+            }
+            const after = this.describeFieldValue(field);
+            
+            if (before !== after) {
+                changes.push({ label: this.getFieldLabel(field), before, after });
+            }
+        });
         
-        // Gerar senhas com 24 caracteres de alta entropia
-        this.config.dbPassword = generateSecurePassword(24);
-        this.config.adminPassword = generateSecurePassword(24);
+        this.updateDependentSections();
         
-        // Atualizar campos na interface
-        this.updateField('dbPassword', this.config.dbPassword);
-        this.updateField('adminPassword', this.config.adminPassword);
+        // Exibir resumo das alterações
+        if (container) {
+            container.innerHTML = `
+                <strong>${t(preset.label)}</strong> — ${t(preset.description)}
+                ${changes.length === 0
+                    ? `<div style="margin-top: 8px;">${t('Nenhum campo precisou ser alterado.')}</div>`
+                    : `<ul>${changes.map(c => `<li>${this.escapeHtml(c.label)}: <s>${this.escapeHtml(c.before)}</s> → <strong>${this.escapeHtml(c.after)}</strong></li>`).join('')}</ul>`}
+                <div class="help-text">${t('Você ainda pode ajustar qualquer campo nos próximos passos.')}</div>
+            `;
+            container.style.display = 'block';
+        }
         
-        console.log('Senhas geradas e aplicadas aos campos');
+        showToast(t('Preset aplicado: {count} campo(s) alterado(s)', { count: changes.length }), 'success');
+        console.log(`Preset ${presetId} aplicado:`, changes);
     }
     
     /**
-     * Atualiza valor de um campo na interface
-     * @param {string} fieldId - ID do campo HTML
-     * @param {string} value - Valor a ser definido
+     * Calcula workers, threads cron e memória pelo servidor informado na calculadora
+     * e aplica os valores nos campos do passo 3 (que continuam editáveis)
      */
-    updateField(fieldId, value) {
-        const field = document.getElementById(fieldId);
-        if (field) {
-            field.value = value;
-        } else {
-            console.warn(`Campo ${fieldId} não encontrado`);
+    applySizing() {
+        this.collectCurrentStepData();
+        const { hostCpus, hostMemory, concurrentUsers } = this.config;
+        
+        if (!(hostCpus > 0) || !(hostMemory > 0) || !(concurrentUsers > 0)) {
+            showToast(t('Informe núcleos, memória e usuários simultâneos para calcular'), 'error');
+            return;
+        }
+        
+        const sizing = calculateSizing(this.config);
+        Object.entries(sizing).forEach(([fieldId, value]) => this.updateField(fieldId, value));
+        Object.assign(this.config, sizing);
+        
+        const workerLimits = getWorkerMemoryLimits(this.config);
+        const warnings = getSizingWarnings(this.config);
+        const result = document.getElementById('sizingResult');
+        if (result) {
+            result.innerHTML = `
+                <strong>${t('{workers} workers + {cron} thread(s) cron', { workers: sizing.workers, cron: sizing.cronThreads })}</strong> —
+                ${t('Odoo {memory} GB (limite por processo: {soft} MB suave, {hard} MB rígido)', {
+                    memory: sizing.memoryLimit,
+                    soft: Math.round(workerLimits.soft / 1048576),
+                    hard: Math.round(workerLimits.hard / 1048576)
+                })},
+                PostgreSQL ${sizing.dbMemoryLimit} GB (shared_buffers ${getPostgresTuning(this.config).sharedBuffersMb} MB)
+                ${warnings.map(warning => `<div class="sizing-warning">⚠️ ${warning}</div>`).join('')}
+            `;
+            result.style.display = 'block';
         }
+        
+        this.scheduleDraftSave();
+        showToast(warnings.length > 0 ? t('Recursos calculados com avisos') : t('Recursos calculados e aplicados'), warnings.length > 0 ? 'warning' : 'success');
     }
     
     /**
-     * Configura todos os event listeners do wizard
+     * Campos cujo valor atual difere do preset aplicado (ajustes manuais)
+     * @returns {string[]} Rótulos dos campos alterados após aplicar o preset
      */
-    setupEventListeners() {
-        // === BOTÕES DE NAVEGAÇÃO ===
-        const nextBtn = document.getElementById('nextBtn');
-        const prevBtn = document.getElementById('prevBtn');
-        const generateBtn = document.querySelector('button[onclick*="generatePasswords"]');
-		
-		if (generateBtn) {
-		    generateBtn.onclick = (e) => {
-		        e.preventDefault();
-		        this.generatePasswords();
-		        showToast('Novas senhas geradas com sucesso!', 'success');
-		    };
-		}
-        if (nextBtn) nextBtn.onclick = () => this.nextStep();
-        if (prevBtn) prevBtn.onclick = () => this.previousStep();
-		
-        });
+    getPresetOverrides() {
+        const preset = CONFIG_PRESETS[this.config.preset];
+        if (!preset) return [];
         
-        // === VALIDAÇÃO EM TEMPO REAL ===
-        // Adicionar validação nos campos críticos
-        const criticalFields = ['projectName', 'httpPort', 'chatPort', 'domain'];
-        criticalFields.forEach(fieldId => {
-            const field = document.getElementById(fieldId);
+        return Object.entries(preset.values)
+            .filter(([fieldId, value]) => this.config[fieldId] !== value)
+            .map(([fieldId]) => {
+                const field = document.getElementById(fieldId);
+                return field ? this.getFieldLabel(field) : fieldId;
+            });
+    }
+    
+    /**
+     * Texto legível do valor de um campo (texto da opção em selects)
+     * @param {HTMLElement} field - Campo do formulário
+     * @returns {string} Valor para exibição
+     */
+    describeFieldValue(field) {
+        if (field.type === 'checkbox') return field.checked ? t('✅ Sim') : t('❌ Não');
+        if (field.tagName === 'SELECT') {
+            const option = field.options[field.selectedIndex];
+            return option ? option.textContent.trim() : field.value;
+        }
+        return field.value;
+    }
+    
+    /**
+     * Rótulo de um campo a partir do <label> associado
+     * @param {HTMLElement} field - Campo do formulário
+     * @returns {string} Texto do rótulo sem o marcador de obrigatório
+     */
+    getFieldLabel(field) {
+        const label = document.querySelector(`label[for="${field.id}"]`) || field.closest('label');
+        return label ? label.textContent.replace('*', '').trim() : field.id;
+    }
+    
+    /**
+     * Mostra/oculta blocos que dependem de outro campo
+     * data-depends-on="<id>" exige checkbox marcado ("!<id>" exige desmarcado); com
+     * data-depends-value="a,b" o campo (select) precisa ter um dos valores listados
+     */
+    updateDependentSections() {
+        document.querySelectorAll('[data-depends-on]').forEach(section => {
+            const negated = section.dataset.dependsOn.startsWith('!');
+            const field = document.getElementById(section.dataset.dependsOn.replace(/^!/, ''));
+            let visible = false;
+            
             if (field) {
-                field.addEventListener('blur', () => this.validateField(fieldId));
+                visible = section.dataset.dependsValue
+                    ? section.dataset.dependsValue.split(',').includes(field.value)
+                    : field.checked;
+                if (negated) visible = !visible;
             }
+            
+            section.style.display = visible ? '' : 'none';
         });
-        
-        console.log('Event listeners configurados');
     }
     
     /**
@@ -1016,7 +8943,7 @@ class OdooConfigurationWizard {
             case 'projectName':
                 if (value && !value.match(/^[a-z0-9][a-z0-9-]*[a-z0-9]$/)) {
                     isValid = false;
-                    message = 'Nome deve conter apenas letras minúsculas, números e hífens';
+                    message = t('Nome deve conter apenas letras minúsculas, números e hífens');
                 }
                 break;
                 
@@ -1025,14 +8952,14 @@ class OdooConfigurationWizard {
                 const port = parseInt(value);
                 if (value && (port < 1024 || port > 65535)) {
                     isValid = false;
-                    message = 'Porta deve estar entre 1024 e 65535';
+                    message = t('Porta deve estar entre 1024 e 65535');
                 }
                 break;
                 
             case 'domain':
                 if (value && !value.match(/^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/)) {
                     isValid = false;
-                    message = 'Formato de domínio inválido';
+                    message = t('Formato de domínio inválido');
                 }
                 break;
         }
@@ -1060,8 +8987,8 @@ class OdooConfigurationWizard {
         // Coletar dados do passo atual
         this.collectCurrentStepData();
         
-        // Validar apenas se estamos nos passos críticos (1 e 2)
-        if (this.currentStep <= 2) {
+        // Validar antes de chegar na revisão (passos com campos de formulário)
+        if (this.currentStep < this.totalSteps) {
             const errors = validateForm(this.config);
             if (errors.length > 0) {
                 console.log('Erros de validação encontrados:', errors);
@@ -1072,15 +8999,7 @@ class OdooConfigurationWizard {
         
         // Avançar se possível
         if (this.currentStep < this.totalSteps) {
-            this.currentStep++;
-            this.showStep(this.currentStep);
-            this.updateProgress();
-            
-            // Se chegou no último passo, gerar preview
-            if (this.currentStep === this.totalSteps) {
-                this.generateReview();
-                this.generateDockerCommandsPreview();
-            }
+            this.goToStep(this.currentStep + 1);
         } else {
             // Último passo: gerar arquivos
             this.generateFiles();
@@ -1094,13 +9013,29 @@ class OdooConfigurationWizard {
      */
     previousStep() {
         if (this.currentStep > 1) {
-            this.currentStep--;
-            this.showStep(this.currentStep);
-            this.updateProgress();
+            this.goToStep(this.currentStep - 1);
             console.log(`Voltou para o passo ${this.currentStep}`);
         }
     }
     
+    /**
+     * Vai direto para um passo (sem validação) e salva o rascunho
+     * @param {number} step - Número do passo (1 até totalSteps)
+     */
+    goToStep(step) {
+        this.currentStep = Math.min(Math.max(step, 1), this.totalSteps);
+        this.showStep(this.currentStep);
+        this.updateProgress();
+        
+        // Se chegou no último passo, gerar preview
+        if (this.currentStep === this.totalSteps) {
+            this.generateReview();
+            this.generateDockerCommandsPreview();
+        }
+        
+        this.saveDraft();
+    }
+    
     /**
      * Coleta todos os dados dos formulários
      */
@@ -1126,26 +9061,78 @@ class OdooConfigurationWizard {
         // === COLETAR TODAS AS CONFIGURAÇÕES ===
         Object.assign(this.config, {
             // Passo 1: Configurações básicas
+            preset: getValue('preset'),
             projectName: getValue('projectName'),
             odooVersion: getValue('odooVersion'),
             httpPort: getNumber('httpPort'),
             chatPort: getNumber('chatPort'), 
             domain: getValue('domain'),
+            deployTarget: getValue('deployTarget') || 'compose',
+            enableSystemdUnit: getChecked('enableSystemdUnit'),
+            commentLanguage: getValue('commentLanguage') || 'pt',
             
             // Passo 2: Banco de dados
+            postgresVersion: getValue('postgresVersion'),
             dbName: getValue('dbName'),
             dbUser: getValue('dbUser'),
             dbPassword: getValue('dbPassword'),
             adminPassword: getValue('adminPassword'),
             enablePostgresPort: getChecked('enablePostgresPort'),
+            useSecrets: getChecked('useSecrets'),
+            containerHardening: getChecked('containerHardening'),
+            passwordOptions: Object.fromEntries(GENERATED_PASSWORD_FIELDS.map(field => [field, this.getPasswordOptionsFromForm(field)])),
             
             // Passo 3: Performance
             workers: getNumber('workers'),
             cronThreads: getNumber('cronThreads'),
             memoryLimit: getNumber('memoryLimit'),
+            dbMemoryLimit: getNumber('dbMemoryLimit'),
+            hostCpus: getNumber('hostCpus'),
+            hostMemory: getNumber('hostMemory'),
+            concurrentUsers: getNumber('concurrentUsers'),
             logLevel: getValue('logLevel'),
+            enablePgbouncer: getChecked('enablePgbouncer'),
             enableRedis: getChecked('enableRedis'),
-            enableNginx: getChecked('enableNginx')
+            redisPassword: getValue('redisPassword'),
+            reverseProxy: getValue('reverseProxy') || 'none',
+            odooPortsLocalOnly: getChecked('odooPortsLocalOnly'),
+            sslMode: getValue('sslMode') || 'none',
+            letsencryptEmail: getValue('letsencryptEmail'),
+            letsencryptStaging: getChecked('letsencryptStaging'),
+            nginxHardening: getChecked('nginxHardening'),
+            dbManagerAccess: getValue('dbManagerAccess') || 'block',
+            dbManagerAllowlist: getValue('dbManagerAllowlist').split(/[\s,]+/).filter(Boolean),
+            dbManagerAuth: getChecked('dbManagerAuth'),
+            dbManagerPassword: getValue('dbManagerPassword'),
+            cspAllowedOrigins: getValue('cspAllowedOrigins').split(/[\s,]+/).filter(Boolean),
+            enableFail2ban: getChecked('enableFail2ban'),
+            
+            // Passo 4: Email de saída
+            smtpHost: getValue('smtpHost'),
+            smtpPort: getNumber('smtpPort'),
+            smtpEncryption: getValue('smtpEncryption') || 'starttls',
+            smtpUser: getValue('smtpUser'),
+            smtpPassword: getValue('smtpPassword'),
+            emailFrom: getValue('emailFrom'),
+            enableMailCatcher: getChecked('enableMailCatcher'),
+            
+            // Passo 5: Addons OCA (catálogo + outros informados pelo nome)
+            ocaRepositories: [...new Set([
+                ...Array.from(document.querySelectorAll('input[name="ocaRepo"]:checked'), el => el.value),
+                ...getValue('ocaExtraRepos').split(/[\s,]+/).filter(Boolean)
+            ])],
+            customImage: getChecked('customImage'),
+            pipPackages: getValue('pipPackages').split('\n').map(line => line.trim()).filter(Boolean),
+            aptPackages: getValue('aptPackages').split(/[\s,]+/).filter(Boolean),
+            
+            // Passo 6: Backup e operações
+            enableMonitoring: getChecked('enableMonitoring'),
+            grafanaPassword: getValue('grafanaPassword'),
+            enableBackup: getChecked('enableBackup'),
+            backupSchedule: getValue('backupSchedule').replace(/\s+/g, ' '),
+            backupKeepDaily: getNumber('backupKeepDaily'),
+            backupKeepWeekly: getNumber('backupKeepWeekly'),
+            backupKeepMonthly: getNumber('backupKeepMonthly')
         });
         
         console.log('Dados coletados:', this.config);
@@ -1167,6 +9154,11 @@ class OdooConfigurationWizard {
             console.error(`Passo ${step} não encontrado`);
         }
         
+        // Branch dos repositórios OCA acompanha a versão escolhida no passo 1
+        const ocaBranch = document.getElementById('ocaBranch');
+        const odooVersion = document.getElementById('odooVersion');
+        if (ocaBranch && odooVersion) ocaBranch.textContent = odooVersion.value;
+        
         // Atualizar indicador do passo atual
         const currentStepSpan = document.getElementById('currentStep');
         if (currentStepSpan) currentStepSpan.textContent = step;
@@ -1180,7 +9172,7 @@ class OdooConfigurationWizard {
         
         // Botão próximo: mudar texto no último passo
         if (nextBtn) {
-            nextBtn.textContent = step === this.totalSteps ? '🚀 Gerar Configurações' : 'Próximo ➡️';
+            nextBtn.textContent = step === this.totalSteps ? t('🚀 Gerar Configurações') : t('Próximo ➡️');
         }
     }
     
@@ -1190,78 +9182,13 @@ class OdooConfigurationWizard {
     updateProgress() {
         const progressBar = document.getElementById('progressBar');
         if (progressBar) {
-            // Calcular porcentagem: 25%, 50%, 75%, 100%
+            // Calcular porcentagem proporcional ao passo atual (último = 100%)
             const progress = (this.currentStep / this.totalSteps) * 100;
             progressBar.style.width = progress + '%';
             
             console.log(`Progresso atualizado: ${progress}%`);
         }
     }
-	
-	/**
-	 * Gera conteúdo README para pastas vazias explicando seu propósito
-	 * @param {string} folderPath - Caminho da pasta
-	 * @returns {string} Conteúdo do README
-	 */
-	generateFolderReadme(folderPath) {
-		const readmeContent = {
-			'logs/': `# Pasta de Logs
-
-	Esta pasta armazenará os logs do Odoo automaticamente.
-
-	## Arquivos que aparecerão aqui:
-	- \`odoo.log\` - Log principal do Odoo
-	- Logs rotacionados automaticamente
-
-	## Monitoramento:
-	\`\`\`bash
-	# Ver logs em tempo real
-	docker-compose logs -f odoo
-
-	# Ver logs específicos
-	tail -f logs/odoo.log
-	\`\`\``,
-
-			'addons/': `# Pasta de Addons Customizados
-
-	Coloque seus módulos personalizados do Odoo nesta pasta.
-
-	## Estrutura recomendada:
-	\`\`\`
-	addons/
-	├── meu_modulo/
-	│   ├── __manifest__.py
-	│   ├── models/
-	│   ├── views/
-	│   └── data/
-	└── outro_modulo/
-	\`\`\`
-
-	## Instalação de addons:
-	1. Coloque o módulo nesta pasta
-	2. Reinicie o Odoo: \`docker-compose restart odoo\`
-	3. Atualize a lista de apps no Odoo
-	4. Instale o módulo pela interface`,
-
-			'nginx/ssl/': `# Certificados SSL
-
-	Coloque seus certificados SSL nesta pasta para HTTPS.
-
-	## Arquivos necessários:
-	- \`your-domain.crt\` - Certificado SSL
-	- \`your-domain.key\` - Chave privada
-
-	## Configuração:
-	1. Obtenha certificados (Let's Encrypt recomendado)
-	2. Coloque os arquivos nesta pasta
-	3. Descomente as seções HTTPS no nginx.conf
-	4. Reinicie o Nginx: \`docker-compose restart nginx\``
-		};
-		
-		return readmeContent[folderPath] || `# ${folderPath}
-
-	Esta pasta é parte da estrutura do projeto Odoo.`;
-	}
     
     /**
      * Gera o resumo da configuração para revisão
@@ -1272,33 +9199,173 @@ class OdooConfigurationWizard {
         
         console.log('Gerando resumo da configuração...');
         
+        // Preset aplicado e campos alterados depois dele
+        const preset = CONFIG_PRESETS[this.config.preset];
+        const overrides = this.getPresetOverrides();
+        const versionInfo = getOdooVersionInfo(this.config);
+        const sizingWarnings = getSizingWarnings(this.config);
+        const workerLimits = getWorkerMemoryLimits(this.config);
+        const totalMemoryMb = Object.values(getServiceMemoryPlan(this.config)).reduce((total, mb) => total + mb, 0);
+        const postgresTuning = getPostgresTuning(this.config);
+        const audit = auditSecurity(this.config);
+        
+        // Descrição do envio de emails
+        const smtp = getSmtpSettings(this.config);
+        const encryptionLabels = { starttls: 'STARTTLS', ssl: 'SSL/TLS', none: t('sem criptografia') };
+        const smtpSummary = {
+            mailcatcher: t('📥 Mailpit (captura local em http://localhost:8025)'),
+            smtp: `✅ ${smtp.host}:${smtp.port} (${encryptionLabels[smtp.encryption]})`,
+            none: t('⚠️ Não configurado (configure depois pelo Odoo)')
+        }[smtp.mode];
+        
         // Template do resumo com as configurações principais
         reviewContent.innerHTML = `
             <div style="background: #f8f9fa; border-radius: 10px; padding: 20px; margin-bottom: 20px;">
-                <h3>📋 Resumo da Configuração</h3>
+                <h3>📋 ${t('Resumo da Configuração')}</h3>${preset ? `
+                <div style="margin-top: 10px;">
+                    <strong>Preset:</strong> ${t(preset.label)}${overrides.length > 0 ? ` (${t('ajustado manualmente: {fields}', { fields: overrides.map(o => this.escapeHtml(o)).join(', ') })})` : ''}
+                </div>` : ''}
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 15px;">
                     <div>
-                        <strong>Projeto:</strong> ${this.config.projectName}<br>
-                        <strong>Versão Odoo:</strong> ${this.config.odooVersion}<br>
-                        <strong>Porta HTTP:</strong> ${this.config.httpPort}<br>
-                        <strong>Porta Chat:</strong> ${this.config.chatPort}<br>
-                        <strong>Domínio:</strong> ${this.config.domain || 'Localhost (desenvolvimento)'}
+                        <strong>${t('Projeto:')}</strong> ${this.config.projectName}<br>
+                        <strong>${t('Destino:')}</strong> ${t(DEPLOY_TARGETS[this.config.deployTarget])}${{
+                            kubernetes: ` (${getHelmChartDir(this.config)})`,
+                            podman: ` (${t('quadlet/, inicia no boot')})`,
+                            compose: this.config.enableSystemdUnit ? ` + ${t('unidade systemd (inicia no boot)')}` : ''
+                        }[this.config.deployTarget] || ''}<br>
+                        <strong>${t('Versão Odoo:')}</strong> ${this.config.odooVersion}<br>
+                        <strong>${t('Porta HTTP:')}</strong> ${this.config.httpPort}<br>
+                        <strong>${t('Porta Tempo Real:')}</strong> ${this.config.chatPort} (${versionInfo.realtimePath})<br>
+                        <strong>${t('Domínio:')}</strong> ${this.config.domain || t('Localhost (desenvolvimento)')}
                     </div>
                     <div>
-                        <strong>Workers:</strong> ${this.config.workers === 0 ? '0 (Desenvolvimento)' : this.config.workers + ' workers'}<br>
-                        <strong>Memória:</strong> ${this.config.memoryLimit} GB<br>
+                        <strong>Workers:</strong> ${this.config.workers === 0 ? t('0 (Desenvolvimento)') : this.config.workers + ' workers'}<br>
+                        <strong>${t('Memória:')}</strong> ${t('Odoo {memory} GB ÷ {processes} processo(s) = até {hard} MB cada, PostgreSQL {dbMemory} GB', {
+                            memory: this.config.memoryLimit,
+                            processes: getOdooProcessCount(this.config),
+                            hard: Math.round(workerLimits.hard / 1048576),
+                            dbMemory: this.config.dbMemoryLimit
+                        })}<br>
+                        <strong>${t('Total dos containers:')}</strong> ${(totalMemoryMb / 1024).toFixed(1)} GB${this.config.hostMemory > 0 ? ` ${t('de {host} GB do servidor', { host: this.config.hostMemory })}` : ''}<br>
                         <strong>Log Level:</strong> ${this.config.logLevel}<br>
-                        <strong>Redis:</strong> ${this.config.enableRedis ? '✅ Habilitado' : '❌ Desabilitado'}<br>
-                        <strong>Nginx:</strong> ${this.config.enableNginx ? '✅ Habilitado' : '❌ Desabilitado'}
+                        <strong>Redis:</strong> ${this.config.enableRedis ? t('✅ Sessões de login (addon session_redis)') : t('❌ Desabilitado (sessões em arquivos no volume do Odoo)')}<br>
+                        <strong>${t('Proxy reverso:')}</strong> ${getReverseProxy(this.config) === 'none' ? t('❌ Nenhum') : `✅ ${REVERSE_PROXIES[getReverseProxy(this.config)]}`}${usesNginxHardening(this.config) ? ` (${t('endurecido')})` : ''}<br>
+                        <strong>HTTPS:</strong> ${{
+                            letsencrypt: "🔐 Let's Encrypt" + (this.config.letsencryptStaging ? ' (staging)' : ''),
+                            selfsigned: t('⚠️ Autoassinado (testes)'),
+                            none: t('❌ Desabilitado')
+                        }[getSslMode(this.config)]}
                     </div>
                 </div>
                 <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #dee2e6;">
-                    <strong>Banco de Dados:</strong> ${this.config.dbName} (usuário: ${this.config.dbUser})<br>
-                    <strong>Porta PostgreSQL:</strong> ${this.config.enablePostgresPort ? '✅ Exposta (5432)' : '🔒 Interna apenas'}<br>
-                    <strong>Senhas:</strong> Geradas automaticamente (24 caracteres seguros)
+                    <strong>${t('Banco de Dados:')}</strong> ${this.config.dbName} (${t('usuário: {user}', { user: this.config.dbUser })}, PostgreSQL ${getPostgresVersion(this.config)})<br>
+                    <strong>postgresql.conf:</strong> shared_buffers ${postgresTuning.sharedBuffersMb} MB, work_mem ${postgresTuning.workMemMb} MB,
+                        effective_cache_size ${postgresTuning.effectiveCacheSizeMb} MB, max_connections ${postgresTuning.maxConnections} (db_maxconn ${postgresTuning.dbMaxConn})<br>${usesPgbouncer(this.config) ? `
+                    <strong>PgBouncer:</strong> 🔀 ${t('modo transaction, {pool} conexões por banco (+{reserve} de reserva) para até {clients} conexões do Odoo', {
+                        pool: getPgbouncerPools(this.config).defaultPoolSize,
+                        reserve: getPgbouncerPools(this.config).reservePoolSize,
+                        clients: getPgbouncerPools(this.config).maxClientConn
+                    })}<br>` : ''}
+                    <strong>${t('Porta PostgreSQL:')}</strong> ${this.config.enablePostgresPort ? t('✅ Exposta (5432)') : t('🔒 Interna apenas')}<br>${this.config.enableRedis ? `
+                    <strong>${t('Sessões no Redis:')}</strong> ${t('o addon {module} entra na imagem personalizada e guarda as sessões de login no Redis (válidas por {days} dias): elas sobrevivem à recriação do container do Odoo e são compartilhadas entre os workers. O Redis exige senha e fica só na rede interna (porta 6379 não publicada)', {
+                        module: SESSION_REDIS_ADDON.module,
+                        days: SESSION_REDIS_EXPIRATION / 86400
+                    })}<br>` : ''}${usesNginxHardening(this.config) ? `
+                    <strong>${t('Nginx endurecido:')}</strong> ${t('login limitado a 10 tentativas/min por IP')}, ${getSslMode(this.config) === 'none' ? t('sem HSTS/CSP (exigem HTTPS)') : getSslMode(this.config) === 'letsencrypt' ? t('HSTS e CSP') : t('CSP (sem HSTS no autoassinado)')}${getSslMode(this.config) !== 'none' && (this.config.cspAllowedOrigins || []).length ? ` ${t('(+{count} origens externas)', { count: this.config.cspAllowedOrigins.length })}` : ''},
+                        ${isDbManagerRestricted(this.config)
+                            ? t('gerenciador de bancos restrito ({restriction})', { restriction: this.escapeHtml(describeDbManagerRestriction(this.config)) })
+                            : t('gerenciador de bancos bloqueado')}${usesFail2ban(this.config) ? `, ${t('🚫 fail2ban banindo IPs com falhas de login')}` : ''}<br>` : ''}${usesContainerHardening(this.config) ? `
+                    <strong>${t('Containers endurecidos:')}</strong> 🛡️ ${t('no-new-privileges, capacidades removidas, raiz somente leitura, limites de processos e CPU; banco, Redis, backup e exporters só na rede interna')}${getReverseProxy(this.config) === 'none' ? '' : ` (${t('portas do Odoo apenas em 127.0.0.1')})`}<br>` : ''}
+                    <strong>${t('Senhas:')}</strong> ${['dbPassword', 'adminPassword', ...(this.config.enableRedis ? ['redisPassword'] : []), ...(this.config.enableMonitoring ? ['grafanaPassword'] : []), ...(usesDbManagerAuth(this.config) ? ['dbManagerPassword'] : [])]
+                        .map(field => {
+                            const strength = getPasswordStrength(this.config[field]);
+                            return `${t(PASSWORD_FIELD_LABELS[field])} ${t(strength.label).toLowerCase()} (${strength.bits} bits)`;
+                        }).join(', ')}${this.config.useSecrets || this.config.deployTarget === 'podman'
+                        ? `, 🔑 ${t('{kind} em secrets/ ({count} arquivos)', {
+                            kind: this.config.deployTarget === 'podman' ? 'secrets' : 'Docker secrets',
+                            count: getDockerSecrets({ ...this.config, useSecrets: true }).length
+                        })}`
+                        : `, ${t('no .env e no odoo.conf')}`}<br>
+                    <strong>Email:</strong> ${smtpSummary} (${t('remetente: {from}', { from: smtp.from })})<br>
+                    <strong>${t('Addons OCA:')}</strong> ${this.config.ocaRepositories.length > 0
+                        ? `🧩 ${this.config.ocaRepositories.map(repo => this.escapeHtml(repo)).join(', ')} (branch ${this.config.odooVersion})`
+                        : t('Nenhum')}<br>
+                    <strong>${t('Imagem Odoo:')}</strong> ${usesCustomImage(this.config)
+                        ? `🐳 ${this.config.projectName}-odoo:${this.config.odooVersion} (${t('Dockerfile: {pip} pacotes pip, {apt} apt', { pip: this.config.pipPackages.length, apt: this.config.aptPackages.length })})`
+                        : `odoo:${this.config.odooVersion} (${t('oficial')})`}<br>
+                    <strong>Backup:</strong> ${this.config.enableBackup
+                        ? `✅ ${this.config.backupSchedule} (UTC) — ${t('mantém {daily} diários, {weekly} semanais, {monthly} mensais', {
+                            daily: this.config.backupKeepDaily,
+                            weekly: this.config.backupKeepWeekly,
+                            monthly: this.config.backupKeepMonthly
+                        })}`
+                        : t('❌ Manual (pg_dump)')}<br>
+                    <strong>${t('Monitoramento:')}</strong> ${this.config.enableMonitoring
+                        ? `📈 Prometheus + Grafana (http://localhost:3000) — exporters: PostgreSQL, cAdvisor${getReverseProxy(this.config) === 'nginx' ? ', Nginx' : ''}`
+                        : t('Desabilitado')}
                 </div>
+            </div>${sizingWarnings.length > 0 ? `
+            <div class="security-tips sizing-warnings">
+                <h3>⚠️ ${t('Dimensionamento')}</h3>
+                <ul>
+                    ${sizingWarnings.map(warning => `<li>${warning}</li>`).join('')}
+                </ul>
+            </div>` : ''}
+            <div class="security-audit ${audit.score >= 90 ? '' : audit.score >= 50 ? 'audit-warning' : 'audit-danger'}">
+                <h3>🛡️ ${t('Auditoria de segurança:')} <span class="security-score">${audit.score}/100</span> (${t(audit.grade)})</h3>
+                ${audit.findings.length === 0 ? `<p>✅ ${t('Nenhum problema encontrado.')}</p>` : `
+                <ul class="security-findings">
+                    ${audit.findings.map(finding => `
+                        <li class="security-finding severity-${finding.severity}">
+                            <div>
+                                <strong>${SECURITY_SEVERITIES[finding.severity].icon} ${t(SECURITY_SEVERITIES[finding.severity].label)}: ${this.escapeHtml(finding.title)}</strong><br>
+                                ${this.escapeHtml(finding.detail)}
+                            </div>
+                            ${finding.fix ? `<button type="button" class="btn btn-secondary btn-small" data-security-fix="${finding.id}">🔧 ${this.escapeHtml(finding.fix.label)}</button>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>`}
             </div>
         `;
+        
+        reviewContent.querySelectorAll('[data-security-fix]').forEach(button => {
+            button.addEventListener('click', () => this.fixSecurityFinding(button.dataset.securityFix));
+        });
+    }
+    
+    /**
+     * Aplica a correção de um achado da auditoria de segurança
+     * Atualiza o formulário e a revisão; arquivos já gerados são gerados de novo
+     * @param {string} findingId - id do achado (veja auditSecurity)
+     */
+    fixSecurityFinding(findingId) {
+        const finding = auditSecurity(this.config).findings.find(item => item.id === findingId);
+        const fixed = applySecurityFix(this.config, findingId);
+        if (!finding || !fixed) return;
+        
+        // Apenas os campos alterados vão para o formulário (senhas regeneradas incluídas)
+        const changes = Object.fromEntries(Object.keys(fixed)
+            .filter(key => fixed[key] !== this.config[key])
+            .map(key => [key, fixed[key]]));
+        this.populateForm(changes);
+        this.collectCurrentStepData();
+        
+        this.generateReview();
+        this.generateDockerCommandsPreview();
+        this.saveDraft();
+        
+        const previousFiles = this.generatedFiles;
+        if (!previousFiles) {
+            showToast(`🛡️ ${finding.fix.label}: ${t('correção aplicada')}`, 'success');
+            return;
+        }
+        
+        this.generateFiles();
+        const affected = [
+            ...[...this.generatedFiles.keys()].filter(name => previousFiles.get(name) !== this.generatedFiles.get(name)),
+            ...[...previousFiles.keys()].filter(name => !this.generatedFiles.has(name))
+        ];
+        showToast(`🛡️ ${finding.fix.label}: ${t('{count} arquivo(s) atualizado(s) ({files})', { count: affected.length, files: affected.join(', ') })}`, 'success');
     }
     
     /**
@@ -1312,30 +9379,88 @@ class OdooConfigurationWizard {
         
         // Comandos customizados baseados na configuração
         const projectDir = this.config.projectName;
-        const accessUrl = `http://${this.config.domain || 'localhost'}:${this.config.httpPort}`;
+        const accessUrl = getSslMode(this.config) !== 'none'
+            ? `https://${this.config.domain || 'localhost'}`
+            : `http://${this.config.domain || 'localhost'}:${this.config.httpPort}`;
+        
+        if (this.config.deployTarget === 'kubernetes') {
+            const chartDir = getHelmChartDir(this.config).slice(0, -1);
+            commandsContainer.innerHTML = `
+            <h3 style="color: #4a90e2; margin-bottom: 15px;">☸️ ${t('Comandos Kubernetes para Executar')}</h3>
+            <div style="font-family: monospace; font-size: 0.9rem;">
+                <div style="margin-bottom: 10px;"># 1. ${t('Navegar para o diretório do projeto')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">cd ${projectDir}</div>
+                ${usesCustomImage(this.config) ? `
+                <div style="margin-bottom: 10px;"># 2. ${t('Construir e publicar a imagem (ajuste odoo.image no values.yaml)')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">docker build -t registry.exemplo.com/${projectDir}-odoo:${this.config.odooVersion} . && docker push registry.exemplo.com/${projectDir}-odoo:${this.config.odooVersion}</div>
+                ` : ''}
+                <div style="margin-bottom: 10px;"># ${usesCustomImage(this.config) ? 3 : 2}. ${t('Instalar o chart em um namespace próprio')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">kubectl create namespace ${projectDir} && helm install ${projectDir} ./${chartDir} -n ${projectDir}</div>
+                
+                <div style="margin-bottom: 10px;"># ${usesCustomImage(this.config) ? 4 : 3}. ${t('Verificar os pods')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">kubectl get pods -n ${projectDir}</div>
+                
+                <div style="margin-bottom: 10px;"># ${usesCustomImage(this.config) ? 5 : 4}. ${t('Acessar o Odoo')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">${getReverseProxy(this.config) !== 'none'
+                    ? `# URL: http${getSslMode(this.config) !== 'none' ? 's' : ''}://${this.config.domain || `${projectDir}.local`}`
+                    : `kubectl port-forward -n ${projectDir} svc/${projectDir}-odoo 8069:8069`}</div>
+                
+                <div style="margin-bottom: 10px;"># ${usesCustomImage(this.config) ? 6 : 5}. ${t('Aplicar alterações do values.yaml')}</div>
+                <div style="color: #90cdf4;">helm upgrade ${projectDir} ./${chartDir} -n ${projectDir}</div>
+            </div>
+        `;
+            return;
+        }
+        
+        if (this.config.deployTarget === 'podman') {
+            const systemctl = 'systemctl --user';
+            commandsContainer.innerHTML = `
+            <h3 style="color: #4a90e2; margin-bottom: 15px;">🦭 ${t('Comandos Podman para Executar')}</h3>
+            <div style="font-family: monospace; font-size: 0.9rem;">
+                <div style="margin-bottom: 10px;"># 1. ${t('Navegar para o diretório do projeto')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">cd ${projectDir}</div>
+                
+                <div style="margin-bottom: 10px;"># 2. ${t('Instalar os quadlets e iniciar (rootless; como root usa o systemd do sistema)')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">chmod +x setup.sh && ./setup.sh</div>
+                
+                <div style="margin-bottom: 10px;"># 3. ${t('Verificar status dos serviços')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">${systemctl} status '${projectDir}-*'</div>
+                
+                <div style="margin-bottom: 10px;"># 4. ${t('Acessar o Odoo')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;"># URL: ${accessUrl}</div>
+                
+                <div style="margin-bottom: 10px;"># 5. ${t('Ver logs (se necessário)')}</div>
+                <div style="color: #90cdf4; margin-bottom: 15px;">journalctl --user -u ${projectDir}-odoo -f</div>
+                
+                <div style="margin-bottom: 10px;"># 6. ${t('Reiniciar o Odoo')}</div>
+                <div style="color: #90cdf4;">${systemctl} restart ${projectDir}-odoo</div>
+            </div>
+        `;
+            return;
+        }
         
         commandsContainer.innerHTML = `
-            <h3 style="color: #4a90e2; margin-bottom: 15px;">🐳 Comandos Docker para Executar</h3>
+            <h3 style="color: #4a90e2; margin-bottom: 15px;">🐳 ${t('Comandos Docker para Executar')}</h3>
             <div style="font-family: monospace; font-size: 0.9rem;">
-                <div style="margin-bottom: 10px;"># 1. Navegar para o diretório do projeto</div>
+                <div style="margin-bottom: 10px;"># 1. ${t('Navegar para o diretório do projeto')}</div>
                 <div style="color: #90cdf4; margin-bottom: 15px;">cd ${projectDir}</div>
                 
-                <div style="margin-bottom: 10px;"># 2. Dar permissão ao script (Linux/Mac)</div>
+                <div style="margin-bottom: 10px;"># 2. ${t('Dar permissão ao script (Linux/Mac)')}</div>
                 <div style="color: #90cdf4; margin-bottom: 15px;">chmod +x setup.sh && ./setup.sh</div>
                 
-                <div style="margin-bottom: 10px;"># 3. OU iniciar manualmente</div>
+                <div style="margin-bottom: 10px;"># 3. ${t('OU iniciar manualmente')}</div>
                 <div style="color: #90cdf4; margin-bottom: 15px;">docker-compose up -d</div>
                 
-                <div style="margin-bottom: 10px;"># 4. Verificar status dos containers</div>
+                <div style="margin-bottom: 10px;"># 4. ${t('Verificar status dos containers')}</div>
                 <div style="color: #90cdf4; margin-bottom: 15px;">docker-compose ps</div>
                 
-                <div style="margin-bottom: 10px;"># 5. Acessar o Odoo</div>
+                <div style="margin-bottom: 10px;"># 5. ${t('Acessar o Odoo')}</div>
                 <div style="color: #90cdf4; margin-bottom: 15px;"># URL: ${accessUrl}</div>
                 
-                <div style="margin-bottom: 10px;"># 6. Ver logs (se necessário)</div>
+                <div style="margin-bottom: 10px;"># 6. ${t('Ver logs (se necessário)')}</div>
                 <div style="color: #90cdf4; margin-bottom: 15px;">docker-compose logs -f odoo</div>
                 
-                <div style="margin-bottom: 10px;"># 7. Parar os containers</div>
+                <div style="margin-bottom: 10px;"># 7. ${t('Parar os containers')}</div>
                 <div style="color: #90cdf4;">docker-compose down</div>
             </div>
         `;
@@ -1347,30 +9472,96 @@ class OdooConfigurationWizard {
     generateFiles() {
         console.log('Gerando arquivos de configuração...');
         
-        // === MAPA DE ARQUIVOS A SEREM GERADOS ===
-        const files = new Map([
-            ['docker-compose.yml', generateDockerCompose(this.config)],
-            ['.env', generateEnvFile(this.config)],
-            ['config/odoo.conf', generateOdooConf(this.config)],
-            ['setup.sh', generateSetupScript(this.config)],
-            ['.gitignore', generateGitignore()]
-        ]);
+        // === GERAR ARQUIVOS E ESTRUTURA DO ZIP ===
+        const { files, structure } = buildProjectFiles(this.config);
         
-        // Adicionar nginx.conf se habilitado
-        if (this.config.enableNginx) {
-            files.set('nginx/nginx.conf', generateNginxConf(this.config));
-        }
+        // Verificar a sintaxe de cada arquivo antes de liberar o download
+        this.lintIssues = lintProjectFiles(files);
+        this.lintAcknowledged = false;
         
-        // Exibir arquivos na interface
+        // Exibir arquivos e problemas encontrados na interface
         this.displayFiles(files);
+        this.displayLintReport(files);
         
         // Preparar dados para download ZIP
-        this.prepareZipData(files);
+        this.prepareZipData(files, structure);
         
-        showToast('Configurações geradas com sucesso!', 'success');
+        const errorCount = this.lintIssues.filter(issue => issue.severity === 'error').length;
+        if (errorCount > 0) {
+            showToast(t('⚠️ {count} erro(s) de sintaxe nos arquivos gerados. Revise antes de baixar.', { count: errorCount }), 'warning');
+        } else {
+            showToast(t('Configurações geradas com sucesso!'), 'success');
+        }
         console.log('Arquivos gerados:', Array.from(files.keys()));
     }
     
+    /**
+     * Exibe o resultado da verificação de sintaxe (arquivo:linha de cada problema)
+     * Com erros, o download do ZIP fica bloqueado até o usuário confirmar
+     * @param {Map} files - Mapa de arquivos verificados
+     */
+    displayLintReport(files) {
+        const report = document.getElementById('lintReport');
+        if (!report) return;
+        
+        const errors = this.lintIssues.filter(issue => issue.severity === 'error');
+        
+        if (this.lintIssues.length === 0) {
+            report.className = 'lint-report lint-ok';
+            report.innerHTML = `✅ <strong>${t('Verificação de sintaxe:')}</strong> ${t('{count} arquivos sem problemas', { count: files.size })}`;
+        } else {
+            report.className = `lint-report ${errors.length > 0 ? 'lint-has-errors' : 'lint-has-warnings'}`;
+            report.innerHTML = `
+                <strong>${errors.length > 0 ? '❌' : '⚠️'} ${t('Verificação de sintaxe:')}</strong> 
+                ${t('{errors} erro(s), {warnings} aviso(s)', { errors: errors.length, warnings: this.lintIssues.length - errors.length })}
+                <ul class="lint-issues">
+                    ${this.lintIssues.map(issue => `
+                        <li class="lint-${issue.severity}">
+                            <code>${this.escapeHtml(issue.file)}:${issue.line}</code> ${this.escapeHtml(issue.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+                ${errors.length > 0 ? `
+                    <label class="lint-acknowledge">
+                        <input type="checkbox" id="lintAcknowledge"${this.lintAcknowledged ? ' checked' : ''}>
+                        ${t('Entendo os erros acima e quero baixar o ZIP mesmo assim')}
+                    </label>
+                ` : ''}
+            `;
+            
+            const acknowledge = document.getElementById('lintAcknowledge');
+            if (acknowledge) {
+                acknowledge.addEventListener('change', () => {
+                    this.lintAcknowledged = acknowledge.checked;
+                    this.updateDownloadState();
+                });
+            }
+        }
+        
+        report.style.display = 'block';
+    }
+    
+    /**
+     * Habilita o botão do ZIP se não houver erros de sintaxe (ou se foram confirmados)
+     */
+    updateDownloadState() {
+        const downloadBtn = document.getElementById('downloadZipBtn');
+        if (!downloadBtn) return;
+        
+        const blocked = this.isDownloadBlocked();
+        downloadBtn.disabled = blocked;
+        downloadBtn.style.opacity = blocked ? '0.5' : '1';
+    }
+    
+    /**
+     * Indica se o ZIP está bloqueado por erros de sintaxe não confirmados
+     * @returns {boolean}
+     */
+    isDownloadBlocked() {
+        const hasErrors = (this.lintIssues || []).some(issue => issue.severity === 'error');
+        return hasErrors && !this.lintAcknowledged;
+    }
+    
     /**
      * Exibe os arquivos gerados na interface
      * @param {Map} files - Mapa de arquivos (nome => conteúdo)
@@ -1391,7 +9582,7 @@ class OdooConfigurationWizard {
                     <div class="file-header">📄 ${filename}</div>
                     <pre style="white-space: pre-wrap; margin: 0; max-height: 400px; overflow-y: auto;">${escapedContent}</pre>
                     <button class="copy-btn" onclick="wizard.copyFile('${filename}', \`${escapedForJs}\`)">
-                        📋 Copiar ${filename}
+                        📋 ${t('Copiar {file}', { file: filename })}
                     </button>
                 </div>
             `;
@@ -1406,37 +9597,17 @@ class OdooConfigurationWizard {
     /**
      * Prepara dados para download como ZIP com estrutura de pastas organizada
      * @param {Map} files - Mapa de arquivos
+     * @param {{root: string[], folders: Object<string, string[]>}} structure - Pastas e arquivos do ZIP
      */
-   prepareZipData(files) {
-	// Criar estrutura hierárquica CONDICIONALMENTE
-    this.zipStructure = {
-        root: [
-            'docker-compose.yml',
-            '.env', 
-            '.gitignore',
-            'setup.sh'
-        ],
-        folders: {
-            'config/': ['odoo.conf'],
-            'logs/': [], // Sempre necessária (Docker criará logs)
-            'addons/': [], // Sempre necessária (usuário adicionará módulos)
-            // Nginx APENAS se habilitado
-            ...(this.config.enableNginx ? {
-                'nginx/': ['nginx.conf'],
-                'nginx/ssl/': []
-            } : {})
-        }
-    };
+   prepareZipData(files, structure) {
+    // Estrutura hierárquica montada por buildProjectFiles
+    this.zipStructure = structure;
     
     // Armazenar arquivos para uso no download
     this.generatedFiles = files;
     
-    // Habilitar botão de download
-    const downloadBtn = document.getElementById('downloadZipBtn');
-    if (downloadBtn) {
-        downloadBtn.disabled = false;
-        downloadBtn.style.opacity = '1';
-    }
+    // Habilitar botão de download (bloqueado se houver erros de sintaxe)
+    this.updateDownloadState();
     
     console.log('Estrutura ZIP preparada:', this.zipStructure);
 }
@@ -1449,8 +9620,8 @@ class OdooConfigurationWizard {
     async copyFile(filename, content) {
         const success = await copyToClipboard(content);
         const message = success ? 
-            `📋 ${filename} copiado para área de transferência!` : 
-            `❌ Erro ao copiar ${filename}. Tente copiar manualmente.`;
+            t('📋 {file} copiado para área de transferência!', { file: filename }) : 
+            t('❌ Erro ao copiar {file}. Tente copiar manualmente.', { file: filename });
         const type = success ? 'success' : 'error';
         
         showToast(message, type);
@@ -1462,7 +9633,12 @@ class OdooConfigurationWizard {
      */
     async downloadAsZip() {
 		if (!this.generatedFiles) {
-			showToast('❌ Nenhum arquivo foi gerado ainda!', 'error');
+			showToast(t('❌ Nenhum arquivo foi gerado ainda!'), 'error');
+			return;
+		}
+		
+		if (this.isDownloadBlocked()) {
+			showToast(t('❌ Corrija os erros de sintaxe ou confirme que deseja baixar mesmo assim'), 'error');
 			return;
 		}
 		
@@ -1476,34 +9652,10 @@ class OdooConfigurationWizard {
 			// Criar pasta raiz do projeto
 			const projectFolder = zip.folder(this.config.projectName);
 			
-			// === ADICIONAR ARQUIVOS NA RAIZ ===
-			this.zipStructure.root.forEach(filename => {
-				if (this.generatedFiles.has(filename)) {
-					projectFolder.file(filename, this.generatedFiles.get(filename));
-					console.log(`Adicionado na raiz: ${filename}`);
-				}
-			});
-			
-			// === CRIAR ESTRUTURA DE PASTAS ===
-			Object.entries(this.zipStructure.folders).forEach(([folderPath, files]) => {
-				// Criar pasta (mesmo que vazia)
-				const folder = projectFolder.folder(folderPath);
-				
-				// Adicionar arquivos na pasta
-				files.forEach(filename => {
-					const fullPath = folderPath + filename;
-					if (this.generatedFiles.has(fullPath)) {
-						folder.file(filename, this.generatedFiles.get(fullPath));
-						console.log(`Adicionado em ${folderPath}: ${filename}`);
-					}
-				});
-				
-				// Para pastas vazias, adicionar arquivo README explicativo
-				if (files.length === 0) {
-					const readmeContent = this.generateFolderReadme(folderPath);
-					folder.file('README.md', readmeContent);
-					console.log(`README criado para pasta vazia: ${folderPath}`);
-				}
+			// === ADICIONAR ARQUIVOS E PASTAS (READMEs nas pastas vazias) ===
+			buildProjectTree(this.generatedFiles, this.zipStructure, this.config.commentLanguage).forEach((content, path) => {
+				projectFolder.file(path, content);
+				console.log(`Adicionado: ${path}`);
 			});
 			
 			// === GERAR E BAIXAR ZIP ===
@@ -1519,12 +9671,12 @@ class OdooConfigurationWizard {
 			document.body.removeChild(a);
 			URL.revokeObjectURL(url);
 			
-			showToast('📦 Download do ZIP iniciado!', 'success');
+			showToast(t('📦 Download do ZIP iniciado!'), 'success');
 			console.log('ZIP gerado com estrutura organizada');
 			
 		} catch (error) {
 			console.error('Erro ao gerar ZIP:', error);
-			showToast('❌ Erro ao gerar ZIP. Use os botões individuais.', 'error');
+			showToast(t('❌ Erro ao gerar ZIP. Use os botões individuais.'), 'error');
 		}
 	}
     
@@ -1568,11 +9720,154 @@ class OdooConfigurationWizard {
 // Variável global para acesso pelos event handlers inline no HTML
 let wizard;
 
-// Inicializar quando DOM estiver carregado
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('DOM carregado, inicializando wizard...');
-    wizard = new OdooConfigurationWizard();
-    console.log('Gerador de Configuração Odoo pronto para uso!');
+// Inicializar quando DOM estiver carregado (no Node não há DOM: apenas exportação)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        console.log('DOM carregado, inicializando wizard...');
+        wizard = new OdooConfigurationWizard();
+        console.log('Gerador de Configuração Odoo pronto para uso!');
+    });
+}
+
+// ====================================================================
+// EXPORTAÇÃO PARA NODE (CLI e pipelines de provisionamento)
+// ====================================================================
 
-});
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // Montagem do projeto
+        DEFAULT_CONFIG,
+        DEPLOY_TARGETS,
+        REVERSE_PROXIES,
+        getReverseProxy,
+        getOdooPortBinding,
+        DB_MANAGER_ACCESS,
+        usesNginxHardening,
+        isDbManagerRestricted,
+        usesDbManagerAuth,
+        getUsedPasswordFields,
+        usesFail2ban,
+        CONTAINER_HARDENING,
+        usesContainerHardening,
+        getContainerHardening,
+        getServiceNetworks,
+        isValidIpOrCidr,
+        isValidCspOrigin,
+        normalizeConfig,
+        validateForm,
+        buildProjectFiles,
+        buildProjectTree,
+        lintProjectFiles,
+        
+        // Auditoria de segurança
+        SECURITY_SEVERITIES,
+        auditSecurity,
+        applySecurityFix,
+        
+        // Compatibilidade entre versões
+        ODOO_VERSIONS,
+        getOdooVersionInfo,
+        getPostgresVersion,
+        getDockerSecrets,
+        SESSION_REDIS_ADDON,
+        usesCustomImage,
+        getSessionRedisEnvironment,
+        
+        // Senhas e escape por formato
+        PASSWORD_CHARSETS,
+        generatePassword,
+        generatePassphrase,
+        estimatePasswordEntropy,
+        getPasswordStrength,
+        escapeEnvValue,
+        escapeOdooConfValue,
+        
+        // Dimensionamento de recursos
+        calculateSizing,
+        getServiceMemoryPlan,
+        getWorkerMemoryLimits,
+        getSizingWarnings,
+        getPostgresTuning,
+        usesPgbouncer,
+        getPgbouncerPools,
+        
+        // Idiomas (interface e comentários dos arquivos gerados)
+        LANGUAGES,
+        setLanguage,
+        getLanguage,
+        detectLanguage,
+        t,
+        translateComments,
+        
+        // Geradores individuais
+        generateDockerCompose,
+        generateEnvFile,
+        generateOdooConf,
+        generatePostgresqlConf,
+        generatePgbouncerIni,
+        generatePgbouncerUserlist,
+        generatePgbouncerEntrypoint,
+        generateOdooSecretsEntrypoint,
+        generateSetupScript,
+        generateGitignore,
+        generateNginxConf,
+        getContentSecurityPolicy,
+        generateFail2banJail,
+        generateFail2banOdooFilter,
+        getTraefikLabels,
+        generateBackupScript,
+        generateBackupEntrypoint,
+        generateRestoreScript,
+        generateReposYaml,
+        generateFetchAddonsScript,
+        generateDockerfile,
+        generateRequirementsTxt,
+        generateDockerignore,
+        generatePrometheusConfig,
+        generateGrafanaDatasource,
+        generateGrafanaDashboardProvider,
+        generateGrafanaDashboard,
+        generateFolderReadme,
+        
+        // Inicialização pelo systemd (quadlets do Podman e unidade do Compose)
+        getPodmanServices,
+        generateQuadletFiles,
+        generateQuadletContainer,
+        generateQuadletVolume,
+        generateQuadletNetwork,
+        generateComposeSystemdUnit,
+        
+        // Chart Helm (destino Kubernetes)
+        buildKubernetesProjectFiles,
+        generateHelmChartYaml,
+        generateHelmValues,
+        generateHelmHelpers,
+        generateHelmConfigMap,
+        generateHelmSecret,
+        generateHelmPostgres,
+        generateHelmOdoo,
+        generateHelmRedis,
+        generateHelmMailpit,
+        generateHelmIngress,
+        generateHelmBackup,
+        generateHelmNotes,
+        
+        // Verificadores de sintaxe
+        lintYaml,
+        lintHelmTemplate,
+        lintIni,
+        lintSystemdUnit,
+        lintPostgresqlConf,
+        lintDotenv,
+        lintNginxConf,
+        lintShellScript,
+        lintJson,
+        
+        // Utilitários e dados
+        generateSecurePassword,
+        parseGeneratedProject,
+        CONFIG_PRESETS,
+        OCA_REPOSITORIES
+    };
+}
 